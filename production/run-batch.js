@@ -1,14 +1,13 @@
-import { google } from 'googleapis';
 import { readFileSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { createOutputSinks, parseSinkTypes, getDefaultSinkTypes, OUTPUT_SINK_TYPES } from '../src/output/sinks/index.js';
+import { setOfflineMode, isOfflineMode } from '../src/utils/offline-mode.js';
+import { setLlmBudget, formatLlmBudget, isLlmBudgetExceeded, isBudgetExceededError, formatLlmUsageSummary } from '../src/utils/llm-usage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const configPath = join(__dirname, '../config/config.json');
-const config = JSON.parse(readFileSync(configPath, 'utf-8'));
-
 const batchConfigPath = join(__dirname, 'batch-config.json');
 
 function formatDuration(ms) {
@@ -19,198 +18,22 @@ function formatDuration(ms) {
   return `${hours}h ${minutes}m ${seconds}s`;
 }
 
-let connectionSettings;
-
-async function getAccessToken() {
-  if (connectionSettings && connectionSettings.settings.expires_at && new Date(connectionSettings.settings.expires_at).getTime() > Date.now()) {
-    return connectionSettings.settings.access_token;
-  }
-  
-  const hostname = process.env.REPLIT_CONNECTORS_HOSTNAME;
-  const xReplitToken = process.env.REPL_IDENTITY 
-    ? 'repl ' + process.env.REPL_IDENTITY 
-    : process.env.WEB_REPL_RENEWAL 
-    ? 'depl ' + process.env.WEB_REPL_RENEWAL 
-    : null;
-
-  if (!xReplitToken) {
-    throw new Error('X_REPLIT_TOKEN not found');
-  }
-
-  connectionSettings = await fetch(
-    'https://' + hostname + '/api/v2/connection?include_secrets=true&connector_names=google-drive',
-    {
-      headers: {
-        'Accept': 'application/json',
-        'X_REPLIT_TOKEN': xReplitToken
-      }
-    }
-  ).then(res => res.json()).then(data => data.items?.[0]);
-
-  const accessToken = connectionSettings?.settings?.access_token || connectionSettings.settings?.oauth?.credentials?.access_token;
-
-  if (!connectionSettings || !accessToken) {
-    throw new Error('Google Drive not connected');
+function parseOutputs(value) {
+  try {
+    return parseSinkTypes(value);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
   }
-  return accessToken;
-}
-
-async function getDriveClient() {
-  const accessToken = await getAccessToken();
-  const oauth2Client = new google.auth.OAuth2();
-  oauth2Client.setCredentials({ access_token: accessToken });
-  return google.drive({ version: 'v3', auth: oauth2Client });
-}
-
-async function getSheetsClient() {
-  const accessToken = await getAccessToken();
-  const oauth2Client = new google.auth.OAuth2();
-  oauth2Client.setCredentials({ access_token: accessToken });
-  return google.sheets({ version: 'v4', auth: oauth2Client });
-}
-
-async function findFolderByName(folderName) {
-  const drive = await getDriveClient();
-  const response = await drive.files.list({
-    q: `name='${folderName}' and mimeType='application/vnd.google-apps.folder' and trashed=false`,
-    fields: 'files(id, name)',
-    spaces: 'drive'
-  });
-  return response.data.files?.[0]?.id || null;
 }
 
-async function findSheetByName(sheetName, folderId) {
-  const drive = await getDriveClient();
-  const response = await drive.files.list({
-    q: `name='${sheetName}' and mimeType='application/vnd.google-apps.spreadsheet' and '${folderId}' in parents and trashed=false`,
-    fields: 'files(id, name)',
-    spaces: 'drive'
-  });
-  return response.data.files?.[0] || null;
-}
-
-async function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-async function getExistingSpecies(spreadsheetId, maxRetries = 3) {
-  const sheets = await getSheetsClient();
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const response = await sheets.spreadsheets.values.get({
-        spreadsheetId,
-        range: 'Plant Data!A:B'
-      });
-      
-      const rows = response.data.values || [];
-      const species = new Set();
-      
-      for (let i = 1; i < rows.length; i++) {
-        if (rows[i] && rows[i][0] && rows[i][1]) {
-          const speciesName = `${rows[i][0]} ${rows[i][1]}`.toLowerCase().trim();
-          species.add(speciesName);
-        }
-      }
-      
-      return species;
-    } catch (error) {
-      const errorDetails = {
-        message: error.message,
-        code: error.code,
-        status: error.status,
-        attempt
-      };
-      console.warn(`[WARN] Sheet read failed (attempt ${attempt}/${maxRetries}):`, JSON.stringify(errorDetails));
-      
-      if (attempt < maxRetries) {
-        const delay = Math.pow(2, attempt) * 1000;
-        console.warn(`[WARN] Retrying in ${delay/1000}s...`);
-        await sleep(delay);
-      } else {
-        console.error(`[FATAL] Failed to read existing species after ${maxRetries} attempts`);
-        throw new Error(`Cannot read sheet to check existing species: ${error.message}. Stopping to prevent duplicate processing.`);
-      }
-    }
+function parseBudgetValue(arg) {
+  const value = Number(arg.split('=')[1]);
+  if (!Number.isFinite(value) || value < 0) {
+    console.error(`Error: Invalid budget ${arg}`);
+    process.exit(1);
   }
-}
-
-async function createNewSheet(sheetName, folderId) {
-  const { 
-    PLANT_COLUMNS, 
-    loadSynthesisModules, 
-    buildColumnSourceDocumentation, 
-    buildPromptsTabContent 
-  } = await import('../src/output/plant-pipeline.js');
-  
-  const sheets = await getSheetsClient();
-  const drive = await getDriveClient();
-  
-  // Create spreadsheet with 3 tabs
-  const createResponse = await sheets.spreadsheets.create({
-    requestBody: {
-      properties: { title: sheetName },
-      sheets: [
-        { properties: { title: 'Plant Data', index: 0 } },
-        { properties: { title: 'Column Sources', index: 1 } },
-        { properties: { title: 'Prompts', index: 2 } }
-      ]
-    }
-  });
-  
-  const spreadsheetId = createResponse.data.spreadsheetId;
-  
-  const fileResponse = await drive.files.get({
-    fileId: spreadsheetId,
-    fields: 'parents'
-  });
-  
-  const previousParents = fileResponse.data.parents ? fileResponse.data.parents.join(',') : '';
-  
-  await drive.files.update({
-    fileId: spreadsheetId,
-    addParents: folderId,
-    removeParents: previousParents,
-    fields: 'id, parents'
-  });
-  
-  // Write Plant Data headers
-  const headersWithDuration = [...PLANT_COLUMNS.HEADERS, 'Processing Duration'];
-  
-  await sheets.spreadsheets.values.update({
-    spreadsheetId,
-    range: 'Plant Data!A1',
-    valueInputOption: 'RAW',
-    requestBody: { values: [headersWithDuration] }
-  });
-  
-  // Write Column Sources documentation
-  const modules = await loadSynthesisModules();
-  const columnSourceDocs = buildColumnSourceDocumentation(modules);
-  
-  await sheets.spreadsheets.values.update({
-    spreadsheetId,
-    range: 'Column Sources!A1',
-    valueInputOption: 'RAW',
-    requestBody: { values: columnSourceDocs }
-  });
-  
-  // Write Prompts tab (base prompt + tier guidance)
-  const promptsContent = buildPromptsTabContent();
-  
-  await sheets.spreadsheets.values.update({
-    spreadsheetId,
-    range: 'Prompts!A1',
-    valueInputOption: 'RAW',
-    requestBody: { values: promptsContent }
-  });
-  
-  console.log(`Created spreadsheet with ${columnSourceDocs.length - 1} column source entries and ${promptsContent.length - 1} prompt entries`);
-  
-  return {
-    spreadsheetId,
-    spreadsheetUrl: createResponse.data.spreadsheetUrl
-  };
+  return value;
 }
 
 function parseSpeciesList(filePath) {
@@ -226,145 +49,28 @@ function parseSpeciesList(filePath) {
   }).filter(Boolean);
 }
 
-async function ensureDurationHeader(spreadsheetId) {
-  const sheets = await getSheetsClient();
-  const { PLANT_COLUMNS } = await import('../src/output/plant-pipeline.js');
-  
-  const response = await sheets.spreadsheets.values.get({
-    spreadsheetId,
-    range: 'Plant Data!1:1'
-  });
-  
-  const headers = response.data.values?.[0] || [];
-  const expectedColumns = PLANT_COLUMNS.HEADERS.length + 1;
-  
-  if (headers.length < expectedColumns || headers[headers.length - 1] !== 'Processing Duration') {
-    const durationColLetter = String.fromCharCode(65 + PLANT_COLUMNS.HEADERS.length);
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range: `Plant Data!${durationColLetter}1`,
-      valueInputOption: 'RAW',
-      requestBody: { values: [['Processing Duration']] }
-    });
-    console.log('Added Processing Duration header to existing sheet');
-  }
-}
-
-async function ensureDocumentationTabs(spreadsheetId) {
-  const sheets = await getSheetsClient();
-  const { 
-    loadSynthesisModules, 
-    buildColumnSourceDocumentation, 
-    buildPromptsTabContent 
-  } = await import('../src/output/plant-pipeline.js');
-  
-  // Get existing sheets in the spreadsheet
-  const spreadsheet = await sheets.spreadsheets.get({
-    spreadsheetId,
-    fields: 'sheets.properties.title'
-  });
-  
-  const existingSheets = spreadsheet.data.sheets.map(s => s.properties.title);
-  const requests = [];
-  
-  // Add Column Sources tab if missing
-  if (!existingSheets.includes('Column Sources')) {
-    requests.push({
-      addSheet: {
-        properties: { title: 'Column Sources', index: 1 }
-      }
-    });
-  }
-  
-  // Add Prompts tab if missing
-  if (!existingSheets.includes('Prompts')) {
-    requests.push({
-      addSheet: {
-        properties: { title: 'Prompts', index: 2 }
-      }
-    });
-  }
-  
-  // Create any missing tabs
-  if (requests.length > 0) {
-    await sheets.spreadsheets.batchUpdate({
-      spreadsheetId,
-      requestBody: { requests }
-    });
-    console.log(`Created missing tabs: ${requests.map(r => r.addSheet.properties.title).join(', ')}`);
-  }
-  
-  // Always update Column Sources (may have new modules/prompts)
-  const modules = await loadSynthesisModules();
-  const columnSourceDocs = buildColumnSourceDocumentation(modules);
-  
-  await sheets.spreadsheets.values.update({
-    spreadsheetId,
-    range: 'Column Sources!A1',
-    valueInputOption: 'RAW',
-    requestBody: { values: columnSourceDocs }
-  });
-  
-  // Always update Prompts (may have updated prompts)
-  const promptsContent = buildPromptsTabContent();
-  
-  await sheets.spreadsheets.values.update({
-    spreadsheetId,
-    range: 'Prompts!A1',
-    valueInputOption: 'RAW',
-    requestBody: { values: promptsContent }
-  });
-  
-  console.log(`Updated Column Sources (${columnSourceDocs.length - 1} entries) and Prompts (${promptsContent.length - 1} entries)`);
-}
-
-async function appendPlantRowWithDuration(spreadsheetId, record) {
-  const sheets = await getSheetsClient();
-  const { PLANT_COLUMNS } = await import('../src/output/plant-pipeline.js');
-  
-  const row = [];
-  
-  row.push(record.genus);
-  row.push(record.species);
-  
-  for (const columnId of PLANT_COLUMNS.COLUMN_ORDER) {
-    const { moduleId } = PLANT_COLUMNS.COLUMN_REGISTRY.get(columnId);
-    const moduleResult = record.moduleResults[moduleId];
-    
-    if (moduleResult && moduleResult.columnValues && columnId in moduleResult.columnValues) {
-      const value = moduleResult.columnValues[columnId];
-      
-      if (value !== null && typeof value === 'object') {
-        row.push(JSON.stringify(value, null, 2));
-      } else if (value == null) {
-        row.push('');
-      } else {
-        row.push(value);
-      }
-    } else {
-      row.push('');
-    }
-  }
+async function runBatch(sheetName, speciesListFile, options = {}) {
+  const { concurrency = 1, mode = 'append', updateColumns = null, outputs = getDefaultSinkTypes(), messageBatches = false } = options;
+  const updateMode = mode === 'update';
   
-  row.push(record.processingDuration || '');
-  
-  await sheets.spreadsheets.values.append({
-    spreadsheetId,
-    range: 'Plant Data!A2',
-    valueInputOption: 'RAW',
-    insertDataOption: 'INSERT_ROWS',
-    requestBody: {
-      values: [row]
-    }
-  });
-}
-
-async function runBatch(sheetName, speciesListFile) {
   console.log('='.repeat(80));
   console.log('Production Batch Processor (Resumable)');
   console.log('='.repeat(80));
-  console.log(`Sheet name: ${sheetName}`);
+  console.log(`Output name: ${sheetName}`);
   console.log(`Species list: ${speciesListFile}`);
+  console.log(`Concurrency: ${concurrency} species at a time`);
+  console.log(`Mode: ${updateMode ? `update (${updateColumns ? updateColumns.join(', ') : 'all columns'})` : 'append'}`);
+  console.log(`Output: ${outputs.join(', ')}`);
+  if (messageBatches) {
+    console.log('3-tier prompts: prefilled with Message Batches before processing');
+  }
+  if (isOfflineMode()) {
+    console.log('Offline: cached data only (uncached values are written as "Not cached (offline)")');
+  }
+  const budget = formatLlmBudget();
+  if (budget) {
+    console.log(`LLM budget: ${budget}`);
+  }
   console.log();
   
   if (!existsSync(speciesListFile)) {
@@ -375,42 +81,24 @@ async function runBatch(sheetName, speciesListFile) {
   const allSpecies = parseSpeciesList(speciesListFile);
   console.log(`Total species in input file: ${allSpecies.length}`);
   
-  const folderName = config.googleDrive.folders.outputFolder;
-  console.log(`\nLooking for folder: ${folderName}`);
-  
-  const folderId = await findFolderByName(folderName);
-  if (!folderId) {
-    console.error(`Error: Folder "${folderName}" not found in Google Drive`);
-    process.exit(1);
-  }
-  console.log(`Found folder (ID: ${folderId})`);
-  
-  let spreadsheetId, spreadsheetUrl;
-  let existingSpecies = new Set();
-  
-  const existingSheet = await findSheetByName(sheetName, folderId);
+  const {
+    getPlantRecord,
+    resolveSelectorModules,
+    resolveColumnSelectors,
+    expandUpdateSelectors,
+    buildPlantValues,
+    buildOutputContent
+  } = await import('../src/output/plant-pipeline.js');
+  const { getRateLimiterStats } = await import('../src/utils/rate-limiter.js');
   
-  if (existingSheet) {
-    console.log(`\nFound existing sheet: ${sheetName}`);
-    spreadsheetId = existingSheet.id;
-    spreadsheetUrl = `https://docs.google.com/spreadsheets/d/${spreadsheetId}`;
-    
-    await ensureDurationHeader(spreadsheetId);
-    await ensureDocumentationTabs(spreadsheetId);
-    
-    existingSpecies = await getExistingSpecies(spreadsheetId);
-    console.log(`Species already in sheet: ${existingSpecies.size}`);
-  } else {
-    console.log(`\nSheet not found. Creating new sheet: ${sheetName}`);
-    const sheetInfo = await createNewSheet(sheetName, folderId);
-    spreadsheetId = sheetInfo.spreadsheetId;
-    spreadsheetUrl = sheetInfo.spreadsheetUrl;
-    console.log(`Created new sheet (ID: ${spreadsheetId})`);
-  }
+  const sink = createOutputSinks(outputs, { name: sheetName });
+  const { location, existingKeys: existingSpecies } = await sink.open(buildOutputContent(['Processing Duration']));
   
-  console.log(`Sheet URL: ${spreadsheetUrl}`);
+  console.log(`Species already in output: ${existingSpecies.size}`);
+  console.log(`Output location: ${location}`);
   
-  const remainingSpecies = allSpecies.filter(s => {
+  // Update mode regenerates every listed species; append mode skips ones already in the output
+  const remainingSpecies = updateMode ? allSpecies : allSpecies.filter(s => {
     const speciesKey = `${s.genus} ${s.species}`.toLowerCase().trim();
     return !existingSpecies.has(speciesKey);
   });
@@ -419,6 +107,7 @@ async function runBatch(sheetName, speciesListFile) {
   
   if (remainingSpecies.length === 0) {
     console.log('\nAll species already processed!');
+    await sink.close();
     return;
   }
   
@@ -426,49 +115,145 @@ async function runBatch(sheetName, speciesListFile) {
   console.log('Starting processing...');
   console.log('='.repeat(80) + '\n');
   
-  const { getPlantRecord, appendPlantRows } = await import('../src/output/plant-pipeline.js');
+  // When refreshing selected columns, only run the modules that produce them
+  const recordOptions = {};
+  const selectors = updateMode && updateColumns ? expandUpdateSelectors(updateColumns) : null;
+  if (selectors) {
+    recordOptions.moduleIds = resolveSelectorModules(selectors);
+    if (recordOptions.moduleIds.length === 0) {
+      console.error(`Error: No columns match ${updateColumns.join(', ')}`);
+      process.exit(1);
+    }
+    console.log(`Modules to run: ${recordOptions.moduleIds.join(', ')}`);
+    if (selectors !== updateColumns) {
+      console.log('Needs Review is also rewritten: 3-tier fields outside --columns count with their stored consensus');
+    }
+    console.log('');
+  }
+  
+  // Submit every uncached 3-tier prompt as message batches first, so the run below reads them from cache
+  if (messageBatches) {
+    const { prefill3TierBatches, getSourceModuleIds } = await import('../src/output/prefill-3tier-batches.js');
+    const { syncTierSources } = await import('../src/synthesis/process-3tier-field.js');
+    const fieldIds = recordOptions.moduleIds
+      ? recordOptions.moduleIds.filter(id => id.startsWith('3tier-') && id !== '3tier-review').map(id => id.slice('3tier-'.length))
+      : undefined;
+    if (!fieldIds || fieldIds.length > 0) {
+      // Tier 1 and Tier 2 prompts are built from cached sources: fetch them first
+      await syncTierSources();
+      const sourceModuleIds = getSourceModuleIds(fieldIds);
+      await prefill3TierBatches(remainingSpecies, {
+        fieldIds,
+        collectSources: (genus, species) => getPlantRecord(genus, species, { moduleIds: sourceModuleIds })
+      });
+      console.log();
+    }
+  }
   
   let successCount = 0;
+  let updatedCount = 0;
   const failures = [];
   
-  for (let i = 0; i < remainingSpecies.length; i++) {
-    const { genus, species } = remainingSpecies[i];
-    const overallIndex = allSpecies.findIndex(s => s.genus === genus && s.species === species) + 1;
-    
-    const startTime = Date.now();
-    console.log(`[${overallIndex}/${allSpecies.length}] Processing ${genus} ${species}...`);
-    
-    try {
-      const record = await getPlantRecord(genus, species);
-      const duration = Date.now() - startTime;
-      const durationStr = formatDuration(duration);
+  // Duration is always written alongside whichever columns were regenerated
+  const writeHeaders = selectors
+    ? [...resolveColumnSelectors(selectors), 'Processing Duration']
+    : null;
+  
+  // Output writes are serialized so concurrent workers never interleave writes
+  let appendChain = Promise.resolve();
+  const appendRow = (record) => {
+    const values = buildPlantValues(record, { 'Processing Duration': record.processingDuration || '' });
+    const pending = appendChain.then(() => sink.writeRow(values, { update: updateMode, headers: writeHeaders }));
+    appendChain = pending.catch(() => {});
+    return pending;
+  };
+  
+  const queue = [...remainingSpecies];
+  const workerCount = Math.max(1, Math.min(concurrency, queue.length));
+  console.log(`Workers: ${workerCount}\n`);
+  
+  let budgetStopped = false;
+  
+  async function worker() {
+    while (queue.length > 0) {
+      // Nothing new starts once the budget is used up; running species stop at their next Claude call
+      if (isLlmBudgetExceeded()) {
+        if (!budgetStopped) {
+          budgetStopped = true;
+          console.log(`LLM budget reached - stopping with ${queue.length} species not started\n`);
+        }
+        return;
+      }
+      
+      const { genus, species } = queue.shift();
+      const overallIndex = allSpecies.findIndex(s => s.genus === genus && s.species === species) + 1;
+      const label = `${genus} ${species}`;
       
-      if (record) {
-        record.processingDuration = durationStr;
-        await appendPlantRowWithDuration(spreadsheetId, record);
-        successCount++;
-        console.log(`  ✓ Saved (Native: ${record.isNative}, Family: ${record.family}) [${durationStr}]`);
-      } else {
-        failures.push({ genus, species, reason: 'Not a current botanical name' });
-        console.log(`  ✗ Skipped - Not a current botanical name [${durationStr}]`);
+      const startTime = Date.now();
+      console.log(`[${overallIndex}/${allSpecies.length}] Processing ${label}...`);
+      
+      try {
+        const record = await getPlantRecord(genus, species, recordOptions);
+        const duration = Date.now() - startTime;
+        const durationStr = formatDuration(duration);
+        
+        if (record) {
+          record.processingDuration = durationStr;
+          const writeResult = await appendRow(record);
+          if (writeResult?.missing) {
+            failures.push({ genus, species, reason: 'Not in output - run a full update to add it' });
+            console.log(`  ✗ Skipped ${label} - not in output, partial columns cannot be appended [${durationStr}]`);
+          } else {
+            successCount++;
+            if (writeResult?.updated) updatedCount++;
+            console.log(`  ✓ ${writeResult?.updated ? 'Updated' : 'Saved'} ${label} (Native: ${record.isNative}, Family: ${record.family}) [${durationStr}]`);
+          }
+        } else {
+          failures.push({ genus, species, reason: 'Not a current botanical name' });
+          console.log(`  ✗ Skipped ${label} - Not a current botanical name [${durationStr}]`);
+        }
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        const durationStr = formatDuration(duration);
+        if (isBudgetExceededError(error)) {
+          // Stopped mid-species: nothing is written, so a later run redoes it (from cache up to here)
+          failures.push({ genus, species, reason: 'LLM budget reached - not saved' });
+          console.log(`  ✗ Stopped ${label} - ${error.message}, row not saved [${durationStr}]`);
+        } else {
+          failures.push({ genus, species, reason: error.message });
+          console.log(`  ✗ Failed ${label} - ${error.message} [${durationStr}]`);
+        }
+      }
+      
+      if (workerCount > 1) {
+        const busy = getRateLimiterStats().filter(s => s.queued > 0);
+        if (busy.length > 0) {
+          console.log(`  Rate limit queues: ${busy.map(s => `${s.provider}=${s.queued}`).join(', ')}`);
+        }
       }
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      const durationStr = formatDuration(duration);
-      failures.push({ genus, species, reason: error.message });
-      console.log(`  ✗ Failed - ${error.message} [${durationStr}]`);
+      
+      console.log();
     }
-    
-    console.log();
   }
   
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
+  await sink.close();
+  
   console.log('='.repeat(80));
   console.log('Batch Complete');
   console.log('='.repeat(80));
   console.log(`Processed this run: ${successCount + failures.length}`);
   console.log(`  ✓ Successful: ${successCount}`);
+  if (updateMode) {
+    console.log(`    (${updatedCount} updated in place, ${successCount - updatedCount} appended)`);
+  }
   console.log(`  ✗ Failed/Skipped: ${failures.length}`);
-  console.log(`Total in sheet: ${existingSpecies.size + successCount}`);
+  console.log(`Total in output: ${existingSpecies.size + successCount - updatedCount}`);
+  if (budgetStopped) {
+    console.log(`  ⏸ Not started (LLM budget reached): ${queue.length} - run again to resume`);
+  }
+  console.log();
+  console.log(formatLlmUsageSummary());
   console.log();
   
   if (failures.length > 0) {
@@ -477,12 +262,24 @@ async function runBatch(sheetName, speciesListFile) {
     console.log();
   }
   
-  console.log(`Sheet URL: ${spreadsheetUrl}`);
+  console.log(`Output location: ${location}`);
 }
 
-const args = process.argv.slice(2);
+const argv = process.argv.slice(2);
+const concurrencyArg = argv.find(a => a.startsWith('--concurrency='));
+const columnsArg = argv.find(a => a.startsWith('--columns='));
+const outputArg = argv.find(a => a.startsWith('--output='));
+const budgetUsdArg = argv.find(a => a.startsWith('--budget-usd='));
+const budgetTokensArg = argv.find(a => a.startsWith('--budget-tokens='));
+const args = argv.filter(a => !a.startsWith('--'));
 
 let sheetName, speciesListFile;
+let concurrency = 1;
+let mode = argv.includes('--update') ? 'update' : 'append';
+let updateColumns = null;
+let outputs = getDefaultSinkTypes();
+let offline = argv.includes('--offline');
+let messageBatches = argv.includes('--message-batches');
 
 if (args.length === 2) {
   [sheetName, speciesListFile] = args;
@@ -490,25 +287,78 @@ if (args.length === 2) {
   const batchConfig = JSON.parse(readFileSync(batchConfigPath, 'utf-8'));
   sheetName = batchConfig.sheetName;
   speciesListFile = batchConfig.speciesListFile;
+  concurrency = batchConfig.concurrency || 1;
+  if (batchConfig.mode && mode !== 'update') mode = batchConfig.mode;
+  updateColumns = batchConfig.updateColumns?.length ? batchConfig.updateColumns : null;
+  if (batchConfig.outputs?.length) outputs = parseOutputs(batchConfig.outputs);
+  if (batchConfig.offline) offline = true;
+  if (batchConfig.messageBatches) messageBatches = true;
+  if (batchConfig.budget) setLlmBudget(batchConfig.budget);
   console.log('Using batch-config.json settings');
 } else {
-  console.error('Usage: node production/run-batch.js [<sheet-name> <species-list-file>]');
+  console.error('Usage: node production/run-batch.js [<sheet-name> <species-list-file>] [--concurrency=N] [--update [--columns=a,b*]] [--output=types] [--offline] [--budget-usd=N] [--budget-tokens=N] [--message-batches]');
   console.error('');
   console.error('If no arguments provided, reads from production/batch-config.json');
   console.error('');
   console.error('Example:');
   console.error('  node production/run-batch.js "Presentation_2026" production/species-list-presentation.txt');
   console.error('  node production/run-batch.js  # uses batch-config.json');
+  console.error('  node production/run-batch.js --concurrency=4  # 4 species at once');
+  console.error('  node production/run-batch.js --update  # regenerate and overwrite existing rows');
+  console.error('  node production/run-batch.js --update --columns=3tier-storage_*  # refresh only storage fields');
+  console.error('  node production/run-batch.js --output=csv,sqlite  # write local files instead of Google Sheets');
+  console.error('  node production/run-batch.js --offline --output=csv  # rebuild from caches only, no network');
+  console.error('  node production/run-batch.js --budget-usd=5  # stop calling Claude after $5 of usage');
+  console.error('  node production/run-batch.js --message-batches  # submit 3-tier prompts as half-price message batches first');
+  console.error('');
+  console.error(`Output types: ${OUTPUT_SINK_TYPES.join(', ')} (comma-separated to write several)`);
   console.error('');
   console.error('The script will:');
-  console.error('  - Find or create a Google Sheet with the given name');
-  console.error('  - Check which species are already in the sheet');
-  console.error('  - Process only the remaining species');
+  console.error('  - Find or create the output (Google Sheet or local files) with the given name');
+  console.error('  - Check which species are already in the output');
+  console.error('  - Process only the remaining species (N at a time, sharing API rate limits)');
   console.error('  - Append results incrementally (safe to interrupt and resume)');
+  console.error('  - With --update: overwrite existing rows in place (optionally only --columns)');
+  console.error('  - With --offline: use cached data only; cache misses are written as "Not cached (offline)"');
+  console.error('  - With --budget-usd / --budget-tokens: stop cleanly once Claude usage reaches the budget');
+  console.error('  - With --message-batches: fill the 3-tier cache with message batches, then build rows from it');
   process.exit(1);
 }
 
-runBatch(sheetName, speciesListFile).then(() => {
+if (concurrencyArg) {
+  concurrency = parseInt(concurrencyArg.split('=')[1], 10) || 1;
+}
+
+if (outputArg) {
+  outputs = parseOutputs(outputArg.split('=')[1]);
+}
+
+if (columnsArg) {
+  mode = 'update';
+  updateColumns = columnsArg.split('=')[1].split(',').filter(Boolean);
+}
+
+if (budgetUsdArg) {
+  setLlmBudget({ maxCostUsd: parseBudgetValue(budgetUsdArg) });
+}
+
+if (budgetTokensArg) {
+  setLlmBudget({ maxTokens: parseBudgetValue(budgetTokensArg) });
+}
+
+if (offline) {
+  if (outputs.includes('google-sheets')) {
+    console.error('Error: --offline cannot write to Google Sheets. Choose local outputs, e.g. --output=csv');
+    process.exit(1);
+  }
+  if (messageBatches) {
+    console.error('Error: --message-batches needs network access and cannot be combined with --offline');
+    process.exit(1);
+  }
+  setOfflineMode(true);
+}
+
+runBatch(sheetName, speciesListFile, { concurrency, mode, updateColumns, outputs, messageBatches }).then(() => {
   console.log('\n[STAY-ALIVE] Batch complete. Keeping process alive to prevent VM restart...');
   console.log('[STAY-ALIVE] Press Ctrl+C or stop the deployment to exit.\n');
   
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * One-time OAuth login for running outside Replit
+ *
+ * Creates the OAuth token file used by the "oauth" Google auth provider
+ * (see src/utils/google-auth.js).
+ *
+ * Setup:
+ * 1. In Google Cloud Console, create an OAuth client ID of type "Desktop app"
+ *    and download its JSON to credentials/oauth-client.json
+ *    (or set GOOGLE_OAUTH_CLIENT_FILE / googleAuth.oauthClientFile)
+ * 2. Run this script, open the printed URL, approve access and paste the code
+ *    (or the full redirected URL) back here
+ *
+ * Usage: node scripts/google-oauth-login.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { GOOGLE_SCOPES, getAuthFilePaths, createInstalledAppClient } from '../src/utils/google-auth.js';
+
+console.log('Google OAuth Login');
+console.log('==================\n');
+
+const { oauthClientFile, oauthTokenFile } = getAuthFilePaths();
+
+if (!oauthTokenFile) {
+  console.error('❌ No token file configured. Set GOOGLE_OAUTH_TOKEN_FILE or googleAuth.oauthTokenFile in config/config.json');
+  process.exit(1);
+}
+
+try {
+  const client = createInstalledAppClient(oauthClientFile);
+  const authUrl = client.generateAuthUrl({
+    access_type: 'offline',
+    prompt: 'consent',
+    scope: GOOGLE_SCOPES
+  });
+
+  console.log('Open this URL in a browser and approve access:\n');
+  console.log(`   ${authUrl}\n`);
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => rl.question('Paste the authorization code (or the redirected URL): ', resolve));
+  rl.close();
+
+  // Desktop clients redirect to http://localhost?code=..., which the browser can't open;
+  // accept either the bare code or that whole URL
+  const input = answer.trim();
+  const code = input.startsWith('http') ? new URL(input).searchParams.get('code') : input;
+  if (!code) {
+    throw new Error('No authorization code found');
+  }
+
+  const { tokens } = await client.getToken(code);
+  if (!tokens.refresh_token) {
+    console.warn('\n⚠ No refresh token returned - the saved token will stop working when it expires.');
+    console.warn('  Remove this app from https://myaccount.google.com/permissions and run the script again.');
+  }
+
+  fs.mkdirSync(path.dirname(oauthTokenFile), { recursive: true });
+  fs.writeFileSync(oauthTokenFile, JSON.stringify(tokens, null, 2), { encoding: 'utf-8', mode: 0o600 });
+
+  console.log(`\n✅ Token saved to ${oauthTokenFile}`);
+  console.log('   Google Drive/Sheets will now use the "oauth" provider automatically.');
+} catch (error) {
+  console.error('\n❌ Login failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,254 @@
+/**
+ * Scoring for the golden-answer evaluation harness
+ *
+ * Each case (species + field) is scored on:
+ * - enum accuracy: the enum value at the start of the answer (matched with the
+ *   field's outputSchema value pattern) against the expected one
+ * - forbidden phrases: phrases that must not appear (case-insensitive), from the
+ *   golden file's global, per-field and per-case lists
+ * - rubric checks: consultant-written checks, each with any of
+ *   includesAny (at least one phrase appears), excludesAll (none appear),
+ *   matches (regex must match) and notMatches (regex must not match)
+ */
+
+/**
+ * Extract the enum value an answer starts with
+ * @param {string} answer - Answer text
+ * @param {string} [valuePattern] - Field's enum pattern, e.g. ^(Easy|Moderate|Difficult)\b
+ * @returns {string|null} Enum value, or null
+ */
+function extractEnum(answer, valuePattern) {
+  if (valuePattern) {
+    return answer.match(new RegExp(valuePattern, 'i'))?.[0] || null;
+  }
+  return answer.match(/^[A-Za-z][A-Za-z ]*?(?=[\s.,:;–—-]|$)/)?.[0] || null;
+}
+
+/**
+ * Run one rubric check
+ * @param {string} answer - Answer text
+ * @param {Object} check - { id, description, includesAny, excludesAll, matches, notMatches }
+ * @returns {boolean} True if every condition given passes
+ */
+function runRubricCheck(answer, check) {
+  const text = answer.toLowerCase();
+  const conditions = [];
+  if (check.includesAny) conditions.push(check.includesAny.some(phrase => text.includes(phrase.toLowerCase())));
+  if (check.excludesAll) conditions.push(check.excludesAll.every(phrase => !text.includes(phrase.toLowerCase())));
+  if (check.matches) conditions.push(new RegExp(check.matches, 'i').test(answer));
+  if (check.notMatches) conditions.push(!new RegExp(check.notMatches, 'i').test(answer));
+  return conditions.every(Boolean);
+}
+
+/**
+ * Score one answer
+ * @param {string} answer - Answer text being scored
+ * @param {Object} expected - { enum, forbiddenPhrases, rubric }
+ * @param {Object} [options]
+ * @param {string} [options.valuePattern] - Field's enum pattern
+ * @returns {Object} { enum: { expected, actual, correct } | null, forbiddenHits, rubric: [{ id, description, passed }] }
+ */
+export function scoreAnswer(answer, expected, options = {}) {
+  const text = answer || '';
+  const lowered = text.toLowerCase();
+
+  let enumScore = null;
+  if (expected.enum) {
+    const actual = extractEnum(text, options.valuePattern);
+    enumScore = {
+      expected: expected.enum,
+      actual,
+      correct: Boolean(actual) && actual.toLowerCase() === expected.enum.toLowerCase()
+    };
+  }
+
+  return {
+    enum: enumScore,
+    forbiddenHits: (expected.forbiddenPhrases || []).filter(phrase => lowered.includes(phrase.toLowerCase())),
+    rubric: (expected.rubric || []).map(check => ({
+      id: check.id,
+      description: check.description || '',
+      passed: runRubricCheck(text, check)
+    }))
+  };
+}
+
+/**
+ * Merge the golden file's global, per-field and per-case expectations for one case
+ * @param {Object} golden - Golden answer file
+ * @param {Object} speciesEntry - Entry from golden.species
+ * @param {string} fieldId - Field being scored
+ * @returns {Object} { enum, forbiddenPhrases, rubric }
+ */
+export function resolveExpectation(golden, speciesEntry, fieldId) {
+  const fieldDefaults = golden.fields?.[fieldId] || {};
+  const expected = speciesEntry.expected?.[fieldId] || {};
+  return {
+    enum: expected.enum || null,
+    forbiddenPhrases: [
+      ...(golden.forbiddenPhrases || []),
+      ...(fieldDefaults.forbiddenPhrases || []),
+      ...(expected.forbiddenPhrases || [])
+    ],
+    rubric: [...(fieldDefaults.rubric || []), ...(expected.rubric || [])]
+  };
+}
+
+/**
+ * Total the scores of a run
+ * @param {Array<Object>} cases - [{ genus, species, fieldId, answer, score, error }]
+ * @returns {Object} { cases, errors, enum: { correct, total }, forbiddenHits, casesWithForbidden, rubric: { passed, total } }
+ */
+export function summarizeScores(cases) {
+  const summary = {
+    cases: cases.length,
+    errors: 0,
+    enum: { correct: 0, total: 0 },
+    forbiddenHits: 0,
+    casesWithForbidden: 0,
+    rubric: { passed: 0, total: 0 }
+  };
+
+  for (const result of cases) {
+    if (result.error) {
+      summary.errors++;
+      continue;
+    }
+    const { score } = result;
+    if (score.enum) {
+      summary.enum.total++;
+      if (score.enum.correct) summary.enum.correct++;
+    }
+    summary.forbiddenHits += score.forbiddenHits.length;
+    if (score.forbiddenHits.length > 0) summary.casesWithForbidden++;
+    summary.rubric.total += score.rubric.length;
+    summary.rubric.passed += score.rubric.filter(check => check.passed).length;
+  }
+
+  return summary;
+}
+
+/**
+ * Count the checks a case passes (for spotting improvements and regressions)
+ * @param {Object} result - Case result
+ * @returns {number} Passed checks (enum, forbidden-free, rubric)
+ */
+function passedChecks(result) {
+  if (result.error) return 0;
+  const { score } = result;
+  return (score.enum?.correct ? 1 : 0) +
+    (score.forbiddenHits.length === 0 ? 1 : 0) +
+    score.rubric.filter(check => check.passed).length;
+}
+
+/**
+ * Compare two runs case by case
+ * @param {Object} baseline - { name, cases }
+ * @param {Object} candidate - { name, cases }
+ * @returns {Object} { improved: [...], regressed: [...], unchanged }
+ */
+export function compareRuns(baseline, candidate) {
+  const key = (result) => `${result.genus} ${result.species}|${result.fieldId}`;
+  const baselineCases = new Map(baseline.cases.map(result => [key(result), result]));
+  const comparison = { improved: [], regressed: [], unchanged: 0 };
+
+  for (const result of candidate.cases) {
+    const before = baselineCases.get(key(result));
+    if (!before) continue;
+    const delta = passedChecks(result) - passedChecks(before);
+    const entry = { genus: result.genus, species: result.species, fieldId: result.fieldId, baseline: before, candidate: result };
+    if (delta > 0) comparison.improved.push(entry);
+    else if (delta < 0) comparison.regressed.push(entry);
+    else comparison.unchanged++;
+  }
+
+  return comparison;
+}
+
+/**
+ * Describe how a case scored (one line)
+ * @param {Object} result - Case result
+ * @returns {string} e.g. "enum Moderate (expected Easy); forbidden: careful separation; rubric 1/2"
+ */
+function describeCase(result) {
+  if (result.error) return `error: ${result.error}`;
+  const { score } = result;
+  const parts = [];
+  if (score.enum) {
+    parts.push(score.enum.correct ? `enum ${score.enum.actual}` : `enum ${score.enum.actual || '(none)'} (expected ${score.enum.expected})`);
+  }
+  if (score.forbiddenHits.length > 0) parts.push(`forbidden: ${score.forbiddenHits.join(', ')}`);
+  if (score.rubric.length > 0) {
+    const failed = score.rubric.filter(check => !check.passed).map(check => check.id);
+    parts.push(`rubric ${score.rubric.length - failed.length}/${score.rubric.length}${failed.length ? ` (failed: ${failed.join(', ')})` : ''}`);
+  }
+  return parts.join('; ') || 'no checks';
+}
+
+/**
+ * Format a percentage
+ * @param {number} part - Numerator
+ * @param {number} total - Denominator
+ * @returns {string} e.g. "3/4 (75%)" or "-" when total is 0
+ */
+function formatRatio(part, total) {
+  return total === 0 ? '-' : `${part}/${total} (${Math.round((part / total) * 100)}%)`;
+}
+
+const FIELD_CALL_MODES = { true: 'multi-field', false: 'per-field' };
+
+/**
+ * Format an evaluation report as Markdown
+ * @param {Object} report - { golden, tier, runs: [{ name, model, multiField, promptsDir, cases, summary }], comparison }
+ * @returns {string} Markdown report
+ */
+export function formatEvalReport(report) {
+  const lines = [
+    '# 3-Tier Field Evaluation',
+    '',
+    `Golden answers: ${report.golden}`,
+    `Scored answer: ${report.tier === 'consensus' ? 'consensus value' : `Tier ${report.tier} value`}`,
+    `Run at: ${report.runAt}`,
+    '',
+    '## Summary',
+    '',
+    `| | ${report.runs.map(run => run.name).join(' | ')} |`,
+    `|---|${report.runs.map(() => '---').join('|')}|`,
+    `| Prompts | ${report.runs.map(run => run.promptsDir).join(' | ')} |`,
+    `| Model | ${report.runs.map(run => run.model || 'configured').join(' | ')} |`,
+    `| Field calls | ${report.runs.map(run => FIELD_CALL_MODES[run.multiField] || 'configured').join(' | ')} |`,
+    `| Enum accuracy | ${report.runs.map(run => formatRatio(run.summary.enum.correct, run.summary.enum.total)).join(' | ')} |`,
+    `| Forbidden phrase hits | ${report.runs.map(run => `${run.summary.forbiddenHits} in ${run.summary.casesWithForbidden} case(s)`).join(' | ')} |`,
+    `| Rubric checks passed | ${report.runs.map(run => formatRatio(run.summary.rubric.passed, run.summary.rubric.total)).join(' | ')} |`,
+    `| Errors | ${report.runs.map(run => run.summary.errors).join(' | ')} |`,
+    ''
+  ];
+
+  if (report.comparison) {
+    const { improved, regressed, unchanged } = report.comparison;
+    lines.push('## Comparison', '', `${improved.length} improved, ${regressed.length} regressed, ${unchanged} unchanged`, '');
+    for (const [title, entries] of [['Regressed', regressed], ['Improved', improved]]) {
+      if (entries.length === 0) continue;
+      lines.push(`### ${title}`, '');
+      for (const entry of entries) {
+        lines.push(`- **${entry.genus} ${entry.species}** / ${entry.fieldId}`);
+        lines.push(`  - ${report.runs[0].name}: ${describeCase(entry.baseline)}`);
+        lines.push(`  - ${report.runs[1].name}: ${describeCase(entry.candidate)}`);
+      }
+      lines.push('');
+    }
+  }
+
+  for (const run of report.runs) {
+    lines.push(`## Cases: ${run.name}`, '');
+    for (const result of run.cases) {
+      lines.push(`- **${result.genus} ${result.species}** / ${result.fieldId}: ${describeCase(result)}`);
+      if (result.answer) {
+        lines.push(`  > ${result.answer.replace(/\n+/g, ' ')}`);
+      }
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
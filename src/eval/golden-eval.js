@@ -0,0 +1,157 @@
+/**
+ * Golden-answer evaluation of 3-tier fields
+ *
+ * Runs chosen fields over the species in a golden answer file, once per
+ * variant (a prompts directory + model), and scores each answer with
+ * eval-scoring.js. Two variants give a comparison (baseline vs candidate).
+ *
+ * Runs never touch cache/TieredPrompts (useCache: false), so every variant sees
+ * its own prompts. Sources still come from the local caches (Michigan Flora,
+ * Drive Tier 1 files, parsed PDFs, page content) and Drive sync is skipped.
+ *
+ * See src/eval/run-eval.js for the command line.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { process3TierField, loadFieldManifest } from '../synthesis/process-3tier-field.js';
+import { scoreAnswer, resolveExpectation, summarizeScores, compareRuns } from './eval-scoring.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PROJECT_ROOT = path.join(__dirname, '../..');
+
+/**
+ * Load a golden answer file
+ * @param {string} filePath - Path to the file
+ * @returns {Object} Golden answers ({ description, forbiddenPhrases, fields, species })
+ */
+export function loadGoldenAnswers(filePath) {
+  const golden = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  if (!Array.isArray(golden.species) || golden.species.length === 0) {
+    throw new Error(`${path.basename(filePath)}: "species" must list at least one species`);
+  }
+  return golden;
+}
+
+/**
+ * Fields to evaluate: the ones requested, or every field the golden file has expectations for
+ * @param {Object} golden - Golden answers
+ * @param {Array<string>} [fieldIds] - Requested field ids
+ * @returns {Array<string>} Field ids
+ */
+function selectFields(golden, fieldIds) {
+  if (fieldIds && fieldIds.length > 0) return fieldIds;
+  const fields = new Set(Object.keys(golden.fields || {}));
+  for (const entry of golden.species) {
+    Object.keys(entry.expected || {}).forEach(fieldId => fields.add(fieldId));
+  }
+  return [...fields];
+}
+
+/**
+ * Pick the answer being scored from a merged 3-tier result
+ * @param {Object} merged - merged output of process3TierField
+ * @param {string} tier - 'consensus', '1', '2' or '3'
+ * @returns {string} Answer text
+ */
+function pickAnswer(merged, tier) {
+  const response = tier === 'consensus' ? merged.consensus : merged[`tier${tier}`];
+  return response?.value || '';
+}
+
+/**
+ * Run one variant over every species and field
+ * @param {Object} golden - Golden answers
+ * @param {Array<string>} fieldIds - Fields to run
+ * @param {Object} variant - { name, promptsDir, model, multiField, llm }
+ * @param {Object} options - { tier, verbose, allFields }
+ * @returns {Promise<Object>} { name, promptsDir, model, multiField, cases, summary }
+ */
+async function runVariant(golden, fieldIds, variant, options) {
+  const schemas = new Map(loadFieldManifest().map(field => [field.id, field.outputSchema]));
+  const cases = [];
+
+  for (const entry of golden.species) {
+    // Unless fields were asked for, a species only runs the fields it (or the "fields" block) has expectations for
+    const speciesFields = options.allFields ? fieldIds
+      : fieldIds.filter(fieldId => entry.expected?.[fieldId] || golden.fields?.[fieldId]);
+    for (const fieldId of speciesFields) {
+      const expected = resolveExpectation(golden, entry, fieldId);
+      const valuePattern = schemas.get(fieldId)?.properties?.value?.pattern;
+      const result = { genus: entry.genus, species: entry.species, fieldId };
+
+      try {
+        const { merged } = await process3TierField(entry.genus, entry.species, fieldId, {
+          verbose: options.verbose,
+          skipSync: true,
+          useCache: false,
+          promptsDir: variant.promptsDir,
+          model: variant.model,
+          multiField: variant.multiField,
+          llm: variant.llm
+        });
+        result.answer = pickAnswer(merged, options.tier);
+        result.score = scoreAnswer(result.answer, expected, { valuePattern });
+      } catch (error) {
+        console.error(`[eval] ${variant.name}: ${entry.genus} ${entry.species} ${fieldId} failed: ${error.message}`);
+        result.error = error.message;
+      }
+
+      cases.push(result);
+    }
+  }
+
+  return {
+    name: variant.name,
+    promptsDir: path.relative(PROJECT_ROOT, variant.promptsDir) || '.',
+    model: variant.model,
+    multiField: variant.multiField,
+    cases,
+    summary: summarizeScores(cases)
+  };
+}
+
+/**
+ * Run an evaluation
+ * @param {Object} options
+ * @param {string} options.goldenFile - Golden answer file
+ * @param {Array<Object>} options.variants - One or two { name, promptsDir, model, multiField, llm }
+ *   (multiField: true/false forces multi-field or per-field calls for grouped fields)
+ * @param {Array<string>} [options.fieldIds] - Fields to run (default: all with expectations)
+ * @param {Array<string>} [options.speciesNames] - Only these species ("Genus species")
+ * @param {string} [options.tier] - Answer to score: 'consensus' (default), '1', '2' or '3'
+ * @param {boolean} [options.verbose] - Log 3-tier progress
+ * @returns {Promise<Object>} Report: { golden, tier, runAt, fields, runs, comparison }
+ */
+export async function runEval(options) {
+  const { goldenFile, variants, tier = 'consensus', verbose = false } = options;
+  const golden = loadGoldenAnswers(goldenFile);
+
+  if (options.speciesNames && options.speciesNames.length > 0) {
+    const wanted = new Set(options.speciesNames.map(name => name.toLowerCase()));
+    golden.species = golden.species.filter(entry => wanted.has(`${entry.genus} ${entry.species}`.toLowerCase()));
+  }
+
+  const fieldIds = selectFields(golden, options.fieldIds);
+  const runs = [];
+  for (const variant of variants) {
+    console.log(`[eval] ${variant.name}: ${golden.species.length} species x ${fieldIds.length} field(s)`);
+    runs.push(await runVariant(golden, fieldIds, variant, {
+      tier,
+      verbose,
+      allFields: Boolean(options.fieldIds && options.fieldIds.length > 0)
+    }));
+  }
+
+  return {
+    golden: path.relative(PROJECT_ROOT, path.resolve(goldenFile)),
+    tier,
+    runAt: new Date().toISOString(),
+    fields: fieldIds,
+    runs,
+    comparison: runs.length === 2 ? compareRuns(runs[0], runs[1]) : null
+  };
+}
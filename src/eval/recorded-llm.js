@@ -0,0 +1,133 @@
+/**
+ * Recorded / Stub LLM for the evaluation harness
+ *
+ * Creates an llm function for process3TierField (see callClaudeAPI there) that
+ * answers from a recording file instead of the API, so evals run offline and
+ * repeatably.
+ *
+ * Recording file: { "entries": [ { variant, model, genus, species, fieldId,
+ * tier, promptHash, response } ] }. On replay an entry matches when every key it
+ * has equals the request's; keys it leaves out match anything, and the most
+ * specific match wins. So recorded entries (all keys) only answer the exact
+ * prompt they were recorded for, while hand-written stub entries can leave out
+ * promptHash, tier or model and answer any prompt for that species and field.
+ *
+ * Modes:
+ * - replay: answer from the file; a request with no matching entry throws
+ * - record: call Claude, add each exchange to the file (save() writes it)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import Anthropic from '@anthropic-ai/sdk';
+import { withRateLimit } from '../utils/rate-limiter.js';
+import { assertOnline } from '../utils/offline-mode.js';
+
+const MATCH_KEYS = ['variant', 'model', 'genus', 'species', 'fieldId', 'tier', 'promptHash'];
+
+/**
+ * Hash the messages of a request (identifies the exact prompt)
+ * @param {Array<Object>} messages - Request messages
+ * @returns {string} md5 hex digest
+ */
+export function hashMessages(messages) {
+  return crypto.createHash('md5').update(JSON.stringify(messages)).digest('hex');
+}
+
+/**
+ * Load a recording file
+ * @param {string} filePath - Recording file path
+ * @returns {Array<Object>} Entries (empty if the file doesn't exist)
+ */
+function loadEntries(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  return Array.isArray(data.entries) ? data.entries : [];
+}
+
+/**
+ * Find the most specific entry matching a request
+ * @param {Array<Object>} entries - Recording entries
+ * @param {Object} key - Request key (all MATCH_KEYS)
+ * @returns {Object|null} Matching entry
+ */
+function findEntry(entries, key) {
+  let best = null;
+  let bestSpecificity = -1;
+  for (const entry of entries) {
+    const specified = MATCH_KEYS.filter(name => entry[name] !== undefined);
+    if (specified.every(name => entry[name] === key[name]) && specified.length > bestSpecificity) {
+      best = entry;
+      bestSpecificity = specified.length;
+    }
+  }
+  return best;
+}
+
+/**
+ * Create a recorded/stub LLM
+ * @param {Object} options
+ * @param {string} options.file - Recording file path
+ * @param {string} [options.mode] - 'replay' (default) or 'record'
+ * @returns {Object} { forVariant(name) -> llm function, save(), stats }
+ */
+export function createRecordedLlm({ file, mode = 'replay' }) {
+  const entries = loadEntries(file);
+  const stats = { replayed: 0, recorded: 0 };
+  let client = null;
+
+  async function call(request, context, variant) {
+    const key = {
+      variant,
+      model: request.model,
+      genus: context.genus,
+      species: context.species,
+      fieldId: context.fieldId,
+      tier: context.tier,
+      promptHash: hashMessages(request.messages)
+    };
+
+    if (mode === 'replay') {
+      const entry = findEntry(entries, key);
+      if (!entry) {
+        throw new Error(`No recorded response for ${variant} ${key.genus} ${key.species} ${key.fieldId} tier ${key.tier} (${key.model}) in ${file}`);
+      }
+      stats.replayed++;
+      return {
+        model: request.model,
+        content: [{ type: 'text', text: entry.response }],
+        usage: entry.usage || { input_tokens: 0, output_tokens: 0 }
+      };
+    }
+
+    assertOnline('anthropic', 'eval recording');
+    client = client || new Anthropic();
+    const response = await withRateLimit('anthropic', () => client.messages.create(request));
+    entries.push({ ...key, response: response.content?.[0]?.text ?? '', usage: response.usage });
+    stats.recorded++;
+    return response;
+  }
+
+  return {
+    stats,
+
+    /**
+     * LLM function for one eval variant (the variant name is part of the match key)
+     * @param {string} variant - Variant name (e.g. 'baseline')
+     * @returns {Function} llm(request, context)
+     */
+    forVariant(variant) {
+      return (request, context) => call(request, context, variant);
+    },
+
+    /**
+     * Write recorded entries back to the file (record mode only)
+     */
+    save() {
+      if (mode !== 'record') return;
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ entries }, null, 2) + '\n', 'utf-8');
+    }
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Golden-answer evaluation CLI for 3-tier field prompts and models
+ *
+ * Usage: node src/eval/run-eval.js [options]
+ *
+ * Options:
+ *   --golden=<file>           Golden answers (default: eval/golden-answers.json)
+ *   --fields=<a,b>            Fields to run (default: every field with expectations)
+ *   --species=<"G s","G s">   Only these species from the golden file
+ *   --prompts=<dir>           Baseline prompts directory (default: prompts)
+ *   --model=<id>              Baseline model (default: per config/llm-models.json)
+ *   --compare-prompts=<dir>   Candidate prompts directory (files missing there come from prompts/)
+ *   --compare-model=<id>      Candidate model
+ *   --compare-multi-field     Candidate answers grouped fields in one call per group
+ *                             (baseline: one call per field; see "groups" in config/3tier-fields.json)
+ *   --llm=<mode>              replay (default, offline), record (call Claude and save) or live
+ *   --recording=<file>        Recorded/stub responses (default: eval/recordings/stub-responses.json)
+ *   --tier=<t>                Answer to score: consensus (default), 1, 2 or 3
+ *   --report=<file>           Markdown report path (a .json copy is written next to it;
+ *                             default: cache/EvalReports/eval-<timestamp>.md)
+ *   --verbose                 Show 3-tier progress
+ *
+ * Giving --compare-prompts, --compare-model or --compare-multi-field runs a candidate variant as well
+ * and adds a baseline vs candidate comparison to the report.
+ *
+ * Examples:
+ *   node src/eval/run-eval.js
+ *   node src/eval/run-eval.js --compare-prompts=eval/prompt-versions/minimal-processing
+ *   node src/eval/run-eval.js --llm=record --recording=eval/recordings/sonnet-vs-haiku.json \
+ *     --compare-model=claude-haiku-4-5
+ *   node src/eval/run-eval.js --fields=storage_hazards,storage_mold_risk --compare-multi-field
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { runEval, PROJECT_ROOT } from './golden-eval.js';
+import { createRecordedLlm } from './recorded-llm.js';
+import { formatEvalReport } from './eval-scoring.js';
+import { formatLlmUsageSummary, setLlmUsageLogFile } from '../utils/llm-usage.js';
+import { getCacheRoot } from '../utils/cache-store.js';
+
+const LLM_MODES = ['replay', 'record', 'live'];
+const TIERS = ['consensus', '1', '2', '3'];
+
+const argv = process.argv.slice(2);
+const getArg = (name) => argv.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+const listArg = (name) => getArg(name)?.split(',').map(value => value.trim()).filter(Boolean);
+
+const goldenFile = path.resolve(getArg('golden') || path.join(PROJECT_ROOT, 'eval/golden-answers.json'));
+const llmMode = getArg('llm') || 'replay';
+const recordingFile = path.resolve(getArg('recording') || path.join(PROJECT_ROOT, 'eval/recordings/stub-responses.json'));
+const tier = getArg('tier') || 'consensus';
+
+if (!LLM_MODES.includes(llmMode)) {
+  console.error(`Error: --llm must be one of ${LLM_MODES.join(', ')}`);
+  process.exit(1);
+}
+if (!TIERS.includes(tier)) {
+  console.error(`Error: --tier must be one of ${TIERS.join(', ')}`);
+  process.exit(1);
+}
+
+const recorded = llmMode === 'live' ? null : createRecordedLlm({ file: recordingFile, mode: llmMode });
+
+// Replayed responses cost nothing; keep them out of the usage log
+if (llmMode === 'replay') {
+  setLlmUsageLogFile(null);
+}
+
+const baselinePrompts = path.resolve(getArg('prompts') || path.join(PROJECT_ROOT, 'prompts'));
+const compareMultiField = argv.includes('--compare-multi-field');
+const variants = [{
+  name: 'baseline',
+  promptsDir: baselinePrompts,
+  model: getArg('model'),
+  multiField: compareMultiField ? false : undefined,
+  llm: recorded?.forVariant('baseline')
+}];
+
+const comparePrompts = getArg('compare-prompts');
+const compareModel = getArg('compare-model');
+if (comparePrompts || compareModel || compareMultiField) {
+  variants.push({
+    name: 'candidate',
+    promptsDir: comparePrompts ? path.resolve(comparePrompts) : baselinePrompts,
+    model: compareModel || getArg('model'),
+    multiField: compareMultiField || undefined,
+    llm: recorded?.forVariant('candidate')
+  });
+}
+
+for (const variant of variants) {
+  if (!fs.existsSync(variant.promptsDir)) {
+    console.error(`Error: prompts directory not found: ${variant.promptsDir}`);
+    process.exit(1);
+  }
+}
+
+console.log('3-Tier Field Evaluation');
+console.log('=======================');
+console.log(`Golden answers: ${path.relative(PROJECT_ROOT, goldenFile)}`);
+console.log(`LLM: ${llmMode}${recorded ? ` (${path.relative(PROJECT_ROOT, recordingFile)})` : ''}`);
+console.log('');
+
+try {
+  const report = await runEval({
+    goldenFile,
+    variants,
+    fieldIds: listArg('fields'),
+    speciesNames: listArg('species'),
+    tier,
+    verbose: argv.includes('--verbose')
+  });
+
+  recorded?.save();
+
+  const markdown = formatEvalReport(report);
+  const reportFile = path.resolve(getArg('report') ||
+    path.join(getCacheRoot(), 'EvalReports', `eval-${report.runAt.replace(/[:.]/g, '-')}.md`));
+  fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+  fs.writeFileSync(reportFile, markdown + '\n', 'utf-8');
+  fs.writeFileSync(reportFile.replace(/\.md$/, '') + '.json', JSON.stringify(report, null, 2), 'utf-8');
+
+  // Console gets the summary (and comparison) sections; cases are in the file
+  console.log('');
+  console.log(markdown.split('\n## Cases:')[0].trim());
+  console.log('');
+  if (recorded) {
+    console.log(`Responses replayed: ${recorded.stats.replayed}, recorded: ${recorded.stats.recorded}`);
+  }
+  if (llmMode !== 'replay') {
+    console.log(formatLlmUsageSummary());
+  }
+  console.log(`Report: ${path.relative(PROJECT_ROOT, reportFile)}`);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
@@ -1,46 +1,35 @@
-import { getPlantRecord, createPlantSheet, appendPlantRows, findFolderByName, getOutputFolderName } from './plant-pipeline.js';
+import { getPlantRecord, buildPlantValues, buildOutputContent, buildTimestampedName } from './plant-pipeline.js';
+import { createOutputSinks, parseSinkTypes, getDefaultSinkTypes } from './sinks/index.js';
+import { setOfflineMode } from '../utils/offline-mode.js';
+import { formatLlmUsageSummary } from '../utils/llm-usage.js';
 
 /**
- * Process multiple plants and save to a single Google Sheet
- * Uses incremental save strategy: creates sheet first, then appends each plant immediately
+ * Process multiple plants and save to a single output
+ * Uses incremental save strategy: creates the output first, then appends each plant immediately
  * This ensures partial progress is preserved if processing fails
  * @param {Array<{genus: string, species: string}>} plants - Array of plant objects
+ * @param {Array<string>} outputs - Output sink types (see src/output/sinks)
  */
-async function batchProcessPlants(plants) {
+async function batchProcessPlants(plants, outputs) {
   console.log('='.repeat(80));
   console.log('Batch Plant Processing Pipeline (Incremental Save)');
   console.log('='.repeat(80));
   console.log(`Processing ${plants.length} plants`);
   console.log();
   
-  // Step 1: Create Google Sheet FIRST (before processing any plants)
-  console.log(`Step 1: Creating Google Sheet...`);
+  // Step 1: Create the output FIRST (before processing any plants)
+  console.log(`Step 1: Creating output (${outputs.join(', ')})...`);
   
-  let spreadsheetId, spreadsheetUrl;
+  let sink, location;
   
   try {
-    // Find the folder using config
-    const folderName = getOutputFolderName();
-    console.log(`  Finding folder "${folderName}"...`);
-    const folderId = await findFolderByName(folderName);
-    
-    if (!folderId) {
-      throw new Error(`Folder "${folderName}" not found in Google Drive`);
-    }
-    
-    console.log(`  ✓ Found folder (ID: ${folderId})`);
-    
-    // Create the sheet with headers
-    console.log(`  Creating new Google Sheet with headers...`);
-    const sheetInfo = await createPlantSheet(folderId);
-    spreadsheetId = sheetInfo.spreadsheetId;
-    spreadsheetUrl = sheetInfo.spreadsheetUrl;
-    console.log(`  ✓ Created sheet (ID: ${spreadsheetId})`);
-    console.log(`  ✓ Sheet URL: ${spreadsheetUrl}`);
+    sink = createOutputSinks(outputs, { name: buildTimestampedName() });
+    ({ location } = await sink.open(buildOutputContent()));
+    console.log(`  ✓ Output: ${location}`);
     console.log();
     
   } catch (error) {
-    console.error(`✗ Failed to create Google Sheet: ${error.message}`);
+    console.error(`✗ Failed to create output: ${error.message}`);
     process.exit(1);
   }
   
@@ -59,10 +48,10 @@ async function batchProcessPlants(plants) {
       const record = await getPlantRecord(genus, species);
       
       if (record) {
-        // Immediately append this plant to the sheet
-        await appendPlantRows(spreadsheetId, [record]);
+        // Immediately append this plant to the output
+        await sink.writeRow(buildPlantValues(record));
         successCount++;
-        console.log(`    ✓ Success - Saved to sheet (Native: ${record.isNative}, Family: ${record.family})`);
+        console.log(`    ✓ Success - Saved (Native: ${record.isNative}, Family: ${record.family})`);
       } else {
         failures.push({ genus, species, reason: 'Not a current botanical name' });
         console.log(`    ✗ Skipped - Not a current botanical name`);
@@ -78,6 +67,8 @@ async function batchProcessPlants(plants) {
   console.log(`  ✓ Successful: ${successCount}`);
   console.log(`  ✗ Failed/Skipped: ${failures.length}`);
   console.log();
+  console.log(formatLlmUsageSummary());
+  console.log();
   
   if (failures.length > 0) {
     console.log(`Failed/Skipped plants:`);
@@ -87,21 +78,26 @@ async function batchProcessPlants(plants) {
     console.log();
   }
   
+  await sink.close();
+  
   console.log(`✓ Batch processing complete!`);
-  console.log(`  View sheet: ${spreadsheetUrl}`);
+  console.log(`  Output: ${location}`);
   console.log(`  Total plants saved: ${successCount}`);
   
   if (successCount === 0) {
-    console.log(`  Note: Sheet created but empty (no valid plants processed)`);
+    console.log(`  Note: Output created but empty (no valid plants processed)`);
   }
 }
 
 // Parse command-line arguments
-const args = process.argv.slice(2);
+const argv = process.argv.slice(2);
+const outputArg = argv.find(a => a.startsWith('--output='));
+const args = argv.filter(a => !a.startsWith('--'));
 
 if (args.length === 0 || args.length % 2 !== 0) {
-  console.error('Usage: node src/output/batch-process-plants.js <genus1> <species1> <genus2> <species2> ...');
+  console.error('Usage: node src/output/batch-process-plants.js <genus1> <species1> <genus2> <species2> ... [--output=types] [--offline]');
   console.error('Example: node src/output/batch-process-plants.js Quercus alba Acer rubrum Carya ovata');
+  console.error('Example: node src/output/batch-process-plants.js Quercus alba Acer rubrum --output=csv,xlsx');
   process.exit(1);
 }
 
@@ -114,4 +110,14 @@ for (let i = 0; i < args.length; i += 2) {
   });
 }
 
-batchProcessPlants(plants);
+const outputs = outputArg ? parseSinkTypes(outputArg.split('=')[1]) : getDefaultSinkTypes();
+
+if (argv.includes('--offline')) {
+  if (outputs.includes('google-sheets')) {
+    console.error('Error: --offline cannot write to Google Sheets. Choose local outputs, e.g. --output=csv');
+    process.exit(1);
+  }
+  setOfflineMode(true);
+}
+
+batchProcessPlants(plants, outputs);
@@ -0,0 +1,91 @@
+/**
+ * Import reviewer corrections into the review store
+ *
+ * Reads review rows (Genus, Species, Field, Value, Reviewer, Date, Note) from a
+ * spreadsheet tab or a local CSV/JSON file and adds them to the review store
+ * (src/utils/review-store.js). Field may be a column id (e.g. storage_mold_risk)
+ * or a Plant Data header (e.g. "Seed Color at Maturity"). A row replaces the
+ * earlier override for the same species and field.
+ *
+ * Usage:
+ *   node src/output/import-reviews.js --sheet=<spreadsheetId> [--tab=Reviews] [--dry-run]
+ *   node src/output/import-reviews.js --file=reviews.csv [--dry-run]
+ *
+ * --file accepts .csv (header row first) or .json (an array of row objects).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PLANT_COLUMNS } from './plant-pipeline.js';
+import { parseCsv } from './sinks/csv-sink.js';
+import { tableToObjects } from './sinks/sink-utils.js';
+import { getSheetsClient } from '../utils/google-auth.js';
+import { importReviewRows, getReviewSheetTab } from '../utils/review-store.js';
+
+/**
+ * Map a Field cell to a Plant Data column id
+ * @param {string} field - Column id or header
+ * @returns {string|null} Column id, or null if no column matches
+ */
+function resolveField(field) {
+  if (PLANT_COLUMNS.COLUMN_REGISTRY.has(field)) return field;
+  const wanted = field.toLowerCase();
+  for (const [columnId, { header }] of PLANT_COLUMNS.COLUMN_REGISTRY) {
+    if (header.toLowerCase() === wanted) return columnId;
+  }
+  return null;
+}
+
+/**
+ * Read review rows from a spreadsheet tab
+ * @param {string} spreadsheetId - Spreadsheet id (from its URL)
+ * @param {string} tab - Tab name
+ * @returns {Promise<Array<Object>>} Rows keyed by header
+ */
+async function readSheetRows(spreadsheetId, tab) {
+  const sheets = await getSheetsClient();
+  const response = await sheets.spreadsheets.values.get({ spreadsheetId, range: `'${tab}'` });
+  return tableToObjects(response.data.values || []);
+}
+
+/**
+ * Read review rows from a CSV or JSON file
+ * @param {string} filePath - File path
+ * @returns {Array<Object>} Rows keyed by header
+ */
+function readFileRows(filePath) {
+  const text = fs.readFileSync(filePath, 'utf-8');
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : data.reviews || [];
+  }
+  return tableToObjects(parseCsv(text));
+}
+
+const argv = process.argv.slice(2);
+const getArg = (name) => argv.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+const sheetId = getArg('sheet');
+const file = getArg('file');
+const dryRun = argv.includes('--dry-run');
+
+if (!sheetId === !file) {
+  console.error('Usage: node src/output/import-reviews.js --sheet=<spreadsheetId> [--tab=Reviews] [--dry-run]');
+  console.error('       node src/output/import-reviews.js --file=<reviews.csv|reviews.json> [--dry-run]');
+  process.exit(1);
+}
+
+try {
+  const tab = getArg('tab') || getReviewSheetTab();
+  const rows = sheetId ? await readSheetRows(sheetId, tab) : readFileRows(path.resolve(file));
+  console.log(`[import-reviews] ${rows.length} row(s) from ${sheetId ? `tab "${tab}"` : file}`);
+
+  const summary = importReviewRows(rows, { resolveField, dryRun });
+  for (const { row, reason } of summary.skipped) {
+    console.warn(`[import-reviews] Row ${row} skipped: ${reason}`);
+  }
+  console.log(`[import-reviews] ${summary.added} added, ${summary.updated} updated, ${summary.unchanged} unchanged, ` +
+    `${summary.skipped.length} skipped${dryRun ? ' (dry run, store not written)' : ''}`);
+} catch (error) {
+  console.error(`[import-reviews] Import failed: ${error.message}`);
+  process.exit(1);
+}
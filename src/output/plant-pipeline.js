@@ -1,7 +1,11 @@
-import { google } from 'googleapis';
 import { readFileSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { buildNotCachedColumnValues, isNotCachedError } from '../utils/offline-mode.js';
+import { getSpeciesOverrides, applyReviewOverride } from '../utils/review-store.js';
+import { isBudgetExceededError } from '../utils/llm-usage.js';
+import { parsePromptFile, readPromptVersion, formatPromptVersion } from '../utils/prompt-versions.js';
+import { resolveTaxon } from '../utils/taxon-identity.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -18,14 +22,14 @@ const registry = JSON.parse(readFileSync(registryPath, 'utf-8'));
 const PROMPTS_DIR = join(__dirname, '../../prompts');
 
 /**
- * Read a prompt file from the prompts directory
+ * Read a prompt file from the prompts directory (without its version front-matter)
  * @param {string} fileName - The name of the prompt file
  * @returns {string} The contents of the file, or empty string if not found
  */
 function readPromptFile(fileName) {
   const filePath = join(PROMPTS_DIR, fileName);
   if (existsSync(filePath)) {
-    return readFileSync(filePath, 'utf-8');
+    return parsePromptFile(readFileSync(filePath, 'utf-8')).content;
   }
   return '';
 }
@@ -36,21 +40,36 @@ function readPromptFile(fileName) {
  */
 export function buildPromptsTabContent() {
   const rows = [
-    ['Prompt Type', 'Content']
+    ['Prompt Type', 'Version', 'Content Hash', 'Content']
   ];
   
-  rows.push(['Base Prompt', readPromptFile('tiered_base_prompt.md')]);
-  rows.push(['Tier 1 Guidance', readPromptFile('tier1_prompt_guidance.md')]);
-  rows.push(['Tier 2 Guidance', readPromptFile('tier2_prompt_guidance.md')]);
-  rows.push(['Tier 3 Guidance', readPromptFile('tier3_prompt_guidance.md')]);
+  const promptRow = (promptType, fileName) => {
+    const promptVersion = readPromptVersion(fileName, PROMPTS_DIR);
+    return [promptType, promptVersion?.version || '', promptVersion?.hash || '', readPromptFile(fileName)];
+  };
+  
+  rows.push(promptRow('Base Prompt', 'tiered_base_prompt.md'));
+  rows.push(promptRow('Tier 1 Guidance', 'tier1_prompt_guidance.md'));
+  rows.push(promptRow('Tier 2 Guidance', 'tier2_prompt_guidance.md'));
+  rows.push(promptRow('Tier 3 Guidance', 'tier3_prompt_guidance.md'));
   
   return rows;
 }
 
-let connectionSettings;
-let folderCache = {}; // Cache for folder IDs to avoid repeated Drive API calls
 let loadedModules = null; // Cache for loaded synthesis modules
 
+/**
+ * Modules a module waits for: its dependencies, plus its optional
+ * dependencies that are part of the run
+ * @param {Object} module - Loaded synthesis module
+ * @param {Set<string>} moduleIds - IDs of the modules in the run
+ * @returns {Array<string>} Module IDs
+ */
+function dependenciesInRun(module, moduleIds) {
+  const optional = (module.metadata.optionalDependencies || []).filter(depId => moduleIds.has(depId));
+  return [...(module.metadata.dependencies || []), ...optional];
+}
+
 /**
  * Topological sort to resolve module dependencies
  * @param {Array<Object>} modules - Array of module metadata
@@ -60,6 +79,7 @@ function sortModulesByDependencies(modules) {
   const sorted = [];
   const visited = new Set();
   const visiting = new Set();
+  const moduleIds = new Set(modules.map(m => m.metadata.id));
   
   function visit(moduleId) {
     if (visited.has(moduleId)) return;
@@ -75,7 +95,7 @@ function sortModulesByDependencies(modules) {
     }
     
     // Visit dependencies first
-    for (const depId of module.metadata.dependencies || []) {
+    for (const depId of dependenciesInRun(module, moduleIds)) {
       visit(depId);
     }
     
@@ -111,23 +131,32 @@ export async function loadSynthesisModules() {
     
     // Support named exports via exportName field in registry
     // Default exports use 'metadata' and 'run' directly
-    // Named exports (like seedColorModule) contain metadata and run as properties
-    let moduleData;
-    if (registryEntry.exportName && importedModule[registryEntry.exportName]) {
-      moduleData = importedModule[registryEntry.exportName];
+    // Named exports contain metadata and run as properties
+    // A factory entry (like the 3-tier fields manifest) returns several modules
+    let moduleList;
+    if (registryEntry.factory) {
+      const factory = importedModule[registryEntry.factory];
+      if (typeof factory !== 'function') {
+        throw new Error(`Invalid synthesis module: ${registryEntry.id} (factory ${registryEntry.factory} not exported)`);
+      }
+      moduleList = await factory();
+    } else if (registryEntry.exportName && importedModule[registryEntry.exportName]) {
+      moduleList = [importedModule[registryEntry.exportName]];
     } else {
-      moduleData = importedModule;
+      moduleList = [importedModule];
     }
     
-    if (!moduleData.metadata || !moduleData.run) {
-      throw new Error(`Invalid synthesis module: ${registryEntry.id} (missing metadata or run function)`);
+    for (const moduleData of moduleList) {
+      if (!moduleData.metadata || !moduleData.run) {
+        throw new Error(`Invalid synthesis module: ${registryEntry.id} (missing metadata or run function)`);
+      }
+      
+      modules.push({
+        metadata: moduleData.metadata,
+        run: moduleData.run,
+        registryEntry
+      });
     }
-    
-    modules.push({
-      metadata: moduleData.metadata,
-      run: moduleData.run,
-      registryEntry
-    });
   }
   
   // Sort modules by dependencies
@@ -189,16 +218,16 @@ function buildColumnDefinitions(modules) {
 /**
  * Build column source documentation from loaded modules
  * Used to generate the "Column Sources" sheet with metadata about each column
- * Includes "Field Prompt" column for 3-tier modules showing their field-specific prompt
+ * Includes "Field Prompt" and "Field Prompt Version" columns for 3-tier modules showing their field-specific prompt
  * @param {Array<Object>} modules - Array of loaded synthesis modules (sorted by dependencies)
  * @returns {Array<Array<string>>} 2D array of rows for the documentation sheet
  */
 export function buildColumnSourceDocumentation(modules) {
   // Headers for the documentation sheet - includes Field Prompt for 3-tier modules
-  const headers = ['Column', 'Source Module', 'Data Source', 'Algorithm Description', 'Field Prompt'];
+  const headers = ['Column', 'Source Module', 'Data Source', 'Algorithm Description', 'Field Prompt', 'Field Prompt Version'];
   
   // Track columns by ID - last writer wins (same logic as buildColumnDefinitions)
-  const columnDocs = new Map(); // columnId -> { header, moduleId, moduleName, source, algorithmDescription, fieldPrompt }
+  const columnDocs = new Map(); // columnId -> { header, moduleId, moduleName, source, algorithmDescription, fieldPrompt, fieldPromptVersion }
   const columnOrder = []; // Ordered list of unique column IDs
   
   for (const module of modules) {
@@ -211,9 +240,11 @@ export function buildColumnSourceDocumentation(modules) {
       // For 3-tier modules, extract fieldId from moduleId (format: "3tier-{fieldId}")
       // and read the corresponding field prompt file
       let fieldPrompt = '';
+      let fieldPromptVersion = '';
       if (module.metadata.id.startsWith('3tier-')) {
         const fieldId = module.metadata.id.replace('3tier-', '');
         fieldPrompt = readPromptFile(`${fieldId}.md`);
+        fieldPromptVersion = fieldPrompt ? formatPromptVersion(readPromptVersion(`${fieldId}.md`, PROMPTS_DIR)) : '';
       }
       
       if (!columnDocs.has(id)) {
@@ -228,7 +259,8 @@ export function buildColumnSourceDocumentation(modules) {
         moduleName: module.metadata.name,
         source,
         algorithmDescription,
-        fieldPrompt
+        fieldPrompt,
+        fieldPromptVersion
       });
     }
   }
@@ -237,8 +269,8 @@ export function buildColumnSourceDocumentation(modules) {
   const rows = [headers];
   
   // Add base columns first (Genus, Species) - no field prompt for these
-  rows.push(['Genus', 'Pipeline Core', 'Input Parameter', 'The genus portion of the botanical name provided as input to the pipeline.', '']);
-  rows.push(['Species', 'Pipeline Core', 'Input Parameter', 'The species epithet portion of the botanical name provided as input to the pipeline.', '']);
+  rows.push(['Genus', 'Pipeline Core', 'Input Parameter', 'The genus portion of the botanical name provided as input to the pipeline.', '', '']);
+  rows.push(['Species', 'Pipeline Core', 'Input Parameter', 'The species epithet portion of the botanical name provided as input to the pipeline.', '', '']);
   
   // Add all module columns
   for (const columnId of columnOrder) {
@@ -248,7 +280,8 @@ export function buildColumnSourceDocumentation(modules) {
       doc.moduleName,
       doc.source,
       doc.algorithmDescription,
-      doc.fieldPrompt
+      doc.fieldPrompt,
+      doc.fieldPromptVersion
     ]);
   }
   
@@ -321,136 +354,215 @@ function flattenColumnValues(module, columnValues) {
 const modules = await loadSynthesisModules();
 export const PLANT_COLUMNS = buildColumnDefinitions(modules);
 
-async function getAccessToken() {
-  if (connectionSettings && connectionSettings.settings.expires_at && new Date(connectionSettings.settings.expires_at).getTime() > Date.now()) {
-    return connectionSettings.settings.access_token;
+/**
+ * Execute a single module and store its result
+ * Failures of non-critical modules are logged and stored as an empty result;
+ * offline cache misses store NOT_CACHED in every column of the module, and a
+ * reached LLM budget is thrown so the species is stopped without a row
+ * @param {Object} module - The loaded synthesis module
+ * @param {string} genus - The genus name
+ * @param {string} species - The species name
+ * @param {Object} results - Shared results object (mutated)
+ * @returns {Promise<boolean>} False if the botanical-name gate rejected the species
+ */
+async function executeModule(module, genus, species, results) {
+  try {
+    console.log(`Executing module: ${module.metadata.id} for ${genus} ${species}`);
+    
+    const moduleResult = await module.run(genus, species, results);
+    
+    // Store results for dependent modules
+    results[module.metadata.id] = moduleResult;
+    
+    // Special handling for botanical-name module (validation gate)
+    if (module.metadata.id === 'botanical-name') {
+      if (moduleResult.status !== 'current') {
+        console.log(`${genus} ${species} is not a current botanical name (status: ${moduleResult.status})`);
+        return false; // Stop processing if not current
+      }
+    }
+    
+  } catch (error) {
+    if (isBudgetExceededError(error)) {
+      throw error;
+    }
+    
+    // Offline cache miss: mark the module's columns instead of failing it.
+    // A not-cached botanical-name lets the species through (the name can't be checked offline).
+    if (isNotCachedError(error)) {
+      console.log(`Module ${module.metadata.id} not cached for ${genus} ${species}: ${error.message}`);
+      results[module.metadata.id] = {
+        status: 'not-cached',
+        columnValues: buildNotCachedColumnValues(module.metadata.columns)
+      };
+      return true;
+    }
+    
+    const errorMsg = `Module ${module.metadata.id} failed for ${genus} ${species}: ${error.message}`;
+    
+    // Check if we should stop on critical failure
+    if (registry.config.stopOnCriticalFailure && module.metadata.id === 'botanical-name') {
+      throw new Error(errorMsg);
+    }
+    
+    console.error(errorMsg);
+    // Continue with empty result for non-critical failures
+    results[module.metadata.id] = {};
   }
   
-  const hostname = process.env.REPLIT_CONNECTORS_HOSTNAME;
-  const xReplitToken = process.env.REPL_IDENTITY 
-    ? 'repl ' + process.env.REPL_IDENTITY 
-    : process.env.WEB_REPL_RENEWAL 
-    ? 'depl ' + process.env.WEB_REPL_RENEWAL 
-    : null;
+  return true;
+}
 
-  if (!xReplitToken) {
-    throw new Error('X_REPLIT_TOKEN not found for repl/depl');
+/**
+ * Execute modules concurrently, starting each one as soon as all of its
+ * declared dependencies have finished (successfully or not)
+ * Modules that write the same column also wait for the earlier writers, so the
+ * last-writer-wins order matches a sequential run
+ * @param {Array<Object>} modules - Modules sorted by dependencies
+ * @param {string} genus - The genus name
+ * @param {string} species - The species name
+ * @param {Object} results - Shared results object (mutated)
+ * @param {number} maxConcurrency - Maximum number of modules running at once
+ * @param {Array<string>} [completedIds] - IDs of modules that already ran
+ */
+async function executeModulesInParallel(modules, genus, species, results, maxConcurrency, completedIds = []) {
+  const pending = [...modules];
+  const finished = new Set(completedIds);
+  const running = new Map(); // moduleId -> promise
+  const limit = Math.max(1, maxConcurrency || 1);
+  
+  // A dependency that is not loaded (e.g. disabled) would already have failed
+  // sortModulesByDependencies, so only loaded modules need to be waited on
+  const waitsOn = new Map();
+  const writers = new Map(); // columnId -> IDs of modules that write it, in sorted order
+  const moduleIds = new Set([...completedIds, ...modules.map(m => m.metadata.id)]);
+  for (const module of modules) {
+    const columnIds = (module.metadata.columns || []).map(col => col.id);
+    const earlierWriters = columnIds.flatMap(columnId => writers.get(columnId) || []);
+    waitsOn.set(module.metadata.id, [...new Set([...dependenciesInRun(module, moduleIds), ...earlierWriters])]);
+    for (const columnId of columnIds) {
+      writers.set(columnId, [...(writers.get(columnId) || []), module.metadata.id]);
+    }
   }
-
-  connectionSettings = await fetch(
-    'https://' + hostname + '/api/v2/connection?include_secrets=true&connector_names=google-drive',
-    {
-      headers: {
-        'Accept': 'application/json',
-        'X_REPLIT_TOKEN': xReplitToken
+  const isReady = (module) => waitsOn.get(module.metadata.id).every(depId => finished.has(depId));
+  
+  while (pending.length > 0 || running.size > 0) {
+    // Start every ready module until the concurrency cap is reached
+    for (let i = 0; i < pending.length && running.size < limit; ) {
+      const module = pending[i];
+      if (!isReady(module)) {
+        i++;
+        continue;
       }
+      
+      pending.splice(i, 1);
+      const moduleId = module.metadata.id;
+      const promise = executeModule(module, genus, species, results).then(() => moduleId);
+      running.set(moduleId, promise);
     }
-  ).then(res => res.json()).then(data => data.items?.[0]);
-
-  const accessToken = connectionSettings?.settings?.access_token || connectionSettings.settings?.oauth?.credentials?.access_token;
-
-  if (!connectionSettings || !accessToken) {
-    throw new Error('Google Drive not connected');
+    
+    if (running.size === 0) {
+      throw new Error(`Unable to schedule modules: ${pending.map(m => m.metadata.id).join(', ')}`);
+    }
+    
+    const completedId = await Promise.race(running.values());
+    running.delete(completedId);
+    finished.add(completedId);
   }
-  return accessToken;
-}
-
-async function getUncachableGoogleDriveClient() {
-  const accessToken = await getAccessToken();
-
-  const oauth2Client = new google.auth.OAuth2();
-  oauth2Client.setCredentials({
-    access_token: accessToken
-  });
-
-  return google.drive({ version: 'v3', auth: oauth2Client });
-}
-
-async function getUncachableGoogleSheetsClient() {
-  const accessToken = await getAccessToken();
-
-  const oauth2Client = new google.auth.OAuth2();
-  oauth2Client.setCredentials({
-    access_token: accessToken
-  });
-
-  return google.sheets({ version: 'v4', auth: oauth2Client });
 }
 
 /**
- * Find a folder by name in Google Drive (with caching to avoid repeated API calls)
- * @param {string} folderName - The name of the folder to find
- * @returns {Promise<string|null>} The folder ID or null if not found
+ * Restrict a sorted module list to the requested modules, their transitive
+ * dependencies and the botanical-name gate (order is preserved)
+ * Optional dependencies are not pulled in
+ * @param {Array<Object>} modules - Modules sorted by dependencies
+ * @param {Array<string>} moduleIds - IDs of modules to run
+ * @returns {Array<Object>} Subset of modules in dependency order
  */
-export async function findFolderByName(folderName) {
-  // Check cache first
-  if (folderCache[folderName]) {
-    return folderCache[folderName];
+function selectModulesWithDependencies(modules, moduleIds) {
+  const byId = new Map(modules.map(m => [m.metadata.id, m]));
+  const selected = new Set();
+  
+  function include(moduleId) {
+    if (selected.has(moduleId) || !byId.has(moduleId)) return;
+    selected.add(moduleId);
+    for (const depId of byId.get(moduleId).metadata.dependencies || []) {
+      include(depId);
+    }
   }
   
-  const drive = await getUncachableGoogleDriveClient();
-  
-  const response = await drive.files.list({
-    q: `name='${folderName}' and mimeType='application/vnd.google-apps.folder' and trashed=false`,
-    fields: 'files(id, name)',
-    spaces: 'drive'
-  });
-
-  if (response.data.files && response.data.files.length > 0) {
-    const folderId = response.data.files[0].id;
-    // Cache the result
-    folderCache[folderName] = folderId;
-    return folderId;
-  }
+  include('botanical-name');
+  moduleIds.forEach(include);
   
-  return null;
+  return modules.filter(m => selected.has(m.metadata.id));
 }
 
 /**
  * Gather all plant data by executing synthesis modules in dependency order
+ * Runs modules concurrently when registry.config.parallelExecution is true
+ * (bounded by registry.config.maxConcurrency); otherwise one at a time
  * Returns null if botanical name validation fails (status !== 'current')
  * @param {string} genus - The genus name
  * @param {string} species - The species name
+ * @param {Object} [options] - Execution options
+ * @param {Array<string>} [options.moduleIds] - Only run these modules (plus their dependencies
+ *   and the botanical-name gate); all enabled modules run when omitted
+ * @param {boolean} [options.parallelExecution] - Overrides registry.config.parallelExecution
  * @returns {Promise<Object|null>} Plant record object or null if validation failed
  */
-export async function getPlantRecord(genus, species) {
-  const modules = await loadSynthesisModules();
+export async function getPlantRecord(genus, species, options = {}) {
+  const parallelExecution = options.parallelExecution ?? registry.config.parallelExecution;
+  const allModules = await loadSynthesisModules();
+  const modules = options.moduleIds
+    ? selectModulesWithDependencies(allModules, options.moduleIds)
+    : allModules;
   const results = {};
   
-  // Execute modules in dependency order
-  for (const module of modules) {
-    try {
-      console.log(`Executing module: ${module.metadata.id} for ${genus} ${species}`);
-      
-      const moduleResult = await module.run(genus, species, results);
-      
-      // Store results for dependent modules
-      results[module.metadata.id] = moduleResult;
-      
-      // Special handling for botanical-name module (validation gate)
-      if (module.metadata.id === 'botanical-name') {
-        if (moduleResult.status !== 'current') {
-          console.log(`${genus} ${species} is not a current botanical name (status: ${moduleResult.status})`);
-          return null; // Stop processing if not current
-        }
-      }
-      
-    } catch (error) {
-      const errorMsg = `Module ${module.metadata.id} failed for ${genus} ${species}: ${error.message}`;
-      
-      // Check if we should stop on critical failure
-      if (registry.config.stopOnCriticalFailure && module.metadata.id === 'botanical-name') {
-        throw new Error(errorMsg);
+  // Modules key their caches on the accepted name, so resolve it first
+  await resolveTaxon(genus, species);
+  
+  if (!parallelExecution) {
+    // Execute modules in dependency order
+    for (const module of modules) {
+      const passed = await executeModule(module, genus, species, results);
+      if (!passed) {
+        return null;
       }
-      
-      console.error(errorMsg);
-      // Continue with empty result for non-critical failures
-      results[module.metadata.id] = {};
+    }
+    
+    // Build final plant record from all module results
+    return buildPlantRecord(genus, species, results);
+  }
+  
+  // The botanical-name gate runs alone before anything else is scheduled,
+  // so a rejected name never triggers downstream work
+  const gateModule = modules.find(m => m.metadata.id === 'botanical-name');
+  if (gateModule) {
+    const passed = await executeModule(gateModule, genus, species, results);
+    if (!passed) {
+      return null;
+    }
+  }
+  
+  await executeModulesInParallel(
+    modules.filter(m => m !== gateModule),
+    genus,
+    species,
+    results,
+    registry.config.maxConcurrency,
+    gateModule ? [gateModule.metadata.id] : []
+  );
+  
+  // Re-key results in dependency order so record contents match sequential runs
+  const orderedResults = {};
+  for (const module of modules) {
+    if (module.metadata.id in results) {
+      orderedResults[module.metadata.id] = results[module.metadata.id];
     }
   }
   
   // Build final plant record from all module results
-  return buildPlantRecord(genus, species, results);
+  return buildPlantRecord(genus, species, orderedResults);
 }
 
 /**
@@ -459,7 +571,7 @@ export async function getPlantRecord(genus, species) {
  * @param {string} genus - The genus name
  * @param {string} species - The species name
  * @param {Object} moduleResults - Results from all executed modules
- * @returns {Object} Plant record with genus, species, moduleResults, and derived fields for debugging
+ * @returns {Object} Plant record with genus, species, moduleResults, reviewOverrides, and derived fields for debugging
  */
 function buildPlantRecord(genus, species, moduleResults) {
   const botanicalResult = moduleResults['botanical-name'] || {};
@@ -470,15 +582,20 @@ function buildPlantRecord(genus, species, moduleResults) {
   const botanicalValues = botanicalResult.columnValues || {};
   const nativeValues = nativeResult.columnValues || {};
   const urlValues = urlResult.columnValues || {};
+  const recordGenus = botanicalResult.genus || genus;
+  const recordSpecies = botanicalResult.species || species;
   
   return {
     // Base fields (always present)
-    genus: botanicalResult.genus || genus,
-    species: botanicalResult.species || species,
+    genus: recordGenus,
+    species: recordSpecies,
     
     // Store all module results for dynamic row construction
     moduleResults,
     
+    // Reviewer corrections (src/utils/review-store.js), applied by buildPlantRow
+    reviewOverrides: getSpeciesOverrides(recordGenus, recordSpecies),
+    
     // Derived fields from columnValues for debugging/display
     family: botanicalValues.family || '',
     isNative: nativeValues.seMiNative === 'Yes',
@@ -491,18 +608,11 @@ function buildPlantRecord(genus, species, moduleResults) {
 }
 
 /**
- * Create a new Google Sheet with datetime-stamped name
- * Always appends timestamp to ensure unique sheet names
- * Creates two sheets: "Plant Data" for records and "Column Sources" for documentation
- * @param {string} folderId - The ID of the folder to create the sheet in
- * @param {string} [prefix] - Optional prefix for sheet name (defaults to config value)
- * @returns {Promise<Object>} Object with spreadsheetId and spreadsheetUrl
+ * Build a datetime-stamped output name (e.g. "PlantData_2026-01-15_09-30-00")
+ * @param {string} [prefix] - Name prefix (defaults to config value)
+ * @returns {string} Unique output name
  */
-export async function createPlantSheet(folderId, prefix = config.output.filePrefix) {
-  const sheets = await getUncachableGoogleSheetsClient();
-  const modules = await loadSynthesisModules();
-  
-  // Generate datetime stamp (always included for uniqueness)
+export function buildTimestampedName(prefix = config.output.filePrefix) {
   const now = new Date();
   const year = now.getFullYear();
   const month = String(now.getMonth() + 1).padStart(2, '0');
@@ -511,156 +621,133 @@ export async function createPlantSheet(folderId, prefix = config.output.filePref
   const minutes = String(now.getMinutes()).padStart(2, '0');
   const seconds = String(now.getSeconds()).padStart(2, '0');
   
-  const sheetName = `${prefix}_${year}-${month}-${day}_${hours}-${minutes}-${seconds}`;
-  
-  // Create the spreadsheet with three sheets: Plant Data, Column Sources, and Prompts
-  const createResponse = await sheets.spreadsheets.create({
-    requestBody: {
-      properties: {
-        title: sheetName
-      },
-      sheets: [
-        {
-          properties: {
-            title: 'Plant Data',
-            index: 0
-          }
-        },
-        {
-          properties: {
-            title: 'Column Sources',
-            index: 1
-          }
-        },
-        {
-          properties: {
-            title: 'Prompts',
-            index: 2
-          }
-        }
-      ]
-    }
-  });
-  
-  const spreadsheetId = createResponse.data.spreadsheetId;
-  
-  // Move to the specified folder and remove from root
-  const drive = await getUncachableGoogleDriveClient();
-  
-  // Get current parents
-  const fileResponse = await drive.files.get({
-    fileId: spreadsheetId,
-    fields: 'parents'
-  });
-  
-  const previousParents = fileResponse.data.parents ? fileResponse.data.parents.join(',') : '';
-  
-  // Move file to target folder and remove from previous parents
-  await drive.files.update({
-    fileId: spreadsheetId,
-    addParents: folderId,
-    removeParents: previousParents,
-    fields: 'id, parents'
-  });
-  
-  // Write Plant Data headers
-  await sheets.spreadsheets.values.update({
-    spreadsheetId,
-    range: 'Plant Data!A1',
-    valueInputOption: 'RAW',
-    requestBody: {
-      values: [PLANT_COLUMNS.HEADERS]
-    }
-  });
-  
-  // Build and write Column Sources documentation
-  const columnSourceDocs = buildColumnSourceDocumentation(modules);
-  await sheets.spreadsheets.values.update({
-    spreadsheetId,
-    range: 'Column Sources!A1',
-    valueInputOption: 'RAW',
-    requestBody: {
-      values: columnSourceDocs
-    }
-  });
-  
-  // Build and write Prompts tab (base prompt + tier guidance)
-  const promptsContent = buildPromptsTabContent();
-  await sheets.spreadsheets.values.update({
-    spreadsheetId,
-    range: 'Prompts!A1',
-    valueInputOption: 'RAW',
-    requestBody: {
-      values: promptsContent
-    }
-  });
-  
-  console.log(`Created spreadsheet with ${columnSourceDocs.length - 1} column source entries and ${promptsContent.length - 1} prompt entries`);
-  
-  return {
-    spreadsheetId,
-    spreadsheetUrl: createResponse.data.spreadsheetUrl
-  };
+  return `${prefix}_${year}-${month}-${day}_${hours}-${minutes}-${seconds}`;
 }
 
 /**
- * Append plant data rows to an existing Google Sheet
- * Uses "last-writer-wins" strategy: for duplicate column IDs, uses the last module's value
- * @param {string} spreadsheetId - The ID of the spreadsheet
- * @param {Array<Object>} plantRecords - Array of plant record objects from getPlantRecord()
+ * Build a Plant Data row for a plant record, aligned with PLANT_COLUMNS.HEADERS
+ * Uses "last-writer-wins" strategy: for duplicate column IDs, uses the last module's value.
+ * Reviewed columns (record.reviewOverrides) show the reviewer's value.
+ * @param {Object} record - Plant record from getPlantRecord()
+ * @returns {Array} Row values (objects/arrays are pretty-printed JSON)
  */
-export async function appendPlantRows(spreadsheetId, plantRecords) {
-  if (!plantRecords || plantRecords.length === 0) {
-    return;
-  }
-  
-  const sheets = await getUncachableGoogleSheetsClient();
-  const modules = await loadSynthesisModules();
-  
-  // Convert plant records to rows using deduplicated columns
-  const rows = plantRecords.map(record => {
-    const row = [];
+export function buildPlantRow(record) {
+  const row = [];
+  
+  // Base columns: Genus, Species (always first)
+  row.push(record.genus);
+  row.push(record.species);
+  
+  // For each unique column ID (in order), find the last module that produced it
+  for (const columnId of PLANT_COLUMNS.COLUMN_ORDER) {
+    const { moduleId } = PLANT_COLUMNS.COLUMN_REGISTRY.get(columnId);
+    const moduleResult = record.moduleResults[moduleId];
+    const override = record.reviewOverrides?.[columnId];
     
-    // Base columns: Genus, Species (always first)
-    row.push(record.genus);
-    row.push(record.species);
-    
-    // For each unique column ID (in order), find the last module that produced it
-    for (const columnId of PLANT_COLUMNS.COLUMN_ORDER) {
-      const { moduleId } = PLANT_COLUMNS.COLUMN_REGISTRY.get(columnId);
-      const moduleResult = record.moduleResults[moduleId];
+    if (override) {
+      row.push(applyReviewOverride(moduleResult?.columnValues?.[columnId], override));
+    } else if (moduleResult && moduleResult.columnValues && columnId in moduleResult.columnValues) {
+      const value = moduleResult.columnValues[columnId];
       
-      if (moduleResult && moduleResult.columnValues && columnId in moduleResult.columnValues) {
-        const value = moduleResult.columnValues[columnId];
-        
-        // JSON-stringify objects and arrays for Google Sheets (pretty-printed)
-        // Keep primitives (numbers, strings, booleans) as-is for proper Sheets formatting
-        if (value !== null && typeof value === 'object') {
-          row.push(JSON.stringify(value, null, 2));
-        } else if (value == null) {
-          row.push('');
-        } else {
-          row.push(value);
-        }
-      } else {
-        // Column not produced by this module - empty string
+      // JSON-stringify objects and arrays for Google Sheets (pretty-printed)
+      // Keep primitives (numbers, strings, booleans) as-is for proper Sheets formatting
+      if (value !== null && typeof value === 'object') {
+        row.push(JSON.stringify(value, null, 2));
+      } else if (value == null) {
         row.push('');
+      } else {
+        row.push(value);
       }
+    } else {
+      // Column not produced by this module - empty string
+      row.push('');
     }
-    
-    return row;
+  }
+  
+  return row;
+}
+
+/**
+ * Build Plant Data values keyed by header, as written by output sinks
+ * @param {Object} record - Plant record from getPlantRecord()
+ * @param {Object} [extraValues] - Values for columns outside the module registry
+ *   (e.g. { 'Processing Duration': '0h 4m 2s' })
+ * @returns {Object} Header -> cell value
+ */
+export function buildPlantValues(record, extraValues = {}) {
+  const values = {};
+  buildPlantRow(record).forEach((value, i) => {
+    values[PLANT_COLUMNS.HEADERS[i]] = value;
+  });
+  return { ...values, ...extraValues };
+}
+
+/**
+ * Build the content every output sink is opened with
+ * @param {Array<string>} [extraHeaders] - Trailing Plant Data columns outside the module registry
+ * @returns {Object} { headers, columnSources, prompts }
+ */
+export function buildOutputContent(extraHeaders = []) {
+  return {
+    headers: [...PLANT_COLUMNS.HEADERS, ...extraHeaders],
+    columnSources: buildColumnSourceDocumentation(modules),
+    prompts: buildPromptsTabContent()
+  };
+}
+
+/**
+ * Resolve column selectors to Plant Data headers
+ * A selector matches a column ID or the ID of the module that produces it;
+ * a trailing "*" matches by prefix (e.g. "3tier-storage_*" selects every storage field)
+ * @param {Array<string>} selectors - Column/module IDs or prefix patterns
+ * @returns {Array<string>} Matching headers in sheet order
+ */
+export function resolveColumnSelectors(selectors) {
+  const matchers = selectors.map(selector => {
+    const trimmed = selector.trim();
+    return trimmed.endsWith('*')
+      ? (value) => value.startsWith(trimmed.slice(0, -1))
+      : (value) => value === trimmed;
   });
   
-  // Append rows
-  await sheets.spreadsheets.values.append({
-    spreadsheetId,
-    range: 'Plant Data!A2', // Start from row 2 (after headers)
-    valueInputOption: 'RAW',
-    insertDataOption: 'INSERT_ROWS',
-    requestBody: {
-      values: rows
+  const headers = [];
+  for (const columnId of PLANT_COLUMNS.COLUMN_ORDER) {
+    const { header, moduleId } = PLANT_COLUMNS.COLUMN_REGISTRY.get(columnId);
+    if (matchers.some(match => match(columnId) || match(moduleId))) {
+      headers.push(header);
     }
-  });
+  }
+  return headers;
+}
+
+/**
+ * Resolve column selectors to the IDs of the modules that produce them
+ * Used to run only the modules needed for a partial row refresh
+ * @param {Array<string>} selectors - Column/module IDs or prefix patterns
+ * @returns {Array<string>} Module IDs
+ */
+export function resolveSelectorModules(selectors) {
+  const headers = new Set(resolveColumnSelectors(selectors));
+  const moduleIds = new Set();
+  for (const { header, moduleId } of PLANT_COLUMNS.COLUMN_REGISTRY.values()) {
+    if (headers.has(header)) {
+      moduleIds.add(moduleId);
+    }
+  }
+  return Array.from(moduleIds);
+}
+
+/**
+ * Add the selectors a partial row refresh implies: Needs Review is derived
+ * from every 3-tier field, so refreshing any of them recomputes it too (from
+ * the stored consensus of the fields that are not re-run)
+ * @param {Array<string>} selectors - Column/module IDs or prefix patterns
+ * @returns {Array<string>} Selectors, with '3tier-review' added when needed
+ */
+export function expandUpdateSelectors(selectors) {
+  const moduleIds = resolveSelectorModules(selectors);
+  const refreshesField = moduleIds.some(id => id.startsWith('3tier-') && id !== '3tier-review');
+  return refreshesField && !moduleIds.includes('3tier-review') ? [...selectors, '3tier-review'] : selectors;
 }
 
 /**
@@ -0,0 +1,198 @@
+/**
+ * Prefill the 3-tier cache with Message Batches
+ *
+ * A full run makes one synchronous Claude call per species, field and tier. This
+ * builds every uncached prompt up front and submits them as message batches
+ * (half price, processed asynchronously), writing each response to
+ * cache/TieredPrompts under the key process3TierField looks up:
+ *
+ * 1. Tier 1 and Tier 3 prompts for every species and field
+ * 2. Tier 2 prompts, which need the Tier 1 answers from step 1
+ *
+ * Tier 1 and Tier 2 prompts are built from the sources already cached for a
+ * species (Michigan Flora, Lake County PDFs, web pages), and a tier without
+ * sources is skipped. For a species list that hasn't been run before, pass
+ * collectSources to run the source modules first (production/run-batch.js runs
+ * getSourceModuleIds() through getPlantRecord). Species still without Tier 1
+ * sources are listed in the summary (withoutTier1Sources).
+ *
+ * The normal run that follows (production/run-batch.js --message-batches) then
+ * finds the 3-tier answers in the cache. Responses that fail their output schema
+ * are still repaired there with a synchronous call, and the Tier 2 prompt of such
+ * a field changes with the repaired Tier 1 answer, so it is called then as well.
+ *
+ * Fields in a multi-field group (config/3tier-fields.json "groups") get one
+ * request per group and tier; the response is split into a cache entry per field.
+ * Fields with input fields (inputFields) only have Tier 3 prefilled, since their
+ * Tier 1 and Tier 2 prompts carry the upstream answers of the same run.
+ *
+ * Species are prefilled under the names in the species list; a species the
+ * botanical-name module renames is processed synchronously under its new name.
+ */
+
+import { prepareTierRequests, loadFieldManifest, splitGroupResponse, hasTier1Sources } from '../synthesis/process-3tier-field.js';
+import { cacheTierResponse } from '../utils/tiered-prompt-cache.js';
+import { runMessageBatches } from '../utils/message-batches.js';
+import { recordLlmUsage, isLlmBudgetExceeded } from '../utils/llm-usage.js';
+import { resolveTaxon } from '../utils/taxon-identity.js';
+
+const PHASES = [
+  { name: 'Tier 1 and Tier 3', tiers: [1, 3] },
+  { name: 'Tier 2', tiers: [2] }
+];
+
+/**
+ * Synthesis modules that collect the sources of the given 3-tier fields (their
+ * dependencies other than 3-tier fields)
+ * @param {Array<string>} [fieldIds] - Fields (default: enabled fields in config/3tier-fields.json)
+ * @returns {Array<string>} Module ids
+ */
+export function getSourceModuleIds(fieldIds) {
+  const fields = loadFieldManifest().filter(field => fieldIds ? fieldIds.includes(field.id) : field.enabled);
+  return [...new Set(fields.flatMap(field => field.dependencies))].filter(id => !id.startsWith('3tier-'));
+}
+
+/**
+ * Build the batch requests for one phase
+ * @param {Array<Object>} speciesList - [{ genus, species }]
+ * @param {Array<string>} fieldIds - Fields to prefill
+ * @param {Array<number>} tiers - Tiers in this phase
+ * @param {Object} options - { promptsDir, forceRefresh, multiField }
+ * @returns {Object} { requests: [{ customId, params }], pending: Map customId -> call details, errors }
+ */
+function buildPhaseRequests(speciesList, fieldIds, tiers, options) {
+  const requests = [];
+  const pending = new Map();
+  const errors = [];
+
+  for (const { genus, species } of speciesList) {
+    for (const fieldId of fieldIds) {
+      let prepared;
+      try {
+        prepared = prepareTierRequests(genus, species, fieldId, { ...options, tiers });
+      } catch (error) {
+        errors.push({ genus, species, fieldId, reason: error.message });
+        continue;
+      }
+      for (const call of prepared) {
+        const customId = `tier${call.tier}-${pending.size + 1}`;
+        pending.set(customId, { genus, species, fieldId, ...call });
+        requests.push({ customId, params: call.request });
+      }
+    }
+  }
+
+  return { requests, pending, errors };
+}
+
+/**
+ * Prefill cache/TieredPrompts for a species list using message batches
+ * @param {Array<Object>} speciesList - [{ genus, species }]
+ * @param {Object} [options]
+ * @param {Array<string>} [options.fieldIds] - Fields to prefill (default: enabled fields in config/3tier-fields.json)
+ * @param {Object} [options.client] - Anthropic client (e.g. pointed at a stand-in server)
+ * @param {number} [options.pollIntervalMs] - Time between batch status checks
+ * @param {string} [options.promptsDir] - Prompts directory
+ * @param {boolean} [options.forceRefresh] - Submit prompts even if cached
+ * @param {boolean} [options.multiField] - Force multi-field (true) or per-field (false) requests for grouped fields
+ * @param {Function} [options.collectSources] - async (genus, species) => void, run for each species before its prompts are built
+ * @param {boolean} [options.verbose] - Log progress
+ * @returns {Promise<Object>} { submitted, cached, failed: [{ genus, species, fieldId, tier, reason }], withoutTier1Sources: [{ genus, species }] }
+ */
+export async function prefill3TierBatches(speciesList, options = {}) {
+  const {
+    fieldIds = loadFieldManifest().filter(field => field.enabled).map(field => field.id),
+    client,
+    pollIntervalMs,
+    promptsDir,
+    forceRefresh = false,
+    multiField,
+    collectSources,
+    verbose = true
+  } = options;
+  const log = verbose ? console.log : () => {};
+  const summary = { submitted: 0, cached: 0, failed: [], withoutTier1Sources: [] };
+
+  // Prefilled responses must land under the keys the pipeline reads later
+  for (const { genus, species } of speciesList) {
+    await resolveTaxon(genus, species);
+  }
+
+  if (collectSources) {
+    log(`[3tier-batches] Collecting sources for ${speciesList.length} species`);
+    for (const { genus, species } of speciesList) {
+      try {
+        await collectSources(genus, species);
+      } catch (error) {
+        log(`[3tier-batches] Collecting sources for ${genus} ${species} failed: ${error.message}`);
+      }
+    }
+  }
+
+  // No Tier 1 prompt is built for these; if sources turn up later, the run asks synchronously
+  summary.withoutTier1Sources = speciesList
+    .filter(({ genus, species }) => !hasTier1Sources(genus, species))
+    .map(({ genus, species }) => ({ genus, species }));
+  if (summary.withoutTier1Sources.length > 0) {
+    log(`[3tier-batches] No Tier 1 sources cached for ${summary.withoutTier1Sources.length} species: ` +
+      summary.withoutTier1Sources.map(({ genus, species }) => `${genus} ${species}`).join(', '));
+  }
+
+  for (const phase of PHASES) {
+    if (isLlmBudgetExceeded()) {
+      log(`[3tier-batches] LLM budget reached - ${phase.name} not submitted`);
+      break;
+    }
+
+    const { requests, pending, errors } = buildPhaseRequests(speciesList, fieldIds, phase.tiers, { promptsDir, forceRefresh, multiField });
+    summary.failed.push(...errors);
+    log(`[3tier-batches] ${phase.name}: ${requests.length} uncached prompt(s) for ${speciesList.length} species x ${fieldIds.length} field(s)`);
+    if (requests.length === 0) continue;
+
+    summary.submitted += requests.length;
+    const results = await runMessageBatches(requests, {
+      client,
+      pollIntervalMs,
+      verbose,
+      onResult: (customId, result) => {
+        const call = pending.get(customId);
+        if (!call) return;
+        if (!result.ok) {
+          summary.failed.push({ genus: call.genus, species: call.species, fieldId: call.fieldId, tier: call.tier, reason: result.error });
+          return;
+        }
+        const { message } = result;
+        recordLlmUsage({
+          model: message.model || call.model,
+          usage: message.usage,
+          module: call.moduleId,
+          tier: call.tier,
+          genus: call.genus,
+          species: call.species,
+          batch: true
+        });
+        const text = message.content?.[0]?.text;
+        if (!text) {
+          summary.failed.push({ genus: call.genus, species: call.species, fieldId: call.fieldId, tier: call.tier, reason: 'empty response' });
+          return;
+        }
+        const responses = call.groupFields ? splitGroupResponse(text, call.groupFields) : { [call.fieldId]: text };
+        for (const [fieldId, responseText] of Object.entries(responses)) {
+          cacheTierResponse(call.genus, call.species, fieldId, call.tier, call.prompt, responseText, call.sourceFiles, call.request);
+        }
+        summary.cached++;
+      }
+    });
+
+    // Requests the API returned no result for (e.g. a batch that was canceled)
+    for (const [customId, call] of pending) {
+      if (!results.has(customId)) {
+        summary.failed.push({ genus: call.genus, species: call.species, fieldId: call.fieldId, tier: call.tier, reason: 'no result returned' });
+      }
+    }
+  }
+
+  log(`[3tier-batches] Cached ${summary.cached} of ${summary.submitted} batched response(s)` +
+    (summary.failed.length > 0 ? `, ${summary.failed.length} failed (these run synchronously)` : ''));
+  return summary;
+}
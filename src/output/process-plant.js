@@ -1,11 +1,14 @@
-import { getPlantRecord, createPlantSheet, appendPlantRows, findFolderByName, getOutputFolderName } from './plant-pipeline.js';
+import { getPlantRecord, buildPlantValues, buildOutputContent, buildTimestampedName } from './plant-pipeline.js';
+import { createOutputSinks, parseSinkTypes, getDefaultSinkTypes } from './sinks/index.js';
+import { setOfflineMode } from '../utils/offline-mode.js';
 
 /**
- * Process a single plant: validate, check native status, discover URLs, and save to Google Sheets
+ * Process a single plant: validate, check native status, discover URLs, and save to the output
  * @param {string} genus - The genus name
  * @param {string} species - The species name
+ * @param {Array<string>} outputs - Output sink types (see src/output/sinks)
  */
-async function processPlant(genus, species) {
+async function processPlant(genus, species, outputs) {
   console.log('='.repeat(80));
   console.log('Plant Processing Pipeline');
   console.log('='.repeat(80));
@@ -34,50 +37,53 @@ async function processPlant(genus, species) {
   console.log(`  External URLs found: ${Object.keys(plantRecord.externalUrls || {}).length}`);
   console.log();
   
-  // Step 2: Save to Google Sheets
-  console.log(`Step 2: Saving to Google Sheets...`);
+  // Step 2: Save to the output(s)
+  console.log(`Step 2: Saving to ${outputs.join(', ')}...`);
   
   try {
-    // Find the folder using config
-    const folderName = getOutputFolderName();
-    console.log(`  Finding folder "${folderName}"...`);
-    const folderId = await findFolderByName(folderName);
+    const sink = createOutputSinks(outputs, { name: buildTimestampedName() });
     
-    if (!folderId) {
-      throw new Error(`Folder "${folderName}" not found in Google Drive`);
-    }
-    
-    console.log(`  ✓ Found folder (ID: ${folderId})`);
-    
-    // Create the sheet
-    console.log(`  Creating new Google Sheet...`);
-    const { spreadsheetId, spreadsheetUrl } = await createPlantSheet(folderId);
-    console.log(`  ✓ Created sheet (ID: ${spreadsheetId})`);
+    console.log(`  Creating output...`);
+    const { location } = await sink.open(buildOutputContent());
     
     // Write the data
-    console.log(`  Writing data to sheet...`);
-    await appendPlantRows(spreadsheetId, [plantRecord]);
+    console.log(`  Writing data...`);
+    await sink.writeRow(buildPlantValues(plantRecord));
+    await sink.close();
     
     console.log(`  ✓ Data written successfully`);
     console.log();
     console.log(`✓ Processing complete!`);
-    console.log(`  View sheet: ${spreadsheetUrl}`);
+    console.log(`  Output: ${location}`);
     
   } catch (error) {
-    console.error(`✗ Google Sheets operation failed: ${error.message}`);
+    console.error(`✗ Output failed: ${error.message}`);
     process.exit(1);
   }
 }
 
 // Parse command-line arguments
-const args = process.argv.slice(2);
+const argv = process.argv.slice(2);
+const outputArg = argv.find(a => a.startsWith('--output='));
+const args = argv.filter(a => !a.startsWith('--'));
 
 if (args.length !== 2) {
-  console.error('Usage: node src/output/process-plant.js <genus> <species>');
+  console.error('Usage: node src/output/process-plant.js <genus> <species> [--output=types] [--offline]');
   console.error('Example: node src/output/process-plant.js Quercus alba');
+  console.error('Example: node src/output/process-plant.js Quercus alba --output=csv');
+  console.error('Example: node src/output/process-plant.js Quercus alba --output=csv --offline  # cached data only');
   process.exit(1);
 }
 
 const [genus, species] = args;
+const outputs = outputArg ? parseSinkTypes(outputArg.split('=')[1]) : getDefaultSinkTypes();
+
+if (argv.includes('--offline')) {
+  if (outputs.includes('google-sheets')) {
+    console.error('Error: --offline cannot write to Google Sheets. Choose local outputs, e.g. --output=csv');
+    process.exit(1);
+  }
+  setOfflineMode(true);
+}
 
-processPlant(genus, species);
+processPlant(genus, species, outputs);
@@ -0,0 +1,115 @@
+/**
+ * Prompt History report
+ *
+ * Lists, for every species and 3-tier field in a Plant Data table, the prompt
+ * versions and models it was generated with (recorded in the column's
+ * _meta.prompts and _meta.models) and whether any of those prompts has changed
+ * since (src/utils/prompt-versions.js). Rows generated before prompt versions
+ * were recorded are marked "not recorded".
+ *
+ * Usage:
+ *   node src/output/prompt-history.js --sheet=<spreadsheetId> [--species-list=<file>]
+ *   node src/output/prompt-history.js --file=output/<name>/plant-data.csv [--output=<csv>] [--species-list=<file>]
+ *
+ * --sheet reads the Plant Data tab and writes the report to a "Prompt History" tab.
+ * --file reads a CSV or JSONL Plant Data file and writes prompt-history.csv next
+ * to it (or to --output). --species-list writes the species with outdated fields
+ * in the species list format, ready for run-batch.js --update.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseCsv, formatCsv } from './sinks/csv-sink.js';
+import { tableToObjects } from './sinks/sink-utils.js';
+import { getSheetsClient } from '../utils/google-auth.js';
+import { buildPromptHistory } from '../utils/prompt-versions.js';
+
+const PROMPT_HISTORY_TAB = 'Prompt History';
+
+/**
+ * Read Plant Data rows from a spreadsheet
+ * @param {string} spreadsheetId - Spreadsheet id (from its URL)
+ * @returns {Promise<Array<Object>>} Rows keyed by header
+ */
+async function readSheetRows(spreadsheetId) {
+  const sheets = await getSheetsClient();
+  const response = await sheets.spreadsheets.values.get({ spreadsheetId, range: `'Plant Data'` });
+  return tableToObjects(response.data.values || []);
+}
+
+/**
+ * Write the report to the Prompt History tab, adding the tab if needed
+ * @param {string} spreadsheetId - Spreadsheet id
+ * @param {Array<Array<string>>} table - Report rows including the header row
+ */
+async function writeSheetReport(spreadsheetId, table) {
+  const sheets = await getSheetsClient();
+  const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties.title' });
+  const titles = spreadsheet.data.sheets.map(s => s.properties.title);
+  if (!titles.includes(PROMPT_HISTORY_TAB)) {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: { requests: [{ addSheet: { properties: { title: PROMPT_HISTORY_TAB } } }] }
+    });
+  }
+  await sheets.spreadsheets.values.clear({ spreadsheetId, range: `'${PROMPT_HISTORY_TAB}'` });
+  await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: `'${PROMPT_HISTORY_TAB}'!A1`,
+    valueInputOption: 'RAW',
+    requestBody: { values: table }
+  });
+}
+
+/**
+ * Read Plant Data rows from a CSV or JSONL file
+ * @param {string} filePath - File path
+ * @returns {Array<Object>} Rows keyed by header
+ */
+function readFileRows(filePath) {
+  const text = fs.readFileSync(filePath, 'utf-8');
+  if (path.extname(filePath).toLowerCase() === '.jsonl') {
+    return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+  return tableToObjects(parseCsv(text));
+}
+
+const argv = process.argv.slice(2);
+const getArg = (name) => argv.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+const sheetId = getArg('sheet');
+const file = getArg('file');
+const speciesListFile = getArg('species-list');
+
+if (!sheetId === !file) {
+  console.error('Usage: node src/output/prompt-history.js --sheet=<spreadsheetId> [--species-list=<file>]');
+  console.error('       node src/output/prompt-history.js --file=<plant-data.csv|plant-data.jsonl> [--output=<csv>] [--species-list=<file>]');
+  process.exit(1);
+}
+
+try {
+  const rows = sheetId ? await readSheetRows(sheetId) : readFileRows(path.resolve(file));
+  const { table, outdatedSpecies } = buildPromptHistory(rows);
+  const fieldCount = table.length - 1;
+  const outdatedCount = table.slice(1).filter(row => row[6] !== 'current').length;
+  console.log(`[prompt-history] ${rows.length} species, ${fieldCount} 3-tier field(s), ${outdatedCount} generated with outdated or unrecorded prompts`);
+
+  if (sheetId) {
+    await writeSheetReport(sheetId, table);
+    console.log(`[prompt-history] Wrote the "${PROMPT_HISTORY_TAB}" tab`);
+  } else {
+    const outputPath = path.resolve(getArg('output') || path.join(path.dirname(file), 'prompt-history.csv'));
+    fs.writeFileSync(outputPath, formatCsv(table), 'utf-8');
+    console.log(`[prompt-history] Wrote ${outputPath}`);
+  }
+
+  for (const { genus, species, fields } of outdatedSpecies) {
+    console.log(`  ${genus} ${species}: ${fields.join(', ')}`);
+  }
+  if (speciesListFile) {
+    fs.writeFileSync(speciesListFile, outdatedSpecies.map(({ genus, species }) => `${genus} ${species}\n`).join(''), 'utf-8');
+    console.log(`[prompt-history] ${outdatedSpecies.length} species to regenerate written to ${speciesListFile}`);
+  }
+} catch (error) {
+  console.error(`[prompt-history] Report failed: ${error.message}`);
+  process.exit(1);
+}
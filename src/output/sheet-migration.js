@@ -0,0 +1,204 @@
+/**
+ * Plant Data Sheet Schema Migration
+ *
+ * Brings an existing "Plant Data" tab in line with the current column registry
+ * (PLANT_COLUMNS.HEADERS plus any trailing run columns such as "Processing Duration")
+ * after modules are enabled/disabled or columns are added/reordered.
+ *
+ * Strategy:
+ * - Columns are matched by header text
+ * - Expected columns missing from the sheet are inserted (empty for existing rows)
+ * - Expected columns are reordered to registry order, moving their data with them
+ * - Columns no longer in the registry are retired, not deleted: they are moved to the
+ *   end of the sheet with a "Retired: " header prefix so no data is lost
+ * - The previous sheet contents are backed up to cache/SheetBackups before rewriting
+ * - Cells keep their type: numbers stay numbers, formula cells keep their computed value
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getCacheRoot } from '../utils/cache-store.js';
+
+const BACKUP_SUBDIR = 'SheetBackups';
+const RETIRED_PREFIX = 'Retired: ';
+
+/**
+ * Compare the sheet's header row with the expected headers
+ * @param {Array<string>} currentHeaders - Header row currently in the sheet
+ * @param {Array<string>} expectedHeaders - Headers from the current column registry
+ * @returns {Object} Migration plan: { needed, targetHeaders, sourceIndexes, inserted, retired, moved }
+ *   sourceIndexes[i] is the current column index feeding target column i (-1 for new columns)
+ */
+export function planSheetMigration(currentHeaders, expectedHeaders) {
+  const currentIndex = new Map();
+  currentHeaders.forEach((header, i) => {
+    if (header && !currentIndex.has(header)) {
+      currentIndex.set(header, i);
+    }
+  });
+
+  const targetHeaders = [];
+  const sourceIndexes = [];
+  const inserted = [];
+  const moved = [];
+
+  expectedHeaders.forEach((header, targetIndex) => {
+    // A previously retired column that comes back is restored with its data
+    const sourceIndex = currentIndex.has(header)
+      ? currentIndex.get(header)
+      : currentIndex.has(RETIRED_PREFIX + header)
+        ? currentIndex.get(RETIRED_PREFIX + header)
+        : -1;
+
+    targetHeaders.push(header);
+    sourceIndexes.push(sourceIndex);
+
+    if (sourceIndex === -1) {
+      inserted.push(header);
+    } else if (sourceIndex !== targetIndex) {
+      moved.push({ header, from: sourceIndex, to: targetIndex });
+    }
+  });
+
+  const used = new Set(sourceIndexes.filter(i => i !== -1));
+  const retired = [];
+
+  currentHeaders.forEach((rawHeader, i) => {
+    if (used.has(i)) return;
+    // Unnamed columns may still hold data, so they are retired under a generated name
+    const header = rawHeader || `Unnamed column ${i + 1}`;
+    const retiredHeader = header.startsWith(RETIRED_PREFIX) ? header : RETIRED_PREFIX + header;
+    if (!header.startsWith(RETIRED_PREFIX)) {
+      retired.push(header);
+    }
+    if (targetHeaders.length !== i) {
+      moved.push({ header: retiredHeader, from: i, to: targetHeaders.length });
+    }
+    targetHeaders.push(retiredHeader);
+    sourceIndexes.push(i);
+  });
+
+  const needed = inserted.length > 0 || retired.length > 0 || moved.length > 0 ||
+    targetHeaders.length !== currentHeaders.length;
+
+  return { needed, targetHeaders, sourceIndexes, inserted, retired, moved };
+}
+
+/**
+ * Rebuild data rows (excluding the header row) according to a migration plan
+ * @param {Array<Array>} rows - Existing data rows
+ * @param {Object} plan - Plan from planSheetMigration()
+ * @returns {Array<Array>} Rows aligned with plan.targetHeaders
+ */
+export function applyMigrationToRows(rows, plan) {
+  return rows.map(row => plan.sourceIndexes.map(sourceIndex =>
+    sourceIndex === -1 ? '' : (row[sourceIndex] ?? '')
+  ));
+}
+
+/**
+ * Format a human-readable migration report
+ * @param {Object} plan - Plan from planSheetMigration()
+ * @param {number} rowCount - Number of data rows migrated
+ * @returns {Array<string>} Report lines
+ */
+export function formatMigrationReport(plan, rowCount) {
+  const lines = ['Sheet schema migration report:'];
+  if (!plan.needed) {
+    lines.push('  Header row already matches the column registry - no changes');
+    return lines;
+  }
+  lines.push(`  Rows migrated: ${rowCount}`);
+  lines.push(`  Inserted columns (${plan.inserted.length}): ${plan.inserted.join(', ') || 'none'}`);
+  lines.push(`  Retired columns (${plan.retired.length}): ${plan.retired.join(', ') || 'none'}`);
+  lines.push(`  Moved columns: ${plan.moved.length}`);
+  for (const move of plan.moved) {
+    lines.push(`    - ${move.header}: column ${move.from + 1} -> ${move.to + 1}`);
+  }
+  return lines;
+}
+
+/**
+ * Save the current sheet contents before rewriting them
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {Array<Array>} values - Full sheet values including header row
+ * @returns {string} Backup file path
+ */
+function backupSheetValues(spreadsheetId, values) {
+  const backupDir = path.join(getCacheRoot(), BACKUP_SUBDIR);
+  if (!fs.existsSync(backupDir)) {
+    fs.mkdirSync(backupDir, { recursive: true });
+  }
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = path.join(backupDir, `${spreadsheetId}_${timestamp}.json`);
+  fs.writeFileSync(backupPath, JSON.stringify({ spreadsheetId, backedUpAt: new Date().toISOString(), values }), 'utf-8');
+  return backupPath;
+}
+
+/**
+ * Migrate the "Plant Data" tab of a spreadsheet to the expected headers
+ * @param {Object} sheets - Authenticated Google Sheets v4 client
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {Array<string>} expectedHeaders - Headers in registry order
+ * @returns {Promise<Object>} { plan, rowCount, backupPath }
+ */
+export async function migratePlantDataSheet(sheets, spreadsheetId, expectedHeaders) {
+  // Cells are written back RAW, so read their underlying values: formatted strings
+  // would turn numbers into text. Formula cells keep their computed value (a moved
+  // formula's relative references would no longer point at the right cells).
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: 'Plant Data',
+    valueRenderOption: 'UNFORMATTED_VALUE'
+  });
+
+  const values = response.data.values || [];
+  const currentHeaders = values[0] || [];
+  const dataRows = values.slice(1);
+  const plan = planSheetMigration(currentHeaders, expectedHeaders);
+
+  formatMigrationReport(plan, dataRows.length).forEach(line => console.log(line));
+
+  if (!plan.needed) {
+    return { plan, rowCount: dataRows.length, backupPath: null };
+  }
+
+  const backupPath = backupSheetValues(spreadsheetId, values);
+  console.log(`  Backup of previous contents: ${backupPath}`);
+
+  // Make sure the grid is wide enough before writing
+  const spreadsheet = await sheets.spreadsheets.get({
+    spreadsheetId,
+    fields: 'sheets.properties'
+  });
+  const plantDataSheet = spreadsheet.data.sheets.find(s => s.properties.title === 'Plant Data');
+  const columnCount = plantDataSheet?.properties?.gridProperties?.columnCount || 0;
+
+  if (plantDataSheet && columnCount < plan.targetHeaders.length) {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: [{
+          appendDimension: {
+            sheetId: plantDataSheet.properties.sheetId,
+            dimension: 'COLUMNS',
+            length: plan.targetHeaders.length - columnCount
+          }
+        }]
+      }
+    });
+  }
+
+  // Retired columns are kept, so the new layout is never narrower than the old one
+  // and overwriting in place cannot leave stale cells behind
+  await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: 'Plant Data!A1',
+    valueInputOption: 'RAW',
+    requestBody: {
+      values: [plan.targetHeaders, ...applyMigrationToRows(dataRows, plan)]
+    }
+  });
+
+  return { plan, rowCount: dataRows.length, backupPath };
+}
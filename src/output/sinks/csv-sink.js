@@ -0,0 +1,118 @@
+/**
+ * CSV Output Sink
+ *
+ * Writes one CSV file per tab into <directory>/<name>/:
+ * - plant-data.csv
+ * - column-sources.csv
+ * - prompts.csv
+ *
+ * Files are RFC 4180 (comma separated, double-quoted when needed, multi-line
+ * cells allowed) so they open in spreadsheet tools and diff cleanly in git.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLocalSink } from './local-sink.js';
+import { cellToText, safeFileName } from './sink-utils.js';
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+function formatField(value) {
+  const text = cellToText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV text
+ * @param {Array<Array>} rows - Rows to format
+ * @returns {string} CSV text (each row terminated by \n)
+ */
+export function formatCsv(rows) {
+  return rows.map(row => row.map(formatField).join(',') + '\n').join('');
+}
+
+/**
+ * Parse CSV text into rows
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Parsed rows
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Create a CSV sink
+ * @param {Object} options - Sink options
+ * @param {string} options.name - Output name (folder name under the directory)
+ * @param {string} options.directory - Base output directory
+ * @returns {Object} Output sink
+ */
+export function createCsvSink({ name, directory }) {
+  const outputDir = path.join(directory, safeFileName(name));
+  const plantDataPath = path.join(outputDir, 'plant-data.csv');
+
+  const storage = {
+    async loadPlantData() {
+      if (!fs.existsSync(plantDataPath)) return null;
+      const [headers = [], ...rows] = parseCsv(fs.readFileSync(plantDataPath, 'utf-8'));
+      return { headers, rows };
+    },
+
+    async savePlantData(headers, rows) {
+      fs.mkdirSync(outputDir, { recursive: true });
+      fs.writeFileSync(plantDataPath, formatCsv([headers, ...rows]), 'utf-8');
+    },
+
+    async appendPlantRow(headers, row) {
+      fs.appendFileSync(plantDataPath, formatCsv([row]), 'utf-8');
+    },
+
+    async saveDocuments(documents) {
+      fs.mkdirSync(outputDir, { recursive: true });
+      fs.writeFileSync(path.join(outputDir, 'column-sources.csv'), formatCsv(documents['Column Sources']), 'utf-8');
+      fs.writeFileSync(path.join(outputDir, 'prompts.csv'), formatCsv(documents['Prompts']), 'utf-8');
+    }
+  };
+
+  return createLocalSink('csv', outputDir, storage);
+}
@@ -0,0 +1,415 @@
+/**
+ * Google Sheets Output Sink
+ *
+ * Finds or creates a spreadsheet by name in the configured Drive output folder,
+ * with three tabs: "Plant Data", "Column Sources" and "Prompts".
+ * Opening an existing spreadsheet migrates its Plant Data columns to the current
+ * headers (see sheet-migration.js) and refreshes the documentation tabs.
+ */
+
+import { getDriveClient, getSheetsClient } from '../../utils/google-auth.js';
+import { migratePlantDataSheet } from '../sheet-migration.js';
+import { speciesKey } from './sink-utils.js';
+
+const DOCUMENTATION_TABS = ['Column Sources', 'Prompts'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Convert a column index (0-based) to A1 notation letters (A..Z, AA..ZZ, AAA...)
+ * @param {number} index - Zero-based column index
+ * @returns {string} Column letters
+ */
+export function columnIndexToLetter(index) {
+  let letters = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Find a Drive folder by name
+ * @param {string} folderName - Folder name
+ * @returns {Promise<string|null>} Folder ID or null if not found
+ */
+async function findFolderByName(folderName) {
+  const drive = await getDriveClient();
+  const response = await drive.files.list({
+    q: `name='${folderName}' and mimeType='application/vnd.google-apps.folder' and trashed=false`,
+    fields: 'files(id, name)',
+    spaces: 'drive'
+  });
+  return response.data.files?.[0]?.id || null;
+}
+
+/**
+ * Find a spreadsheet by name inside a folder
+ * @param {string} sheetName - Spreadsheet name
+ * @param {string} folderId - Parent folder ID
+ * @returns {Promise<Object|null>} Drive file ({ id, name }) or null
+ */
+async function findSheetByName(sheetName, folderId) {
+  const drive = await getDriveClient();
+  const response = await drive.files.list({
+    q: `name='${sheetName}' and mimeType='application/vnd.google-apps.spreadsheet' and '${folderId}' in parents and trashed=false`,
+    fields: 'files(id, name)',
+    spaces: 'drive'
+  });
+  return response.data.files?.[0] || null;
+}
+
+/**
+ * Read the species already in the Plant Data tab
+ * Retries with backoff; throws rather than returning an empty set so a failed
+ * read never causes every species to be processed (and appended) again
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {number} [maxRetries] - Attempts before giving up
+ * @returns {Promise<Set<string>>} Species keys ("genus species", lowercase)
+ */
+async function getExistingSpecies(spreadsheetId, maxRetries = 3) {
+  const sheets = await getSheetsClient();
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: 'Plant Data!A:B'
+      });
+
+      const rows = response.data.values || [];
+      const species = new Set();
+
+      for (let i = 1; i < rows.length; i++) {
+        if (rows[i] && rows[i][0] && rows[i][1]) {
+          species.add(speciesKey(rows[i][0], rows[i][1]));
+        }
+      }
+
+      return species;
+    } catch (error) {
+      const errorDetails = {
+        message: error.message,
+        code: error.code,
+        status: error.status,
+        attempt
+      };
+      console.warn(`[WARN] Sheet read failed (attempt ${attempt}/${maxRetries}):`, JSON.stringify(errorDetails));
+
+      if (attempt < maxRetries) {
+        const delay = Math.pow(2, attempt) * 1000;
+        console.warn(`[WARN] Retrying in ${delay/1000}s...`);
+        await sleep(delay);
+      } else {
+        console.error(`[FATAL] Failed to read existing species after ${maxRetries} attempts`);
+        throw new Error(`Cannot read sheet to check existing species: ${error.message}. Stopping to prevent duplicate processing.`);
+      }
+    }
+  }
+}
+
+/**
+ * Write the Column Sources and Prompts tabs
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {Object} content - { columnSources, prompts } tables including header rows
+ */
+async function writeDocumentationTabs(spreadsheetId, { columnSources, prompts }) {
+  const sheets = await getSheetsClient();
+
+  await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: 'Column Sources!A1',
+    valueInputOption: 'RAW',
+    requestBody: { values: columnSources }
+  });
+
+  await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: 'Prompts!A1',
+    valueInputOption: 'RAW',
+    requestBody: { values: prompts }
+  });
+}
+
+/**
+ * Create a spreadsheet with the three tabs and move it into a folder
+ * @param {string} sheetName - Spreadsheet name
+ * @param {string} folderId - Parent folder ID
+ * @param {Object} content - { headers, columnSources, prompts }
+ * @returns {Promise<Object>} { spreadsheetId, spreadsheetUrl }
+ */
+async function createSpreadsheet(sheetName, folderId, content) {
+  const sheets = await getSheetsClient();
+  const drive = await getDriveClient();
+
+  const createResponse = await sheets.spreadsheets.create({
+    requestBody: {
+      properties: { title: sheetName },
+      sheets: [
+        { properties: { title: 'Plant Data', index: 0 } },
+        { properties: { title: 'Column Sources', index: 1 } },
+        { properties: { title: 'Prompts', index: 2 } }
+      ]
+    }
+  });
+
+  const spreadsheetId = createResponse.data.spreadsheetId;
+
+  const fileResponse = await drive.files.get({
+    fileId: spreadsheetId,
+    fields: 'parents'
+  });
+
+  const previousParents = fileResponse.data.parents ? fileResponse.data.parents.join(',') : '';
+
+  await drive.files.update({
+    fileId: spreadsheetId,
+    addParents: folderId,
+    removeParents: previousParents,
+    fields: 'id, parents'
+  });
+
+  await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: 'Plant Data!A1',
+    valueInputOption: 'RAW',
+    requestBody: { values: [content.headers] }
+  });
+
+  await writeDocumentationTabs(spreadsheetId, content);
+
+  console.log(`Created spreadsheet with ${content.columnSources.length - 1} column source entries and ${content.prompts.length - 1} prompt entries`);
+
+  return {
+    spreadsheetId,
+    spreadsheetUrl: createResponse.data.spreadsheetUrl
+  };
+}
+
+/**
+ * Add any missing documentation tabs, then rewrite them
+ * (modules and prompts may have changed since the spreadsheet was created)
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {Object} content - { columnSources, prompts }
+ */
+async function ensureDocumentationTabs(spreadsheetId, content) {
+  const sheets = await getSheetsClient();
+
+  const spreadsheet = await sheets.spreadsheets.get({
+    spreadsheetId,
+    fields: 'sheets.properties.title'
+  });
+
+  const existingSheets = spreadsheet.data.sheets.map(s => s.properties.title);
+  const requests = DOCUMENTATION_TABS
+    .filter(title => !existingSheets.includes(title))
+    .map(title => ({
+      addSheet: {
+        properties: { title, index: DOCUMENTATION_TABS.indexOf(title) + 1 }
+      }
+    }));
+
+  if (requests.length > 0) {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: { requests }
+    });
+    console.log(`Created missing tabs: ${requests.map(r => r.addSheet.properties.title).join(', ')}`);
+  }
+
+  await writeDocumentationTabs(spreadsheetId, content);
+
+  console.log(`Updated Column Sources (${content.columnSources.length - 1} entries) and Prompts (${content.prompts.length - 1} entries)`);
+}
+
+/**
+ * Insert or update Plant Data rows, matching existing rows by Genus + Species
+ * Existing rows are overwritten in place. Species not yet in the sheet are appended
+ * for full updates; partial (header-selected) updates skip them and count them as missing.
+ * Cells are located by the sheet's own header row, so column order in the sheet
+ * does not need to match the caller's headers.
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {Array<Object>} rows - Row values keyed by header (must include Genus and Species)
+ * @param {Object} [options] - Upsert options
+ * @param {Array<string>} [options.headers] - When set, only these cells are written for existing rows
+ * @param {Array<string>} [options.fallbackHeaders] - Header row to assume if the sheet has none
+ * @returns {Promise<Object>} Counts of updated, appended and missing rows
+ */
+export async function upsertSheetRows(spreadsheetId, rows, options = {}) {
+  const { headers: onlyHeaders = null, fallbackHeaders = [] } = options;
+  const summary = { updated: 0, appended: 0, missing: 0 };
+
+  if (!rows || rows.length === 0) {
+    return summary;
+  }
+
+  const sheets = await getSheetsClient();
+
+  const response = await sheets.spreadsheets.values.batchGet({
+    spreadsheetId,
+    ranges: ['Plant Data!1:1', 'Plant Data!A:B']
+  });
+  const [headerRange, nameRange] = response.data.valueRanges || [];
+
+  const sheetHeaders = headerRange?.values?.[0] || fallbackHeaders;
+  const existingRows = nameRange?.values || [];
+
+  // species key -> 1-based sheet row number
+  const rowNumbers = new Map();
+  for (let i = 1; i < existingRows.length; i++) {
+    const [genus, species] = existingRows[i] || [];
+    if (genus && species) {
+      rowNumbers.set(speciesKey(genus, species), i + 1);
+    }
+  }
+
+  const updates = [];
+  const appends = [];
+
+  for (const values of rows) {
+    const rowNumber = rowNumbers.get(speciesKey(values.Genus, values.Species));
+
+    if (!rowNumber && onlyHeaders) {
+      summary.missing++;
+      continue;
+    }
+
+    if (!rowNumber) {
+      appends.push(sheetHeaders.map(header => values[header] ?? ''));
+      continue;
+    }
+
+    if (!onlyHeaders) {
+      // Full overwrite: write every known column, leave unknown columns untouched
+      sheetHeaders.forEach((header, colIndex) => {
+        if (header in values) {
+          updates.push({
+            range: `Plant Data!${columnIndexToLetter(colIndex)}${rowNumber}`,
+            values: [[values[header]]]
+          });
+        }
+      });
+    } else {
+      for (const header of onlyHeaders) {
+        const colIndex = sheetHeaders.indexOf(header);
+        if (colIndex === -1) {
+          console.warn(`[upsert] Column "${header}" not found in sheet header - skipped`);
+          continue;
+        }
+        updates.push({
+          range: `Plant Data!${columnIndexToLetter(colIndex)}${rowNumber}`,
+          values: [[values[header] ?? '']]
+        });
+      }
+    }
+    summary.updated++;
+  }
+
+  if (updates.length > 0) {
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        valueInputOption: 'RAW',
+        data: updates
+      }
+    });
+  }
+
+  if (appends.length > 0) {
+    await sheets.spreadsheets.values.append({
+      spreadsheetId,
+      range: 'Plant Data!A2',
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: {
+        values: appends
+      }
+    });
+    summary.appended = appends.length;
+  }
+
+  return summary;
+}
+
+/**
+ * Create a Google Sheets sink
+ * @param {Object} options - Sink options
+ * @param {string} options.name - Spreadsheet name (found or created)
+ * @param {string} options.folderName - Drive folder to look in / create in
+ * @returns {Object} Output sink
+ */
+export function createGoogleSheetsSink({ name, folderName }) {
+  let spreadsheetId = null;
+  let spreadsheetUrl = null;
+  let headers = [];
+
+  return {
+    type: 'google-sheets',
+
+    get location() {
+      return spreadsheetUrl;
+    },
+
+    async open(content) {
+      headers = content.headers;
+
+      console.log(`\nLooking for folder: ${folderName}`);
+      const folderId = await findFolderByName(folderName);
+      if (!folderId) {
+        throw new Error(`Folder "${folderName}" not found in Google Drive`);
+      }
+      console.log(`Found folder (ID: ${folderId})`);
+
+      let existingKeys = new Set();
+      const existingSheet = await findSheetByName(name, folderId);
+
+      if (existingSheet) {
+        console.log(`\nFound existing sheet: ${name}`);
+        spreadsheetId = existingSheet.id;
+        spreadsheetUrl = `https://docs.google.com/spreadsheets/d/${spreadsheetId}`;
+
+        const sheets = await getSheetsClient();
+        const { plan } = await migratePlantDataSheet(sheets, spreadsheetId, headers);
+        if (plan.needed) {
+          console.log('Migrated Plant Data columns to match the current column registry');
+        }
+        await ensureDocumentationTabs(spreadsheetId, content);
+
+        existingKeys = await getExistingSpecies(spreadsheetId);
+      } else {
+        console.log(`\nSheet not found. Creating new sheet: ${name}`);
+        const sheetInfo = await createSpreadsheet(name, folderId, content);
+        spreadsheetId = sheetInfo.spreadsheetId;
+        spreadsheetUrl = sheetInfo.spreadsheetUrl;
+        console.log(`Created new sheet (ID: ${spreadsheetId})`);
+      }
+
+      return { location: spreadsheetUrl, existingKeys };
+    },
+
+    async writeRow(values, options = {}) {
+      const { update = false, headers: onlyHeaders = null } = options;
+
+      if (update) {
+        return upsertSheetRows(spreadsheetId, [values], { headers: onlyHeaders, fallbackHeaders: headers });
+      }
+
+      const sheets = await getSheetsClient();
+      await sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: 'Plant Data!A2',
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: {
+          values: [headers.map(header => values[header] ?? '')]
+        }
+      });
+      return { updated: 0, appended: 1, missing: 0 };
+    },
+
+    async close() {}
+  };
+}
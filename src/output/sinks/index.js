@@ -0,0 +1,162 @@
+/**
+ * Output Sinks
+ *
+ * Everything that saves plant data (production/run-batch.js, process-plant.js,
+ * batch-process-plants.js) writes through this interface, so a run can go to
+ * Google Sheets, to local files, or to several outputs at once.
+ *
+ * Sink types:
+ * - google-sheets: spreadsheet in the Drive output folder (default)
+ * - csv:    <directory>/<name>/plant-data.csv, column-sources.csv, prompts.csv
+ * - jsonl:  <directory>/<name>/plant-data.jsonl, column-sources.jsonl, prompts.jsonl
+ * - xlsx:   <directory>/<name>.xlsx with the three tabs as worksheets
+ * - sqlite: <directory>/<name>.sqlite with plant_data, column_sources and prompts tables
+ *
+ * Every sink exposes:
+ * - open({ headers, columnSources, prompts }) -> { location, existingKeys }
+ *     Creates the output or opens an existing one (migrating Plant Data to `headers`),
+ *     and rewrites Column Sources and Prompts. existingKeys holds the species already
+ *     present ("genus species", lowercase).
+ * - writeRow(values, { update, headers }) -> { updated, appended, missing }
+ *     values maps Plant Data header -> cell value. Append mode adds a row. Update mode
+ *     overwrites the row with the same Genus + Species (only `headers` cells when given);
+ *     unknown species are appended for full updates and counted as missing for partial ones.
+ * - close()
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createGoogleSheetsSink } from './google-sheets-sink.js';
+import { createCsvSink } from './csv-sink.js';
+import { createJsonlSink } from './jsonl-sink.js';
+import { createXlsxSink } from './xlsx-sink.js';
+import { createSqliteSink } from './sqlite-sink.js';
+import { speciesKey } from './sink-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.join(__dirname, '../../..');
+const config = JSON.parse(fs.readFileSync(path.join(PROJECT_ROOT, 'config/config.json'), 'utf-8'));
+
+const SINK_FACTORIES = {
+  'google-sheets': createGoogleSheetsSink,
+  'csv': createCsvSink,
+  'jsonl': createJsonlSink,
+  'xlsx': createXlsxSink,
+  'sqlite': createSqliteSink
+};
+
+export const OUTPUT_SINK_TYPES = Object.keys(SINK_FACTORIES);
+
+/**
+ * Get the sink types configured in config.json (output.sinks)
+ * @returns {Array<string>} Sink types, defaulting to ['google-sheets']
+ */
+export function getDefaultSinkTypes() {
+  return config.output.sinks?.length ? config.output.sinks : ['google-sheets'];
+}
+
+/**
+ * Parse a comma-separated sink list (e.g. from --output=csv,sqlite)
+ * @param {string|Array<string>} value - Sink list
+ * @returns {Array<string>} Sink types
+ * @throws {Error} If a type is unknown
+ */
+export function parseSinkTypes(value) {
+  const types = (Array.isArray(value) ? value : String(value).split(','))
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = types.filter(type => !SINK_FACTORIES[type]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown output type(s): ${unknown.join(', ')}. Available: ${OUTPUT_SINK_TYPES.join(', ')}`);
+  }
+  return types;
+}
+
+/**
+ * Create a single output sink
+ * @param {string} type - Sink type (see OUTPUT_SINK_TYPES)
+ * @param {Object} options - Sink options
+ * @param {string} options.name - Output name (spreadsheet name / file name)
+ * @param {string} [options.directory] - Base directory for local sinks (default: output.localDirectory)
+ * @param {string} [options.folderName] - Drive folder for google-sheets (default: configured output folder)
+ * @returns {Object} Output sink
+ */
+export function createOutputSink(type, options) {
+  const factory = SINK_FACTORIES[type];
+  if (!factory) {
+    throw new Error(`Unknown output type: ${type}. Available: ${OUTPUT_SINK_TYPES.join(', ')}`);
+  }
+  const directory = options.directory || path.join(PROJECT_ROOT, config.output.localDirectory || 'output');
+  const folderName = options.folderName || config.googleDrive.folders.outputFolder;
+  return factory({ ...options, directory, folderName });
+}
+
+/**
+ * Combine several sinks into one that writes to all of them
+ * A species counts as existing only if every sink already has it; in append mode
+ * each sink only receives species it doesn't have yet, so outputs that fell
+ * behind (e.g. a sink added mid-batch) catch up without duplicating rows.
+ * @param {Array<Object>} sinks - Sinks to combine
+ * @returns {Object} Output sink
+ */
+function combineSinks(sinks) {
+  const existingBySink = new Map();
+
+  return {
+    type: sinks.map(sink => sink.type).join('+'),
+
+    get location() {
+      return sinks.map(sink => sink.location).join(', ');
+    },
+
+    async open(content) {
+      let existingKeys = null;
+      for (const sink of sinks) {
+        const result = await sink.open(content);
+        existingBySink.set(sink, result.existingKeys);
+        existingKeys = existingKeys
+          ? new Set([...existingKeys].filter(key => result.existingKeys.has(key)))
+          : new Set(result.existingKeys);
+      }
+      return { location: sinks.map(sink => sink.location).join(', '), existingKeys };
+    },
+
+    async writeRow(values, options = {}) {
+      const key = speciesKey(values.Genus, values.Species);
+      const summary = { updated: 0, appended: 0, missing: 0 };
+
+      for (const sink of sinks) {
+        const existing = existingBySink.get(sink);
+        if (!options.update && existing.has(key)) continue;
+
+        const result = await sink.writeRow(values, options);
+        summary.updated = Math.max(summary.updated, result.updated);
+        summary.appended = Math.max(summary.appended, result.appended);
+        summary.missing = Math.max(summary.missing, result.missing);
+        if (!result.missing) existing.add(key);
+      }
+      return summary;
+    },
+
+    async close() {
+      for (const sink of sinks) {
+        await sink.close();
+      }
+    }
+  };
+}
+
+/**
+ * Create the sink(s) for a run
+ * @param {Array<string>} types - Sink types; several types write to all of them
+ * @param {Object} options - Options passed to each sink (see createOutputSink)
+ * @returns {Object} Output sink
+ */
+export function createOutputSinks(types, options) {
+  const sinks = types.map(type => createOutputSink(type, options));
+  return sinks.length === 1 ? sinks[0] : combineSinks(sinks);
+}
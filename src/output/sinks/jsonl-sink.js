@@ -0,0 +1,68 @@
+/**
+ * JSON Lines Output Sink
+ *
+ * Writes one .jsonl file per tab into <directory>/<name>/:
+ * - plant-data.jsonl     one object per species, keys in column order
+ * - column-sources.jsonl one object per column
+ * - prompts.jsonl        one object per prompt
+ *
+ * Values keep their types (numbers and booleans stay unquoted); object-valued
+ * columns hold the same pretty-printed JSON text as the Google Sheet.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLocalSink } from './local-sink.js';
+import { tableToObjects, objectsToTable, safeFileName } from './sink-utils.js';
+
+/**
+ * Format table rows (first row = headers) as JSON Lines
+ * @param {Array<Array>} table - Rows including the header row
+ * @returns {string} JSONL text
+ */
+function formatJsonl(table) {
+  return tableToObjects(table).map(object => JSON.stringify(object) + '\n').join('');
+}
+
+/**
+ * Create a JSON Lines sink
+ * @param {Object} options - Sink options
+ * @param {string} options.name - Output name (folder name under the directory)
+ * @param {string} options.directory - Base output directory
+ * @returns {Object} Output sink
+ */
+export function createJsonlSink({ name, directory }) {
+  const outputDir = path.join(directory, safeFileName(name));
+  const plantDataPath = path.join(outputDir, 'plant-data.jsonl');
+
+  const storage = {
+    async loadPlantData() {
+      if (!fs.existsSync(plantDataPath)) return null;
+      const objects = fs.readFileSync(plantDataPath, 'utf-8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+      // An empty file carries no header information; treat it as new
+      if (objects.length === 0) return null;
+      const [headers, ...rows] = objectsToTable(objects);
+      return { headers, rows };
+    },
+
+    async savePlantData(headers, rows) {
+      fs.mkdirSync(outputDir, { recursive: true });
+      fs.writeFileSync(plantDataPath, formatJsonl([headers, ...rows]), 'utf-8');
+    },
+
+    async appendPlantRow(headers, row) {
+      fs.appendFileSync(plantDataPath, formatJsonl([headers, row]), 'utf-8');
+    },
+
+    async saveDocuments(documents) {
+      fs.mkdirSync(outputDir, { recursive: true });
+      fs.writeFileSync(path.join(outputDir, 'column-sources.jsonl'), formatJsonl(documents['Column Sources']), 'utf-8');
+      fs.writeFileSync(path.join(outputDir, 'prompts.jsonl'), formatJsonl(documents['Prompts']), 'utf-8');
+    }
+  };
+
+  return createLocalSink('jsonl', outputDir, storage);
+}
@@ -0,0 +1,113 @@
+/**
+ * Local File Sink Core
+ *
+ * Shared open/write logic for the file-based sinks (CSV, JSONL, XLSX, SQLite).
+ * Each format only supplies a storage object that loads and saves tables;
+ * this module keeps the Plant Data table in memory, migrates its columns with
+ * the same rules as the Google Sheet (see sheet-migration.js) and decides
+ * whether a write appends or updates a row.
+ *
+ * Storage interface:
+ * - loadPlantData() -> { headers, rows } | null
+ * - savePlantData(headers, rows) - rewrite the whole Plant Data table
+ * - appendPlantRow(headers, row) - optional fast path for appends
+ * - saveDocuments({ 'Column Sources': table, 'Prompts': table }) - tables include header rows
+ * - close() - optional
+ */
+
+import { planSheetMigration, applyMigrationToRows, formatMigrationReport } from '../sheet-migration.js';
+import { speciesKey } from './sink-utils.js';
+
+/**
+ * Create a sink backed by local file storage
+ * @param {string} type - Sink type (for logging)
+ * @param {string} location - Output path shown to the user
+ * @param {Object} storage - Format-specific storage (see module comment)
+ * @returns {Object} Output sink
+ */
+export function createLocalSink(type, location, storage) {
+  let headers = [];
+  let rows = [];
+  const rowIndexes = new Map(); // species key -> index into rows
+
+  function indexRow(row, index) {
+    const genus = row[headers.indexOf('Genus')];
+    const species = row[headers.indexOf('Species')];
+    if (genus && species) {
+      rowIndexes.set(speciesKey(genus, species), index);
+    }
+  }
+
+  return {
+    type,
+    location,
+
+    async open({ headers: expectedHeaders, columnSources, prompts }) {
+      const existing = await storage.loadPlantData();
+
+      if (existing && existing.headers.length > 0) {
+        const plan = planSheetMigration(existing.headers, expectedHeaders);
+        headers = plan.targetHeaders;
+        rows = plan.needed ? applyMigrationToRows(existing.rows, plan) : existing.rows;
+
+        if (plan.needed) {
+          console.log(`[${type}-sink] Migrating ${location}`);
+          formatMigrationReport(plan, rows.length).forEach(line => console.log(line));
+          await storage.savePlantData(headers, rows);
+        }
+      } else {
+        headers = [...expectedHeaders];
+        rows = [];
+        await storage.savePlantData(headers, rows);
+      }
+
+      await storage.saveDocuments({
+        'Column Sources': columnSources,
+        'Prompts': prompts
+      });
+
+      rowIndexes.clear();
+      rows.forEach(indexRow);
+
+      return { location, existingKeys: new Set(rowIndexes.keys()) };
+    },
+
+    async writeRow(values, options = {}) {
+      const { update = false, headers: onlyHeaders = null } = options;
+      const key = speciesKey(values.Genus, values.Species);
+      const index = update ? rowIndexes.get(key) : undefined;
+
+      if (index === undefined) {
+        if (update && onlyHeaders) {
+          return { updated: 0, appended: 0, missing: 1 };
+        }
+        const row = headers.map(header => values[header] ?? '');
+        rows.push(row);
+        indexRow(row, rows.length - 1);
+        if (storage.appendPlantRow) {
+          await storage.appendPlantRow(headers, row);
+        } else {
+          await storage.savePlantData(headers, rows);
+        }
+        return { updated: 0, appended: 1, missing: 0 };
+      }
+
+      // Full updates overwrite every known column; partial updates only the selected ones
+      const row = rows[index];
+      headers.forEach((header, colIndex) => {
+        const selected = onlyHeaders ? onlyHeaders.includes(header) : header in values;
+        if (selected && header in values) {
+          row[colIndex] = values[header];
+        }
+      });
+      await storage.savePlantData(headers, rows);
+      return { updated: 1, appended: 0, missing: 0 };
+    },
+
+    async close() {
+      if (storage.close) {
+        await storage.close();
+      }
+    }
+  };
+}
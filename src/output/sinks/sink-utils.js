@@ -0,0 +1,59 @@
+/**
+ * Shared helpers for output sinks
+ */
+
+/**
+ * Build the lookup key used to match rows by botanical name
+ * @param {string} genus - Genus name
+ * @param {string} species - Species epithet
+ * @returns {string} Lowercase "genus species" key
+ */
+export function speciesKey(genus, species) {
+  return `${genus} ${species}`.toLowerCase().trim();
+}
+
+/**
+ * Convert a cell value to text for text-only formats (CSV, SQLite TEXT, XLSX strings)
+ * @param {*} value - Cell value
+ * @returns {string} Text value ('' for null/undefined)
+ */
+export function cellToText(value) {
+  return value == null ? '' : String(value);
+}
+
+/**
+ * Convert a 2D table (first row = headers) to an array of objects
+ * @param {Array<Array>} table - Rows including the header row
+ * @returns {Array<Object>} One object per data row, keyed by header
+ */
+export function tableToObjects(table) {
+  const [headers = [], ...rows] = table;
+  return rows.map(row => Object.fromEntries(headers.map((header, i) => [header, row[i] ?? ''])));
+}
+
+/**
+ * Convert an array of objects back to a 2D table (first row = headers)
+ * Headers are collected in first-seen order across all objects
+ * @param {Array<Object>} objects - Row objects
+ * @returns {Array<Array>} Rows including the header row
+ */
+export function objectsToTable(objects) {
+  const headers = [];
+  for (const object of objects) {
+    for (const key of Object.keys(object)) {
+      if (!headers.includes(key)) {
+        headers.push(key);
+      }
+    }
+  }
+  return [headers, ...objects.map(object => headers.map(header => object[header] ?? ''))];
+}
+
+/**
+ * Build a filesystem-safe name for an output
+ * @param {string} name - Output name (e.g. the sheet name)
+ * @returns {string} Name with path separators and reserved characters replaced
+ */
+export function safeFileName(name) {
+  return String(name).replace(/[\/\\:*?"<>|]+/g, '_').trim() || 'PlantData';
+}
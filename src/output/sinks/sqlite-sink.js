@@ -0,0 +1,162 @@
+/**
+ * SQLite Output Sink
+ *
+ * Writes <directory>/<name>.sqlite with three tables:
+ * - plant_data     one row per species, one TEXT/NUMERIC column per Plant Data header
+ * - column_sources one row per column (Column Sources tab)
+ * - prompts        one row per prompt (Prompts tab)
+ *
+ * Column names are the sheet headers (quoted), so queries read like the sheet:
+ *   SELECT "Genus", "Species", "Family" FROM plant_data WHERE "Native" = 'Yes'
+ *
+ * Uses sql.js (SQLite compiled to WebAssembly), so no native build is needed.
+ * The database file is rewritten after every write.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLocalSink } from './local-sink.js';
+import { cellToText, safeFileName } from './sink-utils.js';
+
+const TABLE_NAMES = {
+  'Plant Data': 'plant_data',
+  'Column Sources': 'column_sources',
+  'Prompts': 'prompts'
+};
+
+let sqlJsPromise = null;
+
+/**
+ * Load and initialise sql.js on first use
+ * @returns {Promise<Object>} sql.js module (with Database constructor)
+ */
+function loadSqlJs() {
+  if (!sqlJsPromise) {
+    sqlJsPromise = import('sql.js').then(module => (module.default || module)());
+  }
+  return sqlJsPromise;
+}
+
+/**
+ * Quote an identifier for SQLite
+ * @param {string} name - Column or table name
+ * @returns {string} Quoted identifier
+ */
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Convert a cell value to a value sql.js can bind (numbers stay numeric)
+ * @param {*} value - Cell value
+ * @returns {number|string} Bindable value
+ */
+function toSqlValue(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : cellToText(value);
+}
+
+/**
+ * Drop and recreate a table from headers and rows
+ * @param {Object} db - sql.js Database
+ * @param {string} tableName - Table name
+ * @param {Array<string>} headers - Column names
+ * @param {Array<Array>} rows - Data rows
+ */
+function replaceTable(db, tableName, headers, rows) {
+  db.run(`DROP TABLE IF EXISTS ${quoteIdentifier(tableName)}`);
+  if (headers.length === 0) return;
+  db.run(`CREATE TABLE ${quoteIdentifier(tableName)} (${headers.map(quoteIdentifier).join(', ')})`);
+  insertRows(db, tableName, headers, rows);
+}
+
+/**
+ * Insert rows into an existing table
+ * @param {Object} db - sql.js Database
+ * @param {string} tableName - Table name
+ * @param {Array<string>} headers - Column names
+ * @param {Array<Array>} rows - Data rows
+ */
+function insertRows(db, tableName, headers, rows) {
+  if (rows.length === 0) return;
+  const statement = db.prepare(
+    `INSERT INTO ${quoteIdentifier(tableName)} VALUES (${headers.map(() => '?').join(', ')})`
+  );
+  try {
+    for (const row of rows) {
+      statement.run(headers.map((_, i) => toSqlValue(row[i])));
+    }
+  } finally {
+    statement.free();
+  }
+}
+
+/**
+ * Create a SQLite sink
+ * @param {Object} options - Sink options
+ * @param {string} options.name - Output name (database file name)
+ * @param {string} options.directory - Base output directory
+ * @returns {Object} Output sink
+ */
+export function createSqliteSink({ name, directory }) {
+  const databasePath = path.join(directory, `${safeFileName(name)}.sqlite`);
+  let db = null;
+
+  async function getDatabase() {
+    if (!db) {
+      const SQL = await loadSqlJs();
+      db = fs.existsSync(databasePath)
+        ? new SQL.Database(fs.readFileSync(databasePath))
+        : new SQL.Database();
+    }
+    return db;
+  }
+
+  function saveDatabase() {
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(databasePath, Buffer.from(db.export()));
+  }
+
+  const storage = {
+    async loadPlantData() {
+      if (!fs.existsSync(databasePath)) return null;
+      const database = await getDatabase();
+      const columns = database.exec(`PRAGMA table_info(${TABLE_NAMES['Plant Data']})`);
+      if (columns.length === 0) return null;
+      // table_info rows are [cid, name, type, notnull, dflt_value, pk]
+      const headers = columns[0].values.map(column => column[1]);
+      const result = database.exec(`SELECT * FROM ${TABLE_NAMES['Plant Data']} ORDER BY rowid`);
+      const rows = result.length > 0 ? result[0].values.map(row => row.map(value => value ?? '')) : [];
+      return { headers, rows };
+    },
+
+    async savePlantData(headers, rows) {
+      const database = await getDatabase();
+      replaceTable(database, TABLE_NAMES['Plant Data'], headers, rows);
+      saveDatabase();
+    },
+
+    async appendPlantRow(headers, row) {
+      const database = await getDatabase();
+      insertRows(database, TABLE_NAMES['Plant Data'], headers, [row]);
+      saveDatabase();
+    },
+
+    async saveDocuments(documents) {
+      const database = await getDatabase();
+      for (const tabName of ['Column Sources', 'Prompts']) {
+        const [headers = [], ...rows] = documents[tabName];
+        replaceTable(database, TABLE_NAMES[tabName], headers, rows);
+      }
+      saveDatabase();
+    },
+
+    async close() {
+      if (db) {
+        db.close();
+        db = null;
+      }
+    }
+  };
+
+  return createLocalSink('sqlite', databasePath, storage);
+}
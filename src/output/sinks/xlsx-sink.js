@@ -0,0 +1,98 @@
+/**
+ * XLSX Output Sink
+ *
+ * Writes <directory>/<name>.xlsx with the same three worksheets as the
+ * Google Sheet: "Plant Data", "Column Sources" and "Prompts".
+ * The workbook is rewritten after every row so an interrupted batch keeps
+ * everything saved so far.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLocalSink } from './local-sink.js';
+import { safeFileName } from './sink-utils.js';
+
+const SHEET_NAMES = ['Plant Data', 'Column Sources', 'Prompts'];
+
+/**
+ * Load exceljs on first use so other sinks don't pay for it
+ * @returns {Promise<Object>} exceljs module
+ */
+async function loadExcelJs() {
+  const module = await import('exceljs');
+  return module.default || module;
+}
+
+/**
+ * Read a worksheet into plain rows (exceljs rows and cells are 1-based)
+ * @param {Object} worksheet - exceljs worksheet
+ * @returns {Array<Array>} Rows
+ */
+function readWorksheet(worksheet) {
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    for (let col = 1; col <= row.cellCount; col++) {
+      const value = row.getCell(col).value;
+      values.push(value == null ? '' : (typeof value === 'object' && 'text' in value ? value.text : value));
+    }
+    rows[rowNumber - 1] = values;
+  });
+  return Array.from(rows, row => row || []);
+}
+
+/**
+ * Create an XLSX sink
+ * @param {Object} options - Sink options
+ * @param {string} options.name - Output name (workbook file name)
+ * @param {string} options.directory - Base output directory
+ * @returns {Object} Output sink
+ */
+export function createXlsxSink({ name, directory }) {
+  const workbookPath = path.join(directory, `${safeFileName(name)}.xlsx`);
+  const tables = {
+    'Plant Data': [],
+    'Column Sources': [],
+    'Prompts': []
+  };
+
+  async function saveWorkbook() {
+    const ExcelJS = await loadExcelJs();
+    const workbook = new ExcelJS.Workbook();
+    for (const sheetName of SHEET_NAMES) {
+      const worksheet = workbook.addWorksheet(sheetName);
+      worksheet.addRows(tables[sheetName]);
+      worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+    }
+    fs.mkdirSync(directory, { recursive: true });
+    await workbook.xlsx.writeFile(workbookPath);
+  }
+
+  const storage = {
+    async loadPlantData() {
+      if (!fs.existsSync(workbookPath)) return null;
+      const ExcelJS = await loadExcelJs();
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(workbookPath);
+      const worksheet = workbook.getWorksheet('Plant Data');
+      if (!worksheet) return null;
+      // Keep the loaded table so saving the other tabs doesn't drop it
+      tables['Plant Data'] = readWorksheet(worksheet);
+      const [headers = [], ...rows] = tables['Plant Data'];
+      return { headers, rows };
+    },
+
+    async savePlantData(headers, rows) {
+      tables['Plant Data'] = [headers, ...rows];
+      await saveWorkbook();
+    },
+
+    async saveDocuments(documents) {
+      tables['Column Sources'] = documents['Column Sources'];
+      tables['Prompts'] = documents['Prompts'];
+      await saveWorkbook();
+    }
+  };
+
+  return createLocalSink('xlsx', workbookPath, storage);
+}
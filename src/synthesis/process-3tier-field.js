@@ -2,24 +2,58 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Anthropic from '@anthropic-ai/sdk';
+import { withRateLimit } from '../utils/rate-limiter.js';
+import { assertOnline, isNotCachedError, isOfflineMode } from '../utils/offline-mode.js';
+import { validateAgainstSchema } from '../utils/output-schema.js';
+import { reconcileTiers } from '../utils/tier-reconciliation.js';
+import { checkGrounding, summarizeGrounding } from '../utils/grounding-check.js';
+import { recordLlmUsage, assertWithinLlmBudget, isBudgetExceededError } from '../utils/llm-usage.js';
 import { refreshTier1Cache, readSpeciesTier1Data } from '../utils/drive-tier1-sync.js';
 import { refreshParsedPdfCache, readSpeciesParsedPdfs } from '../utils/drive-pdf-sync.js';
-import { getCachedTierResponse, cacheTierResponse } from '../utils/tiered-prompt-cache.js';
+import { getTaxonKey } from '../utils/taxon-identity.js';
+import { getCachedTierResponse, cacheTierResponse, cacheTierGrounding, cacheFieldConsensus } from '../utils/tiered-prompt-cache.js';
+import { buildLlmRequest, getLlmSettings } from '../utils/llm-config.js';
+import { getReviewTier1Source } from '../utils/review-store.js';
+import { readPromptContent, getFieldPromptVersions } from '../utils/prompt-versions.js';
+import { packSources, getSourcePackingSettings, summarizePacking } from '../utils/source-packer.js';
+import { getCacheRoot } from '../utils/cache-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const PROMPTS_DIR = path.join(__dirname, '../../prompts');
-const MICHIGAN_FLORA_CACHE = path.join(__dirname, '../../cache/MichiganFlora/SpeciesData');
+const FIELD_MANIFEST_PATH = path.join(__dirname, '../../config/3tier-fields.json');
 
 const anthropic = new Anthropic();
 
-function readPromptFile(fileName) {
-  const filePath = path.join(PROMPTS_DIR, fileName);
-  if (fs.existsSync(filePath)) {
-    return fs.readFileSync(filePath, 'utf-8');
-  }
-  return null;
+const DEFAULT_FIELD_DEPENDENCIES = ['botanical-name', 'michigan-flora', 'lakecounty-cache'];
+const DEFAULT_FIELD_SOURCE = 'Tiered LLM synthesis (Tier 1 trusted sources, Tier 2 secondary sources, Tier 3 independent model knowledge)';
+
+// Used when a field has no outputSchema (e.g. called directly with a field not in the manifest)
+const BASE_OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['value', 'attribution'],
+  properties: { value: { type: 'string' }, attribution: { type: 'string' } }
+};
+
+// Follow-up calls made when a response fails its output schema
+const MAX_REPAIR_ATTEMPTS = 1;
+const UNPARSED_ATTRIBUTION = 'Response not in expected JSON format';
+
+// Synthetic empty responses for tiers with no sources (saves API costs)
+const EMPTY_TIER1_RESPONSE = { value: '', attribution: 'No Tier 1 source data available' };
+const EMPTY_TIER2_RESPONSE = { value: '', attribution: 'No additional Tier 2 sources available' };
+
+const extractSourceFiles = (sources) => sources.map(s => s.fileName);
+
+// Tier 2 source entry carrying the Tier 1 answer (context, not a Tier 2 source)
+const TIER1_CONTEXT_FILE = 'tier1_response';
+
+// promptsDir (e.g. a prompt version under evaluation) only needs the files it
+// changes; anything missing there is read from prompts/. Version front-matter
+// is stripped, so it is never part of the prompt or its cache key.
+function readPromptFile(fileName, promptsDir = PROMPTS_DIR) {
+  return readPromptContent(fileName, promptsDir);
 }
 
 function normalizeGenus(genus) {
@@ -37,9 +71,7 @@ function normalizeGenus(genus) {
 }
 
 function getMichiganFloraData(genus, species) {
-  const normalizedGenus = normalizeGenus(genus);
-  const slugSpecies = species.trim().toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9×-]/g, '_');
-  const filePath = path.join(MICHIGAN_FLORA_CACHE, `${normalizedGenus}_${slugSpecies}_miflora.json`);
+  const filePath = path.join(getCacheRoot(), 'MichiganFlora/SpeciesData', `${getTaxonKey(genus, species)}_miflora.json`);
   
   if (fs.existsSync(filePath)) {
     try {
@@ -56,7 +88,7 @@ function getSpeciesJsonFromCacheDir(cacheDir, sourceName, genus, species) {
     return [];
   }
   
-  const pattern = `${genus}_${species}`.toLowerCase();
+  const pattern = getTaxonKey(genus, species).toLowerCase();
   const results = [];
   
   try {
@@ -80,7 +112,7 @@ function getSpeciesJsonFromCacheDir(cacheDir, sourceName, genus, species) {
 
 function gatherAllSecondarySourcesForSpecies(genus, species) {
   const sources = [];
-  const cacheBase = path.join(__dirname, '../../cache');
+  const cacheBase = getCacheRoot();
   
   // Missouri Seedling Guide (explicit Tier 2 source)
   sources.push(...getSpeciesJsonFromCacheDir(
@@ -123,10 +155,16 @@ function gatherTier1Sources(genus, species) {
   const tier1DriveData = readSpeciesTier1Data(genus, species);
   sources.push(...tier1DriveData);
   
+  // Reviewer corrections for the species (only with reviews.useAsTier1Source on)
+  const reviewSource = getReviewTier1Source(genus, species);
+  if (reviewSource) {
+    sources.push(reviewSource);
+  }
+  
   const miFloraData = getMichiganFloraData(genus, species);
   if (miFloraData) {
     sources.push({
-      fileName: `${genus}_${species}_miflora.json`,
+      fileName: `${getTaxonKey(genus, species)}_miflora.json`,
       source: 'Michigan Flora',
       content: miFloraData
     });
@@ -147,6 +185,11 @@ function gatherTier1Sources(genus, species) {
   return sources;
 }
 
+// Whether a species has any Tier 1 source cached (so a Tier 1 prompt is built)
+export function hasTier1Sources(genus, species) {
+  return gatherTier1Sources(genus, species).length > 0;
+}
+
 function gatherTier2Sources(genus, species, tier1ResponseObj) {
   // Gather actual Tier 2 secondary sources (GBIF, iNaturalist, BONAP, etc.)
   const secondarySources = gatherAllSecondarySourcesForSpecies(genus, species);
@@ -160,7 +203,7 @@ function gatherTier2Sources(genus, species, tier1ResponseObj) {
   // Note: This is context, NOT a Tier 2 trusted source
   if (tier1ResponseObj) {
     allSources.push({
-      fileName: 'tier1_response',
+      fileName: TIER1_CONTEXT_FILE,
       source: 'Tier 1 Response (for context)',
       content: tier1ResponseObj
     });
@@ -172,69 +215,168 @@ function gatherTier2Sources(genus, species, tier1ResponseObj) {
   };
 }
 
-function formatSourcesForPrompt(sources) {
-  if (sources.length === 0) {
-    return 'No source data available for this species.';
+// Tier prompts are split into a prefix that is the same for every field of a
+// species and tier (base prompt, tier guidance, species, source data) and a
+// per-field suffix (field guidance, the Tier 1 answer for Tier 2, output format).
+// The prefix is sent with a cache breakpoint so Anthropic's prompt cache serves
+// it to the other ~25 fields of the species. text (prefix + suffix) is the
+// prompt as stored and keyed in cache/TieredPrompts.
+// Sources are packed into the tier's token budget (config/source-packing.json).
+// Under budget the packed text is the same for every field; over budget the
+// passages closest to topic (the field prompt) are kept, so the prefix becomes
+// field-specific. packing reports what was sent and what was left out.
+function buildTierPrefix(tier, genus, species, sources, promptsDir = PROMPTS_DIR, topic = '') {
+  const basePrompt = readPromptFile('tiered_base_prompt.md', promptsDir) || '';
+  const tierGuidance = readPromptFile(`tier${tier}_prompt_guidance.md`, promptsDir) || '';
+  
+  let prefix = `${basePrompt}\n\n`;
+  prefix += `${tierGuidance}\n\n`;
+  prefix += `## Species\n\n`;
+  prefix += `Genus: ${genus}\n`;
+  prefix += `Species: ${species}\n\n`;
+  
+  let packing = null;
+  if (tier === 1) {
+    packing = packSources(sources, { ...getSourcePackingSettings(1), topic });
+    prefix += `## Tier 1 Source Data\n\n`;
+    prefix += `${packing.text}\n\n`;
+  } else if (tier === 2) {
+    // The Tier 1 answer differs per field, so it goes in the suffix rather than with the sources
+    packing = packSources(sources.filter(src => src.fileName !== TIER1_CONTEXT_FILE), { ...getSourcePackingSettings(2), topic });
+    prefix += `## Tier 2 Additional Source Data\n\n`;
+    prefix += `${packing.text}\n\n`;
   }
   
-  const parts = [];
-  for (const src of sources) {
-    parts.push(`--- Source: ${src.source} (${src.fileName}) ---`);
-    parts.push(JSON.stringify(src.content, null, 2));
-    parts.push('');
+  return { prefix, packing };
+}
+
+// Format prior tier responses as JSON for transparency (includes value + attribution)
+function formatTierResponse(tierObj) {
+  if (!tierObj) return 'No response available.';
+  return JSON.stringify(tierObj, null, 2);
+}
+
+function tier3Task(genus, species, topic) {
+  return `## Your Task\n\n` +
+    `Using only your general botanical knowledge and pattern recognition, independently report what you know about ${topic} for ${genus} ${species}. Do not attempt to complete or reference prior tier responses—this tier operates in isolation as a diagnostic of model knowledge.\n`;
+}
+
+// Consensus answers of the fields a field takes as inputs ([{ id, header, value }]),
+// as labelled context for Tiers 1 and 2. Tier 3 stays isolated from them. Being
+// part of the prompt text, they are part of the tier cache key, so a changed
+// upstream answer asks again.
+function formatFieldInputs(tier, fieldInputs) {
+  if (tier === 3 || fieldInputs.length === 0) return '';
+  
+  let section = `## Related Field Results\n\n`;
+  section += `Answers already given for related fields of this species. Use them for context and consistency; they are not sources and are not to be cited as such.\n\n`;
+  for (const input of fieldInputs) {
+    section += `### ${input.header} (${input.id})\n\n`;
+    section += `${input.value}\n\n`;
   }
-  return parts.join('\n');
+  return section;
 }
 
-function buildTierPrompt(tier, genus, species, fieldPromptContent, sources, priorTierResponses = {}) {
-  const basePrompt = readPromptFile('tiered_base_prompt.md') || '';
-  const tierGuidance = readPromptFile(`tier${tier}_prompt_guidance.md`) || '';
+function buildTierPrompt(tier, genus, species, fieldPromptContent, sources, priorTierResponses = {}, promptsDir = PROMPTS_DIR, fieldInputs = []) {
+  const { prefix, packing } = buildTierPrefix(tier, genus, species, sources, promptsDir, fieldPromptContent);
   
-  let prompt = `${basePrompt}\n\n`;
-  prompt += `${tierGuidance}\n\n`;
-  prompt += `## Species\n\n`;
-  prompt += `Genus: ${genus}\n`;
-  prompt += `Species: ${species}\n\n`;
-  prompt += `## Field-Specific Guidance\n\n`;
-  prompt += `${fieldPromptContent}\n\n`;
+  let suffix = `## Field-Specific Guidance\n\n`;
+  suffix += `${fieldPromptContent}\n\n`;
+  suffix += formatFieldInputs(tier, fieldInputs);
   
-  // Format prior tier responses as JSON for transparency (includes value + attribution)
-  function formatTierResponse(tierObj) {
-    if (!tierObj) return 'No response available.';
-    return JSON.stringify(tierObj, null, 2);
+  if (tier === 2) {
+    suffix += `## Tier 1 Response (for reference)\n\n`;
+    suffix += `${formatTierResponse(priorTierResponses.tier1)}\n\n`;
+  } else if (tier === 3) {
+    suffix += tier3Task(genus, species, 'this topic');
   }
   
-  if (tier === 1) {
-    prompt += `## Tier 1 Source Data\n\n`;
-    prompt += formatSourcesForPrompt(sources);
-  } else if (tier === 2) {
-    prompt += `## Tier 1 Response (for reference)\n\n`;
-    prompt += `${formatTierResponse(priorTierResponses.tier1)}\n\n`;
-    prompt += `## Tier 2 Additional Source Data\n\n`;
-    prompt += formatSourcesForPrompt(sources);
+  suffix += `\n## Output Format\n\n`;
+  suffix += `Respond with valid JSON matching this structure:\n`;
+  suffix += `{\n`;
+  suffix += `  "value": "Your response text here",\n`;
+  suffix += `  "attribution": "Description of sources used"\n`;
+  suffix += `}\n`;
+  
+  return { prefix, suffix, text: prefix + suffix, packing };
+}
+
+// Multi-field prompt: same prefix, then every field's guidance, answered as one
+// JSON object keyed by field id. fieldPrompts is [{ id, content }]; for Tier 2,
+// tier1Responses holds each field's Tier 1 answer by field id.
+function buildGroupTierPrompt(tier, genus, species, fieldPrompts, sources, tier1Responses = {}, promptsDir = PROMPTS_DIR, fieldInputs = []) {
+  const { prefix, packing } = buildTierPrefix(tier, genus, species, sources, promptsDir, fieldPrompts.map(field => field.content).join('\n\n'));
+  
+  let suffix = `## Fields\n\n`;
+  suffix += `Answer each of the following ${fieldPrompts.length} fields separately, following each field's own guidance.\n\n`;
+  for (const field of fieldPrompts) {
+    suffix += `### Field: ${field.id}\n\n`;
+    suffix += `${field.content}\n\n`;
+  }
+  suffix += formatFieldInputs(tier, fieldInputs);
+  
+  if (tier === 2) {
+    suffix += `## Tier 1 Responses (for reference)\n\n`;
+    suffix += `${JSON.stringify(tier1Responses, null, 2)}\n\n`;
   } else if (tier === 3) {
-    prompt += `## Your Task\n\n`;
-    prompt += `Using only your general botanical knowledge and pattern recognition, independently report what you know about this topic for ${genus} ${species}. Do not attempt to complete or reference prior tier responses—this tier operates in isolation as a diagnostic of model knowledge.\n`;
+    suffix += tier3Task(genus, species, 'each of these topics');
   }
   
-  prompt += `\n## Output Format\n\n`;
-  prompt += `Respond with valid JSON matching this structure:\n`;
-  prompt += `{\n`;
-  prompt += `  "value": "Your response text here",\n`;
-  prompt += `  "attribution": "Description of sources used"\n`;
-  prompt += `}\n`;
+  suffix += `\n## Output Format\n\n`;
+  suffix += `Respond with one valid JSON object with an entry for every field:\n`;
+  suffix += `{\n`;
+  suffix += fieldPrompts.map(field =>
+    `  "${field.id}": { "value": "Your response text here", "attribution": "Description of sources used" }`).join(',\n');
+  suffix += `\n}\n`;
   
-  return prompt;
+  return { prefix, suffix, text: prefix + suffix, packing };
 }
 
-async function callClaudeAPI(prompt) {
+// User message for a tier prompt, with a prompt-cache breakpoint after the shared prefix
+function buildTierMessages(tierPrompt) {
+  return [{
+    role: 'user',
+    content: [
+      { type: 'text', text: tierPrompt.prefix, cache_control: { type: 'ephemeral' } },
+      { type: 'text', text: tierPrompt.suffix }
+    ]
+  }];
+}
+
+// Model, max_tokens, temperature and system come from config/llm-models.json for
+// the module ('3tier-<fieldId>', or '3tier-group-<groupId>' for a multi-field
+// call) and tier; model (e.g. from an eval run) overrides the configured one.
+// A multi-field call gets max_tokens times the number of fields it answers.
+function buildTierRequest(moduleId, tier, messages, model = null, fieldCount = 1) {
+  const overrides = { model: model || undefined };
+  if (fieldCount > 1) {
+    overrides.maxTokens = getLlmSettings(moduleId, { tier }).maxTokens * fieldCount;
+  }
+  return buildLlmRequest(moduleId, messages, { tier, overrides });
+}
+
+// messages is a tier prompt's message list (buildTierMessages) or a repair follow-up.
+// llm replaces the Anthropic client (e.g. the eval harness's recorded/stub LLM):
+// llm(request, { genus, species, fieldId, tier }) resolves to an API-shaped response.
+async function callClaudeAPI(messages, { genus, species, fieldId, tier, model = null, llm = null, moduleId = `3tier-${fieldId}`, fieldCount = 1 }) {
+  if (!llm) {
+    assertOnline('anthropic', 'tier prompt');
+  }
+  assertWithinLlmBudget(moduleId);
+  
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1024,
-      messages: [
-        { role: 'user', content: prompt }
-      ]
+    const request = buildTierRequest(moduleId, tier, messages, model, fieldCount);
+    const response = llm
+      ? await llm(request, { genus, species, fieldId, tier })
+      : await withRateLimit('anthropic', () => anthropic.messages.create(request));
+    
+    recordLlmUsage({
+      model: response.model || request.model,
+      usage: response.usage,
+      module: moduleId,
+      tier,
+      genus,
+      species
     });
     
     if (response.content && response.content.length > 0) {
@@ -278,40 +420,210 @@ function parseResponse(responseText) {
   
   return {
     value: responseText,
-    attribution: 'Response not in expected JSON format'
+    attribution: UNPARSED_ATTRIBUTION
   };
 }
 
+// The field's value format without its pattern, enum and minimum length
+function withoutValueFormat(outputSchema) {
+  const valueSchema = outputSchema.properties?.value;
+  if (!valueSchema) return outputSchema;
+  const { pattern, enum: values, minLength, ...rest } = valueSchema;
+  return { ...outputSchema, properties: { ...outputSchema.properties, value: rest } };
+}
+
+// Parse a tier response and check it against the field's output schema.
+// Tiers 1 and 2 answer with an empty value when their sources don't cover the
+// field (or Tier 2 agrees with Tier 1), so the value's format only applies to
+// a non-empty value there.
+function parseAndValidate(responseText, outputSchema, tier) {
+  const response = parseResponse(responseText || '');
+  if (response.attribution === UNPARSED_ATTRIBUTION) {
+    return { response, errors: ['response is not a JSON object'] };
+  }
+  const schema = tier !== 3 && response.value === '' ? withoutValueFormat(outputSchema) : outputSchema;
+  return { response, errors: validateAgainstSchema(response, schema) };
+}
+
+// Re-ask with the original prompt, the rejected response and what was wrong with it.
+// For a multi-field prompt, fieldId names the one field being repaired.
+function buildRepairMessages(tierPrompt, responseText, errors, fieldId = null) {
+  const forField = fieldId ? ` for ${fieldId}` : '';
+  return [
+    ...buildTierMessages(tierPrompt),
+    { role: 'assistant', content: responseText || '(empty response)' },
+    {
+      role: 'user',
+      content: `Your response${forField} did not match the required output format:\n` +
+        errors.map(error => `- ${error}`).join('\n') +
+        `\n\nRespond again with only valid JSON of the form {"value": "...", "attribution": "..."}${forField}, ` +
+        `fixing these problems and keeping the content that was correct.`
+    }
+  ];
+}
+
+// Split a multi-field response into one response text per field. A field the
+// response leaves out gets '' (it then fails validation and is repaired).
+export function splitGroupResponse(responseText, fieldIds) {
+  let parsed = null;
+  try {
+    const jsonMatch = (responseText || '').match(/\{[\s\S]*\}/);
+    parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+  } catch (err) {
+    console.warn(`[3tier] Failed to parse multi-field response as JSON: ${err.message}`);
+  }
+  return Object.fromEntries(fieldIds.map(id => {
+    const entry = parsed?.[id];
+    return [id, entry && typeof entry === 'object' ? JSON.stringify(entry) : ''];
+  }));
+}
+
+function readFieldPrompts(fieldIds, promptsDir) {
+  return fieldIds.map(id => {
+    const content = readPromptFile(`${id}.md`, promptsDir);
+    if (!content) {
+      throw new Error(`Field prompt file not found: ${id}.md`);
+    }
+    return { id, content };
+  });
+}
+
+// Requests a Message Batches run (src/output/prefill-3tier-batches.js) submits
+// for one field, built exactly as process3TierField would build them so the
+// batch responses land under the same tier cache keys. Tiers with no sources or
+// an existing cache entry are left out. Tier 2 is built on the cached Tier 1
+// answer, so it can only be prepared once Tier 1 is cached (and valid).
+// A field in a multi-field group is prepared by the group's first field, with
+// one request for the whole group (groupFields lists the fields it answers).
+// Tiers 1 and 2 of a field with input fields depend on the upstream answers, so
+// without fieldInputs only its Tier 3 is prepared.
+// Returns [{ tier, prompt, sourceFiles, model, moduleId, groupFields, request }].
+export function prepareTierRequests(genus, species, fieldId, options = {}) {
+  const {
+    model = null,
+    promptsDir = PROMPTS_DIR,
+    forceRefresh = false,
+    multiField,
+    fieldInputs = null
+  } = options;
+  
+  const group = getActiveFieldGroup(fieldId, multiField);
+  if (group && group.fields[0] !== fieldId) {
+    return [];
+  }
+  const fieldIds = group ? group.fields : [fieldId];
+  const tiers = fieldInputs || !fieldIds.some(id => getFieldInputIds(id).length > 0)
+    ? options.tiers || [1, 3]
+    : (options.tiers || [1, 3]).filter(tier => tier === 3);
+  const inputs = resolveFieldInputs(fieldIds, fieldInputs);
+  const fieldPrompts = readFieldPrompts(fieldIds, promptsDir);
+  const moduleId = group ? `3tier-group-${group.id}` : `3tier-${fieldId}`;
+  const buildPrompt = (tier, sources, tier1Responses = {}) => group
+    ? buildGroupTierPrompt(tier, genus, species, fieldPrompts, sources, tier1Responses, promptsDir, inputs)
+    : buildTierPrompt(tier, genus, species, fieldPrompts[0].content, sources, { tier1: tier1Responses[fieldId] }, promptsDir, inputs);
+  
+  const tier1Sources = gatherTier1Sources(genus, species);
+  const prepared = [];
+  
+  const addTier = (tier, tierPrompt, sourceFiles) => {
+    const request = buildTierRequest(moduleId, tier, buildTierMessages(tierPrompt), model, fieldIds.length);
+    if (!forceRefresh && getCachedTierResponse(genus, species, fieldId, tier, tierPrompt.text, request).hit) {
+      return;
+    }
+    prepared.push({ tier, prompt: tierPrompt.text, sourceFiles, model: request.model, moduleId, groupFields: group?.fields, request });
+  };
+  
+  if (tiers.includes(1) && tier1Sources.length > 0) {
+    addTier(1, buildPrompt(1, tier1Sources), extractSourceFiles(tier1Sources));
+  }
+  
+  if (tiers.includes(2)) {
+    // Every field's Tier 1 answer must be cached and valid: an invalid one is
+    // repaired during the normal run, which changes the Tier 2 prompt
+    const tier1Responses = {};
+    if (tier1Sources.length > 0) {
+      const tier1Prompt = buildPrompt(1, tier1Sources);
+      const tier1Settings = buildTierRequest(moduleId, 1, [], model);
+      for (const id of fieldIds) {
+        const cached = getCachedTierResponse(genus, species, id, 1, tier1Prompt.text, tier1Settings);
+        const parsed = cached.hit ? parseAndValidate(cached.response, getFieldOutputSchema(id), 1) : null;
+        tier1Responses[id] = parsed && parsed.errors.length === 0 ? parsed.response : null;
+      }
+    } else {
+      for (const id of fieldIds) tier1Responses[id] = EMPTY_TIER1_RESPONSE;
+    }
+    const { actualSourceCount, allSources } = gatherTier2Sources(genus, species, tier1Responses[fieldId]);
+    if (Object.values(tier1Responses).every(Boolean) && actualSourceCount > 0) {
+      addTier(2, buildPrompt(2, allSources, tier1Responses), extractSourceFiles(allSources));
+    }
+  }
+  
+  if (tiers.includes(3)) {
+    addTier(3, buildPrompt(3, []), ['model_knowledge_only']);
+  }
+  
+  return prepared;
+}
+
+// Refresh the Drive caches Tier 1 and Tier 2 read (Tier 1 sources, parsed
+// PDFs); on a timeout or error the existing cache is used
+export async function syncTierSources(log = console.log) {
+  try {
+    await Promise.race([
+      refreshTier1Cache({ force: false, verbose: false }),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Tier1 sync timeout')), 30000))
+    ]);
+  } catch (err) {
+    log(`  [3tier] Tier 1 sync: ${err.message} - using existing cache`);
+  }
+  
+  try {
+    await Promise.race([
+      refreshParsedPdfCache({ force: false, verbose: false }),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Lake County sync timeout')), 30000))
+    ]);
+  } catch (err) {
+    log(`  [3tier] Lake County sync: ${err.message} - using existing cache`);
+  }
+}
+
+// Multi-field calls in flight, so the field modules of a group that run side by
+// side share one call instead of each making it
+const inFlightGroupCalls = new Map();
+
 export async function process3TierField(genus, species, fieldId, options = {}) {
-  const { verbose = true, forceRefresh = false, skipSync = false } = options;
+  const {
+    verbose = true,
+    forceRefresh = false,
+    skipSync = false,
+    outputSchema = getFieldOutputSchema(fieldId),
+    maxRepairAttempts = MAX_REPAIR_ATTEMPTS,
+    model = null,
+    promptsDir = PROMPTS_DIR,
+    llm = null,
+    useCache = true,
+    multiField,
+    fieldInputs = null
+  } = options;
   const log = verbose ? console.log : () => {};
   
-  log(`\n[3tier] Processing ${fieldId} for ${genus} ${species}`);
+  // Fields in a multi-field group are answered together: one call per tier
+  // returns every group field, and each field's part is cached under its own id
+  const group = getActiveFieldGroup(fieldId, multiField);
+  log(`\n[3tier] Processing ${fieldId} for ${genus} ${species}${group ? ` (multi-field group ${group.id})` : ''}`);
   
-  const fieldPromptContent = readPromptFile(`${fieldId}.md`);
-  if (!fieldPromptContent) {
-    throw new Error(`Field prompt file not found: ${fieldId}.md`);
-  }
+  const fieldPrompts = readFieldPrompts(group ? group.fields : [fieldId], promptsDir);
+  const fieldPromptContent = fieldPrompts.find(field => field.id === fieldId).content;
+  const moduleId = group ? `3tier-group-${group.id}` : `3tier-${fieldId}`;
+  // Answers of upstream fields ({ fieldId: { header, value } }) for the fields this call answers
+  const inputs = resolveFieldInputs(group ? group.fields : [fieldId], fieldInputs);
+  const buildPrompt = (tier, sources, priorTierResponses = {}) => group
+    ? buildGroupTierPrompt(tier, genus, species, fieldPrompts, sources, priorTierResponses.tier1, promptsDir, inputs)
+    : buildTierPrompt(tier, genus, species, fieldPromptContent, sources, priorTierResponses, promptsDir, inputs);
   
   // Only sync if not skipped (sync happens once per pipeline run via lakecounty-cache module)
   if (!skipSync) {
-    try {
-      await Promise.race([
-        refreshTier1Cache({ force: false, verbose: false }),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Tier1 sync timeout')), 30000))
-      ]);
-    } catch (err) {
-      log(`  [3tier] Tier 1 sync: ${err.message} - using existing cache`);
-    }
-    
-    try {
-      await Promise.race([
-        refreshParsedPdfCache({ force: false, verbose: false }),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Lake County sync timeout')), 30000))
-      ]);
-    } catch (err) {
-      log(`  [3tier] Lake County sync: ${err.message} - using existing cache`);
-    }
+    await syncTierSources(log);
   }
   
   const tier1Sources = gatherTier1Sources(genus, species);
@@ -325,33 +637,147 @@ export async function process3TierField(genus, species, fieldId, options = {}) {
   
   const prompts = {};
   
-  // Helper to extract filenames from sources array
-  const extractSourceFiles = (sources) => sources.map(s => s.fileName);
+  // null = synthetic empty response (not validated)
+  const validation = {
+    tier1: null,
+    tier2: null,
+    tier3: null
+  };
+  
+  // Tier 1/2 answers checked against the sources in their prompt (Tier 3 has none)
+  const grounding = {
+    tier1: null,
+    tier2: null
+  };
+  
+  // A group's calls (repairs included) use the group module's settings, which
+  // its cache entries are keyed on
+  const callContext = { genus, species, fieldId, model, llm, moduleId, fieldCount: group ? group.fields.length : 1 };
+  
+  // Settings each tier's request is sent with; model, system prompt and
+  // temperature are part of the tier cache key, so their responses never mix
+  const tierSettings = (tier) => buildTierRequest(moduleId, tier, [], model);
+  const tierModel = (tier) => tierSettings(tier).model;
   
-  // Synthetic empty responses for tiers with no sources (saves API costs)
-  const EMPTY_TIER1_RESPONSE = { value: '', attribution: 'No Tier 1 source data available' };
-  const EMPTY_TIER2_RESPONSE = { value: '', attribution: 'No additional Tier 2 sources available' };
+  // useCache: false (eval runs) neither reads nor writes cache/TieredPrompts
+  const cacheResponse = (tier, prompt, responseText, sourceFiles, responseFieldId = fieldId) => {
+    if (useCache) {
+      cacheTierResponse(genus, species, responseFieldId, tier, prompt, responseText, sourceFiles, tierSettings(tier));
+    }
+  };
+  
+  // Per-field parts of the group responses this call made, by tier
+  const groupResponses = {};
+  
+  // One call for the whole group; every field's part is cached, so the group's
+  // other field modules find theirs in the cache
+  async function callGroupTier(tier, tierPrompt, sourceFiles) {
+    const key = [genus, species, group.id, tier, tierModel(tier), tierPrompt.text].join('\n');
+    if (!inFlightGroupCalls.has(key)) {
+      const call = (async () => {
+        const responseText = await callClaudeAPI(buildTierMessages(tierPrompt), {
+          ...callContext, tier, fieldId: group.id
+        });
+        const parts = splitGroupResponse(responseText, group.fields);
+        for (const id of group.fields) {
+          cacheResponse(tier, tierPrompt.text, parts[id], sourceFiles, id);
+        }
+        return parts;
+      })();
+      inFlightGroupCalls.set(key, call);
+      call.catch(() => {}).finally(() => inFlightGroupCalls.delete(key));
+    }
+    groupResponses[tier] = await inFlightGroupCalls.get(key);
+    return groupResponses[tier][fieldId];
+  }
+  
+  // Tier 1 answers of the group's fields for the group's Tier 2 prompt: as
+  // cached (repaired, if that field's module has run), else from this run's call
+  function groupTier1Responses(tier1Prompt) {
+    return Object.fromEntries(group.fields.map(id => {
+      if (id === fieldId) return [id, results.tier1];
+      if (!tier1Prompt) return [id, EMPTY_TIER1_RESPONSE];
+      const cached = useCache ? getCachedTierResponse(genus, species, id, 1, tier1Prompt.text, tierSettings(1)) : { hit: false };
+      const responseText = cached.hit ? cached.response : groupResponses[1]?.[id];
+      return [id, responseText === undefined ? null : parseResponse(responseText)];
+    }));
+  }
+  
+  // Cached or fresh response for one tier, validated against the output schema.
+  // Invalid responses get up to maxRepairAttempts follow-up calls (not in offline
+  // mode); the last attempt is cached so reruns don't pay for the repair again.
+  // When sources are given, the answer's grounding evidence is cached with it.
+  async function runTier(tier, tierPrompt, sourceFiles, callLabel = '', sources = null) {
+    const prompt = tierPrompt.text;
+    let responseText;
+    const cacheResult = useCache ? getCachedTierResponse(genus, species, fieldId, tier, prompt, tierSettings(tier)) : { hit: false };
+    if (cacheResult.hit && !forceRefresh) {
+      log(`  [3tier] Tier ${tier}: cache hit`);
+      responseText = cacheResult.response;
+    } else if (group) {
+      log(`  [3tier] Tier ${tier}: calling Claude API for ${group.fields.length} fields${callLabel}...`);
+      responseText = await callGroupTier(tier, tierPrompt, sourceFiles);
+    } else {
+      log(`  [3tier] Tier ${tier}: calling Claude API${callLabel}...`);
+      responseText = await callClaudeAPI(buildTierMessages(tierPrompt), { ...callContext, tier });
+      cacheResponse(tier, prompt, responseText, sourceFiles);
+    }
+    
+    let { response, errors } = parseAndValidate(responseText, outputSchema, tier);
+    let repairAttempts = 0;
+    while (errors.length > 0 && repairAttempts < maxRepairAttempts && (llm || !isOfflineMode())) {
+      repairAttempts++;
+      log(`  [3tier] Tier ${tier}: failed validation (${errors.join('; ')}) - asking for a repair...`);
+      responseText = await callClaudeAPI(buildRepairMessages(tierPrompt, responseText, errors, group ? fieldId : null), { ...callContext, tier, model: tierModel(tier), fieldCount: 1 });
+      cacheResponse(tier, prompt, responseText, sourceFiles);
+      ({ response, errors } = parseAndValidate(responseText, outputSchema, tier));
+    }
+    
+    if (errors.length > 0) {
+      console.warn(`  [3tier] Tier ${tier}: response for ${fieldId} failed validation: ${errors.join('; ')}`);
+    }
+    
+    validation[`tier${tier}`] = { valid: errors.length === 0, errors, repairAttempts };
+    
+    if (sources) {
+      const cachedGrounding = cacheResult.hit && !forceRefresh && repairAttempts === 0 ? cacheResult.grounding : null;
+      grounding[`tier${tier}`] = cachedGrounding || checkGrounding(response.value, sources);
+      if (!cachedGrounding && useCache) {
+        cacheTierGrounding(genus, species, fieldId, tier, prompt, tierSettings(tier), grounding[`tier${tier}`]);
+      }
+      if (!grounding[`tier${tier}`].grounded) {
+        log(`  [3tier] Tier ${tier}: ${grounding[`tier${tier}`].unsupportedCount} sentence(s) not found in sources`);
+      }
+    }
+    
+    return response;
+  }
+  
+  // Source tokens sent per tier and what was left out to fit the budget
+  const sourcePacking = {
+    tier1: null,
+    tier2: null
+  };
+  
+  const reportPacking = (tier, packing) => {
+    if (packing.omitted.length > 0) {
+      log(`  [3tier] Tier ${tier}: sources packed to ~${packing.tokens} of ~${packing.totalTokens} tokens, ` +
+        `${packing.omitted.reduce((sum, item) => sum + item.passages, 0)} passage(s) left out`);
+    }
+    return summarizePacking(packing);
+  };
   
   // Tier 1: Short-circuit if no sources
+  let tier1Prompt = null;
   if (tier1Sources.length === 0) {
     log(`  [3tier] Tier 1: no sources, using synthetic empty response`);
     results.tier1 = EMPTY_TIER1_RESPONSE;
     prompts.tier1 = null; // No prompt built for empty tier
   } else {
-    const tier1Prompt = buildTierPrompt(1, genus, species, fieldPromptContent, tier1Sources);
-    prompts.tier1 = tier1Prompt;
-    const tier1SourceFiles = extractSourceFiles(tier1Sources);
-    
-    let tier1CacheResult = getCachedTierResponse(genus, species, fieldId, 1, tier1Prompt);
-    if (tier1CacheResult.hit && !forceRefresh) {
-      log(`  [3tier] Tier 1: cache hit`);
-      results.tier1 = parseResponse(tier1CacheResult.response);
-    } else {
-      log(`  [3tier] Tier 1: calling Claude API...`);
-      const tier1Response = await callClaudeAPI(tier1Prompt);
-      cacheTierResponse(genus, species, fieldId, 1, tier1Prompt, tier1Response, tier1SourceFiles);
-      results.tier1 = parseResponse(tier1Response);
-    }
+    tier1Prompt = buildPrompt(1, tier1Sources);
+    prompts.tier1 = tier1Prompt.text;
+    sourcePacking.tier1 = reportPacking(1, tier1Prompt.packing);
+    results.tier1 = await runTier(1, tier1Prompt, extractSourceFiles(tier1Sources), '', tier1Prompt.packing.sources);
   }
   
   // Pass full tier 1 response object (value + attribution) for transparency
@@ -365,54 +791,70 @@ export async function process3TierField(genus, species, fieldId, options = {}) {
     results.tier2 = EMPTY_TIER2_RESPONSE;
     prompts.tier2 = null; // No prompt built for empty tier
   } else {
-    const tier2Prompt = buildTierPrompt(2, genus, species, fieldPromptContent, tier2Sources, { tier1: results.tier1 });
-    prompts.tier2 = tier2Prompt;
-    const tier2SourceFiles = extractSourceFiles(tier2Sources);
-    
-    let tier2CacheResult = getCachedTierResponse(genus, species, fieldId, 2, tier2Prompt);
-    if (tier2CacheResult.hit && !forceRefresh) {
-      log(`  [3tier] Tier 2: cache hit`);
-      results.tier2 = parseResponse(tier2CacheResult.response);
-    } else {
-      log(`  [3tier] Tier 2: calling Claude API...`);
-      const tier2Response = await callClaudeAPI(tier2Prompt);
-      cacheTierResponse(genus, species, fieldId, 2, tier2Prompt, tier2Response, tier2SourceFiles);
-      results.tier2 = parseResponse(tier2Response);
-    }
+    const tier1Responses = group ? groupTier1Responses(tier1Prompt) : results.tier1;
+    const tier2Prompt = buildPrompt(2, tier2Sources, { tier1: tier1Responses });
+    prompts.tier2 = tier2Prompt.text;
+    sourcePacking.tier2 = reportPacking(2, tier2Prompt.packing);
+    // Grounded against what the prompt held: the packed sources and the Tier 1 answer
+    const tier2Grounding = [...tier2Prompt.packing.sources, ...tier2Sources.filter(src => src.fileName === TIER1_CONTEXT_FILE)];
+    results.tier2 = await runTier(2, tier2Prompt, extractSourceFiles(tier2Sources), '', tier2Grounding);
   }
   
   // Tier 3 operates independently - no prior tier context provided
-  const tier3Prompt = buildTierPrompt(3, genus, species, fieldPromptContent, [], {});
-  prompts.tier3 = tier3Prompt;
+  const tier3Prompt = buildPrompt(3, []);
+  prompts.tier3 = tier3Prompt.text;
   
-  let tier3CacheResult = getCachedTierResponse(genus, species, fieldId, 3, tier3Prompt);
-  if (tier3CacheResult.hit && !forceRefresh) {
-    log(`  [3tier] Tier 3: cache hit`);
-    results.tier3 = parseResponse(tier3CacheResult.response);
-  } else {
-    log(`  [3tier] Tier 3: calling Claude API (independent model knowledge)...`);
-    const tier3Response = await callClaudeAPI(tier3Prompt);
-    cacheTierResponse(genus, species, fieldId, 3, tier3Prompt, tier3Response, ['model_knowledge_only']);
-    results.tier3 = parseResponse(tier3Response);
+  results.tier3 = await runTier(3, tier3Prompt, ['model_knowledge_only'], ' (independent model knowledge)');
+  
+  // Compare the tiers and pick the consensus value (conflicts are flagged for review)
+  const consensus = reconcileTiers(results, { valuePattern: outputSchema?.properties?.value?.pattern });
+  if (consensus.needsReview) {
+    log(`  [3tier] Tiers disagree on ${fieldId} - flagged for review`);
+  }
+  if (useCache) {
+    cacheFieldConsensus(genus, species, fieldId, consensus);
   }
   
+  // Tier guidance is only recorded for the tiers that were asked
+  const promptVersions = Object.fromEntries(Object.entries(getFieldPromptVersions(fieldId, promptsDir))
+    .filter(([key]) => !key.startsWith('tier') || prompts[key]));
+  
   const mergedOutput = {
     _meta: {
       genus: normalizeGenus(genus),
       species: species.trim().toLowerCase(),
       fieldId,
-      processedAt: new Date().toISOString()
+      processedAt: new Date().toISOString(),
+      ...(group && { multiField: group.id }),
+      ...(inputs.length > 0 && { fieldInputs: inputs.map(input => input.id) }),
+      // Prompt versions and models this answer was generated with (see prompt-versions.js)
+      prompts: promptVersions,
+      models: Object.fromEntries([1, 2, 3]
+        .filter(tier => prompts[`tier${tier}`])
+        .map(tier => [`tier${tier}`, tierModel(tier)])),
+      validation: {
+        passed: Object.values(validation).every(tierValidation => !tierValidation || tierValidation.valid),
+        ...validation
+      },
+      sourcePacking,
+      // Summary only; quoted evidence is in the tier cache entries and result.grounding
+      grounding: {
+        tier1: grounding.tier1 && summarizeGrounding(grounding.tier1),
+        tier2: grounding.tier2 && summarizeGrounding(grounding.tier2)
+      }
     },
     tier1: results.tier1,
     tier2: results.tier2,
-    tier3: results.tier3
+    tier3: results.tier3,
+    consensus
   };
   
-  log(`  [3tier] Complete: ${fieldId}`);
+  log(`  [3tier] Complete: ${fieldId} (${consensus.status})`);
   
   return {
     merged: mergedOutput,
     prompts,
+    grounding,
     sourceStats: {
       tier1Count: tier1Sources.length,
       tier2Count: tier2ActualCount  // Actual Tier 2 sources, not including Tier 1 context
@@ -420,7 +862,14 @@ export async function process3TierField(genus, species, fieldId, options = {}) {
   };
 }
 
-export function createFieldModule(fieldId, columnName, algorithmDescription) {
+export function createFieldModule(fieldId, columnName, algorithmDescription, options = {}) {
+  const {
+    dependencies = DEFAULT_FIELD_DEPENDENCIES,
+    source = DEFAULT_FIELD_SOURCE,
+    outputSchema = null,
+    inputFields = []
+  } = options;
+  
   return {
     metadata: {
       id: `3tier-${fieldId}`,
@@ -429,20 +878,29 @@ export function createFieldModule(fieldId, columnName, algorithmDescription) {
         {
           id: `${fieldId}`,
           header: columnName,
-          source: 'Tiered LLM synthesis (Tier 1 trusted sources, Tier 2 secondary sources, Tier 3 independent model knowledge)',
+          source,
           algorithmDescription
         }
       ],
-      dependencies: ['botanical-name', 'michigan-flora', 'lakecounty-cache'],
+      dependencies,
+      outputSchema,
       description: `3-tier LLM prompting for ${columnName}. Tier 1 uses trusted sources, Tier 2 uses secondary sources, Tier 3 independently reports model knowledge as a diagnostic instrument.`
     },
     
     run: async function(genus, species, priorResults) {
       try {
+        // Consensus answers of the input fields, which ran before this module
+        const fieldInputs = Object.fromEntries(inputFields.map(input => [input.id, {
+          header: input.header,
+          value: priorResults?.[`3tier-${input.id}`]?._3tierData?.merged?.consensus?.value || ''
+        }]));
+        
         // Skip sync during pipeline runs - lakecounty-cache module already syncs
         const result = await process3TierField(genus, species, fieldId, { 
           verbose: true,
-          skipSync: true
+          skipSync: true,
+          outputSchema: outputSchema || BASE_OUTPUT_SCHEMA,
+          fieldInputs
         });
         
         return {
@@ -452,6 +910,10 @@ export function createFieldModule(fieldId, columnName, algorithmDescription) {
           _3tierData: result
         };
       } catch (error) {
+        // Offline cache miss: the pipeline marks the column as not cached.
+        // Budget reached: the pipeline stops the species
+        if (isNotCachedError(error) || isBudgetExceededError(error)) throw error;
+        
         console.error(`[3tier-${fieldId}] Error: ${error.message}`);
         return {
           columnValues: {
@@ -463,158 +925,194 @@ export function createFieldModule(fieldId, columnName, algorithmDescription) {
   };
 }
 
-export const seedColorModule = createFieldModule(
-  'collection_mature_seed_color',
-  'Seed Color at Maturity',
-  'Uses 3-tier LLM prompting: Tier 1 uses trusted sources (Google Drive Tier 1 folder, Michigan Flora, Lake County Guide), Tier 2 adds secondary sources (Missouri Seedling Guide) plus Tier 1 context, Tier 3 independently reports model knowledge. Returns merged JSON with all three tier responses.'
-);
-
-export const missRiskModule = createFieldModule(
-  'collection_miss_risk',
-  'Collection Miss Risk',
-  'Uses 3-tier LLM prompting to assess how easily seeds are lost before collection. Returns Low/Moderate/High enum with brief explanation.'
-);
-
-export const processingHazardsModule = createFieldModule(
-  'processing_hazards',
-  'Processing Hazards',
-  'Uses 3-tier LLM prompting to identify safety hazards during seed processing/handling. Notes irritants, toxins, spines, or allergenic properties.'
-);
-
-export const stratificationEcologyModule = createFieldModule(
-  'stratification_ecology',
-  'Germination Ecology / Real-World Behavior',
-  'Uses 3-tier LLM prompting to explain dormancy mechanisms, dispersal timing, and natural germination cues.'
-);
-
-export const stratificationRequirementsModule = createFieldModule(
-  'stratification_requirements',
-  'Stratification Requirements',
-  'Uses 3-tier LLM prompting to document artificial (fridge) stratification protocols with codes and plain-language explanation.'
-);
-
-export const stratificationRisksModule = createFieldModule(
-  'stratification_risks',
-  'Artificial Stratification Risks',
-  'Uses 3-tier LLM prompting to document pitfalls of fridge stratification including premature germination and mold risks.'
-);
-
-export const collectionQuantityNotesModule = createFieldModule(
-  'collection_quantity_notes',
-  'Collection Quantity Notes',
-  'Uses 3-tier LLM prompting to set expectations for typical seed yield per plant or stand.'
-);
-
-export const collectionReadinessCuesModule = createFieldModule(
-  'collection_readiness_cues',
-  'Readiness Collection Cues',
-  'Uses 3-tier LLM prompting to describe observable cues indicating harvest timing.'
-);
-
-export const collectionSafetyNuisancesModule = createFieldModule(
-  'collection_safety_nuisances',
-  'Collection Safety and Nuisance Notes',
-  'Uses 3-tier LLM prompting to document hazards and nuisances during seed collection.'
-);
-
-export const collectionToolsModule = createFieldModule(
-  'collection_tools',
-  'Some Useful Collection Tools',
-  'Uses 3-tier LLM prompting to list simple tools and containers for seed collection.'
-);
-
-export const collectionWhatToCollectModule = createFieldModule(
-  'collection_what_to_collect',
-  'What You Collect',
-  'Uses 3-tier LLM prompting to identify the physical unit collected (seeds, pods, etc.).'
-);
-
-export const collectionEaseModule = createFieldModule(
-  'collection_ease',
-  'Ease of Collection',
-  'Uses 3-tier LLM prompting to rate collection effort as Easy/Moderate/Difficult with brief explanation.'
-);
-
-export const collectionMatureSeedVisibilityModule = createFieldModule(
-  'collection_mature_seed_visibility',
-  'Seed Visibility at Maturity',
-  'Uses 3-tier LLM prompting to describe whether seeds are Visible/Hidden/Partly visible at maturity.'
-);
-
-export const identificationHabitatNotesModule = createFieldModule(
-  'identification_habitat_notes',
-  'Habitat Notes',
-  'Uses 3-tier LLM prompting to provide habitat context helpful for plant identification.'
-);
-
-export const collectionChallengesModule = createFieldModule(
-  'collection_challenges',
-  'Collection Challenges',
-  'Uses 3-tier LLM prompting to note practical obstacles to obtaining usable seed.'
-);
-
-export const collectionCleaningComplexityModule = createFieldModule(
-  'collection_cleaning_complexity',
-  'Seed Cleaning Complexity',
-  'Uses 3-tier LLM prompting to describe core cleaning approach including chaff, mesh, or steps.'
-);
-
-export const collectionDryingNeedsModule = createFieldModule(
-  'collection_drying_needs',
-  'Seed Drying Needs',
-  'Uses 3-tier LLM prompting to describe container-based drying after collection.'
-);
-
-export const collectionIdCautionsModule = createFieldModule(
-  'collection_id_cautions',
-  'Collection ID Cautions',
-  'Uses 3-tier LLM prompting to describe observable traits on target species at collection time.'
-);
-
-export const processingDifficultyModule = createFieldModule(
-  'processing_difficulty',
-  'Processing Difficulty',
-  'Uses 3-tier LLM prompting to rate overall difficulty of post-collection processing as Easy/Moderate/Difficult.'
-);
-
-export const processingNuggetsModule = createFieldModule(
-  'processing_nuggets',
-  'Processing Nuggets',
-  'Uses 3-tier LLM prompting to provide 1-2 high-leverage practical tips for processing.'
-);
-
-export const processingTimeLaborModule = createFieldModule(
-  'processing_time_labor',
-  'Processing Time / Labor',
-  'Uses 3-tier LLM prompting to describe magnitude of effort required for processing as Minimal/Moderate/High.'
-);
-
-export const storageHazardsModule = createFieldModule(
-  'storage_hazards',
-  'Other Storage Hazards / Warnings',
-  'Uses 3-tier LLM prompting to document storage hazards like pest attraction or volatiles.'
-);
-
-export const storageMoldRiskModule = createFieldModule(
-  'storage_mold_risk',
-  'Storage Mold Risk',
-  'Uses 3-tier LLM prompting to assess mold risk during storage.'
-);
-
-export const storageSafeFridgeModule = createFieldModule(
-  'storage_safe_fridge',
-  'Safe Storage Method – Dry Fridge',
-  'Uses 3-tier LLM prompting to describe dry refrigeration storage approach.'
-);
-
-export const storageSafeRoomTempModule = createFieldModule(
-  'storage_safe_room_temperature',
-  'Safe Storage Method – Room Temp',
-  'Uses 3-tier LLM prompting to describe short-term dry storage at room temperature.'
-);
-
-export const collectionSimilarSpeciesModule = createFieldModule(
-  'collection_similar_species',
-  'Similar Species / Distinguishing Features',
-  'Uses 3-tier LLM prompting to list species commonly confused with the target and how they differ.'
-);
+// Merge a field's outputSchema over the manifest default (properties merge by key)
+function resolveOutputSchema(defaultSchema = {}, fieldSchema = {}) {
+  return {
+    ...defaultSchema,
+    ...fieldSchema,
+    properties: { ...defaultSchema.properties, ...fieldSchema.properties }
+  };
+}
+
+// Fields and groups are read once per manifest path (the lookups below run for
+// every tier of every field); a manifest that fails validation is not cached
+const fieldManifests = new Map();
+const fieldGroupLists = new Map();
+
+export function loadFieldManifest(manifestPath = FIELD_MANIFEST_PATH) {
+  if (!fieldManifests.has(manifestPath)) {
+    fieldManifests.set(manifestPath, readFieldManifest(manifestPath));
+  }
+  return fieldManifests.get(manifestPath);
+}
+
+function readFieldManifest(manifestPath) {
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  const manifestName = path.basename(manifestPath);
+  const defaults = manifest.defaults || {};
+  const seen = new Set();
+  
+  const fields = (manifest.fields || []).map((field, index) => {
+    if (!field.id || !field.header) {
+      throw new Error(`${manifestName}: field #${index + 1} needs an "id" and a "header"`);
+    }
+    if (seen.has(field.id)) {
+      throw new Error(`${manifestName}: duplicate field id "${field.id}"`);
+    }
+    seen.add(field.id);
+    
+    if (!fs.existsSync(path.join(PROMPTS_DIR, `${field.id}.md`))) {
+      throw new Error(`${manifestName}: field "${field.id}" has no prompt file (prompts/${field.id}.md)`);
+    }
+    
+    return {
+      id: field.id,
+      header: field.header,
+      description: field.description || '',
+      enabled: field.enabled ?? defaults.enabled ?? true,
+      dependencies: field.dependencies || defaults.dependencies || DEFAULT_FIELD_DEPENDENCIES,
+      source: field.source || defaults.source || DEFAULT_FIELD_SOURCE,
+      outputSchema: resolveOutputSchema(defaults.outputSchema, field.outputSchema),
+      inputFields: field.inputFields || []
+    };
+  });
+  
+  validateFieldInputs(fields, manifestName);
+  return fields;
+}
+
+// inputFields must name other declared fields, without cycles
+function validateFieldInputs(fields, manifestName) {
+  const byId = new Map(fields.map(field => [field.id, field]));
+  for (const field of fields) {
+    for (const inputId of field.inputFields) {
+      if (!byId.has(inputId) || inputId === field.id) {
+        throw new Error(`${manifestName}: field "${field.id}" has an invalid input field "${inputId}"`);
+      }
+    }
+  }
+  
+  const done = new Set();
+  const visit = (field, trail) => {
+    if (done.has(field.id)) return;
+    if (trail.includes(field.id)) {
+      throw new Error(`${manifestName}: input fields form a cycle: ${[...trail, field.id].join(' -> ')}`);
+    }
+    for (const inputId of field.inputFields) {
+      visit(byId.get(inputId), [...trail, field.id]);
+    }
+    done.add(field.id);
+  };
+  fields.forEach(field => visit(field, []));
+}
+
+// Fields whose answers a field takes as input (manifest inputFields)
+function getFieldInputIds(fieldId) {
+  try {
+    return loadFieldManifest().find(entry => entry.id === fieldId)?.inputFields || [];
+  } catch (error) {
+    console.warn(`[3tier] Could not read field manifest: ${error.message}`);
+    return [];
+  }
+}
+
+// Input fields of the given fields with an answer in fieldInputs
+// ({ fieldId: { header, value } }), as [{ id, header, value }]
+function resolveFieldInputs(fieldIds, fieldInputs) {
+  const inputIds = [...new Set(fieldIds.flatMap(getFieldInputIds))];
+  return inputIds
+    .filter(id => fieldInputs?.[id]?.value)
+    .map(id => ({ id, header: fieldInputs[id].header, value: fieldInputs[id].value }));
+}
+
+// Multi-field groups from the manifest: [{ id, fields, multiField }]. A group's
+// fields must be declared in the manifest and belong to no other group; disabled
+// fields are left out of the group.
+export function loadFieldGroups(manifestPath = FIELD_MANIFEST_PATH) {
+  if (!fieldGroupLists.has(manifestPath)) {
+    fieldGroupLists.set(manifestPath, readFieldGroups(manifestPath));
+  }
+  return fieldGroupLists.get(manifestPath);
+}
+
+function readFieldGroups(manifestPath) {
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  const manifestName = path.basename(manifestPath);
+  const fields = new Map(loadFieldManifest(manifestPath).map(field => [field.id, field]));
+  const grouped = new Set();
+  
+  return (manifest.groups || []).map((group, index) => {
+    if (!group.id || !Array.isArray(group.fields) || group.fields.length === 0) {
+      throw new Error(`${manifestName}: group #${index + 1} needs an "id" and a "fields" list`);
+    }
+    for (const fieldId of group.fields) {
+      if (!fields.has(fieldId)) {
+        throw new Error(`${manifestName}: group "${group.id}" lists unknown field "${fieldId}"`);
+      }
+      if (grouped.has(fieldId)) {
+        throw new Error(`${manifestName}: field "${fieldId}" is in more than one group`);
+      }
+      grouped.add(fieldId);
+    }
+    const inputInGroup = group.fields.find(fieldId => fields.get(fieldId).inputFields.some(inputId => group.fields.includes(inputId)));
+    if (inputInGroup) {
+      throw new Error(`${manifestName}: field "${inputInGroup}" takes an input from its own group "${group.id}"`);
+    }
+    
+    return {
+      id: group.id,
+      fields: group.fields.filter(fieldId => fields.get(fieldId).enabled),
+      multiField: group.multiField ?? false
+    };
+  });
+}
+
+// Group a field is answered with in one call, or null for per-field calls.
+// multiField (true/false) overrides the group's setting in the manifest.
+function getActiveFieldGroup(fieldId, multiField) {
+  if (multiField === false) return null;
+  let group;
+  try {
+    group = loadFieldGroups().find(entry => entry.fields.includes(fieldId));
+  } catch (error) {
+    console.warn(`[3tier] Could not read field groups: ${error.message}`);
+    return null;
+  }
+  if (!group || group.fields.length < 2) return null;
+  return (multiField ?? group.multiField) ? group : null;
+}
+
+// Output schema for a field from the manifest (base schema if the field isn't declared)
+function getFieldOutputSchema(fieldId) {
+  try {
+    const field = loadFieldManifest().find(entry => entry.id === fieldId);
+    if (field) return field.outputSchema;
+  } catch (error) {
+    console.warn(`[3tier] Could not read field manifest: ${error.message}`);
+  }
+  return BASE_OUTPUT_SCHEMA;
+}
+
+// Registry factory: one synthesis module per enabled field in config/3tier-fields.json
+// A field's module depends on its enabled input fields. A field in a group also
+// waits for the inputs of the rest of its group, which a multi-field call uses.
+export function loadFieldModules() {
+  const fields = loadFieldManifest();
+  const byId = new Map(fields.map(field => [field.id, field]));
+  const groups = loadFieldGroups();
+  
+  return fields
+    .filter(field => field.enabled)
+    .map(field => {
+      const group = groups.find(entry => entry.fields.includes(field.id));
+      const inputIds = [...new Set((group ? group.fields : [field.id]).flatMap(id => byId.get(id).inputFields))];
+      const inputFields = inputIds
+        .filter(id => byId.get(id).enabled)
+        .map(id => ({ id, header: byId.get(id).header }));
+      return createFieldModule(field.id, field.header, field.description, {
+        ...field,
+        dependencies: [...field.dependencies, ...inputFields.map(input => `3tier-${input.id}`)],
+        inputFields
+      });
+    });
+}
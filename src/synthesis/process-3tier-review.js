@@ -0,0 +1,73 @@
+/**
+ * 3-Tier Review Flag Synthesis Module
+ *
+ * Collects the tier reconciliation of every 3-tier field for a species and
+ * lists the fields whose tiers conflict (e.g. Tier 3 model knowledge
+ * contradicting Tier 1 sources), so editors can filter rows that need review.
+ * Fields a reviewer has already corrected (src/utils/review-store.js) are not listed.
+ *
+ * Output Column:
+ * - Needs Review: Headers of conflicting fields (comma-separated), empty if none
+ *
+ * Data Source: consensus block of each 3-tier field (see src/utils/tier-reconciliation.js);
+ *   fields that are not part of the run use their last stored consensus, so a
+ *   --columns update of some fields does not clear flags on the others
+ * Dependencies: botanical-name; every enabled field in config/3tier-fields.json
+ *   is an optional dependency (runs first when it is part of the run)
+ */
+
+import { loadFieldManifest } from './process-3tier-field.js';
+import { getCachedFieldConsensus } from '../utils/tiered-prompt-cache.js';
+import { getSpeciesOverrides } from '../utils/review-store.js';
+
+const fields = loadFieldManifest().filter(field => field.enabled);
+
+export const metadata = {
+  id: '3tier-review',
+  name: '3-Tier Review Flag',
+  columns: [
+    {
+      id: 'needsReview',
+      header: 'Needs Review',
+      source: '3-tier field reconciliation',
+      algorithmDescription: 'Compares Tier 1, Tier 2 and Tier 3 responses of every 3-tier field (enum value for enum fields, content-word overlap for free text) and classifies each field as agree, partial, conflict or only-model-knowledge. Lists the headers of fields classified as conflict; empty when no field needs review.'
+    }
+  ],
+  dependencies: ['botanical-name'],
+  optionalDependencies: fields.map(field => `3tier-${field.id}`),
+  description: 'Flags species whose 3-tier fields have conflicting tier responses'
+};
+
+/**
+ * Module runner function for registry system
+ * @param {string} genus - The genus name
+ * @param {string} species - The species name
+ * @param {Object} priorResults - Results from previously executed modules
+ * @returns {Promise<Object>} Object with columnValues Record matching metadata.columns
+ */
+export async function run(genus, species, priorResults) {
+  // Fields that failed or aren't cached offline have no consensus; fields not
+  // in this run fall back to the consensus stored when they last ran
+  const reviewed = getSpeciesOverrides(genus, species);
+  const consensus = new Map(fields.map(field => {
+    const moduleId = `3tier-${field.id}`;
+    return [field.id, moduleId in priorResults
+      ? priorResults[moduleId]?._3tierData?.merged?.consensus
+      : getCachedFieldConsensus(genus, species, field.id)];
+  }));
+  const conflicting = fields.filter(field => consensus.get(field.id)?.needsReview && !reviewed[field.id]);
+  const unknown = fields.filter(field => !(`3tier-${field.id}` in priorResults) && !consensus.get(field.id));
+  if (unknown.length > 0) {
+    console.log(`  [3tier-review] ${genus} ${species}: no stored consensus for ${unknown.map(field => field.id).join(', ')} - not checked`);
+  }
+
+  if (conflicting.length > 0) {
+    console.log(`  [3tier-review] ${genus} ${species}: ${conflicting.length} field(s) need review`);
+  }
+
+  return {
+    columnValues: {
+      needsReview: conflicting.map(field => field.header).join(', ')
+    }
+  };
+}
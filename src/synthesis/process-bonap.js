@@ -12,6 +12,7 @@
  */
 
 import { getBONAPMapUrl } from '../utils/bonap-client.js';
+import { isNotCachedError } from '../utils/offline-mode.js';
 
 export const metadata = {
   id: 'bonap-range-map',
@@ -54,6 +55,9 @@ export async function run(genus, species, priorResults) {
     };
     
   } catch (error) {
+    // Offline cache miss: the pipeline marks the column as not cached
+    if (isNotCachedError(error)) throw error;
+    
     console.error(`[process-bonap] Error processing ${genus} ${species}:`, error.message);
     
     return {
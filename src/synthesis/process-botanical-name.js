@@ -1,4 +1,8 @@
 import Anthropic from '@anthropic-ai/sdk';
+import { withRateLimit } from '../utils/rate-limiter.js';
+import { assertOnline } from '../utils/offline-mode.js';
+import { recordLlmUsage } from '../utils/llm-usage.js';
+import { buildLlmRequest } from '../utils/llm-config.js';
 import { savePromptDebug } from '../utils/prompt-loader.js';
 
 const client = new Anthropic({
@@ -88,6 +92,8 @@ export async function run(genus, species, priorResults) {
  * @returns {Promise<Object>} Validation result with status and taxonomic information
  */
 export async function validateBotanicalName(botanicalName) {
+  assertOnline('anthropic', `botanical-name ${botanicalName}`);
+  
   // Validate inputs
   if (!process.env.ANTHROPIC_API_KEY) {
     throw new Error('ANTHROPIC_API_KEY environment variable is not set');
@@ -132,16 +138,11 @@ Respond with ONLY the JSON object, no markdown, no explanations.`;
     const parts = botanicalName.split(' ');
     savePromptDebug('botanical-name', parts[0] || 'unknown', parts[1] || 'unknown', prompt);
 
-    const message = await client.messages.create({
-      model: 'claude-sonnet-4-5',
-      max_tokens: 1024,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-    });
+    const message = await withRateLimit('anthropic', () => client.messages.create(
+      buildLlmRequest('botanical-name', [{ role: 'user', content: prompt }])
+    ));
+
+    recordLlmUsage({ model: message.model, usage: message.usage, module: 'botanical-name', genus: parts[0] || '', species: parts[1] || '' });
 
     // Aggregate all text content blocks (handles multi-block responses)
     let responseText = message.content
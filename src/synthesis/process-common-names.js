@@ -1,4 +1,8 @@
 import Anthropic from '@anthropic-ai/sdk';
+import { withRateLimit } from '../utils/rate-limiter.js';
+import { assertOnline } from '../utils/offline-mode.js';
+import { recordLlmUsage } from '../utils/llm-usage.js';
+import { buildLlmRequest } from '../utils/llm-config.js';
 import { savePromptDebug } from '../utils/prompt-loader.js';
 
 const client = new Anthropic({
@@ -46,6 +50,8 @@ export async function run(genus, species, priorResults) {
  * @returns {Promise<Object>} Object with array of common names
  */
 export async function findCommonNames(genus, species) {
+  assertOnline('anthropic', `common-names ${genus} ${species}`);
+  
   // Validate inputs
   if (!process.env.ANTHROPIC_API_KEY) {
     throw new Error('ANTHROPIC_API_KEY environment variable is not set');
@@ -95,16 +101,11 @@ Respond with ONLY the JSON object, no markdown, no explanations.`;
 
     savePromptDebug('common-names', genus, species, prompt);
 
-    const message = await client.messages.create({
-      model: 'claude-sonnet-4-5',
-      max_tokens: 1024,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-    });
+    const message = await withRateLimit('anthropic', () => client.messages.create(
+      buildLlmRequest('common-names', [{ role: 'user', content: prompt }])
+    ));
+
+    recordLlmUsage({ model: message.model, usage: message.usage, module: 'common-names', genus, species });
 
     // Aggregate all text content blocks (handles multi-block responses)
     let responseText = message.content
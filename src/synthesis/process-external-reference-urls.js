@@ -1,16 +1,20 @@
 import { getJson } from 'serpapi';
+import { withRateLimit } from '../utils/rate-limiter.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { findValidUrl } from '../utils/species-url-validator.js';
 import { fetchAndCachePageContent } from '../utils/page-content-client.js';
 import { readSerpCache, writeSerpCache } from '../utils/serpapi-cache.js';
+import { assertOnline, createNotCachedError, isOfflineMode } from '../utils/offline-mode.js';
+import { openCacheNamespace } from '../utils/cache-store.js';
+import { getTaxonKey } from '../utils/taxon-identity.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const CONFIG_PATH = path.join(__dirname, '../../config/external-reference-urls.json');
-const CACHE_DIR = path.join(__dirname, '../../cache/ExternalReferences');
+const cache = openCacheNamespace('ExternalReferences');
 
 // Module metadata for registry system
 export const metadata = {
@@ -56,29 +60,6 @@ function loadConfig() {
   return config;
 }
 
-/**
- * Ensure cache directory exists
- */
-function ensureCacheDir() {
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-  }
-}
-
-/**
- * Slugify a botanical name component for use in filenames
- * Preserves hybrid markers (×) and handles special characters safely
- * @param {string} name - The name component to slugify
- * @returns {string} Filesystem-safe slug
- */
-function slugify(name) {
-  return name
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, '-')           // spaces to hyphens
-    .replace(/[^a-z0-9×-]/g, '_');  // other special chars to underscores, keep × and -
-}
-
 /**
  * Normalize genus name: capitalize first alphabetic character, lowercase rest
  * Handles hybrid markers (×) at the start of genus names
@@ -103,15 +84,13 @@ function normalizeGenus(genus) {
 }
 
 /**
- * Generate cache file path for a species
+ * Generate cache key (file name) for a species
  * @param {string} genus - Genus name
  * @param {string} species - Species epithet
- * @returns {string} Full path to cache file
+ * @returns {string} Cache key
  */
-function getCachePath(genus, species) {
-  const slugGenus = slugify(normalizeGenus(genus));
-  const slugSpecies = slugify(species.trim().toLowerCase());
-  return path.join(CACHE_DIR, `${slugGenus}_${slugSpecies}_refURLs.json`);
+function getCacheKey(genus, species) {
+  return `${getTaxonKey(genus, species)}_refURLs.json`;
 }
 
 /**
@@ -122,25 +101,18 @@ function getCachePath(genus, species) {
  * @returns {Object|null} Cached URLs or null if not found
  */
 function readSpeciesCache(genus, species) {
-  const cachePath = getCachePath(genus, species);
-  if (fs.existsSync(cachePath)) {
-    try {
-      const content = fs.readFileSync(cachePath, 'utf-8');
-      const data = JSON.parse(content);
-      
-      // Handle new format with _meta
-      if (data._meta && data.urls) {
-        return data.urls;
-      }
-      
-      // Handle old format (flat URLs object)
-      return data;
-    } catch (error) {
-      console.error(`[external-reference-urls] Error reading cache: ${error.message}`);
-      return null;
-    }
+  const data = cache.read(getCacheKey(genus, species));
+  if (!data) {
+    return null;
   }
-  return null;
+  
+  // Handle new format with _meta
+  if (data._meta && data.urls) {
+    return data.urls;
+  }
+  
+  // Handle old format (flat URLs object)
+  return data;
 }
 
 /**
@@ -150,8 +122,6 @@ function readSpeciesCache(genus, species) {
  * @param {Object} urls - URLs data to cache
  */
 function writeSpeciesCache(genus, species, urls) {
-  ensureCacheDir();
-  const cachePath = getCachePath(genus, species);
   try {
     // Sort site keys alphabetically for consistent output
     const sortedUrls = {};
@@ -172,8 +142,9 @@ function writeSpeciesCache(genus, species, urls) {
       urls: sortedUrls
     };
     
-    fs.writeFileSync(cachePath, JSON.stringify(cacheData, null, 2), 'utf-8');
-    console.log(`[external-reference-urls] Cached URLs for ${genus} ${species}`);
+    if (cache.write(getCacheKey(genus, species), cacheData)) {
+      console.log(`[external-reference-urls] Cached URLs for ${genus} ${species}`);
+    }
   } catch (error) {
     console.error(`[external-reference-urls] Error writing cache: ${error.message}`);
   }
@@ -259,6 +230,7 @@ async function searchWithRetry(searchQuery, site, genus, species) {
   }
   
   // No cache - call SerpApi
+  assertOnline('serpapi', searchQuery);
   let delay = startDelayMs;
   let attempts = 0;
   
@@ -284,7 +256,7 @@ async function searchWithRetry(searchQuery, site, genus, species) {
         num: numResults
       };
       
-      const result = await getJson(params);
+      const result = await withRateLimit('serpapi', () => getJson(params));
       
       // Only cache if we got a valid response structure
       // (result should have organic_results array OR search_information indicating valid search)
@@ -366,6 +338,16 @@ export async function discoverAllUrls(genus, species) {
   }
   
   const cachedCount = Object.keys(cachedUrls).length;
+  
+  // Offline: serve whatever URLs are cached; nothing cached at all is a cache miss
+  if (isOfflineMode()) {
+    if (cachedCount === 0) {
+      throw createNotCachedError('external-reference-urls', `${genus} ${species}`);
+    }
+    console.log(`\nOffline: using ${cachedCount}/${cfg.sites.length} cached URLs for ${genus} ${species}`);
+    return urls;
+  }
+  
   console.log(`\nPartial cache for ${genus} ${species}: ${cachedCount}/${cfg.sites.length} sites cached`);
   console.log(`Discovering ${sitesToDiscover.length} missing URLs...`);
   
@@ -445,9 +427,7 @@ export function getCachedUrls(genus, species) {
  * @param {string} species - Species epithet
  */
 export function clearSpeciesCache(genus, species) {
-  const cachePath = getCachePath(genus, species);
-  if (fs.existsSync(cachePath)) {
-    fs.unlinkSync(cachePath);
+  if (cache.remove(getCacheKey(genus, species))) {
     console.log(`[external-reference-urls] Removed cache for ${genus} ${species}`);
   }
 }
@@ -458,40 +438,36 @@ export function clearSpeciesCache(genus, species) {
  * @returns {Array<Object>} Array of {genus, species, urlCount} objects
  */
 export function listCachedSpecies() {
-  ensureCacheDir();
-  
-  const files = fs.readdirSync(CACHE_DIR);
   const species = [];
   
-  for (const file of files) {
+  for (const file of cache.keys()) {
     if (!file.endsWith('_refURLs.json')) continue;
     
-    try {
-      const filePath = path.join(CACHE_DIR, file);
-      const content = fs.readFileSync(filePath, 'utf-8');
-      const data = JSON.parse(content);
-      
-      // New format with _meta
-      if (data._meta) {
+    const entry = cache.readEntry(file);
+    if (!entry) {
+      console.warn(`[external-reference-urls] Could not parse ${file}`);
+      continue;
+    }
+    const data = entry.data;
+    
+    // New format with _meta
+    if (data._meta) {
+      species.push({
+        genus: data._meta.genus,
+        species: data._meta.species,
+        urlCount: Object.keys(data.urls || {}).length,
+        cachedAt: data._meta.cachedAt
+      });
+    } else {
+      // Old format - try to extract from filename
+      const match = file.match(/^([^_]+)_(.+)_refURLs\.json$/);
+      if (match) {
         species.push({
-          genus: data._meta.genus,
-          species: data._meta.species,
-          urlCount: Object.keys(data.urls || {}).length,
-          cachedAt: data._meta.cachedAt
+          genus: match[1],
+          species: match[2].replace(/-/g, ' '),
+          urlCount: Object.keys(data).length
         });
-      } else {
-        // Old format - try to extract from filename
-        const match = file.match(/^([^_]+)_(.+)_refURLs\.json$/);
-        if (match) {
-          species.push({
-            genus: match[1],
-            species: match[2].replace(/-/g, ' '),
-            urlCount: Object.keys(data).length
-          });
-        }
       }
-    } catch (error) {
-      console.warn(`[external-reference-urls] Could not parse ${file}: ${error.message}`);
     }
   }
   
@@ -502,13 +478,11 @@ export function listCachedSpecies() {
  * Clear all cached URL data
  */
 export function clearAllCache() {
-  ensureCacheDir();
-  const files = fs.readdirSync(CACHE_DIR);
   let count = 0;
   
-  for (const file of files) {
+  for (const file of cache.keys()) {
     if (file.endsWith('_refURLs.json')) {
-      fs.unlinkSync(path.join(CACHE_DIR, file));
+      cache.remove(file);
       count++;
     }
   }
@@ -528,8 +502,6 @@ export function migrateFromSingleFile(oldCachePath, overwrite = false) {
     return { migrated: 0, skipped: 0 };
   }
   
-  ensureCacheDir();
-  
   try {
     const oldCache = JSON.parse(fs.readFileSync(oldCachePath, 'utf-8'));
     let migrated = 0;
@@ -548,8 +520,7 @@ export function migrateFromSingleFile(oldCachePath, overwrite = false) {
       const species = parts.slice(1).join(' ');
       
       // Check if already migrated
-      const newPath = getCachePath(genus, species);
-      if (fs.existsSync(newPath) && !overwrite) {
+      if (fs.existsSync(cache.filePath(getCacheKey(genus, species))) && !overwrite) {
         console.log(`[external-reference-urls] Already exists: ${genus} ${species}`);
         skipped++;
         continue;
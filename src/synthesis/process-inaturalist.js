@@ -7,12 +7,13 @@
  * - Wikipedia summary text
  * 
  * Data Source: iNaturalist API (taxa and histogram endpoints)
- * Caching: File-based in cache/iNaturalist/ directory
+ * Caching: "iNaturalist" namespace of the cache store (cache/iNaturalist/)
  * 
  * Dependencies: botanical-name, external-reference-urls
  */
 
 import { getTaxaData, getHistogramData } from '../utils/inaturalist-client.js';
+import { buildNotCachedColumnValues, isNotCachedError } from '../utils/offline-mode.js';
 
 // Module metadata for registry system
 export const metadata = {
@@ -38,7 +39,7 @@ export const metadata = {
       algorithmDescription: 'Summary text from the Wikipedia article for this species, retrieved through iNaturalist which maintains links to corresponding Wikipedia entries.'
     }
   ],
-  dependencies: ['botanical-name', 'external-reference-urls'],
+  dependencies: ['botanical-name', 'external-reference-urls', 'michigan-flora'],
   description: 'Appends Wikipedia URL to references, adds SE Michigan observation histogram and Wikipedia summary from iNaturalist'
 };
 
@@ -142,14 +143,20 @@ export async function run(genus, species, priorResults) {
     };
     
   } catch (error) {
-    console.error(`[process-inaturalist] Error processing ${genus} ${species}:`, error.message);
-    
     // On error, preserve existing URLs object and return empty for new columns
     const miFloraUrlData = priorResults?.['michigan-flora']?.columnValues?.externalReferenceUrls;
     const extRefUrlData = priorResults?.['external-reference-urls']?.columnValues?.externalReferenceUrls;
     const priorUrlData = miFloraUrlData || extRefUrlData;
     const urlsObject = cloneUrlsObject(priorUrlData);
     
+    // Offline cache miss: mark the iNaturalist columns as not cached instead
+    if (isNotCachedError(error)) {
+      console.log(`[process-inaturalist] ${error.message}`);
+      return { columnValues: buildNotCachedColumnValues(metadata.columns, { externalReferenceUrls: urlsObject }) };
+    }
+    
+    console.error(`[process-inaturalist] Error processing ${genus} ${species}:`, error.message);
+    
     return {
       columnValues: {
         externalReferenceUrls: urlsObject,
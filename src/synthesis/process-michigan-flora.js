@@ -16,8 +16,9 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { findByGenusSpecies } from '../utils/michigan-flora-client.js';
+import { getTaxonKey } from '../utils/taxon-identity.js';
+import { getCacheRoot } from '../utils/cache-store.js';
 import { 
   searchSpecies, 
   getSpeciesText, 
@@ -27,17 +28,21 @@ import {
   getCompleteSpeciesData 
 } from '../utils/michigan-flora-api-client.js';
 import { uploadJsonToDrive } from '../utils/drive-upload.js';
+import { buildNotCachedColumnValues, isNotCachedError } from '../utils/offline-mode.js';
 
 const DRIVE_SUBFOLDER = 'MichiganFloraData';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Under the cache root, so it follows configureCache()
+const JSON_OUTPUT_SUBDIR = 'MichiganFlora/SpeciesData';
 
-const JSON_OUTPUT_DIR = path.join(__dirname, '../../cache/MichiganFlora/SpeciesData');
+function getJsonOutputDir() {
+  return path.join(getCacheRoot(), JSON_OUTPUT_SUBDIR);
+}
 
 function ensureOutputDir() {
-  if (!fs.existsSync(JSON_OUTPUT_DIR)) {
-    fs.mkdirSync(JSON_OUTPUT_DIR, { recursive: true });
+  const dir = getJsonOutputDir();
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
   }
 }
 
@@ -57,18 +62,8 @@ function normalizeGenus(genus) {
   return normalized;
 }
 
-function slugify(name) {
-  return name
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, '-')
-    .replace(/[^a-z0-9×-]/g, '_');
-}
-
 function getJsonOutputPath(genus, species) {
-  const normalizedGenus = normalizeGenus(genus);
-  const slugSpecies = slugify(species.trim().toLowerCase());
-  return path.join(JSON_OUTPUT_DIR, `${normalizedGenus}_${slugSpecies}_miflora.json`);
+  return path.join(getJsonOutputDir(), `${getTaxonKey(genus, species)}_miflora.json`);
 }
 
 function stripHtml(html) {
@@ -257,8 +252,10 @@ export async function run(genus, species, priorResults) {
       
       try {
         const fileName = path.basename(jsonPath);
-        await uploadJsonToDrive(jsonContent, fileName, DRIVE_SUBFOLDER);
-        console.log(`[process-michigan-flora] Uploaded to Drive: ${DRIVE_SUBFOLDER}/${fileName}`);
+        const upload = await uploadJsonToDrive(jsonContent, fileName, DRIVE_SUBFOLDER);
+        if (upload.action !== 'skipped') {
+          console.log(`[process-michigan-flora] Uploaded to Drive: ${DRIVE_SUBFOLDER}/${fileName}`);
+        }
       } catch (uploadError) {
         console.warn(`[process-michigan-flora] Drive upload failed (non-fatal): ${uploadError.message}`);
       }
@@ -285,11 +282,17 @@ export async function run(genus, species, priorResults) {
     };
     
   } catch (error) {
-    console.error(`[process-michigan-flora] Error processing ${genus} ${species}:`, error.message);
-    
     const priorUrlData = priorResults?.['external-reference-urls']?.columnValues?.externalReferenceUrls;
     const urlsObject = cloneUrlsObject(priorUrlData);
     
+    // Offline cache miss: mark this module's columns but keep the URLs gathered so far
+    if (isNotCachedError(error)) {
+      console.log(`[process-michigan-flora] ${error.message}`);
+      return { columnValues: buildNotCachedColumnValues(metadata.columns, { externalReferenceUrls: urlsObject }) };
+    }
+    
+    console.error(`[process-michigan-flora] Error processing ${genus} ${species}:`, error.message);
+    
     return {
       columnValues: {
         coefficientC: '',
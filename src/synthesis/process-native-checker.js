@@ -1,4 +1,8 @@
 import Anthropic from '@anthropic-ai/sdk';
+import { withRateLimit } from '../utils/rate-limiter.js';
+import { assertOnline } from '../utils/offline-mode.js';
+import { recordLlmUsage } from '../utils/llm-usage.js';
+import { buildLlmRequest } from '../utils/llm-config.js';
 import { savePromptDebug } from '../utils/prompt-loader.js';
 
 const client = new Anthropic({
@@ -53,6 +57,8 @@ export async function run(genus, species, priorResults) {
  * @returns {Promise<Object>} Native status result with additional information
  */
 export async function checkMichiganNative(genus, species) {
+  assertOnline('anthropic', `native-checker ${genus} ${species}`);
+  
   // Validate inputs
   if (!process.env.ANTHROPIC_API_KEY) {
     throw new Error('ANTHROPIC_API_KEY environment variable is not set');
@@ -93,16 +99,11 @@ Respond with ONLY the JSON object, no markdown, no explanations.`;
 
     savePromptDebug('native-checker', genus, species, prompt);
 
-    const message = await client.messages.create({
-      model: 'claude-sonnet-4-5',
-      max_tokens: 512,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-    });
+    const message = await withRateLimit('anthropic', () => client.messages.create(
+      buildLlmRequest('native-checker', [{ role: 'user', content: prompt }])
+    ));
+
+    recordLlmUsage({ model: message.model, usage: message.usage, module: 'native-checker', genus, species });
 
     // Aggregate all text content blocks (handles multi-block responses)
     let responseText = message.content
@@ -8,15 +8,12 @@
  * Example: "Acer saccharophorum, Acer palmifolium, Acer saccharinum"
  */
 
-import { matchSpecies, getSynonyms } from '../utils/gbif-client.js';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { matchSpecies, getSynonyms, GBIF_BASE_URL } from '../utils/gbif-client.js';
+import { isNotCachedError } from '../utils/offline-mode.js';
+import { openCacheNamespace } from '../utils/cache-store.js';
+import { getTaxonKey } from '../utils/taxon-identity.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const CACHE_DIR = path.join(__dirname, '../../cache/GBIF');
+const cache = openCacheNamespace('GBIF');
 
 // Module metadata for registry system
 export const metadata = {
@@ -35,34 +32,23 @@ export const metadata = {
 };
 
 /**
- * Generate cache file path for a species
+ * Generate cache key (file name) for a species
  * @param {string} genus - The genus name
  * @param {string} species - The species name
- * @returns {string} Full path to cache file
+ * @returns {string} Cache key
  */
-function getCacheFilePath(genus, species) {
-  return path.join(CACHE_DIR, `${genus}_${species}_gbif.json`);
+function getCacheKey(genus, species) {
+  return `${getTaxonKey(genus, species)}_gbif.json`;
 }
 
 /**
- * Load cached GBIF data if it exists
+ * Load cached GBIF data if it exists and is fresh
  * @param {string} genus - The genus name
  * @param {string} species - The species name
- * @returns {Object|null} Cached data or null if not found
+ * @returns {Object|null} Cached data or null if not found or stale
  */
 function loadCache(genus, species) {
-  try {
-    const cachePath = getCacheFilePath(genus, species);
-    if (!fs.existsSync(cachePath)) {
-      return null;
-    }
-    
-    const cacheData = fs.readFileSync(cachePath, 'utf-8');
-    return JSON.parse(cacheData);
-  } catch (error) {
-    console.warn(`[process-previous-botanical] Cache read error for ${genus} ${species}:`, error.message);
-    return null;
-  }
+  return cache.read(getCacheKey(genus, species));
 }
 
 /**
@@ -70,21 +56,10 @@ function loadCache(genus, species) {
  * @param {string} genus - The genus name
  * @param {string} species - The species name
  * @param {Object} data - The data to cache
+ * @param {string} sourceUrl - GBIF API URL the data came from
  */
-function saveCache(genus, species, data) {
-  try {
-    const cachePath = getCacheFilePath(genus, species);
-    
-    // Ensure cache directory exists
-    if (!fs.existsSync(CACHE_DIR)) {
-      fs.mkdirSync(CACHE_DIR, { recursive: true });
-    }
-    
-    // Save with pretty-printing for human readability
-    fs.writeFileSync(cachePath, JSON.stringify(data, null, 2), 'utf-8');
-  } catch (error) {
-    console.error(`[process-previous-botanical] Cache write error for ${genus} ${species}:`, error.message);
-  }
+function saveCache(genus, species, data, sourceUrl) {
+  cache.write(getCacheKey(genus, species), data, { sourceUrl });
 }
 
 /**
@@ -129,7 +104,7 @@ export async function run(genus, species, priorResults) {
         synonyms: [],
         cachedAt: new Date().toISOString()
       };
-      saveCache(genus, species, emptyData);
+      saveCache(genus, species, emptyData, `${GBIF_BASE_URL}/match?name=${encodeURIComponent(`${genus} ${species}`)}`);
       
       return {
         columnValues: {
@@ -151,7 +126,7 @@ export async function run(genus, species, priorResults) {
       synonyms,
       cachedAt: new Date().toISOString()
     };
-    saveCache(genus, species, cacheData);
+    saveCache(genus, species, cacheData, `${GBIF_BASE_URL}/${matchResult.usageKey}/synonyms`);
     
     // Step 4: Format as comma-separated binomial names
     const synonymList = synonyms
@@ -166,6 +141,9 @@ export async function run(genus, species, priorResults) {
     };
     
   } catch (error) {
+    // Offline cache miss: the pipeline marks the column as not cached
+    if (isNotCachedError(error)) throw error;
+    
     // Log error but don't fail the entire pipeline
     // Return empty string to maintain column contract (don't pollute data with error messages)
     console.error(`[process-previous-botanical] Error processing ${genus} ${species}:`, error.message);
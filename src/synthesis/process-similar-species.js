@@ -1,4 +1,8 @@
 import Anthropic from '@anthropic-ai/sdk';
+import { withRateLimit } from '../utils/rate-limiter.js';
+import { assertOnline } from '../utils/offline-mode.js';
+import { recordLlmUsage } from '../utils/llm-usage.js';
+import { buildLlmRequest } from '../utils/llm-config.js';
 import { getClaudePayload } from '../utils/species-data-collector.js';
 import { renderPrompt, savePromptDebug } from '../utils/prompt-loader.js';
 
@@ -32,6 +36,8 @@ export async function run(genus, species, priorResults) {
 }
 
 export async function findSimilarSpecies(genus, species) {
+  assertOnline('anthropic', `similar-species ${genus} ${species}`);
+  
   if (!process.env.ANTHROPIC_API_KEY) {
     throw new Error('ANTHROPIC_API_KEY environment variable is not set');
   }
@@ -47,7 +53,11 @@ export async function findSimilarSpecies(genus, species) {
   const speciesName = `${genus} ${species}`;
   
   console.log(`  Collecting data sources for ${speciesName}...`);
-  const payload = await getClaudePayload(genus, species, { syncDrive: false, verbose: false });
+  const payload = await getClaudePayload(genus, species, {
+    syncDrive: false,
+    verbose: false,
+    topic: 'similar species look-alikes confused distinguishing features leaves flowers fruit seeds identification'
+  });
   
   console.log(`  Found ${payload.summary.parsedPdfCount} parsed PDFs, ${payload.summary.pageContentCount} web pages`);
   
@@ -61,16 +71,11 @@ export async function findSimilarSpecies(genus, species) {
   console.log(`  Sending to Claude API...`);
   
   try {
-    const message = await client.messages.create({
-      model: 'claude-sonnet-4-5',
-      max_tokens: 4096,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-    });
+    const message = await withRateLimit('anthropic', () => client.messages.create(
+      buildLlmRequest('similar-species', [{ role: 'user', content: prompt }])
+    ));
+
+    recordLlmUsage({ model: message.model, usage: message.usage, module: 'similar-species', genus, species });
 
     let responseText = message.content
       .filter(block => block.type === 'text')
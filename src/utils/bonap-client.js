@@ -12,31 +12,20 @@
  * 4. Cache result to avoid repeat lookups
  * 
  * Caching Strategy:
- * - File-based caching in cache/BONAP/
+ * - Cached in the "BONAP" namespace of the cache store (cache/BONAP/)
  * - Files named: Genus_species_bonap.json
  * - Caches both found URLs and "not found" results to prevent repeat searches
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { getJson } from 'serpapi';
+import { withRateLimit } from './rate-limiter.js';
+import { assertOnline } from './offline-mode.js';
+import { openCacheNamespace } from './cache-store.js';
+import { getTaxonKey } from './taxon-identity.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const CACHE_DIR = path.join(__dirname, '../../cache/BONAP');
+const cache = openCacheNamespace('BONAP');
 const BONAP_BASE_URL = 'http://bonap.net/MapGallery/County';
 
-/**
- * Ensure cache directory exists
- */
-function ensureCacheDir() {
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-  }
-}
-
 /**
  * Normalize genus name: capitalize first letter, lowercase rest
  * @param {string} genus - The genus name
@@ -48,35 +37,24 @@ function normalizeGenus(genus) {
 }
 
 /**
- * Generate cache file path for a species
+ * Generate cache key (file name) for a species
  * @param {string} genus - Genus name
  * @param {string} species - Species epithet
- * @returns {string} Full path to cache file
+ * @returns {string} Cache key
  */
-function getCachePath(genus, species) {
-  const cleanGenus = normalizeGenus(genus);
-  const cleanSpecies = species.trim().toLowerCase();
-  return path.join(CACHE_DIR, `${cleanGenus}_${cleanSpecies}_bonap.json`);
+function getCacheKey(genus, species) {
+  return `${getTaxonKey(genus, species)}_bonap.json`;
 }
 
 /**
  * Read cached data if available
  * @param {string} genus - Genus name
  * @param {string} species - Species epithet
- * @returns {Object|null} Cached data or null if not found
+ * @param {Object} [options] - Cache read options (allowStale)
+ * @returns {Object|null} Cached data or null if not found or stale
  */
-function readCache(genus, species) {
-  const cachePath = getCachePath(genus, species);
-  if (fs.existsSync(cachePath)) {
-    try {
-      const content = fs.readFileSync(cachePath, 'utf-8');
-      return JSON.parse(content);
-    } catch (error) {
-      console.error(`[bonap-client] Error reading cache: ${error.message}`);
-      return null;
-    }
-  }
-  return null;
+function readCache(genus, species, options) {
+  return cache.read(getCacheKey(genus, species), options);
 }
 
 /**
@@ -86,13 +64,7 @@ function readCache(genus, species) {
  * @param {Object} data - Data to cache
  */
 function writeCache(genus, species, data) {
-  ensureCacheDir();
-  const cachePath = getCachePath(genus, species);
-  try {
-    fs.writeFileSync(cachePath, JSON.stringify(data, null, 2), 'utf-8');
-  } catch (error) {
-    console.error(`[bonap-client] Error writing cache: ${error.message}`);
-  }
+  cache.write(getCacheKey(genus, species), data, { sourceUrl: data.url || constructBONAPUrl(genus, species) });
 }
 
 /**
@@ -182,12 +154,12 @@ async function searchWithSerpApi(genus, species) {
   console.log(`[bonap-client] Searching SerpApi: ${searchQuery}`);
   
   try {
-    const result = await getJson({
+    const result = await withRateLimit('serpapi', () => getJson({
       engine: 'google',
       q: searchQuery,
       api_key: apiKey,
       num: 5
-    });
+    }));
     
     const candidateUrls = [];
     
@@ -242,6 +214,9 @@ export async function getBONAPMapUrl(genus, species) {
     return cached.url;
   }
   
+  // Covers both the direct HEAD check and the SerpApi fallback
+  assertOnline('bonap', `${genus} ${species}`);
+  
   const directUrl = constructBONAPUrl(genus, species);
   console.log(`[bonap-client] Trying direct URL: ${directUrl}`);
   
@@ -292,7 +267,7 @@ export async function getBONAPMapUrl(genus, species) {
  * @returns {string|null} Cached URL or null if not cached
  */
 export function getCachedBONAPUrl(genus, species) {
-  const cached = readCache(genus, species);
+  const cached = readCache(genus, species, { allowStale: true });
   return cached ? cached.url : null;
 }
 
@@ -302,9 +277,7 @@ export function getCachedBONAPUrl(genus, species) {
  * @param {string} species - Species epithet
  */
 export function clearCache(genus, species) {
-  const cachePath = getCachePath(genus, species);
-  if (fs.existsSync(cachePath)) {
-    fs.unlinkSync(cachePath);
+  if (cache.remove(getCacheKey(genus, species))) {
     console.log(`[bonap-client] Cleared cache for ${genus} ${species}`);
   }
 }
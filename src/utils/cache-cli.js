@@ -0,0 +1,286 @@
+/**
+ * Cache inspection and maintenance
+ *
+ * Usage: node src/utils/cache-cli.js <command> [options]
+ *
+ * Commands:
+ *   list        Entries per source and species (--verbose lists every entry)
+ *   stats       Entries, size, stale entries and age per source, with the tier
+ *               responses per field and species
+ *   purge       Delete entries (at least one filter required; --dry-run to preview)
+ *   refresh     Mark entries older than --older-than stale, so the next online
+ *               run fetches them again (--delete removes them instead)
+ *   orphans     Manifest records without a file, files without a record, tier
+ *               responses for removed fields, page content without reference URLs
+ *   duplicates  Keys differing only in case, superseded tier responses, and
+ *               entries with identical content
+ *   rekey       Move entries cached under a synonym, misspelling or another
+ *               spelling of a species to its taxon key (keeping the newer entry
+ *               where both exist); names matched in the GBIF cache are
+ *               recorded first (--dry-run to preview)
+ *   verify      Check every JSON file under cache/ parses and store entries
+ *               match their manifest checksums (exits 1 on problems)
+ *   migrate     Record manifest entries for files written before the manifest
+ *               existed (including Drive files synced before the Drive caches
+ *               were namespaces), and split the old
+ *               cache/external-reference-urls.json into per-species files
+ *
+ * Filters (list, purge, refresh):
+ *   --source=<namespace>   A namespace of config/cache.json, e.g. BONAP, TieredPrompts
+ *   --species="Genus species"
+ *   --field=<field id>     Tier responses for a 3-tier field (TieredPrompts only)
+ *   --tier=<1|2|3>         Tier responses of one tier (TieredPrompts only)
+ *   --older-than=<age>     12h, 90d, 6w, 1y (a bare number is days)
+ *
+ * --fix (orphans, duplicates) repairs what was found: records missing from the
+ * manifest are added, records of missing files dropped, and orphaned or older
+ * duplicate entries deleted. Identical-content duplicates are never deleted.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { listCacheNamespaces, openCacheNamespace, migrateNamespace, compactManifest, parseAge } from './cache-store.js';
+import {
+  listCacheEntries,
+  getCacheOverview,
+  purgeCache,
+  findOrphanedEntries,
+  fixOrphanedEntries,
+  findDuplicateEntries,
+  fixDuplicateEntries,
+  seedTaxaFromGbifCache,
+  rekeyTaxonEntries,
+  verifyCacheFiles
+} from './cache-maintenance.js';
+import { GBIF_BASE_URL } from './gbif-client.js';
+import { migrateFromSingleFile } from '../synthesis/process-external-reference-urls.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const OLD_EXTERNAL_URLS_PATH = path.join(__dirname, '../../cache/external-reference-urls.json');
+
+// Source URLs for data that doesn't carry its own url field
+// Drive syncs keep each file's Drive ID in their index.json
+const driveSourceUrl = (namespace, key) => {
+  const fileId = openCacheNamespace(namespace).read('index.json', { allowStale: true })?.files?.[key]?.id;
+  return fileId ? `https://drive.google.com/file/d/${fileId}` : null;
+};
+
+const SOURCE_URLS = {
+  SerpApi: (key, data) => data._meta?.query && `https://serpapi.com/search?${new URLSearchParams({ q: data._meta.query })}`,
+  GBIF: (key, data) => data.usageKey && `${GBIF_BASE_URL}/${data.usageKey}/synonyms`,
+  iNaturalist: (key, data) => data.taxonId && `https://api.inaturalist.org/v1/taxa/${data.taxonId}`,
+  DriveTier1Sources: (key) => driveSourceUrl('DriveTier1Sources', key),
+  DriveParsedPdfs: (key) => driveSourceUrl('DriveParsedPdfs', key)
+};
+
+const [command, ...argv] = process.argv.slice(2);
+const getArg = (name) => argv.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+const hasFlag = (name) => argv.includes(`--${name}`);
+
+const formatBytes = (bytes) => bytes >= 1024 * 1024
+  ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+  : `${(bytes / 1024).toFixed(1)} KB`;
+const formatDate = (iso) => iso ? iso.slice(0, 10) : '-';
+
+/**
+ * Filters from the command line
+ * @returns {Object} Filters for listCacheEntries()/purgeCache()
+ */
+function readFilters() {
+  const filters = {};
+  if (getArg('source')) filters.source = getArg('source');
+  if (getArg('species')) filters.species = getArg('species');
+  if (getArg('field')) filters.field = getArg('field');
+  if (getArg('tier')) filters.tier = parseInt(getArg('tier'));
+  if (getArg('older-than') !== undefined) {
+    filters.olderThanMs = parseAge(getArg('older-than'));
+    if (filters.olderThanMs === null) {
+      throw new Error(`Could not read --older-than=${getArg('older-than')} (use e.g. 12h, 90d, 6w, 1y)`);
+    }
+  }
+  return filters;
+}
+
+function listCommand() {
+  const entries = listCacheEntries(readFilters());
+  const bySource = new Map();
+  for (const entry of entries) {
+    if (!bySource.has(entry.source)) bySource.set(entry.source, new Map());
+    const species = entry.species || '(no species)';
+    const bySpecies = bySource.get(entry.source);
+    if (!bySpecies.has(species)) bySpecies.set(species, []);
+    bySpecies.get(species).push(entry);
+  }
+
+  for (const [source, bySpecies] of bySource) {
+    console.log(`\n${source}`);
+    for (const [species, speciesEntries] of [...bySpecies].sort(([a], [b]) => a.localeCompare(b))) {
+      const stale = speciesEntries.filter(entry => entry.stale).length;
+      console.log(`  ${species}: ${speciesEntries.length} entries${stale ? `, ${stale} stale` : ''}`);
+      if (hasFlag('verbose')) {
+        for (const entry of speciesEntries) {
+          const tier = entry.field ? ` [${entry.field} tier ${entry.tier}]` : '';
+          console.log(`    ${entry.key}${tier} ${formatDate(entry.fetchedAt)}${entry.stale ? ' (stale)' : ''}`);
+        }
+      }
+    }
+  }
+  console.log(`\n${entries.length} entries`);
+}
+
+function statsCommand() {
+  const overview = getCacheOverview({ source: getArg('source') });
+  for (const [source, stats] of Object.entries(overview.sources)) {
+    const ttl = stats.ttlDays === null ? 'no TTL' : `TTL ${stats.ttlDays}d`;
+    console.log(`${source}: ${stats.entries} entries, ${formatBytes(stats.bytes)}, ${stats.species} species, ` +
+      `${stats.stale} stale (${ttl}), fetched ${formatDate(stats.oldest)} to ${formatDate(stats.newest)}`);
+  }
+
+  if (overview.tiers?.totalFiles) {
+    console.log('\nTier responses by field:');
+    for (const [field, count] of Object.entries(overview.tiers.byField).sort(([a], [b]) => a.localeCompare(b))) {
+      console.log(`  ${field}: ${count}`);
+    }
+    console.log(`Tier responses for ${Object.keys(overview.tiers.bySpecies).length} species`);
+  }
+  if (overview.iNaturalist?.length) {
+    const complete = overview.iNaturalist.filter(s => s.endpoints.includes('taxa') && s.endpoints.includes('histogram')).length;
+    console.log(`\niNaturalist: ${overview.iNaturalist.length} species, ${complete} with both taxa and histogram`);
+  }
+  if (overview.externalReferences?.length) {
+    const urls = overview.externalReferences.reduce((sum, s) => sum + s.urlCount, 0);
+    console.log(`External reference URLs: ${urls} for ${overview.externalReferences.length} species`);
+  }
+}
+
+function purgeCommand() {
+  const dryRun = hasFlag('dry-run');
+  const entries = purgeCache(readFilters(), { dryRun });
+  for (const entry of entries) {
+    console.log(`  ${entry.source}/${entry.key}`);
+  }
+  console.log(`[cache] ${entries.length} entries ${dryRun ? 'would be deleted (dry run)' : 'deleted'}`);
+}
+
+function refreshCommand() {
+  const filters = readFilters();
+  if (filters.olderThanMs === undefined) {
+    throw new Error('refresh needs --older-than=<age> (0 for every entry)');
+  }
+  const remove = hasFlag('delete');
+  const dryRun = hasFlag('dry-run');
+  const verb = remove ? 'deleted' : 'marked stale';
+  const counts = new Map();
+
+  for (const entry of listCacheEntries(filters)) {
+    if (!dryRun) {
+      const store = openCacheNamespace(entry.source);
+      if (remove) {
+        store.remove(entry.key);
+      } else {
+        store.invalidate(entry.key);
+      }
+    }
+    counts.set(entry.source, (counts.get(entry.source) || 0) + 1);
+  }
+
+  let total = 0;
+  for (const [namespace, count] of counts) {
+    total += count;
+    console.log(`[cache] ${namespace}: ${count} ${dryRun ? `to be ${verb}` : verb}`);
+  }
+  console.log(`[cache] ${total} entries older than ${getArg('older-than')} ${dryRun ? `would be ${verb} (dry run)` : verb}`);
+}
+
+function orphansCommand() {
+  const orphans = findOrphanedEntries({ source: getArg('source') });
+  for (const orphan of orphans) {
+    console.log(`  ${orphan.source}/${orphan.key}: ${orphan.reason}`);
+  }
+  console.log(`[cache] ${orphans.length} orphaned entries`);
+  if (hasFlag('fix') && orphans.length > 0) {
+    const result = fixOrphanedEntries(orphans);
+    console.log(`[cache] Fixed: ${result.recorded} recorded, ${result.compacted} stale records dropped, ${result.removed} deleted`);
+  }
+}
+
+function duplicatesCommand() {
+  const duplicates = findDuplicateEntries({ source: getArg('source') });
+  for (const duplicate of duplicates) {
+    const keep = duplicate.keep ? ` (keeping ${duplicate.keep})` : '';
+    console.log(`  ${duplicate.source} ${duplicate.kind}: ${duplicate.keys.join(', ')}${keep}`);
+  }
+  console.log(`[cache] ${duplicates.length} duplicate groups`);
+  if (hasFlag('fix') && duplicates.length > 0) {
+    console.log(`[cache] Fixed: ${fixDuplicateEntries(duplicates)} older duplicates deleted`);
+  }
+}
+
+function rekeyCommand() {
+  const dryRun = hasFlag('dry-run');
+  const seeded = seedTaxaFromGbifCache({ dryRun });
+  console.log(dryRun
+    ? `[cache] ${seeded} names in the GBIF cache not recorded yet; their entries are only listed once recorded`
+    : `[cache] ${seeded} names recorded from the GBIF cache`);
+  const changes = rekeyTaxonEntries({ dryRun });
+  for (const change of changes) {
+    const kept = change.action === 'merged' ? ` (keeping ${change.kept === change.from ? 'the moved entry' : 'the existing entry'})` : '';
+    console.log(`  ${change.source}: ${change.from} -> ${change.to}${kept}`);
+  }
+  console.log(`[cache] ${changes.length} entries ${dryRun ? 'would be moved (dry run)' : 'moved'}`);
+}
+
+function verifyCommand() {
+  const result = verifyCacheFiles();
+  for (const { file, error } of result.invalid) {
+    console.log(`  ✗ ${file}: ${error}`);
+  }
+  for (const { source, key } of result.changed) {
+    console.log(`  ✗ ${source}/${key}: changed since it was recorded`);
+  }
+  console.log(`[cache] ${result.checked} files checked, ${result.invalid.length} unreadable, ${result.changed.length} changed`);
+  if (result.invalid.length > 0 || result.changed.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+function migrateCommand() {
+  const external = migrateFromSingleFile(OLD_EXTERNAL_URLS_PATH);
+  if (external.migrated > 0) {
+    console.log(`[cache] ${OLD_EXTERNAL_URLS_PATH} can now be deleted`);
+  }
+  for (const namespace of listCacheNamespaces()) {
+    const result = migrateNamespace(namespace, { sourceUrlFor: SOURCE_URLS[namespace] });
+    const kept = compactManifest(namespace);
+    console.log(`[cache] ${namespace}: ${result.added} added, ${result.existing} already recorded, ${kept} in manifest`);
+    for (const key of result.unreadable) {
+      console.log(`  ⚠ ${key} is not valid JSON - left without a record`);
+    }
+  }
+}
+
+const COMMANDS = {
+  list: listCommand,
+  stats: statsCommand,
+  purge: purgeCommand,
+  refresh: refreshCommand,
+  orphans: orphansCommand,
+  duplicates: duplicatesCommand,
+  rekey: rekeyCommand,
+  verify: verifyCommand,
+  migrate: migrateCommand
+};
+
+if (!COMMANDS[command]) {
+  console.error(`Usage: node src/utils/cache-cli.js <${Object.keys(COMMANDS).join('|')}> [options]`);
+  process.exit(1);
+}
+
+try {
+  COMMANDS[command]();
+} catch (error) {
+  console.error(`[cache] ${error.message}`);
+  process.exit(1);
+}
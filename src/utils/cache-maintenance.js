@@ -0,0 +1,486 @@
+/**
+ * Cache Maintenance
+ *
+ * Inspection and upkeep of the cache store's namespaces (config/cache.json):
+ * listing entries per source and species, stats, purging, finding orphaned and
+ * duplicate entries, and checking that cached files still parse. The
+ * per-source helpers do the source-specific parts - getCacheStats() and
+ * clearFieldCache() for tier responses, listCachedSpecies() for iNaturalist
+ * and external reference URLs. Used by src/utils/cache-cli.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  listCacheNamespaces,
+  openCacheNamespace,
+  getCacheRoot,
+  checksumText,
+  compactManifest,
+  migrateNamespace
+} from './cache-store.js';
+import { getCacheStats, clearFieldCache, parseTierCacheKey } from './tiered-prompt-cache.js';
+import { listCachedSpecies as listINaturalistSpecies } from './inaturalist-client.js';
+import { listCachedSpecies as listReferenceSpecies } from '../synthesis/process-external-reference-urls.js';
+import { loadFieldManifest } from '../synthesis/process-3tier-field.js';
+import { getTaxonKey, getTaxonRecord, recordTaxon } from './taxon-identity.js';
+
+const TIER_SOURCE = 'TieredPrompts';
+
+// Namespaces keyed by a hash, whose species is only found in the cached data
+const SPECIES_IN_DATA = new Set(['SerpApi']);
+
+// Namespaces (and plain cache directories) whose keys start with the species'
+// taxon key: <Genus>_<epithet>_<rest>
+const TAXON_KEYED = ['BONAP', 'GBIF', 'iNaturalist', 'MichiganFlora/API', 'PageContent', 'ExternalReferences', 'TieredPrompts', 'TierConsensus'];
+const TAXON_KEYED_DIRS = ['MichiganFlora/SpeciesData'];
+
+/**
+ * Normalize a species name ("acer_rubrum", "Acer rubrum") to "Acer rubrum"
+ * @param {string} genus - Genus (or "Genus species" / "Genus_species" when species is omitted)
+ * @param {string} [species] - Species epithet
+ * @returns {string} Genus capitalized, epithet lower case
+ */
+export function normalizeSpeciesName(genus, species) {
+  const [g, ...rest] = species === undefined ? genus.trim().split(/[\s_]+/) : [genus.trim(), species.trim()];
+  const epithet = rest.join(' ').replace(/[-_]+/g, ' ').toLowerCase();
+  return `${g.charAt(0).toUpperCase()}${g.slice(1).toLowerCase()} ${epithet}`.trim();
+}
+
+/**
+ * Species of a cached entry
+ * @param {Object} store - Cache namespace
+ * @param {string} key - File name
+ * @returns {string|null} "Genus species", or null for entries not tied to a species
+ */
+function speciesOfEntry(store, key) {
+  if (store.namespace === TIER_SOURCE) {
+    const parsed = parseTierCacheKey(key);
+    return parsed ? normalizeSpeciesName(parsed.genus, parsed.species) : null;
+  }
+  if (SPECIES_IN_DATA.has(store.namespace)) {
+    const meta = store.readEntry(key)?.data?._meta;
+    return meta?.genus && meta?.species ? normalizeSpeciesName(meta.genus, meta.species) : null;
+  }
+  const match = key.match(/^([A-Za-z]+)_([a-z][a-z.-]*)_/i);
+  return match ? normalizeSpeciesName(match[1], match[2]) : null;
+}
+
+/**
+ * Namespaces to work on
+ * @param {string} [source] - One namespace, or all configured ones
+ * @returns {string[]} Namespace names
+ */
+function selectSources(source) {
+  if (!source) return listCacheNamespaces();
+  if (!listCacheNamespaces().includes(source)) {
+    throw new Error(`Unknown cache source "${source}" (configured: ${listCacheNamespaces().join(', ')})`);
+  }
+  return [source];
+}
+
+/**
+ * List cached entries
+ * @param {Object} [filters]
+ * @param {string} [filters.source] - Namespace (default: all)
+ * @param {string} [filters.species] - "Genus species" (any case, spaces or underscores)
+ * @param {string} [filters.field] - Tier response field id
+ * @param {number} [filters.tier] - Tier response tier
+ * @param {number} [filters.olderThanMs] - Only entries fetched longer ago than this
+ * @returns {Array<Object>} [{ source, key, species, fetchedAt, sourceUrl, bytes, stale, field?, tier? }]
+ */
+export function listCacheEntries(filters = {}) {
+  const { source, species, field, tier, olderThanMs } = filters;
+  const wantedSpecies = species ? normalizeSpeciesName(species) : null;
+  const tierFilter = field !== undefined || tier !== undefined;
+  const cutoff = olderThanMs ? Date.now() - olderThanMs : null;
+  const entries = [];
+
+  for (const namespace of selectSources(source)) {
+    if (tierFilter && namespace !== TIER_SOURCE) continue;
+    const store = openCacheNamespace(namespace);
+    const records = store.records();
+
+    for (const key of store.keys()) {
+      const entrySpecies = speciesOfEntry(store, key);
+      if (wantedSpecies && entrySpecies !== wantedSpecies) continue;
+
+      const parsed = namespace === TIER_SOURCE ? parseTierCacheKey(key) : null;
+      if (field !== undefined && parsed?.fieldId !== field) continue;
+      if (tier !== undefined && parsed?.tier !== tier) continue;
+
+      const record = records.get(key);
+      const fetchedAt = record?.fetchedAt || fs.statSync(store.filePath(key)).mtime.toISOString();
+      if (cutoff !== null && Date.parse(fetchedAt) >= cutoff) continue;
+
+      entries.push({
+        source: namespace,
+        key,
+        species: entrySpecies,
+        fetchedAt,
+        sourceUrl: record?.sourceUrl || null,
+        bytes: record?.bytes ?? fs.statSync(store.filePath(key)).size,
+        stale: store.isStale(key),
+        ...(parsed && { field: parsed.fieldId, tier: parsed.tier })
+      });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Stats per source
+ * @param {Object} [filters]
+ * @param {string} [filters.source] - Namespace (default: all)
+ * @returns {Object} { sources: { [namespace]: { entries, bytes, stale, species, ttlDays, oldest, newest } }, tiers, iNaturalist, externalReferences }
+ */
+export function getCacheOverview(filters = {}) {
+  const sources = {};
+  for (const namespace of selectSources(filters.source)) {
+    const entries = listCacheEntries({ source: namespace });
+    const times = entries.map(entry => entry.fetchedAt).sort();
+    sources[namespace] = {
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+      stale: entries.filter(entry => entry.stale).length,
+      species: new Set(entries.map(entry => entry.species).filter(Boolean)).size,
+      ttlDays: openCacheNamespace(namespace).ttlDays,
+      oldest: times[0] || null,
+      newest: times[times.length - 1] || null
+    };
+  }
+
+  const include = (namespace) => namespace in sources;
+  return {
+    sources,
+    tiers: include(TIER_SOURCE) ? getCacheStats() : null,
+    iNaturalist: include('iNaturalist') ? listINaturalistSpecies() : null,
+    externalReferences: include('ExternalReferences') ? listReferenceSpecies() : null
+  };
+}
+
+/**
+ * Delete cached entries by source, species, tier response field/tier or age
+ * @param {Object} filters - As for listCacheEntries(); at least one is required
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report without deleting
+ * @returns {Array<Object>} Entries deleted (or that would be)
+ */
+export function purgeCache(filters, options = {}) {
+  const { source, species, field, tier, olderThanMs } = filters;
+  if (!source && !species && field === undefined && tier === undefined && !olderThanMs) {
+    throw new Error('Refusing to purge the whole cache: give a source, species, field, tier or age');
+  }
+  if ((field !== undefined || tier !== undefined) && source && source !== TIER_SOURCE) {
+    throw new Error(`Field and tier filters only apply to ${TIER_SOURCE}`);
+  }
+
+  const entries = listCacheEntries(filters);
+  if (options.dryRun) return entries;
+
+  if (field !== undefined && !olderThanMs) {
+    // Whole fields go through the tier cache's own helper
+    const speciesKeys = new Set(entries.map(entry => parseTierCacheKey(entry.key)).map(p => `${p.genus}_${p.species}`));
+    for (const speciesKey of speciesKeys) {
+      const [genus, epithet] = speciesKey.split('_');
+      clearFieldCache(genus, epithet, field, tier ?? null);
+    }
+    return entries;
+  }
+
+  for (const entry of entries) {
+    openCacheNamespace(entry.source).remove(entry.key);
+  }
+  return entries;
+}
+
+/**
+ * Find orphaned entries:
+ *   - manifest records whose file is gone
+ *   - files without a manifest record
+ *   - tier responses for fields no longer in config/3tier-fields.json
+ *   - page content for species without an external reference URL entry
+ * @param {Object} [options]
+ * @param {string} [options.source] - Namespace (default: all)
+ * @returns {Array<Object>} [{ source, key, reason }]
+ */
+export function findOrphanedEntries(options = {}) {
+  const orphans = [];
+  const fieldIds = new Set(loadFieldManifest().map(field => field.id));
+  const referenceSpecies = new Set(listReferenceSpecies().map(entry => normalizeSpeciesName(entry.genus, entry.species)));
+
+  for (const namespace of selectSources(options.source)) {
+    const store = openCacheNamespace(namespace);
+    store.reload();
+    const keys = new Set(store.keys());
+
+    for (const key of store.records().keys()) {
+      if (!keys.has(key)) orphans.push({ source: namespace, key, reason: 'missing-file' });
+    }
+    for (const key of keys) {
+      if (!store.records().has(key)) orphans.push({ source: namespace, key, reason: 'no-record' });
+
+      if (namespace === TIER_SOURCE) {
+        const parsed = parseTierCacheKey(key);
+        if (parsed && !fieldIds.has(parsed.fieldId)) {
+          orphans.push({ source: namespace, key, reason: 'unknown-field' });
+        }
+      } else if (namespace === 'PageContent') {
+        const species = speciesOfEntry(store, key);
+        if (species && !referenceSpecies.has(species)) {
+          orphans.push({ source: namespace, key, reason: 'no-reference-urls' });
+        }
+      }
+    }
+  }
+  return orphans;
+}
+
+/**
+ * Fix orphaned entries: drop records of missing files, record unrecorded
+ * files, delete the rest
+ * @param {Array<Object>} orphans - From findOrphanedEntries()
+ * @returns {Object} { compacted, recorded, removed } counts
+ */
+export function fixOrphanedEntries(orphans) {
+  const result = { compacted: 0, recorded: 0, removed: 0 };
+  const bySource = (reason) => new Set(orphans.filter(o => o.reason === reason).map(o => o.source));
+
+  for (const orphan of orphans) {
+    if (orphan.reason !== 'missing-file' && orphan.reason !== 'no-record') {
+      if (openCacheNamespace(orphan.source).remove(orphan.key)) result.removed++;
+    }
+  }
+  for (const namespace of bySource('no-record')) {
+    result.recorded += migrateNamespace(namespace).added;
+  }
+  for (const namespace of bySource('missing-file')) {
+    compactManifest(namespace);
+    result.compacted += orphans.filter(o => o.reason === 'missing-file' && o.source === namespace).length;
+  }
+  return result;
+}
+
+/**
+ * Find duplicate entries:
+ *   - case: keys differing only in letter case (e.g. Acer_Rubrum_* and Acer_rubrum_*)
+ *   - superseded: tier responses for the same species, field and tier under
+ *     older prompt hashes (a changed prompt or model makes a new entry)
+ *   - identical: different keys with the same content (reported only, e.g. two
+ *     species with the same empty search result)
+ * The newest entry of a case or superseded group is kept.
+ * @param {Object} [options]
+ * @param {string} [options.source] - Namespace (default: all)
+ * @returns {Array<Object>} [{ source, kind, keys, keep }] (keep is null for identical)
+ */
+export function findDuplicateEntries(options = {}) {
+  const duplicates = [];
+
+  for (const namespace of selectSources(options.source)) {
+    const entries = listCacheEntries({ source: namespace });
+    const newestFirst = (group) => group.sort((a, b) => b.fetchedAt.localeCompare(a.fetchedAt));
+    const groupBy = (keyOf) => {
+      const groups = new Map();
+      for (const entry of entries) {
+        const groupKey = keyOf(entry);
+        if (groupKey === null) continue;
+        if (!groups.has(groupKey)) groups.set(groupKey, []);
+        groups.get(groupKey).push(entry);
+      }
+      return [...groups.values()].filter(group => group.length > 1);
+    };
+
+    const sameIdentity = namespace === TIER_SOURCE
+      ? groupBy(entry => {
+        const parsed = parseTierCacheKey(entry.key);
+        return parsed ? `${entry.species}|${parsed.fieldId}|${parsed.tier}` : null;
+      })
+      : groupBy(entry => entry.key.toLowerCase());
+    for (const group of sameIdentity) {
+      const [keep, ...rest] = newestFirst(group);
+      duplicates.push({
+        source: namespace,
+        kind: namespace === TIER_SOURCE ? 'superseded' : 'case',
+        keys: rest.map(entry => entry.key),
+        keep: keep.key
+      });
+    }
+
+    const store = openCacheNamespace(namespace);
+    const records = store.records();
+    const checksumOf = (entry) => records.get(entry.key)?.checksum
+      || checksumText(fs.readFileSync(store.filePath(entry.key), 'utf-8'));
+    for (const group of groupBy(checksumOf)) {
+      duplicates.push({ source: namespace, kind: 'identical', keys: group.map(entry => entry.key), keep: null });
+    }
+  }
+  return duplicates;
+}
+
+/**
+ * Delete the older entries of case and superseded duplicate groups
+ * @param {Array<Object>} duplicates - From findDuplicateEntries()
+ * @returns {number} Entries deleted
+ */
+export function fixDuplicateEntries(duplicates) {
+  let removed = 0;
+  for (const duplicate of duplicates) {
+    if (!duplicate.keep) continue;
+    for (const key of duplicate.keys) {
+      if (openCacheNamespace(duplicate.source).remove(key)) removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Files under a directory, recursively
+ * @param {string} dir - Directory
+ * @returns {string[]} File paths
+ */
+function walkFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? walkFiles(entryPath) : [entryPath];
+  });
+}
+
+/**
+ * Check that every JSON (and JSON lines) file under the cache root parses, and
+ * that store entries still match the checksum in their manifest record.
+ * Covers directories outside the store too (e.g. DriveParsedPdfs).
+ * @returns {Object} { checked, invalid: [{ file, error }], changed: [{ source, key }] }
+ */
+export function verifyCacheFiles() {
+  const root = getCacheRoot();
+  const result = { checked: 0, invalid: [], changed: [] };
+
+  for (const file of walkFiles(root)) {
+    const relative = path.relative(root, file);
+    if (!file.endsWith('.json') && !file.endsWith('.jsonl')) continue;
+    result.checked++;
+    const text = fs.readFileSync(file, 'utf-8');
+    try {
+      if (file.endsWith('.jsonl')) {
+        text.split('\n').filter(line => line.trim()).forEach((line, index) => {
+          try {
+            JSON.parse(line);
+          } catch (error) {
+            throw new Error(`line ${index + 1}: ${error.message}`);
+          }
+        });
+      } else {
+        JSON.parse(text);
+      }
+    } catch (error) {
+      result.invalid.push({ file: relative, error: error.message });
+    }
+  }
+
+  for (const namespace of listCacheNamespaces()) {
+    const store = openCacheNamespace(namespace);
+    const records = store.records();
+    for (const key of store.keys()) {
+      const record = records.get(key);
+      if (record?.checksum && record.checksum !== checksumText(fs.readFileSync(store.filePath(key), 'utf-8'))) {
+        result.changed.push({ source: namespace, key });
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Add taxon records for the names in the GBIF cache, matched before taxon
+ * identities were kept (e.g. "Carex pennsylvanica", matched to Carex
+ * pensylvanica), so their entries can be moved without a network call
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Count without recording
+ * @returns {number} Names recorded (or that would be)
+ */
+export function seedTaxaFromGbifCache(options = {}) {
+  const gbif = openCacheNamespace('GBIF');
+  let added = 0;
+  for (const key of gbif.keys()) {
+    const entry = gbif.readEntry(key);
+    const data = entry?.data;
+    if (!data?.matched || !data.acceptedName || getTaxonRecord(data.genus, data.species)) continue;
+    added++;
+    if (options.dryRun) continue;
+    const [genus, species] = data.acceptedName.split(' ');
+    recordTaxon(data.genus, data.species, { accepted: { genus, species }, usageKey: data.usageKey, source: 'gbif' },
+      { sourceUrl: entry.record?.sourceUrl });
+  }
+  return added;
+}
+
+/**
+ * Taxon key a species-keyed file belongs under
+ * @param {string} key - File name
+ * @returns {string|null} File name under the taxon key, or null if the key doesn't start with a species
+ */
+function getTaxonTarget(key) {
+  const match = key.match(/^([^_]+)_([^_]+)_(.+)$/);
+  if (!match) return null;
+  const [, genus, epithet, rest] = match;
+  return `${getTaxonKey(genus, epithet.replace(/-/g, ' '))}_${rest}`;
+}
+
+/**
+ * Move species-keyed entries to their taxon key: entries cached under a
+ * synonym or misspelling, and keys written with another normalization (such
+ * as a lower-case genus). Where the taxon key already has the entry, the more
+ * recently fetched of the two is kept.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report without changing anything
+ * @returns {Array<Object>} [{ source, from, to, action: 'moved'|'merged', kept }]
+ */
+export function rekeyTaxonEntries(options = {}) {
+  const { dryRun = false } = options;
+  const changes = [];
+
+  for (const namespace of TAXON_KEYED) {
+    const store = openCacheNamespace(namespace);
+    const fetchedAt = (entry, key) => entry.record?.fetchedAt || fs.statSync(store.filePath(key)).mtime.toISOString();
+
+    for (const key of store.keys()) {
+      const target = getTaxonTarget(key);
+      if (!target || target === key) continue;
+      const entry = store.readEntry(key);
+      if (!entry) continue;
+
+      const existing = store.readEntry(target);
+      const keepMoved = !existing || fetchedAt(entry, key) > fetchedAt(existing, target);
+      changes.push({ source: namespace, from: key, to: target, action: existing ? 'merged' : 'moved', kept: keepMoved ? key : target });
+      if (dryRun) continue;
+
+      if (keepMoved) {
+        const text = fs.readFileSync(store.filePath(key), 'utf-8');
+        store.write(target, entry.data, { sourceUrl: entry.record?.sourceUrl, fetchedAt: fetchedAt(entry, key), pretty: text.includes('\n') });
+      }
+      store.remove(key);
+    }
+  }
+
+  for (const dirName of TAXON_KEYED_DIRS) {
+    const dir = path.join(getCacheRoot(), dirName);
+    if (!fs.existsSync(dir)) continue;
+    for (const key of fs.readdirSync(dir).filter(file => file.endsWith('.json'))) {
+      const target = getTaxonTarget(key);
+      if (!target || target === key) continue;
+      const [from, to] = [path.join(dir, key), path.join(dir, target)];
+      const existing = fs.existsSync(to);
+      const keepMoved = !existing || fs.statSync(from).mtimeMs > fs.statSync(to).mtimeMs;
+      changes.push({ source: dirName, from: key, to: target, action: existing ? 'merged' : 'moved', kept: keepMoved ? key : target });
+      if (dryRun) continue;
+
+      if (keepMoved) {
+        fs.renameSync(from, to);
+      } else {
+        fs.unlinkSync(from);
+      }
+    }
+  }
+  return changes;
+}
@@ -0,0 +1,524 @@
+/**
+ * Cache Store
+ *
+ * One cache subsystem for the clients that keep fetched data under cache/.
+ * Each client works in a namespace - a directory of cache/, such as "BONAP" or
+ * "MichiganFlora/API" - and keeps its own file names as keys, so the cached
+ * files (and any code reading them directly) are unchanged.
+ *
+ * Manifest: every namespace has a manifest.jsonl in its directory, one line
+ * per write, invalidation or removal. The latest line for a key wins:
+ *   { key, sourceUrl, fetchedAt, checksum, bytes }   written
+ *   { key, invalidatedAt }                           marked stale
+ *   { key, removedAt }                               deleted
+ * Lines are only appended, so concurrent workers never rewrite each other's
+ * records; compactManifest() rewrites the file with the current records only.
+ * Re-writing an existing key appends a new line, so a manifest is also
+ * compacted when a process first reads it once superseded lines reach
+ * COMPACT_MIN_SUPERSEDED and outnumber the current records. A line another
+ * process appends during that rewrite can be lost, which leaves its file
+ * unrecorded (counted as fresh) until the next migrate.
+ *
+ * Expiry: config/cache.json sets a TTL (ttlDays) per namespace. An entry older
+ * than its TTL, or invalidated, is stale: read() treats it as a miss so the
+ * client fetches it again and overwrites it. In offline mode stale entries are
+ * still served, since there is nothing fresher to get. A ttlDays of null never
+ * expires (e.g. tier responses, keyed by their prompt hash). A file without a
+ * manifest record (written by hand, or before its namespace was migrated)
+ * counts as fresh.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isOfflineMode } from './offline-mode.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_PATH = path.join(__dirname, '../../config/cache.json');
+const DEFAULT_CACHE_ROOT = path.join(__dirname, '../../cache');
+
+export const MANIFEST_FILE = 'manifest.jsonl';
+
+const COMPACT_MIN_SUPERSEDED = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGE_UNITS = { h: 60 * 60 * 1000, d: DAY_MS, w: 7 * DAY_MS, y: 365 * DAY_MS };
+
+let cacheConfig = null;
+const namespaces = new Map();
+
+/**
+ * Load config/cache.json (cached after first read)
+ * @returns {Object} Cache config
+ */
+function loadCacheConfig() {
+  if (!cacheConfig) {
+    try {
+      cacheConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+    } catch (error) {
+      console.warn(`[cache-store] Could not load cache config: ${error.message}`);
+      cacheConfig = { namespaces: {} };
+    }
+  }
+  return cacheConfig;
+}
+
+/**
+ * Override cache settings for this process (e.g. a temporary root in tests)
+ * @param {Object|null} settings - Settings in the config file's shape, plus an optional rootDir; null reloads config/cache.json
+ */
+export function configureCache(settings) {
+  if (settings === null) {
+    cacheConfig = null;
+    return;
+  }
+  const config = loadCacheConfig();
+  cacheConfig = { ...config, ...settings, namespaces: { ...config.namespaces, ...settings.namespaces } };
+}
+
+/**
+ * Root directory of the cache
+ * @returns {string} Directory path
+ */
+export function getCacheRoot() {
+  return loadCacheConfig().rootDir || DEFAULT_CACHE_ROOT;
+}
+
+/**
+ * Namespaces configured in config/cache.json
+ * @returns {string[]} Namespace names
+ */
+export function listCacheNamespaces() {
+  return Object.keys(loadCacheConfig().namespaces || {});
+}
+
+/**
+ * TTL of a namespace
+ * @param {string} namespace - Namespace name
+ * @returns {number|null} TTL in days, or null if its entries never expire
+ */
+export function getNamespaceTtlDays(namespace) {
+  return loadCacheConfig().namespaces?.[namespace]?.ttlDays ?? null;
+}
+
+/**
+ * Parse an age such as "90d", "12h", "6w" or "1y"
+ * @param {string|number} age - Age text (a bare number is days)
+ * @returns {number|null} Milliseconds, or null if not understood
+ */
+export function parseAge(age) {
+  const match = String(age).trim().match(/^(\d+(?:\.\d+)?)\s*([hdwy]?)$/i);
+  if (!match) return null;
+  return Number(match[1]) * AGE_UNITS[(match[2] || 'd').toLowerCase()];
+}
+
+/**
+ * Checksum of cached file text
+ * @param {string} text - File text
+ * @returns {string} MD5 hex digest
+ */
+export function checksumText(text) {
+  return crypto.createHash('md5').update(text).digest('hex');
+}
+
+/**
+ * Read a namespace's manifest into current records by key
+ * @param {string} manifestPath - Manifest path
+ * @returns {Object} { records: Map key -> latest record (removed keys left out), lineCount }
+ */
+function readManifest(manifestPath) {
+  const records = new Map();
+  let lineCount = 0;
+  if (!fs.existsSync(manifestPath)) {
+    return { records, lineCount };
+  }
+  for (const line of fs.readFileSync(manifestPath, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    lineCount++;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.removedAt) {
+        records.delete(entry.key);
+      } else if ('fetchedAt' in entry) {
+        records.set(entry.key, entry);
+      } else if (entry.invalidatedAt) {
+        const record = records.get(entry.key) || { key: entry.key, sourceUrl: null, fetchedAt: null };
+        records.set(entry.key, { ...record, invalidatedAt: entry.invalidatedAt });
+      }
+    } catch {
+      console.warn(`[cache-store] Skipping unreadable manifest line in ${manifestPath}`);
+    }
+  }
+  return { records, lineCount };
+}
+
+/**
+ * Replace a manifest with one line per record, sorted by key
+ * Written to a temporary file first, so readers never see a partial manifest
+ * @param {string} manifestPath - Manifest path
+ * @param {Iterable<Object>} records - Records to keep
+ * @returns {number} Lines written
+ */
+function writeManifest(manifestPath, records) {
+  const lines = [...records]
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .map(record => `${JSON.stringify(record)}\n`);
+  const tempPath = `${manifestPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, lines.join(''), 'utf-8');
+  fs.renameSync(tempPath, manifestPath);
+  return lines.length;
+}
+
+/**
+ * Check whether a manifest record is stale
+ * @param {Object|undefined} record - Manifest record
+ * @param {number|null} ttlDays - Namespace TTL
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} True if invalidated or older than the TTL
+ */
+function isRecordStale(record, ttlDays, now = Date.now()) {
+  if (!record) return false;
+  if (record.invalidatedAt) return true;
+  if (ttlDays === null || !record.fetchedAt) return false;
+  return now - Date.parse(record.fetchedAt) > ttlDays * DAY_MS;
+}
+
+/**
+ * Open a cache namespace
+ * @param {string} namespace - Namespace name (directory under cache/, e.g. "MichiganFlora/API")
+ * @returns {Object} Namespace with read, readEntry, write, recordFile, remove, invalidate, keys and records
+ */
+export function openCacheNamespace(namespace) {
+  if (namespaces.has(namespace)) {
+    return namespaces.get(namespace);
+  }
+
+  // The directory follows configureCache(), so clients can open their
+  // namespace once at module load
+  let state = null;
+  const getState = () => {
+    const dir = path.join(getCacheRoot(), namespace);
+    if (state?.dir !== dir) {
+      state = { dir, manifestPath: path.join(dir, MANIFEST_FILE), records: null };
+    }
+    return state;
+  };
+
+  const getRecords = () => {
+    const current = getState();
+    if (!current.records) {
+      const { records, lineCount } = readManifest(current.manifestPath);
+      const superseded = lineCount - records.size;
+      if (superseded >= COMPACT_MIN_SUPERSEDED && superseded > records.size) {
+        writeManifest(current.manifestPath, records.values());
+      }
+      current.records = records;
+    }
+    return current.records;
+  };
+
+  const ensureDir = () => {
+    const { dir } = getState();
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  };
+
+  const appendManifest = (entry) => {
+    ensureDir();
+    fs.appendFileSync(getState().manifestPath, `${JSON.stringify(entry)}\n`, 'utf-8');
+  };
+
+  const filePath = (key) => path.join(getState().dir, key);
+
+  const recordText = (key, text, sourceUrl, fetchedAt) => {
+    const record = { key, sourceUrl, fetchedAt, checksum: checksumText(text), bytes: Buffer.byteLength(text) };
+    appendManifest(record);
+    getRecords().set(key, record);
+    return record;
+  };
+
+  /**
+   * Read an entry with its manifest record
+   * @param {string} key - File name
+   * @returns {Object|null} { data, record, stale }, or null if missing or unreadable
+   */
+  const readEntry = (key) => {
+    const cachePath = filePath(key);
+    if (!fs.existsSync(cachePath)) {
+      return null;
+    }
+    try {
+      const data = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+      const record = getRecords().get(key) || null;
+      return { data, record, stale: isRecordStale(record, getNamespaceTtlDays(namespace)) };
+    } catch (error) {
+      console.error(`[cache-store] Error reading ${namespace}/${key}: ${error.message}`);
+      return null;
+    }
+  };
+
+  const store = {
+    namespace,
+    get dir() {
+      return getState().dir;
+    },
+    get ttlDays() {
+      return getNamespaceTtlDays(namespace);
+    },
+    filePath,
+    readEntry,
+
+    /**
+     * Read a fresh entry (stale entries only in offline mode or with allowStale)
+     * @param {string} key - File name
+     * @param {Object} [options]
+     * @param {boolean} [options.allowStale] - Return the entry even if stale
+     * @returns {*} Cached data, or null on a miss
+     */
+    read(key, options = {}) {
+      const entry = readEntry(key);
+      if (!entry) return null;
+      if (entry.stale && !options.allowStale && !isOfflineMode()) {
+        console.log(`[cache-store] ${namespace}/${key} is stale, fetching again`);
+        return null;
+      }
+      return entry.data;
+    },
+
+    /**
+     * Write an entry and record it in the manifest
+     * @param {string} key - File name
+     * @param {*} data - JSON-serializable data
+     * @param {Object} [options]
+     * @param {string} [options.sourceUrl] - Where the data was fetched from
+     * @param {string} [options.fetchedAt] - Fetch time to keep (e.g. when annotating an entry); defaults to now
+     * @param {boolean} [options.pretty] - Indent the JSON (default true)
+     * @returns {boolean} True if written
+     */
+    write(key, data, options = {}) {
+      const { sourceUrl = null, fetchedAt = new Date().toISOString(), pretty = true } = options;
+      try {
+        ensureDir();
+        const text = pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+        fs.writeFileSync(filePath(key), text, 'utf-8');
+        recordText(key, text, sourceUrl, fetchedAt);
+        return true;
+      } catch (error) {
+        console.error(`[cache-store] Error writing ${namespace}/${key}: ${error.message}`);
+        return false;
+      }
+    },
+
+    /**
+     * Record a file written to filePath(key) by other means (e.g. a streamed
+     * download) in the manifest
+     * @param {string} key - File name
+     * @param {Object} [options]
+     * @param {string} [options.sourceUrl] - Where the file was fetched from
+     * @param {string} [options.fetchedAt] - Fetch time; defaults to now
+     * @returns {Object|null} Manifest record, or null if the file is missing
+     */
+    recordFile(key, options = {}) {
+      const { sourceUrl = null, fetchedAt = new Date().toISOString() } = options;
+      if (!fs.existsSync(filePath(key))) return null;
+      return recordText(key, fs.readFileSync(filePath(key), 'utf-8'), sourceUrl, fetchedAt);
+    },
+
+    /**
+     * Delete an entry
+     * @param {string} key - File name
+     * @returns {boolean} True if a file was deleted
+     */
+    remove(key) {
+      const cachePath = filePath(key);
+      const existed = fs.existsSync(cachePath);
+      if (existed) {
+        fs.unlinkSync(cachePath);
+      }
+      if (existed || getRecords().has(key)) {
+        appendManifest({ key, removedAt: new Date().toISOString() });
+        getRecords().delete(key);
+      }
+      return existed;
+    },
+
+    /**
+     * Mark an entry stale: the next online read fetches it again, offline
+     * reads still get it
+     * @param {string} key - File name
+     * @returns {boolean} True if the entry exists
+     */
+    invalidate(key) {
+      if (!fs.existsSync(filePath(key))) return false;
+      const invalidatedAt = new Date().toISOString();
+      appendManifest({ key, invalidatedAt });
+      const record = getRecords().get(key) || { key, sourceUrl: null, fetchedAt: null };
+      getRecords().set(key, { ...record, invalidatedAt });
+      return true;
+    },
+
+    /**
+     * Keys of the entries in this namespace
+     * @returns {string[]} File names (.json files, manifest excluded)
+     */
+    keys() {
+      const { dir } = getState();
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir).filter(file => file.endsWith('.json') && fs.statSync(filePath(file)).isFile());
+    },
+
+    /**
+     * Current manifest records
+     * @returns {Map<string, Object>} key -> record
+     */
+    records() {
+      return getRecords();
+    },
+
+    /**
+     * Check whether an entry is stale
+     * @param {string} key - File name
+     * @returns {boolean} True if invalidated or older than the TTL
+     */
+    isStale(key) {
+      return isRecordStale(getRecords().get(key), getNamespaceTtlDays(namespace));
+    },
+
+    /**
+     * Forget records read so far (after another process changed the manifest)
+     */
+    reload() {
+      getState().records = null;
+    }
+  };
+
+  namespaces.set(namespace, store);
+  return store;
+}
+
+/**
+ * Entries of a namespace fetched longer ago than an age
+ * @param {string} namespace - Namespace name
+ * @param {number} olderThanMs - Age in milliseconds
+ * @returns {Array<Object>} [{ key, fetchedAt, sourceUrl }] (entries without a fetch time are left out)
+ */
+export function findEntriesOlderThan(namespace, olderThanMs) {
+  const store = openCacheNamespace(namespace);
+  const cutoff = Date.now() - olderThanMs;
+  const records = store.records();
+  return store.keys()
+    .map(key => records.get(key))
+    .filter(record => record?.fetchedAt && Date.parse(record.fetchedAt) < cutoff)
+    .map(({ key, fetchedAt, sourceUrl }) => ({ key, fetchedAt, sourceUrl }));
+}
+
+/**
+ * Refresh policy: invalidate (or delete) the entries of a namespace older than
+ * an age, optionally limited to keys starting with a prefix (e.g. "Acer_rubrum_")
+ * @param {string} namespace - Namespace name
+ * @param {Object} options
+ * @param {number} options.olderThanMs - Age in milliseconds (0 for every entry)
+ * @param {string} [options.keyPrefix] - Only keys starting with this
+ * @param {boolean} [options.remove] - Delete the files instead of marking them stale
+ * @param {boolean} [options.dryRun] - Report without changing anything
+ * @returns {string[]} Keys invalidated or removed
+ */
+export function invalidateEntries(namespace, options) {
+  const { olderThanMs, keyPrefix = '', remove = false, dryRun = false } = options;
+  const store = openCacheNamespace(namespace);
+  const keys = olderThanMs > 0
+    ? findEntriesOlderThan(namespace, olderThanMs).map(entry => entry.key)
+    : store.keys();
+  const matched = keys.filter(key => key.startsWith(keyPrefix));
+  if (!dryRun) {
+    for (const key of matched) {
+      if (remove) {
+        store.remove(key);
+      } else {
+        store.invalidate(key);
+      }
+    }
+  }
+  return matched;
+}
+
+/**
+ * Fetch time and source URL embedded in cached data by the clients that wrote
+ * it before the manifest existed
+ * @param {*} data - Cached data
+ * @returns {Object} { fetchedAt, sourceUrl } (null where not found)
+ */
+function describeCachedData(data) {
+  const meta = data?._meta || {};
+  return {
+    fetchedAt: data?.fetchedAt || data?.cachedAt || meta.fetchedAt || meta.cachedAt || null,
+    sourceUrl: data?.url || data?.sourceUrl || meta.url || meta.sourceUrl || null
+  };
+}
+
+/**
+ * Add manifest records for the files of a namespace that have none (migration
+ * of a cache/ tree written before the manifest existed). The fetch time comes
+ * from the data (fetchedAt, cachedAt) or, failing that, the file's modification
+ * time; the source URL from its url field.
+ * @param {string} namespace - Namespace name
+ * @param {Object} [options]
+ * @param {Function} [options.sourceUrlFor] - (key, data) => source URL for files without a url field
+ * @returns {Object} { added, existing, unreadable: [key] }
+ */
+export function migrateNamespace(namespace, options = {}) {
+  const { sourceUrlFor = () => null } = options;
+  const store = openCacheNamespace(namespace);
+  const records = store.records();
+  const result = { added: 0, existing: 0, unreadable: [] };
+
+  for (const key of store.keys()) {
+    if (records.has(key)) {
+      result.existing++;
+      continue;
+    }
+    const cachePath = store.filePath(key);
+    const text = fs.readFileSync(cachePath, 'utf-8');
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      result.unreadable.push(key);
+      continue;
+    }
+    const described = describeCachedData(data);
+    const record = {
+      key,
+      sourceUrl: described.sourceUrl || sourceUrlFor(key, data) || null,
+      fetchedAt: described.fetchedAt || fs.statSync(cachePath).mtime.toISOString(),
+      checksum: checksumText(text),
+      bytes: Buffer.byteLength(text)
+    };
+    fs.appendFileSync(path.join(store.dir, MANIFEST_FILE), `${JSON.stringify(record)}\n`, 'utf-8');
+    records.set(key, record);
+    result.added++;
+  }
+  return result;
+}
+
+/**
+ * Rewrite a namespace's manifest with its current records only (one line per
+ * existing file, in key order)
+ * @param {string} namespace - Namespace name
+ * @returns {number} Records kept
+ */
+export function compactManifest(namespace) {
+  const store = openCacheNamespace(namespace);
+  store.reload();
+  const records = store.records();
+  const existing = new Set(store.keys());
+  if (!fs.existsSync(store.dir)) return 0;
+  const kept = writeManifest(path.join(store.dir, MANIFEST_FILE),
+    [...records.values()].filter(record => existing.has(record.key)));
+  store.reload();
+  return kept;
+}
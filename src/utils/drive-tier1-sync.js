@@ -1,55 +1,16 @@
-import { google } from 'googleapis';
 import fs from 'fs';
 import path from 'path';
-
-const CACHE_DIR = 'cache/DriveTier1Sources';
-const INDEX_FILE = path.join(CACHE_DIR, 'index.json');
+import { getDriveClient } from './google-auth.js';
+import { isOfflineMode } from './offline-mode.js';
+import { openCacheNamespace } from './cache-store.js';
+
+// Downloaded files and the sync index share one cache namespace; files are
+// refreshed when their Drive modifiedTime changes, so it has no TTL
+const store = openCacheNamespace('DriveTier1Sources');
+const INDEX_KEY = 'index.json';
 const PARENT_FOLDER_NAME = 'SpeciesAppDataFiles_DoNotTouch';
 const SUBFOLDER_NAME = 'Tier 1 Sources';
 
-let connectionSettings = null;
-
-async function getAccessToken() {
-  if (connectionSettings && connectionSettings.settings.expires_at && new Date(connectionSettings.settings.expires_at).getTime() > Date.now()) {
-    return connectionSettings.settings.access_token;
-  }
-  
-  const hostname = process.env.REPLIT_CONNECTORS_HOSTNAME;
-  const xReplitToken = process.env.REPL_IDENTITY 
-    ? 'repl ' + process.env.REPL_IDENTITY 
-    : process.env.WEB_REPL_RENEWAL 
-    ? 'depl ' + process.env.WEB_REPL_RENEWAL 
-    : null;
-
-  if (!xReplitToken) {
-    throw new Error('X_REPLIT_TOKEN not found for repl/depl');
-  }
-
-  connectionSettings = await fetch(
-    'https://' + hostname + '/api/v2/connection?include_secrets=true&connector_names=google-drive',
-    {
-      headers: {
-        'Accept': 'application/json',
-        'X_REPLIT_TOKEN': xReplitToken
-      }
-    }
-  ).then(res => res.json()).then(data => data.items?.[0]);
-
-  const accessToken = connectionSettings?.settings?.access_token || connectionSettings.settings?.oauth?.credentials?.access_token;
-
-  if (!connectionSettings || !accessToken) {
-    throw new Error('Google Drive not connected');
-  }
-  return accessToken;
-}
-
-async function getDriveClient() {
-  const accessToken = await getAccessToken();
-  const oauth2Client = new google.auth.OAuth2();
-  oauth2Client.setCredentials({ access_token: accessToken });
-  return google.drive({ version: 'v3', auth: oauth2Client });
-}
-
 async function findFolderByName(drive, folderName, parentId = null) {
   let query = `name='${folderName}' and mimeType='application/vnd.google-apps.folder' and trashed=false`;
   if (parentId) {
@@ -105,26 +66,43 @@ async function downloadFile(drive, fileId, destPath, mimeType) {
 }
 
 function loadIndex() {
-  if (fs.existsSync(INDEX_FILE)) {
-    try {
-      return JSON.parse(fs.readFileSync(INDEX_FILE, 'utf-8'));
-    } catch (e) {
-      console.warn('Failed to read Tier 1 index file, starting fresh');
-    }
-  }
-  return { files: {}, lastSync: null };
+  return store.read(INDEX_KEY, { allowStale: true }) || { files: {}, lastSync: null };
 }
 
 function saveIndex(index) {
   index.lastSync = new Date().toISOString();
-  fs.writeFileSync(INDEX_FILE, JSON.stringify(index, null, 2));
+  store.write(INDEX_KEY, index);
 }
 
+const driveFileUrl = (fileId) => `https://drive.google.com/file/d/${fileId}`;
+
+// Concurrent callers (e.g. parallel batch workers) share one in-flight sync
+// instead of racing on the cache directory and index file
+let activeRefresh = null;
+
 export async function refreshTier1Cache(options = {}) {
+  // Offline mode serves whatever the last sync left in the local cache
+  if (isOfflineMode()) {
+    const total = Object.keys(loadIndex().files).length;
+    if (options.verbose !== false) {
+      console.log(`\n📂 Offline: using Tier 1 cache as-is (${total} files)`);
+    }
+    return { downloaded: 0, skipped: total, deleted: 0, total, offline: true };
+  }
+  
+  if (!activeRefresh) {
+    activeRefresh = syncTier1Cache(options).finally(() => {
+      activeRefresh = null;
+    });
+  }
+  return activeRefresh;
+}
+
+async function syncTier1Cache(options = {}) {
   const { force = false, verbose = true } = options;
   
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
+  if (!fs.existsSync(store.dir)) {
+    fs.mkdirSync(store.dir, { recursive: true });
   }
   
   const log = verbose ? console.log : () => {};
@@ -178,9 +156,7 @@ export async function refreshTier1Cache(options = {}) {
   const driveFileNames = new Set(driveFiles.map(f => f.name));
   for (const cachedName of Object.keys(index.files)) {
     if (!driveFileNames.has(cachedName)) {
-      const cachedPath = path.join(CACHE_DIR, cachedName);
-      if (fs.existsSync(cachedPath)) {
-        fs.unlinkSync(cachedPath);
+      if (store.remove(cachedName)) {
         log(`   🗑️  Deleted removed file: ${cachedName}`);
       }
       delete index.files[cachedName];
@@ -190,7 +166,7 @@ export async function refreshTier1Cache(options = {}) {
   
   for (const file of driveFiles) {
     const cachedEntry = index.files[file.name];
-    const localPath = path.join(CACHE_DIR, file.name);
+    const localPath = store.filePath(file.name);
     
     const needsDownload = force || 
       !cachedEntry || 
@@ -201,6 +177,7 @@ export async function refreshTier1Cache(options = {}) {
       log(`   ⬇️  Downloading: ${file.name}`);
       try {
         await downloadFile(drive, file.id, localPath, file.mimeType);
+        store.recordFile(file.name, { sourceUrl: driveFileUrl(file.id) });
         index.files[file.name] = {
           id: file.id,
           modifiedTime: file.modifiedTime,
@@ -230,7 +207,7 @@ export async function refreshTier1Cache(options = {}) {
 }
 
 export function listCachedTier1Files() {
-  if (!fs.existsSync(INDEX_FILE)) {
+  if (!fs.existsSync(store.filePath(INDEX_KEY))) {
     return [];
   }
   const index = loadIndex();
@@ -243,7 +220,7 @@ export function getSpeciesTier1Paths(genus, species) {
   const allFiles = listCachedTier1Files();
   return allFiles
     .filter(name => name.toLowerCase().startsWith(patternLower))
-    .map(name => path.join(CACHE_DIR, name));
+    .map(name => store.filePath(name));
 }
 
 export function readSpeciesTier1Data(genus, species) {
@@ -1,53 +1,11 @@
-import { google } from 'googleapis';
 import fs from 'fs';
 import path from 'path';
+import { getDriveClient } from './google-auth.js';
+import { isOfflineMode } from './offline-mode.js';
 import { Readable } from 'stream';
 
 const PARENT_FOLDER_NAME = 'SpeciesAppDataFiles_DoNotTouch';
 
-let connectionSettings = null;
-
-async function getAccessToken() {
-  if (connectionSettings && connectionSettings.settings.expires_at && new Date(connectionSettings.settings.expires_at).getTime() > Date.now()) {
-    return connectionSettings.settings.access_token;
-  }
-  
-  const hostname = process.env.REPLIT_CONNECTORS_HOSTNAME;
-  const xReplitToken = process.env.REPL_IDENTITY 
-    ? 'repl ' + process.env.REPL_IDENTITY 
-    : process.env.WEB_REPL_RENEWAL 
-    ? 'depl ' + process.env.WEB_REPL_RENEWAL 
-    : null;
-
-  if (!xReplitToken) {
-    throw new Error('X_REPLIT_TOKEN not found for repl/depl');
-  }
-
-  connectionSettings = await fetch(
-    'https://' + hostname + '/api/v2/connection?include_secrets=true&connector_names=google-drive',
-    {
-      headers: {
-        'Accept': 'application/json',
-        'X_REPLIT_TOKEN': xReplitToken
-      }
-    }
-  ).then(res => res.json()).then(data => data.items?.[0]);
-
-  const accessToken = connectionSettings?.settings?.access_token || connectionSettings.settings?.oauth?.credentials?.access_token;
-
-  if (!connectionSettings || !accessToken) {
-    throw new Error('Google Drive not connected');
-  }
-  return accessToken;
-}
-
-async function getDriveClient() {
-  const accessToken = await getAccessToken();
-  const oauth2Client = new google.auth.OAuth2();
-  oauth2Client.setCredentials({ access_token: accessToken });
-  return google.drive({ version: 'v3', auth: oauth2Client });
-}
-
 async function findFolderByName(drive, folderName, parentId = null) {
   let query = `name='${folderName}' and mimeType='application/vnd.google-apps.folder' and trashed=false`;
   if (parentId) {
@@ -97,6 +55,11 @@ async function findFileByName(drive, fileName, folderId) {
 }
 
 export async function uploadJsonToDrive(content, fileName, subfolderName) {
+  if (isOfflineMode()) {
+    console.log(`[drive-upload] Offline - skipped upload of ${fileName}`);
+    return { fileId: null, action: 'skipped' };
+  }
+  
   const drive = await getDriveClient();
   
   const parentFolderId = await findFolderByName(drive, PARENT_FOLDER_NAME);
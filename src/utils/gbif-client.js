@@ -7,7 +7,10 @@
  * No authentication required for species lookup endpoints.
  */
 
-const GBIF_BASE_URL = 'https://api.gbif.org/v1/species';
+import { withRateLimit } from './rate-limiter.js';
+import { assertOnline } from './offline-mode.js';
+
+export const GBIF_BASE_URL = 'https://api.gbif.org/v1/species';
 
 /**
  * Matches a botanical name to the GBIF Backbone Taxonomy
@@ -25,6 +28,7 @@ export async function matchSpecies(genus, species) {
   }
   
   const scientificName = `${genus} ${species}`;
+  assertOnline('gbif', `match ${scientificName}`);
   
   try {
     const url = new URL(`${GBIF_BASE_URL}/match`);
@@ -32,7 +36,7 @@ export async function matchSpecies(genus, species) {
     url.searchParams.append('kingdom', 'Plantae'); // Restrict to plants
     url.searchParams.append('verbose', 'true'); // Include matching details
     
-    const response = await fetch(url.toString());
+    const response = await withRateLimit('gbif', () => fetch(url.toString()));
     
     if (!response.ok) {
       throw new Error(`GBIF API returned status ${response.status}: ${response.statusText}`);
@@ -82,10 +86,11 @@ export async function getSynonyms(usageKey) {
   if (!usageKey || typeof usageKey !== 'number') {
     throw new Error('Usage key must be a valid number');
   }
+  assertOnline('gbif', `synonyms ${usageKey}`);
   
   try {
     const url = `${GBIF_BASE_URL}/${usageKey}/synonyms`;
-    const response = await fetch(url);
+    const response = await withRateLimit('gbif', () => fetch(url));
     
     if (!response.ok) {
       throw new Error(`GBIF API returned status ${response.status}: ${response.statusText}`);
@@ -137,10 +142,11 @@ export async function getTaxonDetails(usageKey) {
   if (!usageKey || typeof usageKey !== 'number') {
     throw new Error('Usage key must be a valid number');
   }
+  assertOnline('gbif', `taxon ${usageKey}`);
   
   try {
     const url = `${GBIF_BASE_URL}/${usageKey}`;
-    const response = await fetch(url);
+    const response = await withRateLimit('gbif', () => fetch(url));
     
     if (!response.ok) {
       throw new Error(`GBIF API returned status ${response.status}: ${response.statusText}`);
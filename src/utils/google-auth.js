@@ -0,0 +1,250 @@
+/**
+ * Google Auth for Drive and Sheets
+ *
+ * Single place where Drive/Sheets clients get their credentials. Three providers
+ * are supported so the pipeline can run inside or outside Replit:
+ *
+ * - replit: Replit's Google Drive connector (REPLIT_CONNECTORS_HOSTNAME plus
+ *   REPL_IDENTITY or WEB_REPL_RENEWAL). Used for the existing Replit deployment.
+ * - service-account: a service account JSON key file. Share the Drive folders
+ *   with the service account's email address. Best for unattended runs.
+ * - oauth: an OAuth "installed app" (desktop) client plus a saved token file,
+ *   created once with `node scripts/google-oauth-login.js`. Best for personal use.
+ *
+ * Provider selection (first match wins):
+ * 1. GOOGLE_AUTH_PROVIDER environment variable
+ * 2. googleAuth.provider in config/config.json (unless "auto")
+ * 3. Auto-detect: service account key present -> service-account,
+ *    OAuth token file present -> oauth, Replit connector env present -> replit
+ *
+ * File locations come from environment variables, falling back to config:
+ * - GOOGLE_APPLICATION_CREDENTIALS / googleAuth.serviceAccountKeyFile
+ * - GOOGLE_OAUTH_CLIENT_FILE / googleAuth.oauthClientFile
+ * - GOOGLE_OAUTH_TOKEN_FILE / googleAuth.oauthTokenFile
+ */
+
+import { google } from 'googleapis';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+const configPath = path.join(PROJECT_ROOT, 'config/config.json');
+
+export const GOOGLE_SCOPES = [
+  'https://www.googleapis.com/auth/drive',
+  'https://www.googleapis.com/auth/spreadsheets'
+];
+
+let authClientPromise = null;
+let replitConnectionSettings = null;
+
+/**
+ * Read googleAuth settings from config.json
+ * @returns {Object} googleAuth config section (empty object if missing)
+ */
+function loadAuthConfig() {
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    return config.googleAuth || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Resolve a configured path relative to the project root
+ * @param {string} filePath - Absolute or project-relative path
+ * @returns {string|null} Absolute path, or null if not configured
+ */
+function resolvePath(filePath) {
+  if (!filePath) return null;
+  return path.isAbsolute(filePath) ? filePath : path.join(PROJECT_ROOT, filePath);
+}
+
+/**
+ * Get the configured file locations for each provider
+ * @returns {Object} { serviceAccountKeyFile, oauthClientFile, oauthTokenFile }
+ */
+export function getAuthFilePaths() {
+  const authConfig = loadAuthConfig();
+  return {
+    serviceAccountKeyFile: resolvePath(process.env.GOOGLE_APPLICATION_CREDENTIALS || authConfig.serviceAccountKeyFile),
+    oauthClientFile: resolvePath(process.env.GOOGLE_OAUTH_CLIENT_FILE || authConfig.oauthClientFile),
+    oauthTokenFile: resolvePath(process.env.GOOGLE_OAUTH_TOKEN_FILE || authConfig.oauthTokenFile)
+  };
+}
+
+/**
+ * Decide which auth provider to use
+ * @returns {string} 'replit' | 'service-account' | 'oauth'
+ */
+export function resolveAuthProvider() {
+  const explicit = process.env.GOOGLE_AUTH_PROVIDER || loadAuthConfig().provider;
+  if (explicit && explicit !== 'auto') {
+    return explicit;
+  }
+
+  const { serviceAccountKeyFile, oauthTokenFile } = getAuthFilePaths();
+  if (serviceAccountKeyFile && fs.existsSync(serviceAccountKeyFile)) {
+    return 'service-account';
+  }
+  if (oauthTokenFile && fs.existsSync(oauthTokenFile)) {
+    return 'oauth';
+  }
+  if (process.env.REPLIT_CONNECTORS_HOSTNAME) {
+    return 'replit';
+  }
+
+  throw new Error(
+    'No Google credentials found. Set GOOGLE_APPLICATION_CREDENTIALS (service account), ' +
+    'run scripts/google-oauth-login.js (OAuth), or run inside Replit with the Google Drive connector.'
+  );
+}
+
+/**
+ * Fetch an access token from the Replit Google Drive connector
+ * Tokens are reused until they expire
+ * @returns {Promise<string>} Access token
+ */
+async function getReplitAccessToken() {
+  if (replitConnectionSettings && replitConnectionSettings.settings.expires_at && new Date(replitConnectionSettings.settings.expires_at).getTime() > Date.now()) {
+    return replitConnectionSettings.settings.access_token;
+  }
+
+  const hostname = process.env.REPLIT_CONNECTORS_HOSTNAME;
+  const xReplitToken = process.env.REPL_IDENTITY
+    ? 'repl ' + process.env.REPL_IDENTITY
+    : process.env.WEB_REPL_RENEWAL
+    ? 'depl ' + process.env.WEB_REPL_RENEWAL
+    : null;
+
+  if (!xReplitToken) {
+    throw new Error('X_REPLIT_TOKEN not found for repl/depl');
+  }
+
+  replitConnectionSettings = await fetch(
+    'https://' + hostname + '/api/v2/connection?include_secrets=true&connector_names=google-drive',
+    {
+      headers: {
+        'Accept': 'application/json',
+        'X_REPLIT_TOKEN': xReplitToken
+      }
+    }
+  ).then(res => res.json()).then(data => data.items?.[0]);
+
+  const accessToken = replitConnectionSettings?.settings?.access_token || replitConnectionSettings?.settings?.oauth?.credentials?.access_token;
+
+  if (!replitConnectionSettings || !accessToken) {
+    throw new Error('Google Drive not connected');
+  }
+  return accessToken;
+}
+
+/**
+ * Create an OAuth2 client from an installed-app client secrets file
+ * @param {string} clientFile - Path to the client secrets JSON downloaded from Google Cloud Console
+ * @returns {Object} google.auth.OAuth2 instance (no credentials set)
+ */
+export function createInstalledAppClient(clientFile) {
+  if (!clientFile || !fs.existsSync(clientFile)) {
+    throw new Error(`OAuth client file not found: ${clientFile || '(not configured)'}`);
+  }
+  const secrets = JSON.parse(fs.readFileSync(clientFile, 'utf-8'));
+  const client = secrets.installed || secrets.web;
+  if (!client?.client_id || !client?.client_secret) {
+    throw new Error(`OAuth client file ${clientFile} has no installed/web client credentials`);
+  }
+  const redirectUri = client.redirect_uris?.[0] || 'http://localhost';
+  return new google.auth.OAuth2(client.client_id, client.client_secret, redirectUri);
+}
+
+/**
+ * Build an auth client for the selected provider
+ * @param {string} provider - 'replit' | 'service-account' | 'oauth'
+ * @returns {Promise<Object>} Auth client accepted by google.drive()/google.sheets()
+ */
+async function createAuthClient(provider) {
+  const { serviceAccountKeyFile, oauthClientFile, oauthTokenFile } = getAuthFilePaths();
+
+  if (provider === 'service-account') {
+    if (!serviceAccountKeyFile || !fs.existsSync(serviceAccountKeyFile)) {
+      throw new Error(`Service account key file not found: ${serviceAccountKeyFile || '(not configured)'}`);
+    }
+    const auth = new google.auth.GoogleAuth({
+      keyFile: serviceAccountKeyFile,
+      scopes: GOOGLE_SCOPES
+    });
+    return auth.getClient();
+  }
+
+  if (provider === 'oauth') {
+    if (!oauthTokenFile || !fs.existsSync(oauthTokenFile)) {
+      throw new Error(`OAuth token file not found: ${oauthTokenFile || '(not configured)'}. Run: node scripts/google-oauth-login.js`);
+    }
+    const client = createInstalledAppClient(oauthClientFile);
+    client.setCredentials(JSON.parse(fs.readFileSync(oauthTokenFile, 'utf-8')));
+
+    // Persist refreshed tokens so the refresh token survives across runs
+    client.on('tokens', (tokens) => {
+      try {
+        const saved = JSON.parse(fs.readFileSync(oauthTokenFile, 'utf-8'));
+        fs.writeFileSync(oauthTokenFile, JSON.stringify({ ...saved, ...tokens }, null, 2), 'utf-8');
+      } catch (error) {
+        console.warn(`[google-auth] Could not save refreshed OAuth token: ${error.message}`);
+      }
+    });
+    return client;
+  }
+
+  if (provider === 'replit') {
+    const client = new google.auth.OAuth2();
+    client.setCredentials({ access_token: await getReplitAccessToken() });
+    return client;
+  }
+
+  throw new Error(`Unknown Google auth provider: ${provider}`);
+}
+
+/**
+ * Get a Google auth client for the selected provider
+ * Service-account and OAuth clients refresh their own tokens, so one client is
+ * shared per process. Replit connector tokens expire without a refresh token,
+ * so a new client is built on every call (the token itself is reused until expiry).
+ * @returns {Promise<Object>} Auth client
+ */
+export async function getGoogleAuthClient() {
+  const provider = resolveAuthProvider();
+  if (provider === 'replit') {
+    return createAuthClient(provider);
+  }
+
+  if (!authClientPromise) {
+    authClientPromise = createAuthClient(provider).catch(error => {
+      authClientPromise = null;
+      throw error;
+    });
+  }
+  return authClientPromise;
+}
+
+/**
+ * Get an authenticated Google Drive v3 client
+ * @returns {Promise<Object>} Drive client
+ */
+export async function getDriveClient() {
+  const auth = await getGoogleAuthClient();
+  return google.drive({ version: 'v3', auth });
+}
+
+/**
+ * Get an authenticated Google Sheets v4 client
+ * @returns {Promise<Object>} Sheets client
+ */
+export async function getSheetsClient() {
+  const auth = await getGoogleAuthClient();
+  return google.sheets({ version: 'v4', auth });
+}
@@ -0,0 +1,131 @@
+/**
+ * Grounding Check for Tier 1 / Tier 2 answers
+ *
+ * Tier 1 and Tier 2 may only restate what their sources say. This check splits
+ * an answer into sentences and, for each one, looks for the passage in the
+ * supplied sources that covers most of its content words. Sentences whose best
+ * passage covers less than SUPPORT_THRESHOLD of their words are marked
+ * unsupported. Each supported sentence keeps its evidence: the quoted passage
+ * and the source file it came from.
+ *
+ * This is a word-overlap check, not an entailment check: it catches facts that
+ * appear nowhere in the sources, not subtle misreadings of facts that do.
+ */
+
+import { contentWords } from './tier-reconciliation.js';
+
+export const SUPPORT_THRESHOLD = 0.6;
+
+// Sentences with fewer content words (e.g. an enum label like "Easy.") aren't checked
+const MIN_CLAIM_WORDS = 2;
+const MAX_QUOTE_LENGTH = 300;
+
+/**
+ * Split text into sentences (bullet lines count as sentences)
+ * @param {string} text - Answer or source text
+ * @returns {string[]} Trimmed sentences
+ */
+function splitSentences(text) {
+  return text
+    .split(/\n+/)
+    .flatMap(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').split(/(?<=[.!?;])\s+(?=[A-Z0-9"(])/))
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Collect the text of a source's content (strings and numbers anywhere in the JSON)
+ * @param {*} content - Source content
+ * @returns {string[]} Text fragments
+ */
+function collectText(content) {
+  if (typeof content === 'string') return [content];
+  if (typeof content === 'number') return [String(content)];
+  if (Array.isArray(content)) return content.flatMap(collectText);
+  if (content && typeof content === 'object') return Object.values(content).flatMap(collectText);
+  return [];
+}
+
+/**
+ * Split sources into passages (single sentences and adjacent pairs)
+ * @param {Array<Object>} sources - Sources as gathered for the tier prompt ({ fileName, source, content })
+ * @returns {Array<Object>} Passages: { fileName, source, text, words }
+ */
+function buildPassages(sources) {
+  const passages = [];
+  for (const src of sources) {
+    const sentences = collectText(src.content).flatMap(splitSentences);
+    sentences.forEach((sentence, i) => {
+      const candidates = [sentence];
+      if (i + 1 < sentences.length) candidates.push(`${sentence} ${sentences[i + 1]}`);
+      for (const text of candidates) {
+        passages.push({ fileName: src.fileName, source: src.source, text, words: contentWords(text) });
+      }
+    });
+  }
+  return passages;
+}
+
+/**
+ * Check each sentence of a tier answer against the sources supplied to that tier
+ * @param {string} value - Tier answer (the response's value)
+ * @param {Array<Object>} sources - Sources supplied in the tier prompt
+ * @returns {Object} { grounded, supportedCount, unsupportedCount, sentences: [{ text, checked, supported, score, evidence }] }
+ */
+export function checkGrounding(value, sources) {
+  const passages = buildPassages(sources || []);
+  const sentences = splitSentences(typeof value === 'string' ? value : '').map(text => {
+    const words = contentWords(text);
+    if (words.size < MIN_CLAIM_WORDS) {
+      return { text, checked: false, supported: null, score: null, evidence: null };
+    }
+
+    let best = null;
+    let bestScore = 0;
+    for (const passage of passages) {
+      let shared = 0;
+      for (const word of words) {
+        if (passage.words.has(word)) shared++;
+      }
+      const score = shared / words.size;
+      // Prefer the shorter passage on ties (single sentence over a pair)
+      if (score > bestScore || (best && score === bestScore && passage.text.length < best.text.length)) {
+        best = passage;
+        bestScore = score;
+      }
+    }
+
+    const supported = bestScore >= SUPPORT_THRESHOLD;
+    return {
+      text,
+      checked: true,
+      supported,
+      score: Math.round(bestScore * 100) / 100,
+      evidence: supported
+        ? { fileName: best.fileName, source: best.source, quote: best.text.slice(0, MAX_QUOTE_LENGTH) }
+        : null
+    };
+  });
+
+  const checked = sentences.filter(sentence => sentence.checked);
+  const supportedCount = checked.filter(sentence => sentence.supported).length;
+  return {
+    grounded: supportedCount === checked.length,
+    supportedCount,
+    unsupportedCount: checked.length - supportedCount,
+    sentences
+  };
+}
+
+/**
+ * Summarize a grounding result for the merged output (evidence stays in the cache)
+ * @param {Object} grounding - Result from checkGrounding()
+ * @returns {Object} { grounded, supported, unsupported: [sentence text] }
+ */
+export function summarizeGrounding(grounding) {
+  return {
+    grounded: grounding.grounded,
+    supported: grounding.supportedCount,
+    unsupported: grounding.sentences.filter(sentence => sentence.checked && !sentence.supported).map(sentence => sentence.text)
+  };
+}
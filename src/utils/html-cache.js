@@ -1,55 +1,29 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import crypto from 'crypto';
+import { assertOnline } from './offline-mode.js';
+import { openCacheNamespace } from './cache-store.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const CACHE_DIR = path.join(__dirname, '../../cache/RawHTML');
-
-function ensureCacheDir() {
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-  }
-}
+const cache = openCacheNamespace('RawHTML');
 
 function urlToHash(url) {
   return crypto.createHash('md5').update(url).digest('hex');
 }
 
-function getCachePath(url) {
-  const hash = urlToHash(url);
-  return path.join(CACHE_DIR, `${hash}.json`);
+function getCacheKey(url) {
+  return `${urlToHash(url)}.json`;
 }
 
 export function readHtmlCache(url) {
-  const cachePath = getCachePath(url);
-  if (fs.existsSync(cachePath)) {
-    try {
-      const content = fs.readFileSync(cachePath, 'utf-8');
-      const data = JSON.parse(content);
-      return data.html;
-    } catch (error) {
-      return null;
-    }
-  }
-  return null;
+  const data = cache.read(getCacheKey(url));
+  return data ? data.html : null;
 }
 
 export function writeHtmlCache(url, html) {
-  ensureCacheDir();
-  const cachePath = getCachePath(url);
-  try {
-    const data = {
-      url,
-      fetchedAt: new Date().toISOString(),
-      html
-    };
-    fs.writeFileSync(cachePath, JSON.stringify(data), 'utf-8');
-  } catch (error) {
-    console.error(`[html-cache] Error writing cache: ${error.message}`);
-  }
+  const data = {
+    url,
+    fetchedAt: new Date().toISOString(),
+    html
+  };
+  cache.write(getCacheKey(url), data, { sourceUrl: url, pretty: false });
 }
 
 export async function fetchWithCache(url, timeoutMs = 10000) {
@@ -58,6 +32,7 @@ export async function fetchWithCache(url, timeoutMs = 10000) {
     console.log(`  [cache] Using cached HTML for ${url}`);
     return cached;
   }
+  assertOnline('html-cache', url);
   
   try {
     const controller = new AbortController();
@@ -92,15 +67,11 @@ export async function fetchWithCache(url, timeoutMs = 10000) {
 }
 
 export function clearHtmlCache() {
-  ensureCacheDir();
-  const files = fs.readdirSync(CACHE_DIR);
   let count = 0;
   
-  for (const file of files) {
-    if (file.endsWith('.json')) {
-      fs.unlinkSync(path.join(CACHE_DIR, file));
-      count++;
-    }
+  for (const key of cache.keys()) {
+    cache.remove(key);
+    count++;
   }
   
   console.log(`[html-cache] Cleared ${count} cached pages`);
@@ -12,20 +12,18 @@
  * - Histogram endpoint: Phenology data (observation counts by month) for SE Michigan region
  * 
  * Caching Strategy:
- * - File-based caching in cache/iNaturalist/
+ * - Cached in the "iNaturalist" namespace of the cache store (cache/iNaturalist/)
  * - Separate files per endpoint type:
  *   - Taxa: Genus_species_inaturalist_taxa.json
  *   - Histogram: Genus_species_inaturalist_histogram.json
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { withRateLimit } from './rate-limiter.js';
+import { assertOnline } from './offline-mode.js';
+import { openCacheNamespace } from './cache-store.js';
+import { getTaxonKey } from './taxon-identity.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const CACHE_DIR = path.join(__dirname, '../../cache/iNaturalist');
+const cache = openCacheNamespace('iNaturalist');
 const API_BASE = 'https://api.inaturalist.org/v1';
 
 /**
@@ -50,25 +48,14 @@ function getSEMichiganPlaceIds() {
 }
 
 /**
- * Ensure cache directory exists
- */
-function ensureCacheDir() {
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-  }
-}
-
-/**
- * Generate cache file path for a species and endpoint type
+ * Generate cache key (file name) for a species and endpoint type
  * @param {string} genus - Genus name
  * @param {string} species - Species epithet
  * @param {string} endpointType - 'taxa' or 'histogram'
- * @returns {string} Full path to cache file
+ * @returns {string} Cache key
  */
-function getCachePath(genus, species, endpointType) {
-  const cleanGenus = genus.charAt(0).toUpperCase() + genus.slice(1).toLowerCase();
-  const cleanSpecies = species.toLowerCase();
-  return path.join(CACHE_DIR, `${cleanGenus}_${cleanSpecies}_inaturalist_${endpointType}.json`);
+function getCacheKey(genus, species, endpointType) {
+  return `${getTaxonKey(genus, species)}_inaturalist_${endpointType}.json`;
 }
 
 /**
@@ -79,17 +66,7 @@ function getCachePath(genus, species, endpointType) {
  * @returns {Object|null} Cached data or null if not found
  */
 function readCache(genus, species, endpointType) {
-  const cachePath = getCachePath(genus, species, endpointType);
-  if (fs.existsSync(cachePath)) {
-    try {
-      const content = fs.readFileSync(cachePath, 'utf-8');
-      return JSON.parse(content);
-    } catch (error) {
-      console.error(`[inaturalist-client] Error reading cache: ${error.message}`);
-      return null;
-    }
-  }
-  return null;
+  return cache.read(getCacheKey(genus, species, endpointType));
 }
 
 /**
@@ -98,15 +75,11 @@ function readCache(genus, species, endpointType) {
  * @param {string} species - Species epithet
  * @param {string} endpointType - 'taxa' or 'histogram'
  * @param {Object} data - Data to cache
+ * @param {string} [sourceUrl] - API URL the data came from
  */
-function writeCache(genus, species, endpointType, data) {
-  ensureCacheDir();
-  const cachePath = getCachePath(genus, species, endpointType);
-  try {
-    fs.writeFileSync(cachePath, JSON.stringify(data, null, 2), 'utf-8');
+function writeCache(genus, species, endpointType, data, sourceUrl) {
+  if (cache.write(getCacheKey(genus, species, endpointType), data, { sourceUrl })) {
     console.log(`[inaturalist-client] Cached ${endpointType} data for ${genus} ${species}`);
-  } catch (error) {
-    console.error(`[inaturalist-client] Error writing cache: ${error.message}`);
   }
 }
 
@@ -117,10 +90,22 @@ const REQUEST_TIMEOUT = 30000;
 
 /**
  * Make a request to the iNaturalist API with User-Agent header and timeout
+ * Requests are throttled by the shared 'inaturalist' rate limiter (60 req/min)
  * @param {string} endpoint - API endpoint path
  * @returns {Promise<Object>} API response JSON
  */
 async function apiRequest(endpoint) {
+  assertOnline('inaturalist', endpoint);
+  // Queue behind the shared limiter first so the timeout only covers the request itself
+  return withRateLimit('inaturalist', () => timedApiRequest(endpoint));
+}
+
+/**
+ * Perform a single iNaturalist API request with timeout (no rate limiting)
+ * @param {string} endpoint - API endpoint path
+ * @returns {Promise<Object>} API response JSON
+ */
+async function timedApiRequest(endpoint) {
   const url = `${API_BASE}${endpoint}`;
   
   const controller = new AbortController();
@@ -151,6 +136,16 @@ async function apiRequest(endpoint) {
   }
 }
 
+/**
+ * API endpoint of a taxon search by scientific name
+ * @param {string} genus - Genus name
+ * @param {string} species - Species epithet
+ * @returns {string} Endpoint path
+ */
+function getTaxonSearchEndpoint(genus, species) {
+  return `/taxa?q=${encodeURIComponent(`${genus} ${species}`)}&rank=species`;
+}
+
 /**
  * Search for a taxon by scientific name
  * @param {string} genus - Genus name
@@ -159,9 +154,8 @@ async function apiRequest(endpoint) {
  */
 async function searchTaxon(genus, species) {
   const scientificName = `${genus} ${species}`;
-  const encoded = encodeURIComponent(scientificName);
   
-  const data = await apiRequest(`/taxa?q=${encoded}&rank=species`);
+  const data = await apiRequest(getTaxonSearchEndpoint(genus, species));
   
   if (!data.results || data.results.length === 0) {
     return null;
@@ -227,7 +221,7 @@ export async function getTaxaData(genus, species, useCache = true) {
         observationsCount: 0,
         defaultPhotoUrl: null
       };
-      writeCache(genus, species, 'taxa', emptyResult);
+      writeCache(genus, species, 'taxa', emptyResult, `${API_BASE}${getTaxonSearchEndpoint(genus, species)}`);
       return emptyResult;
     }
     
@@ -284,7 +278,7 @@ export async function getTaxaData(genus, species, useCache = true) {
       defaultPhotoUrl: taxon.default_photo?.medium_url || null
     };
     
-    writeCache(genus, species, 'taxa', result);
+    writeCache(genus, species, 'taxa', result, `${API_BASE}/taxa/${taxon.id}`);
     return result;
     
   } catch (error) {
@@ -328,14 +322,13 @@ export async function getHistogramData(genus, species, useCache = true) {
         peakMonth: null,
         peakMonthName: null
       };
-      writeCache(genus, species, 'histogram', emptyResult);
+      writeCache(genus, species, 'histogram', emptyResult, `${API_BASE}${getTaxonSearchEndpoint(genus, species)}`);
       return emptyResult;
     }
     
     const placeIds = getSEMichiganPlaceIds();
-    const data = await apiRequest(
-      `/observations/histogram?taxon_id=${searchResult.id}&place_id=${placeIds}&interval=month_of_year`
-    );
+    const histogramEndpoint = `/observations/histogram?taxon_id=${searchResult.id}&place_id=${placeIds}&interval=month_of_year`;
+    const data = await apiRequest(histogramEndpoint);
     
     const monthlyObs = data.results?.month_of_year || {};
     
@@ -368,7 +361,7 @@ export async function getHistogramData(genus, species, useCache = true) {
       peakMonthName: peakMonth ? monthNames[peakMonth] : null
     };
     
-    writeCache(genus, species, 'histogram', result);
+    writeCache(genus, species, 'histogram', result, `${API_BASE}${histogramEndpoint}`);
     return result;
     
   } catch (error) {
@@ -410,16 +403,11 @@ export function getPlaceIds() {
  * @param {string} species - Species epithet
  */
 export function clearSpeciesCache(genus, species) {
-  const taxaPath = getCachePath(genus, species, 'taxa');
-  const histogramPath = getCachePath(genus, species, 'histogram');
-  
-  if (fs.existsSync(taxaPath)) {
-    fs.unlinkSync(taxaPath);
+  if (cache.remove(getCacheKey(genus, species, 'taxa'))) {
     console.log(`[inaturalist-client] Removed taxa cache for ${genus} ${species}`);
   }
   
-  if (fs.existsSync(histogramPath)) {
-    fs.unlinkSync(histogramPath);
+  if (cache.remove(getCacheKey(genus, species, 'histogram'))) {
     console.log(`[inaturalist-client] Removed histogram cache for ${genus} ${species}`);
   }
 }
@@ -429,9 +417,7 @@ export function clearSpeciesCache(genus, species) {
  * @returns {Array<Object>} Array of {genus, species, endpoints} objects
  */
 export function listCachedSpecies() {
-  ensureCacheDir();
-  
-  const files = fs.readdirSync(CACHE_DIR);
+  const files = cache.keys();
   const speciesMap = new Map();
   
   for (const file of files) {
@@ -0,0 +1,125 @@
+/**
+ * LLM Model and Parameter Configuration
+ *
+ * Every Claude call builds its request with buildLlmRequest(), which fills in the
+ * model, max_tokens, temperature and system prompt configured for the calling
+ * module (and tier) in config/llm-models.json:
+ *
+ * - defaults: { model, maxTokens, temperature, system } used by every module
+ * - modules: settings by module id; an entry may override any default and may
+ *   have a "tiers" block ("1", "2", "3") with per-tier overrides
+ *
+ * 3-tier field modules ("3tier-<fieldId>") read the shared "3tier" entry first,
+ * then their own entry, so a single field can be moved to another model:
+ *
+ *   "3tier": { "model": "claude-sonnet-4-20250514", "tiers": { "3": { "model": "claude-haiku-4-5" } } },
+ *   "3tier-processing_difficulty": { "maxTokens": 2048 }
+ *
+ * Multi-field calls for a field group run as "3tier-group-<groupId>" (their
+ * maxTokens is multiplied by the number of fields in the group).
+ *
+ * temperature and system are left out of the request when null.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_PATH = path.join(__dirname, '../../config/llm-models.json');
+
+const SETTING_KEYS = ['model', 'maxTokens', 'temperature', 'system'];
+
+let llmConfig = null;
+
+/**
+ * Load LLM model configuration (cached after first read)
+ * @returns {Object} { defaults, modules }
+ */
+function loadLlmConfig() {
+  if (!llmConfig) {
+    try {
+      llmConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+    } catch (error) {
+      console.warn(`[llm-config] Could not load model config: ${error.message}`);
+      llmConfig = {};
+    }
+  }
+  return llmConfig;
+}
+
+/**
+ * Copy the known settings from a config entry (unset keys are skipped)
+ * @param {Object} [entry] - Config entry
+ * @returns {Object} Settings present in the entry
+ */
+function pickSettings(entry = {}) {
+  return Object.fromEntries(SETTING_KEYS.filter(key => entry[key] !== undefined).map(key => [key, entry[key]]));
+}
+
+/**
+ * Resolve the LLM settings for a module (and tier)
+ * @param {string} moduleId - Module id (e.g. 'botanical-name', '3tier-collection_ease')
+ * @param {Object} [options]
+ * @param {number} [options.tier] - 3-tier tier number
+ * @returns {Object} { model, maxTokens, temperature, system }
+ */
+export function getLlmSettings(moduleId, { tier } = {}) {
+  const config = loadLlmConfig();
+  const modules = config.modules || {};
+  const entries = [moduleId.startsWith('3tier-') ? modules['3tier'] : null, modules[moduleId]].filter(Boolean);
+
+  const settings = { model: null, maxTokens: 1024, temperature: null, system: null, ...pickSettings(config.defaults) };
+  for (const entry of entries) {
+    Object.assign(settings, pickSettings(entry));
+  }
+  if (tier !== undefined) {
+    for (const entry of entries) {
+      Object.assign(settings, pickSettings(entry.tiers?.[tier]));
+    }
+  }
+
+  if (!settings.model) {
+    throw new Error(`[llm-config] No model configured for ${moduleId} (config/llm-models.json)`);
+  }
+  return settings;
+}
+
+/**
+ * Build a messages.create request for a module
+ * @param {string} moduleId - Module id
+ * @param {Array<Object>} messages - Request messages
+ * @param {Object} [options]
+ * @param {number} [options.tier] - 3-tier tier number
+ * @param {Object} [options.overrides] - Settings that win over the config (e.g. { model } from an eval run)
+ * @returns {Object} Request: { model, max_tokens, messages, temperature?, system? }
+ */
+export function buildLlmRequest(moduleId, messages, { tier, overrides = {} } = {}) {
+  const settings = { ...getLlmSettings(moduleId, { tier }), ...pickSettings(overrides) };
+  const request = { model: settings.model, max_tokens: settings.maxTokens, messages };
+  if (settings.temperature !== null && settings.temperature !== undefined) {
+    request.temperature = settings.temperature;
+  }
+  if (settings.system) {
+    request.system = settings.system;
+  }
+  return request;
+}
+
+/**
+ * Override a module's settings for this process (e.g. from a command-line flag)
+ * @param {string} moduleId - Module id ('3tier' for all 3-tier fields)
+ * @param {Object} settings - { model, maxTokens, temperature, system, tiers }
+ */
+export function configureLlmModule(moduleId, settings) {
+  const config = loadLlmConfig();
+  config.modules = config.modules || {};
+  const current = config.modules[moduleId] || {};
+  config.modules[moduleId] = {
+    ...current,
+    ...settings,
+    tiers: { ...current.tiers, ...settings.tiers }
+  };
+}
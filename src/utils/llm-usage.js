@@ -0,0 +1,347 @@
+/**
+ * LLM Usage and Cost Accounting
+ *
+ * Every Claude call reports its `usage` block here via recordLlmUsage(), tagged
+ * with the module, tier and species that made it. Usage is kept in memory for
+ * the run summary and appended to a JSONL log (one line per call) so costs can
+ * be reviewed across runs.
+ *
+ * Configured in config/llm-usage.json:
+ * - logFile: JSONL log path, relative to the project root (null disables the log)
+ * - budget: { maxCostUsd, maxTokens } - per-run caps (null = no cap)
+ * - pricing: USD per million tokens by model; a model matches the longest key it
+ *   starts with (so "claude-sonnet-4-5-20250929" uses "claude-sonnet-4-5"),
+ *   falling back to "default"
+ * - batchPriceFactor: share of the normal price charged for Message Batches calls
+ *   (default 0.5)
+ *
+ * The budget doesn't interrupt calls already in progress. 3-tier calls check it
+ * with assertWithinLlmBudget() before each request and throw BUDGET_EXCEEDED,
+ * which stops the species without writing its row; run-batch.js also checks
+ * isLlmBudgetExceeded() before starting each species and stops scheduling more.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+const CONFIG_PATH = path.join(PROJECT_ROOT, 'config/llm-usage.json');
+
+let usageConfig = null;
+let budgetOverride = null;
+let logFileOverride;
+const entries = [];
+
+/**
+ * Load LLM usage configuration (cached after first read)
+ * @returns {Object} { logFile, budget, pricing }
+ */
+function loadUsageConfig() {
+  if (!usageConfig) {
+    try {
+      usageConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+    } catch (error) {
+      console.warn(`[llm-usage] Could not load usage config: ${error.message}`);
+      usageConfig = {};
+    }
+  }
+  return usageConfig;
+}
+
+/**
+ * Find the pricing entry for a model
+ * @param {string} model - Model id as reported by the API
+ * @returns {Object} { inputPerMTok, outputPerMTok, cacheWritePerMTok, cacheReadPerMTok }
+ */
+function getModelPricing(model) {
+  const pricing = loadUsageConfig().pricing || {};
+  const match = Object.keys(pricing)
+    .filter(key => key !== 'default' && String(model || '').startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return pricing[match] || pricing.default || {};
+}
+
+/**
+ * Estimate the cost of one call from its usage block
+ * @param {string} model - Model id
+ * @param {Object} usage - API usage block (input_tokens, output_tokens, cache_* tokens)
+ * @returns {number} Estimated cost in USD
+ */
+export function estimateLlmCost(model, usage = {}) {
+  const price = getModelPricing(model);
+  const perToken = (perMTok) => (perMTok || 0) / 1e6;
+  return (usage.input_tokens || 0) * perToken(price.inputPerMTok) +
+    (usage.output_tokens || 0) * perToken(price.outputPerMTok) +
+    (usage.cache_creation_input_tokens || 0) * perToken(price.cacheWritePerMTok ?? price.inputPerMTok) +
+    (usage.cache_read_input_tokens || 0) * perToken(price.cacheReadPerMTok ?? price.inputPerMTok);
+}
+
+/**
+ * Estimate what prompt caching saved on one call: cache reads billed below the
+ * input price, minus the premium paid for cache writes
+ * @param {string} model - Model id
+ * @param {Object} usage - API usage block
+ * @returns {number} Saving in USD (negative when writes outweigh reads)
+ */
+export function estimateLlmCacheSavings(model, usage = {}) {
+  const price = getModelPricing(model);
+  const perToken = (perMTok) => (perMTok || 0) / 1e6;
+  const input = perToken(price.inputPerMTok);
+  return (usage.cache_read_input_tokens || 0) * (input - perToken(price.cacheReadPerMTok ?? price.inputPerMTok)) -
+    (usage.cache_creation_input_tokens || 0) * (perToken(price.cacheWritePerMTok ?? price.inputPerMTok) - input);
+}
+
+/**
+ * Price multiplier for Message Batches calls
+ * @returns {number} Factor applied to the estimated cost (0.5 = half price)
+ */
+function getBatchPriceFactor() {
+  return loadUsageConfig().batchPriceFactor ?? 0.5;
+}
+
+/**
+ * Append an entry to the JSONL usage log
+ * @param {Object} entry - Usage entry
+ */
+function appendToLog(entry) {
+  const logFile = logFileOverride !== undefined ? logFileOverride : loadUsageConfig().logFile;
+  if (!logFile) return;
+
+  try {
+    const logPath = path.resolve(PROJECT_ROOT, logFile);
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    fs.appendFileSync(logPath, JSON.stringify(entry) + '\n', 'utf-8');
+  } catch (error) {
+    console.warn(`[llm-usage] Could not write usage log: ${error.message}`);
+  }
+}
+
+/**
+ * Record the usage of one Claude call
+ * @param {Object} call - Call details
+ * @param {string} call.model - Model id (prefer the one reported in the response)
+ * @param {Object} call.usage - Usage block from the API response
+ * @param {string} call.module - Module that made the call (e.g. 'botanical-name')
+ * @param {number} [call.tier] - Tier number for 3-tier fields
+ * @param {string} [call.genus] - Genus name
+ * @param {string} [call.species] - Species epithet
+ * @param {boolean} [call.batch] - True for Message Batches calls (priced with batchPriceFactor)
+ * @returns {Object} The recorded entry
+ */
+export function recordLlmUsage({ model, usage = {}, module, tier = null, genus = '', species = '', batch = false }) {
+  const priceFactor = batch ? getBatchPriceFactor() : 1;
+  const entry = {
+    timestamp: new Date().toISOString(),
+    module,
+    tier,
+    genus,
+    species,
+    model,
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationInputTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadInputTokens: usage.cache_read_input_tokens || 0,
+    costUsd: estimateLlmCost(model, usage) * priceFactor,
+    cacheSavingsUsd: estimateLlmCacheSavings(model, usage) * priceFactor
+  };
+  if (batch) {
+    entry.batch = true;
+  }
+
+  entries.push(entry);
+  appendToLog(entry);
+  return entry;
+}
+
+/**
+ * Total tokens for an entry (input, output and cache tokens)
+ * @param {Object} entry - Usage entry
+ * @returns {number} Token count
+ */
+function entryTokens(entry) {
+  return entry.inputTokens + entry.outputTokens + entry.cacheCreationInputTokens + entry.cacheReadInputTokens;
+}
+
+/**
+ * Add an entry to a running total
+ * @param {Object} total - Total being accumulated (mutated)
+ * @param {Object} entry - Usage entry
+ */
+function addToTotal(total, entry) {
+  total.calls++;
+  total.inputTokens += entry.inputTokens;
+  total.outputTokens += entry.outputTokens;
+  total.cacheCreationInputTokens += entry.cacheCreationInputTokens;
+  total.cacheReadInputTokens += entry.cacheReadInputTokens;
+  total.totalTokens += entryTokens(entry);
+  total.costUsd += entry.costUsd;
+  total.cacheSavingsUsd += entry.cacheSavingsUsd || 0;
+}
+
+/**
+ * Create an empty running total
+ * @returns {Object} Zeroed counters
+ */
+function emptyTotal() {
+  return {
+    calls: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationInputTokens: 0,
+    cacheReadInputTokens: 0,
+    totalTokens: 0,
+    costUsd: 0,
+    cacheSavingsUsd: 0
+  };
+}
+
+/**
+ * Summarize usage recorded in this process
+ * @returns {Object} Totals plus byModule, byModel and bySpecies breakdowns
+ */
+export function getLlmUsageSummary() {
+  const summary = { ...emptyTotal(), byModule: {}, byModel: {}, bySpecies: {} };
+
+  for (const entry of entries) {
+    addToTotal(summary, entry);
+    const speciesName = `${entry.genus} ${entry.species}`.trim();
+    for (const [group, key] of [['byModule', entry.module], ['byModel', entry.model], ['bySpecies', speciesName]]) {
+      summary[group][key] = summary[group][key] || emptyTotal();
+      addToTotal(summary[group][key], entry);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Format a usage summary for the console
+ * @param {Object} [summary] - Summary from getLlmUsageSummary() (default: current)
+ * @returns {string} Multi-line summary
+ */
+export function formatLlmUsageSummary(summary = getLlmUsageSummary()) {
+  const lines = [
+    `LLM calls: ${summary.calls}`,
+    `Tokens: ${summary.totalTokens.toLocaleString()} (input ${summary.inputTokens.toLocaleString()}, output ${summary.outputTokens.toLocaleString()}` +
+      (summary.cacheReadInputTokens || summary.cacheCreationInputTokens
+        ? `, cache write ${summary.cacheCreationInputTokens.toLocaleString()}, cache read ${summary.cacheReadInputTokens.toLocaleString()})`
+        : ')'),
+    `Estimated cost: $${summary.costUsd.toFixed(4)}`
+  ];
+  if (summary.cacheReadInputTokens || summary.cacheCreationInputTokens) {
+    lines.push(`Prompt cache savings: $${summary.cacheSavingsUsd.toFixed(4)} (${summary.cacheReadInputTokens.toLocaleString()} input tokens read from cache)`);
+  }
+
+  const modules = Object.entries(summary.byModule).sort((a, b) => b[1].costUsd - a[1].costUsd);
+  if (modules.length > 0) {
+    lines.push('By module:');
+    for (const [module, total] of modules) {
+      lines.push(`  ${module}: ${total.calls} calls, ${total.totalTokens.toLocaleString()} tokens, $${total.costUsd.toFixed(4)}`);
+    }
+  }
+
+  const budget = formatLlmBudget();
+  if (budget) {
+    lines.push(`Budget: ${budget}${isLlmBudgetExceeded() ? ' (reached)' : ''}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Override the configured budget for this run (e.g. from --budget-usd)
+ * Only the fields given are overridden.
+ * @param {Object} budget - { maxCostUsd, maxTokens } (null = no cap)
+ */
+export function setLlmBudget(budget) {
+  budgetOverride = { ...budgetOverride, ...budget };
+}
+
+/**
+ * Get the budget in effect
+ * @returns {Object} { maxCostUsd, maxTokens } (null = no cap)
+ */
+export function getLlmBudget() {
+  const configured = loadUsageConfig().budget || {};
+  const budget = { ...configured, ...budgetOverride };
+  return {
+    maxCostUsd: budget.maxCostUsd ?? null,
+    maxTokens: budget.maxTokens ?? null
+  };
+}
+
+/**
+ * Describe the budget in effect (e.g. "$5 / 200,000 tokens")
+ * @returns {string|null} Description, or null when there is no cap
+ */
+export function formatLlmBudget() {
+  const { maxCostUsd, maxTokens } = getLlmBudget();
+  const caps = [];
+  if (maxCostUsd != null) caps.push(`$${maxCostUsd}`);
+  if (maxTokens != null) caps.push(`${maxTokens.toLocaleString()} tokens`);
+  return caps.length > 0 ? caps.join(' / ') : null;
+}
+
+/**
+ * Check whether usage so far has reached the budget
+ * @returns {boolean} True once either cap is reached
+ */
+export function isLlmBudgetExceeded() {
+  const { maxCostUsd, maxTokens } = getLlmBudget();
+  if (maxCostUsd == null && maxTokens == null) return false;
+
+  const summary = getLlmUsageSummary();
+  return (maxCostUsd != null && summary.costUsd >= maxCostUsd) ||
+    (maxTokens != null && summary.totalTokens >= maxTokens);
+}
+
+/**
+ * Create the error thrown when a Claude call would start after the budget is reached
+ * @param {string} [module] - Module that was about to call Claude
+ * @returns {Error} Error with code 'BUDGET_EXCEEDED'
+ */
+export function createBudgetExceededError(module = '') {
+  const error = new Error(`LLM budget reached (${formatLlmBudget()})${module ? ` - ${module} not called` : ''}`);
+  error.code = 'BUDGET_EXCEEDED';
+  return error;
+}
+
+/**
+ * Check whether an error came from the LLM budget being reached
+ * @param {Error} error - Caught error
+ * @returns {boolean} True for BUDGET_EXCEEDED errors
+ */
+export function isBudgetExceededError(error) {
+  return error?.code === 'BUDGET_EXCEEDED';
+}
+
+/**
+ * Guard a Claude call: throws BUDGET_EXCEEDED once the budget is reached
+ * Call this after the cache lookup missed and before the request is made.
+ * @param {string} [module] - Module about to call Claude
+ * @throws {Error} BUDGET_EXCEEDED error
+ */
+export function assertWithinLlmBudget(module) {
+  if (isLlmBudgetExceeded()) {
+    throw createBudgetExceededError(module);
+  }
+}
+
+/**
+ * Override the JSONL log path for this process
+ * @param {string|null} logFile - Path relative to the project root, or null to disable
+ */
+export function setLlmUsageLogFile(logFile) {
+  logFileOverride = logFile;
+}
+
+/**
+ * Clear usage recorded in this process (the log file is kept)
+ */
+export function resetLlmUsage() {
+  entries.length = 0;
+}
@@ -0,0 +1,127 @@
+/**
+ * Anthropic Message Batches
+ *
+ * Submits many messages.create requests as message batches, waits for them to
+ * finish and returns each result by its custom id. Batches are processed
+ * asynchronously by the API (usually within an hour, at most 24 hours) at half
+ * the normal price, which suits bulk 3-tier runs where no one waits on a single
+ * answer.
+ *
+ * Requests are split into batches of at most MAX_REQUESTS_PER_BATCH requests and
+ * MAX_BATCH_BYTES of request JSON (the API allows 100,000 requests / 256 MB).
+ *
+ * The client can be any Anthropic client, e.g. one pointed at the local stand-in
+ * server in test/batch-api-stub-server.js via baseURL.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { withRateLimit } from './rate-limiter.js';
+import { assertOnline } from './offline-mode.js';
+
+const MAX_REQUESTS_PER_BATCH = 10000;
+const MAX_BATCH_BYTES = 200 * 1024 * 1024;
+const DEFAULT_POLL_INTERVAL_MS = 60000;
+
+/**
+ * Split requests into batches that stay under the request count and size limits
+ * @param {Array<Object>} requests - [{ customId, params }]
+ * @param {Object} limits - { maxRequests, maxBytes }
+ * @returns {Array<Array<Object>>} Request groups
+ */
+function splitIntoBatches(requests, { maxRequests, maxBytes }) {
+  const batches = [];
+  let current = [];
+  let currentBytes = 0;
+
+  for (const request of requests) {
+    const bytes = Buffer.byteLength(JSON.stringify(request.params));
+    if (current.length > 0 && (current.length >= maxRequests || currentBytes + bytes > maxBytes)) {
+      batches.push(current);
+      current = [];
+      currentBytes = 0;
+    }
+    current.push(request);
+    currentBytes += bytes;
+  }
+  if (current.length > 0) batches.push(current);
+
+  return batches;
+}
+
+/**
+ * Wait for a batch to end
+ * @param {Object} client - Anthropic client
+ * @param {string} batchId - Message batch id
+ * @param {Object} options - { pollIntervalMs, log }
+ * @returns {Promise<Object>} The ended message batch
+ */
+async function waitForBatch(client, batchId, { pollIntervalMs, log }) {
+  while (true) {
+    const batch = await withRateLimit('anthropic', () => client.messages.batches.retrieve(batchId));
+    if (batch.processing_status === 'ended') {
+      return batch;
+    }
+    const counts = batch.request_counts || {};
+    log(`  [message-batches] ${batchId}: ${batch.processing_status} (${counts.processing ?? '?'} processing, ${counts.succeeded ?? 0} succeeded)`);
+    await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+  }
+}
+
+/**
+ * Run requests as message batches and collect the results
+ * @param {Array<Object>} requests - [{ customId, params }]; customId must be unique,
+ *   1-64 characters of letters, digits, _ and -
+ * @param {Object} [options]
+ * @param {Object} [options.client] - Anthropic client (default: new client from the environment)
+ * @param {number} [options.pollIntervalMs] - Time between status checks (default 60s)
+ * @param {number} [options.maxRequestsPerBatch] - Requests per batch
+ * @param {number} [options.maxBatchBytes] - Request JSON bytes per batch
+ * @param {Function} [options.onResult] - Called with (customId, result) as each result arrives
+ * @param {boolean} [options.verbose] - Log progress
+ * @returns {Promise<Map>} customId -> { ok: true, message } | { ok: false, error }
+ */
+export async function runMessageBatches(requests, options = {}) {
+  const {
+    client = new Anthropic(),
+    pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+    maxRequestsPerBatch = MAX_REQUESTS_PER_BATCH,
+    maxBatchBytes = MAX_BATCH_BYTES,
+    onResult = null,
+    verbose = true
+  } = options;
+  const log = verbose ? console.log : () => {};
+  const results = new Map();
+
+  if (requests.length === 0) {
+    return results;
+  }
+  assertOnline('anthropic', 'message batch');
+
+  const groups = splitIntoBatches(requests, { maxRequests: maxRequestsPerBatch, maxBytes: maxBatchBytes });
+
+  // Submit everything first so the batches are processed side by side
+  const submitted = [];
+  for (const group of groups) {
+    const batch = await withRateLimit('anthropic', () => client.messages.batches.create({
+      requests: group.map(request => ({ custom_id: request.customId, params: request.params }))
+    }));
+    log(`  [message-batches] Submitted ${batch.id} (${group.length} requests)`);
+    submitted.push(batch.id);
+  }
+
+  for (const batchId of submitted) {
+    const batch = await waitForBatch(client, batchId, { pollIntervalMs, log });
+    const counts = batch.request_counts || {};
+    log(`  [message-batches] ${batchId}: ended (${counts.succeeded ?? 0} succeeded, ${counts.errored ?? 0} errored, ${counts.expired ?? 0} expired)`);
+
+    for await (const item of await client.messages.batches.results(batchId)) {
+      const result = item.result?.type === 'succeeded'
+        ? { ok: true, message: item.result.message }
+        : { ok: false, error: item.result?.error?.error?.message || item.result?.error?.message || item.result?.type || 'unknown error' };
+      results.set(item.custom_id, result);
+      if (onResult) onResult(item.custom_id, result);
+    }
+  }
+
+  return results;
+}
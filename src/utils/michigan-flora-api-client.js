@@ -10,93 +10,52 @@
  * - County locations (locs_sp)
  * - Real-time species lookup with plant_id
  * 
- * All responses are cached to avoid redundant API calls.
+ * All responses are cached to avoid redundant API calls, in the
+ * "MichiganFlora/API" namespace of the cache store.
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { withRateLimit } from './rate-limiter.js';
+import { assertOnline } from './offline-mode.js';
+import { openCacheNamespace } from './cache-store.js';
+import { getTaxonKey } from './taxon-identity.js';
 
 const API_BASE_URL = 'https://michiganflora.net/api/v1.0';
-const CACHE_DIR = path.join(__dirname, '../../cache/MichiganFlora/API');
-
-function ensureCacheDir() {
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-  }
-}
-
-function normalizeGenus(genus) {
-  const trimmed = genus.trim();
-  let normalized = trimmed.toLowerCase();
-  
-  for (let i = 0; i < normalized.length; i++) {
-    if (/[a-z]/i.test(normalized[i])) {
-      normalized = normalized.substring(0, i) + 
-                   normalized[i].toUpperCase() + 
-                   normalized.substring(i + 1);
-      break;
-    }
-  }
-  
-  return normalized;
-}
-
-function slugify(name) {
-  return name
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, '-')
-    .replace(/[^a-z0-9×-]/g, '_');
-}
+const cache = openCacheNamespace('MichiganFlora/API');
 
-function getCachePath(genus, species, endpoint) {
-  const normalizedGenus = normalizeGenus(genus);
-  const slugSpecies = slugify(species.trim().toLowerCase());
-  return path.join(CACHE_DIR, `${normalizedGenus}_${slugSpecies}_${endpoint}.json`);
+function getCacheKey(genus, species, endpoint) {
+  return `${getTaxonKey(genus, species)}_${endpoint}.json`;
 }
 
 function readCache(genus, species, endpoint) {
-  const cachePath = getCachePath(genus, species, endpoint);
-  if (fs.existsSync(cachePath)) {
-    try {
-      const content = fs.readFileSync(cachePath, 'utf-8');
-      return JSON.parse(content);
-    } catch (error) {
-      console.error(`[michigan-flora-api] Error reading cache: ${error.message}`);
-      return null;
-    }
-  }
-  return null;
+  return cache.read(getCacheKey(genus, species, endpoint));
 }
 
-function writeCache(genus, species, endpoint, data) {
-  ensureCacheDir();
-  const cachePath = getCachePath(genus, species, endpoint);
-  try {
-    fs.writeFileSync(cachePath, JSON.stringify(data, null, 2), 'utf-8');
+function writeCache(genus, species, endpoint, data, sourceUrl) {
+  if (cache.write(getCacheKey(genus, species, endpoint), data, { sourceUrl: sourceUrl?.toString() })) {
     console.log(`[michigan-flora-api] Cached ${endpoint} for ${genus} ${species}`);
-  } catch (error) {
-    console.error(`[michigan-flora-api] Error writing cache: ${error.message}`);
   }
 }
 
-async function fetchApi(endpoint, params = {}) {
+function getApiUrl(endpoint, params = {}) {
   const url = new URL(`${API_BASE_URL}/${endpoint}`);
   for (const [key, value] of Object.entries(params)) {
     url.searchParams.append(key, value);
   }
+  return url;
+}
+
+async function fetchApi(endpoint, params = {}) {
+  const url = getApiUrl(endpoint, params);
+  // Thrown outside the try so a cache miss isn't mistaken for "not found" and cached
+  assertOnline('michigan-flora', endpoint);
   
   try {
-    const response = await fetch(url.toString(), {
+    const response = await withRateLimit('michigan-flora', () => fetch(url.toString(), {
       headers: {
         'Accept': 'application/json',
         'User-Agent': 'BotanicalDataAggregator/1.0'
       }
-    });
+    }));
     
     if (!response.ok) {
       console.log(`[michigan-flora-api] HTTP ${response.status} for ${endpoint}`);
@@ -130,7 +89,7 @@ export async function searchSpecies(genus, species) {
   
   if (!result || !Array.isArray(result) || result.length === 0) {
     const emptyResult = { found: false, data: null };
-    writeCache(genus, species, 'flora', emptyResult);
+    writeCache(genus, species, 'flora', emptyResult, getApiUrl('flora_search_sp', { scientific_name: scientificName }));
     return emptyResult;
   }
   
@@ -141,7 +100,7 @@ export async function searchSpecies(genus, species) {
     fetchedAt: new Date().toISOString()
   };
   
-  writeCache(genus, species, 'flora', cacheData);
+  writeCache(genus, species, 'flora', cacheData, getApiUrl('flora_search_sp', { scientific_name: scientificName }));
   return cacheData;
 }
 
@@ -168,7 +127,7 @@ export async function getSpeciesText(plantId, genus, species) {
     fetchedAt: new Date().toISOString()
   };
   
-  writeCache(genus, species, 'text', cacheData);
+  writeCache(genus, species, 'text', cacheData, getApiUrl('spec_text', { id: plantId }));
   return cacheData;
 }
 
@@ -197,7 +156,7 @@ export async function getSynonyms(plantId, genus, species) {
     fetchedAt: new Date().toISOString()
   };
   
-  writeCache(genus, species, 'synonyms', cacheData);
+  writeCache(genus, species, 'synonyms', cacheData, getApiUrl('synonyms', { id: plantId }));
   return cacheData;
 }
 
@@ -226,7 +185,7 @@ export async function getLocations(plantId, genus, species) {
     fetchedAt: new Date().toISOString()
   };
   
-  writeCache(genus, species, 'locations', cacheData);
+  writeCache(genus, species, 'locations', cacheData, getApiUrl('locs_sp', { id: plantId }));
   return cacheData;
 }
 
@@ -253,7 +212,7 @@ export async function getPrimaryImage(plantId, genus, species) {
     fetchedAt: new Date().toISOString()
   };
   
-  writeCache(genus, species, 'image', cacheData);
+  writeCache(genus, species, 'image', cacheData, getApiUrl('pimage_info', { id: plantId }));
   return cacheData;
 }
 
@@ -314,15 +273,11 @@ export async function getCompleteSpeciesData(genus, species) {
  * Clear all cached API responses
  */
 export function clearApiCache() {
-  ensureCacheDir();
-  const files = fs.readdirSync(CACHE_DIR);
   let count = 0;
   
-  for (const file of files) {
-    if (file.endsWith('.json')) {
-      fs.unlinkSync(path.join(CACHE_DIR, file));
-      count++;
-    }
+  for (const key of cache.keys()) {
+    cache.remove(key);
+    count++;
   }
   
   console.log(`[michigan-flora-api] Cleared ${count} cached API responses`);
@@ -333,6 +288,5 @@ export function clearApiCache() {
  * @returns {string[]} Array of cache file names
  */
 export function listCachedResponses() {
-  ensureCacheDir();
-  return fs.readdirSync(CACHE_DIR).filter(f => f.endsWith('.json'));
+  return cache.keys();
 }
@@ -0,0 +1,84 @@
+/**
+ * Offline (cache-only) mode
+ *
+ * When enabled (--offline, batch config "offline": true, or PIPELINE_OFFLINE=1),
+ * every client serves cached data only: GBIF, iNaturalist, Michigan Flora,
+ * BONAP, SerpApi, the HTML/page caches, the Drive syncs and Anthropic.
+ *
+ * A client that would have to go to the network calls assertOnline() instead,
+ * which throws a NOT_CACHED error. Synthesis modules let that error through,
+ * and the pipeline writes NOT_CACHED into that module's columns rather than
+ * treating the module as failed.
+ */
+
+export const NOT_CACHED = 'Not cached (offline)';
+
+let offlineMode = false;
+
+/**
+ * Turn offline mode on or off for this process
+ * @param {boolean} enabled - True to serve cached data only
+ */
+export function setOfflineMode(enabled) {
+  offlineMode = Boolean(enabled);
+}
+
+/**
+ * Check whether offline mode is on (flag or PIPELINE_OFFLINE env var)
+ * @returns {boolean} True if clients must not use the network
+ */
+export function isOfflineMode() {
+  if (offlineMode) return true;
+  const env = (process.env.PIPELINE_OFFLINE || '').toLowerCase();
+  return env === '1' || env === 'true' || env === 'yes';
+}
+
+/**
+ * Create the error thrown when offline mode needs data that isn't cached
+ * @param {string} source - Client or data source name (e.g. 'gbif')
+ * @param {string} [detail] - What was requested
+ * @returns {Error} Error with code 'NOT_CACHED'
+ */
+export function createNotCachedError(source, detail = '') {
+  const error = new Error(`${source}: not cached${detail ? ` (${detail})` : ''} - offline mode`);
+  error.code = 'NOT_CACHED';
+  error.source = source;
+  return error;
+}
+
+/**
+ * Check whether an error came from a cache miss in offline mode
+ * @param {Error} error - Caught error
+ * @returns {boolean} True for NOT_CACHED errors
+ */
+export function isNotCachedError(error) {
+  return error?.code === 'NOT_CACHED';
+}
+
+/**
+ * Guard a network call: throws NOT_CACHED when offline mode is on
+ * Call this after the cache lookup missed and before the request is made.
+ * @param {string} source - Client or data source name
+ * @param {string} [detail] - What was requested
+ * @throws {Error} NOT_CACHED error in offline mode
+ */
+export function assertOnline(source, detail) {
+  if (isOfflineMode()) {
+    throw createNotCachedError(source, detail);
+  }
+}
+
+/**
+ * Build columnValues with every column marked NOT_CACHED
+ * @param {Array<Object|string>} columns - Module metadata columns
+ * @param {Object} [keep] - Column values to keep as-is (e.g. URLs carried forward)
+ * @returns {Object} columnValues
+ */
+export function buildNotCachedColumnValues(columns, keep = {}) {
+  const columnValues = {};
+  for (const column of columns) {
+    const id = typeof column === 'string' ? column : column.id;
+    columnValues[id] = id in keep ? keep[id] : NOT_CACHED;
+  }
+  return columnValues;
+}
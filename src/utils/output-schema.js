@@ -0,0 +1,83 @@
+/**
+ * Output Schema Validation
+ *
+ * Checks parsed LLM responses against the small JSON Schema subset used by
+ * config/3tier-fields.json:
+ * - type ("object", "string", "number", "integer", "boolean", "array", "null")
+ * - required, properties (objects)
+ * - enum, pattern, minLength, maxLength (strings)
+ *
+ * Other keywords are ignored, so a schema can carry notes or keywords for other
+ * tools without breaking validation.
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Any value
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value's type against a schema type
+ * @param {*} value - Value to check
+ * @param {string|string[]} expected - Schema type (or list of types)
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  return [].concat(expected).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed value (e.g. { value, attribution })
+ * @param {Object} schema - JSON Schema (subset)
+ * @param {string} [at] - Path used in error messages
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateAgainstSchema(value, schema, at = 'response') {
+  if (!schema) return [];
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${at} must be of type ${[].concat(schema.type).join(' or ')} (got ${typeOf(value)})`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at} must match ${schema.pattern}`);
+    }
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push(`${at} must be at least ${schema.minLength} characters (got ${value.length})`);
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push(`${at} must be at most ${schema.maxLength} characters (got ${value.length})`);
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${at}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, `${at}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
@@ -3,11 +3,14 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { JSDOM } from 'jsdom';
 import { Readability } from '@mozilla/readability';
+import { assertOnline } from './offline-mode.js';
+import { openCacheNamespace } from './cache-store.js';
+import { getTaxonKey } from './taxon-identity.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const CACHE_DIR = path.join(__dirname, '../../cache/PageContent');
+const cache = openCacheNamespace('PageContent');
 const DOMAIN_CONFIG_PATH = path.join(__dirname, '../../config/domain-extraction-config.json');
 
 let domainConfig = null;
@@ -80,20 +83,6 @@ function normalizeWhitespace(text) {
   return result.trim();
 }
 
-function ensureCacheDir() {
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-  }
-}
-
-function slugify(name) {
-  return name
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, '-')
-    .replace(/[^a-z0-9×-]/g, '_');
-}
-
 function normalizeGenus(genus) {
   const trimmed = genus.trim();
   let normalized = trimmed.toLowerCase();
@@ -118,39 +107,23 @@ function slugifySource(sourceName) {
     .replace(/[^a-z0-9_]/g, '');
 }
 
-function getCachePath(genus, species, source) {
-  const normalizedGenus = normalizeGenus(genus);
-  const slugSpecies = slugify(species.trim().toLowerCase());
-  const slugSource = slugifySource(source);
-  return path.join(CACHE_DIR, `${normalizedGenus}_${slugSpecies}_${slugSource}.json`);
+function getCacheKey(genus, species, source) {
+  return `${getTaxonKey(genus, species)}_${slugifySource(source)}.json`;
 }
 
 export function readPageCache(genus, species, source) {
-  const cachePath = getCachePath(genus, species, source);
-  if (fs.existsSync(cachePath)) {
-    try {
-      const content = fs.readFileSync(cachePath, 'utf-8');
-      return JSON.parse(content);
-    } catch (error) {
-      console.error(`[page-content] Error reading cache: ${error.message}`);
-      return null;
-    }
-  }
-  return null;
+  return cache.read(getCacheKey(genus, species, source));
 }
 
 function writePageCache(genus, species, source, data) {
-  ensureCacheDir();
-  const cachePath = getCachePath(genus, species, source);
-  try {
-    fs.writeFileSync(cachePath, JSON.stringify(data, null, 2), 'utf-8');
+  if (cache.write(getCacheKey(genus, species, source), data, { sourceUrl: data._meta.url })) {
     console.log(`[page-content] Cached content for ${genus} ${species} from ${source}`);
-  } catch (error) {
-    console.error(`[page-content] Error writing cache: ${error.message}`);
   }
 }
 
 export async function fetchPage(url, timeoutMs = 10000) {
+  assertOnline('page-content', url);
+  
   try {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
@@ -338,31 +311,26 @@ export async function fetchAndCachePageContent(genus, species, source, url, vali
 }
 
 export function listCachedPages() {
-  ensureCacheDir();
-  
-  const files = fs.readdirSync(CACHE_DIR);
   const pages = [];
   
-  for (const file of files) {
-    if (!file.endsWith('.json')) continue;
+  for (const key of cache.keys()) {
+    const entry = cache.readEntry(key);
+    if (!entry) {
+      console.warn(`[page-content] Could not parse ${key}`);
+      continue;
+    }
     
-    try {
-      const filePath = path.join(CACHE_DIR, file);
-      const content = fs.readFileSync(filePath, 'utf-8');
-      const data = JSON.parse(content);
-      
-      if (data._meta) {
-        pages.push({
-          genus: data._meta.genus,
-          species: data._meta.species,
-          source: data._meta.source,
-          url: data._meta.url,
-          fetchedAt: data._meta.fetchedAt,
-          validatedBy: data._meta.validatedBy
-        });
-      }
-    } catch (error) {
-      console.warn(`[page-content] Could not parse ${file}: ${error.message}`);
+    const data = entry.data;
+    if (data._meta) {
+      pages.push({
+        genus: data._meta.genus,
+        species: data._meta.species,
+        source: data._meta.source,
+        url: data._meta.url,
+        fetchedAt: data._meta.fetchedAt,
+        validatedBy: data._meta.validatedBy,
+        stale: entry.stale
+      });
     }
   }
   
@@ -370,15 +338,11 @@ export function listCachedPages() {
 }
 
 export function clearAllPageCache() {
-  ensureCacheDir();
-  const files = fs.readdirSync(CACHE_DIR);
   let count = 0;
   
-  for (const file of files) {
-    if (file.endsWith('.json')) {
-      fs.unlinkSync(path.join(CACHE_DIR, file));
-      count++;
-    }
+  for (const key of cache.keys()) {
+    cache.remove(key);
+    count++;
   }
   
   console.log(`[page-content] Cleared ${count} cached pages`);
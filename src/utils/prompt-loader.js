@@ -1,8 +1,9 @@
 import fs from 'fs';
 import path from 'path';
+import { getCacheRoot } from './cache-store.js';
 
 const PROMPTS_DIR = 'prompts';
-const PROMPT_DEBUG_DIR = 'cache/PromptDebug';
+const PROMPT_DEBUG_SUBDIR = 'PromptDebug';
 
 export function loadPrompt(promptName) {
   const extensions = ['.md', '.txt', '.prompt'];
@@ -53,13 +54,14 @@ export function listAvailablePrompts() {
 }
 
 export function savePromptDebug(promptName, genus, species, renderedPrompt) {
-  if (!fs.existsSync(PROMPT_DEBUG_DIR)) {
-    fs.mkdirSync(PROMPT_DEBUG_DIR, { recursive: true });
+  const debugDir = path.join(getCacheRoot(), PROMPT_DEBUG_SUBDIR);
+  if (!fs.existsSync(debugDir)) {
+    fs.mkdirSync(debugDir, { recursive: true });
   }
   
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const filename = `${genus}_${species}_${promptName}_${timestamp}.md`;
-  const filePath = path.join(PROMPT_DEBUG_DIR, filename);
+  const filePath = path.join(debugDir, filename);
   
   const header = `# Prompt Debug: ${promptName}
 ## Species: ${genus} ${species}
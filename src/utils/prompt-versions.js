@@ -0,0 +1,204 @@
+/**
+ * Prompt Versions
+ *
+ * Every prompt file in prompts/ is versioned by a hash of its content and,
+ * optionally, a semantic version in front-matter at the top of the file:
+ *
+ *   ---
+ *   version: 1.2.0
+ *   ---
+ *   # Prompt text...
+ *
+ * The front-matter is not part of the prompt sent to Claude (readPromptContent
+ * strips it), so adding or bumping a version does not change the tier cache key;
+ * the hash is taken over the content that is sent. process3TierField records the
+ * versions a field was generated with in _meta.prompts, and buildPromptHistory
+ * compares them with the current files to find rows that need regenerating.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PROMPTS_DIR = path.join(__dirname, '../../prompts');
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/;
+
+// Prompts shared by every 3-tier field, by the key they are recorded under in _meta.prompts
+const SHARED_PROMPT_FILES = {
+  base: 'tiered_base_prompt.md',
+  tier1: 'tier1_prompt_guidance.md',
+  tier2: 'tier2_prompt_guidance.md',
+  tier3: 'tier3_prompt_guidance.md'
+};
+
+export const PROMPT_HISTORY_HEADERS = ['Genus', 'Species', 'Field', 'Processed At', 'Models', 'Prompt Versions', 'Status', 'Outdated Prompts'];
+
+/**
+ * Split a prompt file into its front-matter version and the prompt content
+ * @param {string} text - File text
+ * @returns {Object} { version, content } (version is null without front-matter)
+ */
+export function parsePromptFile(text) {
+  const match = text.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { version: null, content: text };
+  }
+  const versionLine = match[1].split(/\r?\n/).find(line => /^version\s*:/.test(line));
+  const version = versionLine ? versionLine.replace(/^version\s*:/, '').trim().replace(/^["']|["']$/g, '') : null;
+  return { version: version || null, content: text.slice(match[0].length) };
+}
+
+/**
+ * Short content hash of a prompt
+ * @param {string} content - Prompt content (without front-matter)
+ * @returns {string} First 12 hex characters of its MD5
+ */
+export function hashPromptContent(content) {
+  return crypto.createHash('md5').update(content).digest('hex').slice(0, 12);
+}
+
+/**
+ * Find a prompt file: promptsDir first (a prompt version under evaluation only
+ * needs the files it changes), then prompts/
+ * @param {string} fileName - Prompt file name
+ * @param {string} [promptsDir] - Prompts directory
+ * @returns {string|null} File path, or null if not found
+ */
+function findPromptFile(fileName, promptsDir = PROMPTS_DIR) {
+  for (const dir of new Set([promptsDir, PROMPTS_DIR])) {
+    const filePath = path.join(dir, fileName);
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a prompt file without its front-matter
+ * @param {string} fileName - Prompt file name
+ * @param {string} [promptsDir] - Prompts directory
+ * @returns {string|null} Prompt content, or null if not found
+ */
+export function readPromptContent(fileName, promptsDir = PROMPTS_DIR) {
+  const filePath = findPromptFile(fileName, promptsDir);
+  return filePath ? parsePromptFile(fs.readFileSync(filePath, 'utf-8')).content : null;
+}
+
+/**
+ * Version of a prompt file
+ * @param {string} fileName - Prompt file name
+ * @param {string} [promptsDir] - Prompts directory
+ * @returns {Object|null} { version, hash }, or null if not found
+ */
+export function readPromptVersion(fileName, promptsDir = PROMPTS_DIR) {
+  const filePath = findPromptFile(fileName, promptsDir);
+  if (!filePath) return null;
+  const { version, content } = parsePromptFile(fs.readFileSync(filePath, 'utf-8'));
+  return { version, hash: hashPromptContent(content) };
+}
+
+/**
+ * Versions of the prompts a 3-tier field is built from
+ * @param {string} fieldId - Field ID
+ * @param {string} [promptsDir] - Prompts directory
+ * @returns {Object} { base, tier1, tier2, tier3, field } -> { version, hash } (missing files left out)
+ */
+export function getFieldPromptVersions(fieldId, promptsDir = PROMPTS_DIR) {
+  const files = { ...SHARED_PROMPT_FILES, field: `${fieldId}.md` };
+  return Object.fromEntries(Object.entries(files)
+    .map(([key, fileName]) => [key, readPromptVersion(fileName, promptsDir)])
+    .filter(([, version]) => version));
+}
+
+/**
+ * Format a prompt version for display
+ * @param {Object|null} promptVersion - { version, hash }
+ * @returns {string} "1.2.0 (a1b2c3d4e5f6)", "a1b2c3d4e5f6" without a version, '' if missing
+ */
+export function formatPromptVersion(promptVersion) {
+  if (!promptVersion) return '';
+  return promptVersion.version ? `${promptVersion.version} (${promptVersion.hash})` : promptVersion.hash;
+}
+
+/**
+ * Compare the prompt versions recorded in a 3-tier field's _meta with the
+ * current prompt files
+ * @param {Object} meta - _meta of the merged 3-tier output
+ * @param {string} [promptsDir] - Prompts directory
+ * @returns {Array<Object>|null} [{ prompt, recorded, current }] for each changed prompt; null when no versions were recorded
+ */
+export function findOutdatedPrompts(meta, promptsDir = PROMPTS_DIR) {
+  if (!meta?.prompts) return null;
+  const current = getFieldPromptVersions(meta.fieldId, promptsDir);
+  return Object.entries(meta.prompts)
+    .filter(([key, recorded]) => current[key]?.hash !== recorded?.hash)
+    .map(([key, recorded]) => ({ prompt: key, recorded, current: current[key] || null }));
+}
+
+/**
+ * Parse a Plant Data cell holding a 3-tier field's merged output
+ * @param {*} cell - Cell value
+ * @returns {Object|null} Merged output, or null for any other cell
+ */
+function parseTierCell(cell) {
+  if (typeof cell !== 'string' || !cell.startsWith('{')) return null;
+  try {
+    const merged = JSON.parse(cell);
+    return merged?._meta?.fieldId && merged.consensus ? merged : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the Prompt History table: one row per species and 3-tier field, with
+ * the prompt versions and models it was generated with and whether any of its
+ * prompts has changed since. Rows generated before prompts were versioned are
+ * marked "not recorded" and count as outdated.
+ * @param {Array<Object>} plantRows - Plant Data rows keyed by header
+ * @param {Object} [options]
+ * @param {string} [options.promptsDir] - Prompts directory to compare against
+ * @returns {Object} { table (with header row), outdatedSpecies: [{ genus, species, fields }] }
+ */
+export function buildPromptHistory(plantRows, options = {}) {
+  const { promptsDir = PROMPTS_DIR } = options;
+  const table = [PROMPT_HISTORY_HEADERS];
+  const outdatedSpecies = [];
+
+  for (const row of plantRows) {
+    const outdatedFields = [];
+    for (const cell of Object.values(row)) {
+      const merged = parseTierCell(cell);
+      if (!merged) continue;
+
+      const meta = merged._meta;
+      const outdated = findOutdatedPrompts(meta, promptsDir);
+      const status = outdated === null ? 'not recorded' : outdated.length > 0 ? 'outdated' : 'current';
+      if (status !== 'current') {
+        outdatedFields.push(meta.fieldId);
+      }
+      table.push([
+        row.Genus,
+        row.Species,
+        meta.fieldId,
+        meta.processedAt || '',
+        Object.entries(meta.models || {}).map(([tier, model]) => `${tier}: ${model}`).join('\n'),
+        Object.entries(meta.prompts || {}).map(([key, version]) => `${key}: ${formatPromptVersion(version)}`).join('\n'),
+        status,
+        (outdated || []).map(({ prompt, recorded, current }) =>
+          `${prompt}: ${formatPromptVersion(recorded)} -> ${formatPromptVersion(current) || 'removed'}`).join('\n')
+      ]);
+    }
+    if (outdatedFields.length > 0) {
+      outdatedSpecies.push({ genus: row.Genus, species: row.Species, fields: outdatedFields });
+    }
+  }
+
+  return { table, outdatedSpecies };
+}
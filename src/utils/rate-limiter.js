@@ -0,0 +1,151 @@
+/**
+ * Shared Per-Provider Rate Limiter
+ *
+ * Provides process-wide rate limiting for external APIs so that concurrent
+ * batch workers never exceed a provider's limits. Every client that talks to
+ * a rate-limited provider wraps its request in withRateLimit(provider, fn);
+ * because limiters are module-level singletons, all workers in the same
+ * process share them.
+ *
+ * Limits are configured in config/rate-limits.json:
+ * - requestsPerMinute: requests are spaced at least 60000 / requestsPerMinute ms apart
+ * - maxConcurrent: maximum number of in-flight requests for the provider
+ *
+ * Providers not listed in the config are not limited.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_PATH = path.join(__dirname, '../../config/rate-limits.json');
+
+let rateLimitConfig = null;
+const limiters = new Map(); // provider -> limiter
+
+/**
+ * Load rate limit configuration (cached after first read)
+ * @returns {Object} Map of provider name to limit settings
+ */
+function loadRateLimitConfig() {
+  if (!rateLimitConfig) {
+    try {
+      rateLimitConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8')).providers || {};
+    } catch (error) {
+      console.warn(`[rate-limiter] Could not load rate limit config: ${error.message}`);
+      rateLimitConfig = {};
+    }
+  }
+  return rateLimitConfig;
+}
+
+/**
+ * Create a FIFO limiter enforcing a minimum interval between request starts
+ * and a cap on concurrent in-flight requests
+ * @param {string} provider - Provider name (for logging)
+ * @param {Object} options - Limit settings
+ * @param {number} [options.requestsPerMinute] - Maximum request starts per minute
+ * @param {number} [options.maxConcurrent] - Maximum in-flight requests
+ * @returns {Object} Limiter with schedule() and getStats()
+ */
+function createRateLimiter(provider, { requestsPerMinute, maxConcurrent } = {}) {
+  const minIntervalMs = requestsPerMinute ? Math.ceil(60000 / requestsPerMinute) : 0;
+  const concurrencyCap = maxConcurrent || Infinity;
+  const queue = [];
+  let active = 0;
+  let lastStart = 0;
+  let timer = null;
+  
+  function drain() {
+    if (timer) return;
+    
+    while (queue.length > 0 && active < concurrencyCap) {
+      const waitMs = lastStart + minIntervalMs - Date.now();
+      if (waitMs > 0) {
+        timer = setTimeout(() => {
+          timer = null;
+          drain();
+        }, waitMs);
+        return;
+      }
+      
+      const { fn, resolve, reject } = queue.shift();
+      active++;
+      lastStart = Date.now();
+      
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          drain();
+        });
+    }
+  }
+  
+  return {
+    /**
+     * Run a function once the limiter allows it
+     * @param {Function} fn - Async function performing the request
+     * @returns {Promise<*>} Resolves/rejects with the function's result
+     */
+    schedule(fn) {
+      return new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        drain();
+      });
+    },
+    
+    /**
+     * Current limiter state (for progress logging)
+     * @returns {Object} Active and queued request counts
+     */
+    getStats() {
+      return { provider, active, queued: queue.length };
+    }
+  };
+}
+
+/**
+ * Get the shared limiter for a provider
+ * @param {string} provider - Provider name (e.g. 'anthropic', 'inaturalist')
+ * @returns {Object} Shared limiter instance
+ */
+export function getRateLimiter(provider) {
+  if (!limiters.has(provider)) {
+    const settings = loadRateLimitConfig()[provider] || {};
+    limiters.set(provider, createRateLimiter(provider, settings));
+  }
+  return limiters.get(provider);
+}
+
+/**
+ * Run a request through the provider's shared limiter
+ * @param {string} provider - Provider name
+ * @param {Function} fn - Async function performing the request
+ * @returns {Promise<*>} Result of fn
+ */
+export function withRateLimit(provider, fn) {
+  return getRateLimiter(provider).schedule(fn);
+}
+
+/**
+ * Override limits for a provider at runtime (replaces any existing limiter)
+ * @param {string} provider - Provider name
+ * @param {Object} settings - { requestsPerMinute, maxConcurrent }
+ */
+export function configureRateLimit(provider, settings) {
+  loadRateLimitConfig()[provider] = settings;
+  limiters.set(provider, createRateLimiter(provider, settings));
+}
+
+/**
+ * Snapshot of all limiters created so far
+ * @returns {Array<Object>} Per-provider active/queued counts
+ */
+export function getRateLimiterStats() {
+  return Array.from(limiters.values()).map(limiter => limiter.getStats());
+}
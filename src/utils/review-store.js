@@ -0,0 +1,239 @@
+/**
+ * Review Store
+ *
+ * Human corrections of synthesized values: one override per species and field
+ * (column id), with the reviewer, the review date and a note. Overrides are
+ * applied when Plant Data rows are assembled (see applyReviewOverride), so a
+ * re-run no longer overwrites a consultant's correction, and can be given to the
+ * 3-tier engine as a Tier 1 "Seeds to Community documentation" source.
+ *
+ * Configured in config/config.json under "reviews":
+ * - file: store path, relative to the project root (committed, like the golden answers)
+ * - sheetTab: spreadsheet tab read by import-reviews.js (default "Reviews")
+ * - useAsTier1Source: add a species' overrides to its Tier 1 sources
+ *
+ * Store file: { "overrides": [ { genus, species, field, value, reviewer, reviewedAt, note } ] }
+ * Review rows (sheet tab or CSV/JSON file) have the columns Genus, Species,
+ * Field (column id or header), Value, Reviewer, Date and Note.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatTaxonKey, getTaxonKey } from './taxon-identity.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+const CONFIG_PATH = path.join(PROJECT_ROOT, 'config/config.json');
+const DEFAULT_STORE_FILE = 'reviews/review-overrides.json';
+
+let reviewConfig = null;
+let settingsOverride = {};
+
+// Overrides are read once per store file (they are looked up for every field and
+// tier of every species); saving the store replaces the cached copy
+const storeContents = new Map();
+
+/**
+ * Load the "reviews" section of config/config.json (cached after first read)
+ * @returns {Object} { file, sheetTab, useAsTier1Source }
+ */
+function loadReviewConfig() {
+  if (!reviewConfig) {
+    try {
+      reviewConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8')).reviews || {};
+    } catch (error) {
+      console.warn(`[review-store] Could not load review config: ${error.message}`);
+      reviewConfig = {};
+    }
+  }
+  return reviewConfig;
+}
+
+/**
+ * Override review settings for this process (e.g. another store file in tests)
+ * @param {Object|null} settings - { file, sheetTab, useAsTier1Source }; null restores config/config.json
+ */
+export function configureReviewStore(settings) {
+  settingsOverride = settings ? { ...settingsOverride, ...settings } : {};
+}
+
+function getReviewSettings() {
+  return { ...loadReviewConfig(), ...settingsOverride };
+}
+
+/**
+ * Name of the spreadsheet tab review rows are imported from
+ * @returns {string} Tab name
+ */
+export function getReviewSheetTab() {
+  return getReviewSettings().sheetTab || 'Reviews';
+}
+
+function getStoreFile() {
+  return path.resolve(PROJECT_ROOT, getReviewSettings().file || DEFAULT_STORE_FILE);
+}
+
+/**
+ * Read every override in the store
+ * @returns {Array<Object>} [{ genus, species, field, value, reviewer, reviewedAt, note }]
+ */
+export function loadReviewOverrides() {
+  const storeFile = getStoreFile();
+  if (!storeContents.has(storeFile)) {
+    storeContents.set(storeFile, readStoreFile(storeFile));
+  }
+  return storeContents.get(storeFile);
+}
+
+function readStoreFile(storeFile) {
+  if (!fs.existsSync(storeFile)) return [];
+  try {
+    const data = JSON.parse(fs.readFileSync(storeFile, 'utf-8'));
+    return Array.isArray(data.overrides) ? data.overrides : [];
+  } catch (error) {
+    console.warn(`[review-store] Could not read ${path.relative(PROJECT_ROOT, storeFile)}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Write the store (sorted by species and field so diffs stay readable)
+ * @param {Array<Object>} overrides - All overrides
+ */
+function saveReviewOverrides(overrides) {
+  const storeFile = getStoreFile();
+  const sorted = [...overrides].sort((a, b) =>
+    formatTaxonKey(a.genus, a.species).localeCompare(formatTaxonKey(b.genus, b.species)) || a.field.localeCompare(b.field));
+  fs.mkdirSync(path.dirname(storeFile), { recursive: true });
+  fs.writeFileSync(storeFile, JSON.stringify({ overrides: sorted }, null, 2) + '\n');
+  storeContents.set(storeFile, sorted);
+}
+
+/**
+ * Overrides for one species, matched by taxon key so spelling variants share them
+ * @param {string} genus - Genus name
+ * @param {string} species - Species epithet
+ * @returns {Object} Column id -> override
+ */
+export function getSpeciesOverrides(genus, species) {
+  const key = getTaxonKey(genus, species);
+  return Object.fromEntries(loadReviewOverrides()
+    .filter(override => getTaxonKey(override.genus, override.species) === key)
+    .map(override => [override.field, override]));
+}
+
+/**
+ * Read a review row cell by column name (case-insensitive)
+ * @param {Object} row - Row keyed by header
+ * @param {string} name - Column name
+ * @returns {string} Trimmed cell text
+ */
+function cell(row, name) {
+  const header = Object.keys(row).find(key => key.trim().toLowerCase() === name);
+  return header === undefined ? '' : String(row[header] ?? '').trim();
+}
+
+/**
+ * Add review rows to the store. A row replaces the override of the same species
+ * and field; rows missing a species, field or value are skipped.
+ * @param {Array<Object>} rows - Rows keyed by header (Genus, Species, Field, Value, Reviewer, Date, Note)
+ * @param {Object} [options]
+ * @param {Function} [options.resolveField] - Maps the Field cell (id or header) to a column id, or null if unknown
+ * @param {boolean} [options.dryRun] - Report without writing the store
+ * @returns {Object} { added, updated, unchanged, skipped: [{ row, reason }] }
+ */
+export function importReviewRows(rows, options = {}) {
+  const { resolveField = (field) => field, dryRun = false } = options;
+  const overrides = [...loadReviewOverrides()];
+  const summary = { added: 0, updated: 0, unchanged: 0, skipped: [] };
+
+  rows.forEach((row, index) => {
+    const [genus, species, fieldCell, value] = ['genus', 'species', 'field', 'value'].map(name => cell(row, name));
+    const rowNumber = index + 2; // header is row 1
+    if (!genus || !species || !fieldCell || !value) {
+      if (genus || species || fieldCell || value) {
+        summary.skipped.push({ row: rowNumber, reason: 'needs Genus, Species, Field and Value' });
+      }
+      return;
+    }
+    const field = resolveField(fieldCell);
+    if (!field) {
+      summary.skipped.push({ row: rowNumber, reason: `unknown field "${fieldCell}"` });
+      return;
+    }
+
+    const override = {
+      genus,
+      species,
+      field,
+      value,
+      reviewer: cell(row, 'reviewer'),
+      reviewedAt: cell(row, 'date') || new Date().toISOString().slice(0, 10),
+      note: cell(row, 'note')
+    };
+    const existing = overrides.findIndex(entry =>
+      getTaxonKey(entry.genus, entry.species) === getTaxonKey(genus, species) && entry.field === field);
+    if (existing === -1) {
+      overrides.push(override);
+      summary.added++;
+    } else if (JSON.stringify(overrides[existing]) === JSON.stringify(override)) {
+      summary.unchanged++;
+    } else {
+      overrides[existing] = override;
+      summary.updated++;
+    }
+  });
+
+  if (!dryRun && summary.added + summary.updated > 0) {
+    saveReviewOverrides(overrides);
+  }
+  return summary;
+}
+
+/**
+ * Apply an override to a Plant Data cell. A 3-tier cell (merged JSON) keeps its
+ * tiers and consensus for reference and gets a leading "review" block holding
+ * the authoritative value; any other cell is replaced by the override value.
+ * @param {*} cellValue - Cell value as built from the module result
+ * @param {Object} override - Override from the store
+ * @returns {*} Cell value to write
+ */
+export function applyReviewOverride(cellValue, override) {
+  let merged = null;
+  try {
+    merged = typeof cellValue === 'string' && cellValue.startsWith('{') ? JSON.parse(cellValue) : null;
+  } catch {
+    merged = null;
+  }
+
+  if (merged?.consensus) {
+    const { value, reviewer, reviewedAt, note } = override;
+    return JSON.stringify({ review: { value, reviewer, reviewedAt, note }, ...merged }, null, 2);
+  }
+  return override.value;
+}
+
+/**
+ * A species' overrides as a Tier 1 source, when reviews.useAsTier1Source is on
+ * @param {string} genus - Genus name
+ * @param {string} species - Species epithet
+ * @returns {Object|null} { fileName, source, content } or null
+ */
+export function getReviewTier1Source(genus, species) {
+  if (!getReviewSettings().useAsTier1Source) return null;
+  const overrides = Object.values(getSpeciesOverrides(genus, species));
+  if (overrides.length === 0) return null;
+  return {
+    fileName: `${getTaxonKey(genus, species)}_reviews.json`,
+    source: 'Seeds to Community documentation',
+    content: Object.fromEntries(overrides.map(override => [override.field, {
+      value: override.value,
+      reviewedBy: override.reviewer,
+      reviewedAt: override.reviewedAt,
+      note: override.note
+    }]))
+  };
+}
@@ -1,74 +1,51 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import crypto from 'crypto';
+import { openCacheNamespace } from './cache-store.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const CACHE_DIR = path.join(__dirname, '../../cache/SerpApi');
-
-function ensureCacheDir() {
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-  }
-}
+const cache = openCacheNamespace('SerpApi');
 
 function queryToHash(query) {
   return crypto.createHash('md5').update(query.toLowerCase().trim()).digest('hex');
 }
 
-function getCachePath(query) {
-  const hash = queryToHash(query);
-  return path.join(CACHE_DIR, `${hash}.json`);
+function getCacheKey(query) {
+  return `${queryToHash(query)}.json`;
+}
+
+// The search the results came from (without the API key), for the manifest
+function getSearchUrl(query) {
+  return `https://serpapi.com/search?${new URLSearchParams({ q: query })}`;
 }
 
 export function readSerpCache(query) {
-  const cachePath = getCachePath(query);
-  if (fs.existsSync(cachePath)) {
-    try {
-      const content = fs.readFileSync(cachePath, 'utf-8');
-      const data = JSON.parse(content);
-      console.log(`  [serpapi-cache] Cache hit for: ${query}`);
-      return data.results || [];
-    } catch (error) {
-      console.error(`  [serpapi-cache] Error reading cache: ${error.message}`);
-      return null;
-    }
+  const data = cache.read(getCacheKey(query));
+  if (data) {
+    console.log(`  [serpapi-cache] Cache hit for: ${query}`);
+    return data.results || [];
   }
   return null;
 }
 
 export function writeSerpCache(query, results, metadata = {}) {
-  ensureCacheDir();
-  const cachePath = getCachePath(query);
-  try {
-    const data = {
-      _meta: {
-        query,
-        cachedAt: new Date().toISOString(),
-        numResults: results.length,
-        ...metadata
-      },
-      results
-    };
-    fs.writeFileSync(cachePath, JSON.stringify(data, null, 2), 'utf-8');
+  const data = {
+    _meta: {
+      query,
+      cachedAt: new Date().toISOString(),
+      numResults: results.length,
+      ...metadata
+    },
+    results
+  };
+  if (cache.write(getCacheKey(query), data, { sourceUrl: getSearchUrl(query) })) {
     console.log(`  [serpapi-cache] Cached ${results.length} results for: ${query}`);
-  } catch (error) {
-    console.error(`  [serpapi-cache] Error writing cache: ${error.message}`);
   }
 }
 
 export function clearSerpCache() {
-  ensureCacheDir();
-  const files = fs.readdirSync(CACHE_DIR);
   let count = 0;
   
-  for (const file of files) {
-    if (file.endsWith('.json')) {
-      fs.unlinkSync(path.join(CACHE_DIR, file));
-      count++;
-    }
+  for (const key of cache.keys()) {
+    cache.remove(key);
+    count++;
   }
   
   console.log(`[serpapi-cache] Cleared ${count} cached queries`);
@@ -76,27 +53,22 @@ export function clearSerpCache() {
 }
 
 export function listSerpCache() {
-  ensureCacheDir();
-  const files = fs.readdirSync(CACHE_DIR);
   const entries = [];
   
-  for (const file of files) {
-    if (!file.endsWith('.json')) continue;
+  for (const key of cache.keys()) {
+    const entry = cache.readEntry(key);
+    if (!entry) {
+      console.warn(`[serpapi-cache] Could not parse ${key}`);
+      continue;
+    }
     
-    try {
-      const filePath = path.join(CACHE_DIR, file);
-      const content = fs.readFileSync(filePath, 'utf-8');
-      const data = JSON.parse(content);
-      
-      if (data._meta) {
-        entries.push({
-          query: data._meta.query,
-          numResults: data._meta.numResults,
-          cachedAt: data._meta.cachedAt
-        });
-      }
-    } catch (error) {
-      console.warn(`[serpapi-cache] Could not parse ${file}`);
+    if (entry.data._meta) {
+      entries.push({
+        query: entry.data._meta.query,
+        numResults: entry.data._meta.numResults,
+        cachedAt: entry.data._meta.cachedAt,
+        stale: entry.stale
+      });
     }
   }
   
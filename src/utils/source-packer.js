@@ -0,0 +1,279 @@
+/**
+ * Source Packer for tier prompts
+ *
+ * Turns the sources gathered for a tier (JSON cache files, parsed PDFs, web
+ * page text) into prompt text that fits a token budget:
+ *
+ * 1. Clean: fields listed in dropFields (e.g. descriptionHtml, a raw HTML copy
+ *    of description) are removed, HTML tags and entities are stripped, runs of
+ *    whitespace collapsed, and text already contained in a longer field of the
+ *    same source is dropped as redundant.
+ * 2. Split: each remaining field becomes one or more passages of at most
+ *    passageChars characters (split on paragraphs, then sentences).
+ * 3. Fit: when everything fits in maxTokens, every passage is kept, so the text
+ *    is the same for every field of a species (and Anthropic's prompt cache can
+ *    share it). Otherwise passages are ranked by how many content words they
+ *    share with the topic (the field's prompt) and added best first until the
+ *    budget is spent. Kept passages stay in source order; what was left out is
+ *    noted in the text and returned in omitted.
+ *
+ * Tokens are estimated at charsPerToken characters per token; no API call is made.
+ *
+ * Settings come from config/source-packing.json: charsPerToken, passageChars,
+ * dropFields and maxTokens, with per-tier overrides under "tiers" and the
+ * per-page budget of web page text (pageMaxTokens).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { contentWords } from './tier-reconciliation.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_PATH = path.join(__dirname, '../../config/source-packing.json');
+
+const DEFAULT_SETTINGS = { charsPerToken: 4, passageChars: 1200, dropFields: [], maxTokens: null, pageMaxTokens: 2000 };
+
+// Shorter text (e.g. an enum code) may legitimately repeat across fields
+const MIN_REDUNDANT_CHARS = 40;
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ldquo: '“', rdquo: '”', lsquo: '‘', rsquo: '’',
+  ndash: '–', mdash: '—', hellip: '…', deg: '°', times: '×'
+};
+
+const NO_SOURCES_TEXT = 'No source data available for this species.';
+
+let packingConfig = null;
+
+/**
+ * Load config/source-packing.json (cached after first read)
+ * @returns {Object} Packing config
+ */
+function loadPackingConfig() {
+  if (!packingConfig) {
+    try {
+      packingConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+    } catch (error) {
+      console.warn(`[source-packer] Could not load packing config: ${error.message}`);
+      packingConfig = {};
+    }
+  }
+  return packingConfig;
+}
+
+/**
+ * Resolve the packing settings for a 3-tier tier
+ * @param {number} [tier] - Tier number (its "tiers" entry overrides the shared settings)
+ * @returns {Object} { charsPerToken, passageChars, dropFields, maxTokens, pageMaxTokens }
+ */
+export function getSourcePackingSettings(tier) {
+  const { tiers = {}, ...shared } = loadPackingConfig();
+  return { ...DEFAULT_SETTINGS, ...shared, ...(tier !== undefined && tiers[tier]) };
+}
+
+/**
+ * Override packing settings for this process (e.g. a smaller budget in tests)
+ * @param {Object|null} settings - Settings in the config file's shape; null reloads config/source-packing.json
+ */
+export function configureSourcePacking(settings) {
+  if (settings === null) {
+    packingConfig = null;
+    return;
+  }
+  const config = loadPackingConfig();
+  packingConfig = { ...config, ...settings, tiers: { ...config.tiers, ...settings.tiers } };
+}
+
+/**
+ * Estimate the tokens of a text
+ * @param {string} text - Text
+ * @param {number} [charsPerToken] - Characters per token
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text, charsPerToken = DEFAULT_SETTINGS.charsPerToken) {
+  return Math.ceil(text.length / charsPerToken);
+}
+
+/**
+ * Strip HTML and collapse whitespace
+ * @param {string} text - Raw text
+ * @returns {string} Clean text
+ */
+function cleanText(text) {
+  return text
+    .replace(/<\/?[a-z][^>]*>/gi, ' ')
+    .replace(/&(#\d+|[a-z]+);/gi, (entity, name) => name.startsWith('#')
+      ? String.fromCharCode(Number(name.slice(1)))
+      : HTML_ENTITIES[name.toLowerCase()] ?? entity)
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .split('\n').map(line => line.trim()).join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Flatten source content into text fields, leaving out dropped and empty ones
+ * @param {*} content - Source content
+ * @param {Set<string>} dropFields - Field names to leave out (at any depth)
+ * @param {string} [fieldPath] - Path of content within the source
+ * @returns {Array<Object>} [{ path, text }]
+ */
+function collectFields(content, dropFields, fieldPath = '') {
+  if (typeof content === 'string') {
+    const text = cleanText(content);
+    return text ? [{ path: fieldPath, text }] : [];
+  }
+  if (typeof content === 'number' || typeof content === 'boolean') {
+    return [{ path: fieldPath, text: String(content) }];
+  }
+  if (Array.isArray(content)) {
+    if (content.every(item => item === null || typeof item !== 'object')) {
+      const text = content.filter(item => item !== null && item !== '').map(item => cleanText(String(item))).join(', ');
+      return text ? [{ path: fieldPath, text }] : [];
+    }
+    return content.flatMap((item, i) => collectFields(item, dropFields, `${fieldPath}[${i}]`));
+  }
+  if (content && typeof content === 'object') {
+    return Object.entries(content)
+      .filter(([key]) => !dropFields.has(key))
+      .flatMap(([key, value]) => collectFields(value, dropFields, fieldPath ? `${fieldPath}.${key}` : key));
+  }
+  return [];
+}
+
+/**
+ * Drop fields whose text is repeated in a longer field of the same source
+ * (e.g. a page excerpt that is also in its full text)
+ * @param {Array<Object>} fields - [{ path, text }]
+ * @returns {Array<Object>} Fields without the redundant ones
+ */
+function dropRedundantFields(fields) {
+  return fields.filter((field, i) => field.text.length < MIN_REDUNDANT_CHARS || !fields.some((other, j) =>
+    j !== i && (other.text.length > field.text.length || (other.text === field.text && j < i)) && other.text.includes(field.text)));
+}
+
+/**
+ * Split text into chunks of at most maxChars, on paragraphs, then sentences
+ * @param {string} text - Text
+ * @param {number} maxChars - Chunk size
+ * @returns {string[]} Chunks
+ */
+function splitText(text, maxChars) {
+  if (text.length <= maxChars) return [text];
+
+  const pieces = text.split(/\n\n+/).flatMap(paragraph => paragraph.length <= maxChars
+    ? [paragraph]
+    : paragraph.split(/(?<=[.!?])\s+/).flatMap(sentence => sentence.length <= maxChars
+      ? [sentence]
+      : sentence.match(new RegExp(`[\\s\\S]{1,${maxChars}}`, 'g'))));
+
+  const chunks = [];
+  for (const piece of pieces) {
+    const last = chunks.length - 1;
+    if (last >= 0 && chunks[last].length + piece.length + 2 <= maxChars) {
+      chunks[last] += `\n\n${piece}`;
+    } else {
+      chunks.push(piece);
+    }
+  }
+  return chunks;
+}
+
+const sourceHeader = (src) => `--- Source: ${src.source} (${src.fileName}) ---`;
+const omissionNote = (count) => `[${count} passage(s) left out to fit the source budget]`;
+
+/**
+ * Pack sources into prompt text within a token budget
+ * @param {Array<Object>} sources - Sources ({ fileName, source, content })
+ * @param {Object} [options] - Packing settings (see getSourcePackingSettings) plus:
+ * @param {string} [options.topic] - Text the passages are ranked against (e.g. the field prompt)
+ * @returns {Object} { text, tokens, totalTokens, maxTokens, omitted: [{ fileName, path, passages, tokens }], sources: [{ fileName, source, content }] }
+ */
+export function packSources(sources, options = {}) {
+  const { topic = '', ...settings } = options;
+  const { charsPerToken, passageChars, dropFields, maxTokens } = { ...DEFAULT_SETTINGS, ...settings };
+
+  if (sources.length === 0) {
+    return { text: NO_SOURCES_TEXT, tokens: estimateTokens(NO_SOURCES_TEXT, charsPerToken), totalTokens: 0, maxTokens, omitted: [], sources: [] };
+  }
+
+  const dropped = new Set(dropFields);
+  const passages = [];
+  sources.forEach((src, sourceIndex) => {
+    for (const field of dropRedundantFields(collectFields(src.content, dropped))) {
+      splitText(field.text, passageChars).forEach((chunk, part) => {
+        const text = part === 0 && field.path ? `${field.path}: ${chunk}` : chunk;
+        passages.push({ sourceIndex, path: field.path, text, tokens: estimateTokens(text, charsPerToken) + 1 });
+      });
+    }
+  });
+
+  // Source headers (and their blank separator lines) are always sent
+  const headerTokens = sources.reduce((sum, src) => sum + estimateTokens(sourceHeader(src), charsPerToken) + 2, 0);
+  const totalTokens = headerTokens + passages.reduce((sum, passage) => sum + passage.tokens, 0);
+
+  let kept = new Set(passages);
+  if (maxTokens && totalTokens > maxTokens) {
+    const topicWords = contentWords(topic);
+    const ranked = passages
+      .map((passage, index) => {
+        const words = contentWords(passage.text);
+        let shared = 0;
+        for (const word of topicWords) {
+          if (words.has(word)) shared++;
+        }
+        return { passage, index, shared };
+      })
+      .sort((a, b) => b.shared - a.shared || a.index - b.index);
+
+    kept = new Set();
+    // Room for the omission notes of every source
+    let used = headerTokens + sources.length * estimateTokens(omissionNote(passages.length), charsPerToken);
+    for (const { passage } of ranked) {
+      if (used + passage.tokens <= maxTokens) {
+        kept.add(passage);
+        used += passage.tokens;
+      }
+    }
+  }
+
+  const parts = [];
+  const packedSources = [];
+  const omitted = [];
+  sources.forEach((src, sourceIndex) => {
+    const sourcePassages = passages.filter(passage => passage.sourceIndex === sourceIndex);
+    const body = sourcePassages.filter(passage => kept.has(passage)).map(passage => passage.text);
+    const left = sourcePassages.filter(passage => !kept.has(passage));
+    if (left.length > 0) {
+      body.push(omissionNote(left.length));
+    }
+    for (const passage of left) {
+      const entry = omitted.find(item => item.fileName === src.fileName && item.path === passage.path);
+      if (entry) {
+        entry.passages++;
+        entry.tokens += passage.tokens;
+      } else {
+        omitted.push({ fileName: src.fileName, path: passage.path, passages: 1, tokens: passage.tokens });
+      }
+    }
+    parts.push(sourceHeader(src), body.join('\n'), '');
+    packedSources.push({ fileName: src.fileName, source: src.source, content: body.join('\n') });
+  });
+
+  const text = parts.join('\n');
+  return { text, tokens: estimateTokens(text, charsPerToken), totalTokens, maxTokens, omitted, sources: packedSources };
+}
+
+/**
+ * Summarize a packing result for _meta (what was sent and what was left out)
+ * @param {Object} packing - Result from packSources()
+ * @returns {Object} { tokens, totalTokens, maxTokens, omitted }
+ */
+export function summarizePacking(packing) {
+  const { tokens, totalTokens, maxTokens, omitted } = packing;
+  return { tokens, totalTokens, maxTokens, omitted };
+}
@@ -1,22 +1,20 @@
 import fs from 'fs';
-import path from 'path';
 import { readSpeciesParsedPdfs, refreshParsedPdfCache, getCacheStats } from './drive-pdf-sync.js';
+import { packSources, getSourcePackingSettings } from './source-packer.js';
+import { getTaxonKey } from './taxon-identity.js';
+import { openCacheNamespace } from './cache-store.js';
 
-const PAGE_CONTENT_DIR = 'cache/PageContent';
+const pageContentCache = openCacheNamespace('PageContent');
 
 export function getSpeciesPageContent(genus, species) {
-  const pattern = `${genus}_${species}_`;
+  const pattern = `${getTaxonKey(genus, species)}_`;
   const results = [];
   
-  if (!fs.existsSync(PAGE_CONTENT_DIR)) {
-    return results;
-  }
-  
-  const files = fs.readdirSync(PAGE_CONTENT_DIR);
+  const files = pageContentCache.keys();
   const matchingFiles = files.filter(name => name.startsWith(pattern) && name.endsWith('.json'));
   
   for (const fileName of matchingFiles) {
-    const filePath = path.join(PAGE_CONTENT_DIR, fileName);
+    const filePath = pageContentCache.filePath(fileName);
     try {
       const content = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
       const sourceName = fileName
@@ -72,7 +70,7 @@ export async function collectSpeciesData(genus, species, options = {}) {
   };
 }
 
-export function formatDataForClaude(speciesData) {
+export function formatDataForClaude(speciesData, { topic = '' } = {}) {
   const sections = [];
   
   sections.push(`SPECIES: ${speciesData.species}\n`);
@@ -105,10 +103,11 @@ export function formatDataForClaude(speciesData) {
       sections.push('-'.repeat(40));
       
       if (page.textContent) {
-        const truncated = page.textContent.length > 8000 
-          ? page.textContent.substring(0, 8000) + '\n[... content truncated ...]'
-          : page.textContent;
-        sections.push(truncated);
+        // Long pages keep the passages closest to the topic within pageMaxTokens
+        const { pageMaxTokens, ...settings } = getSourcePackingSettings();
+        const packed = packSources([{ fileName: page.source, source: page.source, content: page.textContent }],
+          { ...settings, maxTokens: pageMaxTokens, topic });
+        sections.push(packed.sources[0].content);
       } else if (page.excerpt) {
         sections.push(page.excerpt);
       }
@@ -125,7 +124,7 @@ export function formatDataForClaude(speciesData) {
 
 export async function getClaudePayload(genus, species, options = {}) {
   const speciesData = await collectSpeciesData(genus, species, options);
-  const formattedData = formatDataForClaude(speciesData);
+  const formattedData = formatDataForClaude(speciesData, { topic: options.topic });
   
   return {
     speciesData,
@@ -0,0 +1,216 @@
+/**
+ * Taxon Identity
+ *
+ * One species identity that every species-keyed cache uses for its file names,
+ * so synonyms and misspellings share the accepted name's entries instead of
+ * fetching and storing the same data again ("Carex pennsylvanica" and "Carex
+ * pensylvanica" are both Carex_pensylvanica).
+ *
+ * resolveTaxon() looks a name up once - in the GBIF backbone (accepted name and
+ * usageKey), or failing that the Michigan Flora checklist (acronym) - and
+ * remembers the result in the Taxa cache namespace. getTaxonKey() then maps
+ * the name to its accepted name's key without a network call, offline too.
+ * Names never resolved key on themselves, normalized the way the caches always
+ * did: genus capitalized, epithet lower case with spaces as hyphens.
+ */
+
+import { openCacheNamespace } from './cache-store.js';
+import { matchSpecies, GBIF_BASE_URL } from './gbif-client.js';
+import { findByGenusSpecies } from './michigan-flora-client.js';
+import { isOfflineMode, isNotCachedError } from './offline-mode.js';
+
+const cache = openCacheNamespace('Taxa');
+
+// Fuzzy GBIF matches below this confidence are not trusted as the same taxon
+const MIN_FUZZY_CONFIDENCE = 90;
+
+// Resolutions that aren't stored (made offline from the checklist alone)
+const sessionTaxa = new Map();
+
+/**
+ * Capitalize the first letter of a genus, lower-casing the rest
+ * @param {string} genus - Genus name
+ * @returns {string} Normalized genus (e.g. "×Elyhordeum" keeps its prefix)
+ */
+function normalizeGenus(genus) {
+  const normalized = genus.trim().toLowerCase();
+  const first = normalized.search(/[a-z]/);
+  return first === -1 ? normalized : `${normalized.slice(0, first)}${normalized[first].toUpperCase()}${normalized.slice(first + 1)}`;
+}
+
+/**
+ * Slug of an epithet for file names
+ * @param {string} species - Species epithet (may include "var. x")
+ * @returns {string} Lower case, spaces as hyphens, other characters as underscores
+ */
+function slugifyEpithet(species) {
+  return species
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9×-]/g, '_');
+}
+
+/**
+ * Key of a name as written (no synonym resolution)
+ * @param {string} genus - Genus name
+ * @param {string} species - Species epithet
+ * @returns {string} e.g. "Acer_rubrum"
+ */
+export function formatTaxonKey(genus, species) {
+  return `${normalizeGenus(genus)}_${slugifyEpithet(species)}`;
+}
+
+/**
+ * Cache key of the stored resolution of a name
+ * @param {string} genus - Genus name
+ * @param {string} species - Species epithet
+ * @returns {string} File name in the Taxa namespace
+ */
+function getRecordKey(genus, species) {
+  return `${formatTaxonKey(genus, species)}_taxon.json`;
+}
+
+/**
+ * Stored (or this session's) resolution of a name
+ * @param {string} genus - Genus name
+ * @param {string} species - Species epithet
+ * @returns {Object|null} { name, taxonKey, accepted: { genus, species }, usageKey, acronym, source }
+ */
+export function getTaxonRecord(genus, species) {
+  const recordKey = getRecordKey(genus, species);
+  return sessionTaxa.get(recordKey) || cache.read(recordKey);
+}
+
+/**
+ * Key every cache uses for a species: its accepted name's key once resolved,
+ * otherwise the name's own key
+ * @param {string} genus - Genus name
+ * @param {string} species - Species epithet
+ * @returns {string} e.g. "Carex_pensylvanica" for "Carex pennsylvanica"
+ */
+export function getTaxonKey(genus, species) {
+  return getTaxonRecord(genus, species)?.taxonKey || formatTaxonKey(genus, species);
+}
+
+/**
+ * Remember a resolution for a name and for its accepted name
+ * @param {string} genus - Genus name as given
+ * @param {string} species - Species epithet as given
+ * @param {Object} identity - { accepted: { genus, species }, usageKey, acronym, source, matchType }
+ * @param {Object} [options]
+ * @param {string} [options.sourceUrl] - Where the resolution came from
+ * @param {boolean} [options.persist] - Store it in the Taxa namespace (default true)
+ * @returns {Object} The name's record
+ */
+export function recordTaxon(genus, species, identity, options = {}) {
+  const { sourceUrl = null, persist = true } = options;
+  const { accepted } = identity;
+  const acceptedName = { genus: normalizeGenus(accepted.genus), species: accepted.species.trim().toLowerCase() };
+  const taxonKey = formatTaxonKey(acceptedName.genus, acceptedName.species);
+
+  // The accepted name resolves to itself; an existing record for it is kept
+  const names = new Map([[getRecordKey(genus, species), `${genus.trim()} ${species.trim()}`]]);
+  const acceptedKey = getRecordKey(acceptedName.genus, acceptedName.species);
+  if (!names.has(acceptedKey) && !getTaxonRecord(acceptedName.genus, acceptedName.species)) {
+    names.set(acceptedKey, `${acceptedName.genus} ${acceptedName.species}`);
+  }
+
+  const records = [...names].map(([recordKey, name]) => {
+    const record = {
+      name,
+      taxonKey,
+      accepted: acceptedName,
+      usageKey: identity.usageKey ?? null,
+      acronym: identity.acronym ?? null,
+      source: identity.source,
+      ...(identity.matchType && { matchType: identity.matchType }),
+      resolvedAt: new Date().toISOString()
+    };
+    if (persist) {
+      cache.write(recordKey, record, { sourceUrl });
+    } else {
+      sessionTaxa.set(recordKey, record);
+    }
+    return record;
+  });
+  return records[0];
+}
+
+/**
+ * Look a name up in the GBIF backbone
+ * @param {string} genus - Genus name
+ * @param {string} species - Species epithet
+ * @returns {Promise<Object|null>} Identity, or null if GBIF has no species-rank match
+ */
+async function resolveWithGbif(genus, species) {
+  const match = await matchSpecies(genus, species);
+  if (!match.matched || match.rank !== 'SPECIES' || !match.species) return null;
+  if (match.matchType === 'FUZZY' && match.confidence < MIN_FUZZY_CONFIDENCE) return null;
+
+  const [acceptedGenus, ...epithet] = match.species.split(' ');
+  return {
+    accepted: { genus: acceptedGenus, species: epithet.join(' ') },
+    usageKey: match.acceptedUsageKey ?? match.usageKey,
+    source: 'gbif',
+    matchType: match.matchType
+  };
+}
+
+/**
+ * Look a name up in the Michigan Flora checklist (local CSV)
+ * @param {string} genus - Genus name
+ * @param {string} species - Species epithet
+ * @returns {Promise<Object|null>} Identity, or null if not in the checklist
+ */
+async function resolveWithMichiganFlora(genus, species) {
+  const record = await findByGenusSpecies(genus, species);
+  if (!record?.acronym) return null;
+  const [acceptedGenus, acceptedSpecies] = record.scientificName.split(';')[0].trim().split(' ');
+  return {
+    accepted: { genus: acceptedGenus, species: acceptedSpecies },
+    acronym: record.acronym,
+    source: 'michigan-flora'
+  };
+}
+
+/**
+ * Resolve a name to its accepted taxon, once: later calls (and getTaxonKey)
+ * use the stored record. Never throws; a name that can't be resolved keeps
+ * its own key and is tried again next time.
+ * @param {string} genus - Genus name
+ * @param {string} species - Species epithet
+ * @returns {Promise<string>} Taxon key
+ */
+export async function resolveTaxon(genus, species) {
+  const existing = getTaxonRecord(genus, species);
+  if (existing) return existing.taxonKey;
+
+  try {
+    const gbif = await resolveWithGbif(genus, species);
+    if (gbif) {
+      const sourceUrl = `${GBIF_BASE_URL}/match?name=${encodeURIComponent(`${genus} ${species}`)}`;
+      const record = recordTaxon(genus, species, gbif, { sourceUrl });
+      if (record.taxonKey !== formatTaxonKey(genus, species)) {
+        console.log(`[taxon-identity] ${genus} ${species} resolves to ${record.accepted.genus} ${record.accepted.species} (GBIF ${gbif.usageKey})`);
+      }
+      return record.taxonKey;
+    }
+  } catch (error) {
+    if (!isNotCachedError(error)) {
+      console.warn(`[taxon-identity] GBIF lookup failed for ${genus} ${species}: ${error.message}`);
+    }
+  }
+
+  try {
+    const checklist = await resolveWithMichiganFlora(genus, species);
+    if (checklist) {
+      // Offline, GBIF may still know better next time: keep it for this run only
+      return recordTaxon(genus, species, checklist, { persist: !isOfflineMode() }).taxonKey;
+    }
+  } catch (error) {
+    console.warn(`[taxon-identity] Michigan Flora lookup failed for ${genus} ${species}: ${error.message}`);
+  }
+
+  return formatTaxonKey(genus, species);
+}
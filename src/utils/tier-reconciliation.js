@@ -0,0 +1,152 @@
+/**
+ * Tier Reconciliation for 3-tier fields
+ *
+ * Compares the three tier responses of a field without another LLM call and
+ * classifies the field:
+ * - agree: every answering tier says the same thing
+ * - partial: tiers overlap but add or leave out details
+ * - conflict: tiers give different answers (flagged for review)
+ * - only-model-knowledge: no sourced tier answered, only Tier 3
+ *
+ * The consensus value comes from the most trusted tier that answered
+ * (Tier 1, then Tier 2, then Tier 3). Tier 2 only reports what it adds to
+ * Tier 1 (an empty Tier 2 value means it agrees), so Tier 2 free text never
+ * counts as a conflict on its own.
+ *
+ * Enum fields (an outputSchema value pattern such as ^(Low|Moderate|High)\b)
+ * are compared on the matched enum value. Free text is compared on content-word
+ * overlap (shared words / words in the shorter answer).
+ */
+
+export const AGREE_THRESHOLD = 0.5;
+export const CONFLICT_THRESHOLD = 0.15;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'with', 'this', 'that', 'from', 'they', 'them', 'their',
+  'its', 'has', 'have', 'can', 'may', 'will', 'into', 'onto', 'than', 'then', 'when', 'which', 'also',
+  'some', 'more', 'most', 'very', 'usually', 'often', 'generally', 'typically', 'species', 'plant', 'plants',
+  'seed', 'seeds'
+]);
+
+/**
+ * Get a tier's answer text
+ * @param {Object|null} tierResponse - { value, attribution }
+ * @returns {string} Trimmed value ('' when the tier gave no answer)
+ */
+function answerOf(tierResponse) {
+  return typeof tierResponse?.value === 'string' ? tierResponse.value.trim() : '';
+}
+
+/**
+ * Reduce text to its set of content words (also used by grounding-check.js)
+ * @param {string} text - Answer text
+ * @returns {Set<string>} Lowercased words, stopwords and short words removed, plural -s trimmed
+ */
+export function contentWords(text) {
+  const words = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+  return new Set(words
+    .filter(word => word.length > 2 && !STOPWORDS.has(word))
+    .map(word => word.length > 4 && word.endsWith('s') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Content-word overlap between two answers
+ * @param {string} a - First answer
+ * @param {string} b - Second answer
+ * @returns {number} 0 (nothing shared) to 1 (shorter answer fully contained)
+ */
+export function answerSimilarity(a, b) {
+  const wordsA = contentWords(a);
+  const wordsB = contentWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return shared / Math.min(wordsA.size, wordsB.size);
+}
+
+/**
+ * Compare two answers
+ * @param {string} a - Reference answer (more trusted tier)
+ * @param {string} b - Answer being compared
+ * @param {RegExp|null} enumPattern - Pattern that extracts the enum value, for enum fields
+ * @param {boolean} [additive] - b only adds to a (Tier 2), so differing text is 'partial'
+ * @returns {string} 'agree', 'partial' or 'conflict'
+ */
+function compareAnswers(a, b, enumPattern, additive = false) {
+  if (enumPattern) {
+    const enumA = a.match(enumPattern)?.[0];
+    const enumB = b.match(enumPattern)?.[0];
+    if (enumA && enumB) {
+      return enumA.toLowerCase() === enumB.toLowerCase() ? 'agree' : 'conflict';
+    }
+  }
+
+  const similarity = answerSimilarity(a, b);
+  if (similarity >= AGREE_THRESHOLD) return 'agree';
+  if (similarity >= CONFLICT_THRESHOLD || additive) return 'partial';
+  return 'conflict';
+}
+
+/**
+ * Reconcile the tier responses of one field
+ * @param {Object} tiers - { tier1, tier2, tier3 } responses ({ value, attribution })
+ * @param {Object} [options]
+ * @param {string} [options.valuePattern] - Enum pattern from the field's outputSchema
+ * @returns {Object} { status, value, attribution, winningTier, needsReview, comparisons }
+ */
+export function reconcileTiers(tiers, options = {}) {
+  const enumPattern = options.valuePattern ? new RegExp(options.valuePattern, 'i') : null;
+  const answers = {
+    1: answerOf(tiers.tier1),
+    2: answerOf(tiers.tier2),
+    3: answerOf(tiers.tier3)
+  };
+  const winningTier = [1, 2, 3].find(tier => answers[tier]) || null;
+  const comparisons = {};
+
+  if (winningTier === 3) {
+    return buildConsensus('only-model-knowledge', tiers, winningTier, comparisons);
+  }
+  if (winningTier === null) {
+    return buildConsensus('agree', tiers, winningTier, comparisons);
+  }
+
+  const reference = answers[winningTier];
+
+  // Tier 2 alongside Tier 1 is additive; only a different enum value is a conflict
+  if (winningTier === 1 && answers[2]) {
+    comparisons.tier2 = compareAnswers(reference, answers[2], enumPattern, true);
+  }
+  if (answers[3]) {
+    comparisons.tier3 = compareAnswers(reference, answers[3], enumPattern);
+  }
+
+  const outcomes = Object.values(comparisons);
+  const status = outcomes.includes('conflict') ? 'conflict'
+    : outcomes.includes('partial') ? 'partial'
+      : 'agree';
+  return buildConsensus(status, tiers, winningTier, comparisons);
+}
+
+/**
+ * Build the consensus object
+ * @param {string} status - Classification
+ * @param {Object} tiers - { tier1, tier2, tier3 } responses
+ * @param {number|null} winningTier - Tier the consensus value comes from
+ * @param {Object} comparisons - Per-tier comparison with the winning tier
+ * @returns {Object} Consensus
+ */
+function buildConsensus(status, tiers, winningTier, comparisons) {
+  const winner = winningTier ? tiers[`tier${winningTier}`] : null;
+  return {
+    status,
+    value: winner ? answerOf(winner) : '',
+    attribution: winner?.attribution || '',
+    winningTier,
+    needsReview: status === 'conflict',
+    comparisons
+  };
+}
@@ -1,57 +1,52 @@
 import crypto from 'crypto';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { openCacheNamespace } from './cache-store.js';
+import { getTaxonKey } from './taxon-identity.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Keys include the prompt hash, so a changed prompt is a new entry rather than a
+// stale one (the namespace has no TTL in config/cache.json)
+const cache = openCacheNamespace('TieredPrompts');
 
-const CACHE_DIR = path.join(__dirname, '../../cache/TieredPrompts');
-
-function ensureCacheDir() {
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-  }
+// The request settings that change the answer (model, system prompt,
+// temperature) are hashed with the prompt, so responses generated with different
+// settings never mix. Unset ones are left out. A built request can be passed as
+// settings.
+function promptToHash(prompt, settings) {
+  const { model, system, temperature } = settings;
+  const parts = [model];
+  if (system) parts.push(`system: ${system}`);
+  if (temperature !== null && temperature !== undefined) parts.push(`temperature: ${temperature}`);
+  return crypto.createHash('md5').update(`${parts.join('\n')}\n${prompt}`).digest('hex');
 }
 
-function promptToHash(prompt) {
-  return crypto.createHash('md5').update(prompt).digest('hex');
-}
+// Last consensus of each field per species, so Needs Review can be recomputed
+// when only some fields are regenerated
+const consensusCache = openCacheNamespace('TierConsensus');
 
-function getCachePath(genus, species, fieldId, tier, promptHash) {
-  const safeGenus = genus.trim();
-  const safeSpecies = species.trim().toLowerCase();
-  return path.join(CACHE_DIR, `${safeGenus}_${safeSpecies}_${fieldId}_tier${tier}_${promptHash}.json`);
+// Keyed on the species' taxon key, so synonyms and misspellings share entries
+function getCacheKey(genus, species, fieldId, tier, promptHash) {
+  return `${getTaxonKey(genus, species)}_${fieldId}_tier${tier}_${promptHash}.json`;
 }
 
-export function getCachedTierResponse(genus, species, fieldId, tier, promptText) {
-  ensureCacheDir();
-  const hash = promptToHash(promptText);
-  const cachePath = getCachePath(genus, species, fieldId, tier, hash);
+export function getCachedTierResponse(genus, species, fieldId, tier, promptText, settings) {
+  const hash = promptToHash(promptText, settings);
+  const cached = cache.read(getCacheKey(genus, species, fieldId, tier, hash));
   
-  if (fs.existsSync(cachePath)) {
-    try {
-      const cached = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
-      if (cached.promptHash === hash) {
-        return {
-          hit: true,
-          response: cached.response,
-          prompt: cached.prompt,
-          cachedAt: cached.cachedAt
-        };
-      }
-    } catch (err) {
-      console.warn(`[tiered-prompt-cache] Failed to read cache: ${err.message}`);
-    }
+  if (cached && cached.promptHash === hash) {
+    return {
+      hit: true,
+      response: cached.response,
+      prompt: cached.prompt,
+      model: cached.model,
+      cachedAt: cached.cachedAt,
+      grounding: cached.grounding || null
+    };
   }
   
   return { hit: false };
 }
 
-export function cacheTierResponse(genus, species, fieldId, tier, promptText, responseText, sourceFiles = []) {
-  ensureCacheDir();
-  const hash = promptToHash(promptText);
-  const cachePath = getCachePath(genus, species, fieldId, tier, hash);
+export function cacheTierResponse(genus, species, fieldId, tier, promptText, responseText, sourceFiles = [], settings) {
+  const hash = promptToHash(promptText, settings);
   
   const cacheEntry = {
     _meta: {
@@ -61,51 +56,66 @@ export function cacheTierResponse(genus, species, fieldId, tier, promptText, res
       tier
     },
     promptHash: hash,
+    model: settings.model,
     sourceFiles,
     prompt: promptText,
     response: responseText,
     cachedAt: new Date().toISOString()
   };
   
-  try {
-    fs.writeFileSync(cachePath, JSON.stringify(cacheEntry, null, 2), 'utf-8');
-    return true;
-  } catch (err) {
-    console.error(`[tiered-prompt-cache] Failed to write cache: ${err.message}`);
+  return cache.write(getCacheKey(genus, species, fieldId, tier, hash), cacheEntry);
+}
+
+// Store grounding evidence next to the cached response it was computed for
+// (a later cacheTierResponse for the same prompt replaces both)
+export function cacheTierGrounding(genus, species, fieldId, tier, promptText, settings, grounding) {
+  const key = getCacheKey(genus, species, fieldId, tier, promptToHash(promptText, settings));
+  const entry = cache.readEntry(key);
+  if (!entry) {
     return false;
   }
+  
+  // Keep the response's fetch time: adding grounding doesn't make it newer
+  return cache.write(key, { ...entry.data, grounding }, { fetchedAt: entry.record?.fetchedAt ?? entry.data.cachedAt });
+}
+
+// Split a cache key back into its parts (field ids may themselves contain underscores)
+export function parseTierCacheKey(key) {
+  const match = key.match(/^([^_]+)_([^_]+)_(.+)_tier(\d)_([0-9a-f]{32})\.json$/);
+  if (!match) {
+    return null;
+  }
+  const [, genus, species, fieldId, tier, promptHash] = match;
+  return { genus, species, fieldId, tier: parseInt(tier), promptHash };
+}
+
+function matchesField(key, genus, species, fieldId, tier = null) {
+  const parsed = parseTierCacheKey(key);
+  return Boolean(parsed) &&
+    `${parsed.genus}_${parsed.species}` === getTaxonKey(genus, species) &&
+    parsed.fieldId === fieldId &&
+    (tier === null || parsed.tier === tier);
 }
 
 export function listCachedResponses(genus, species, fieldId) {
-  ensureCacheDir();
-  const prefix = `${genus.trim()}_${species.trim().toLowerCase()}_${fieldId}_`;
-  
   try {
-    const files = fs.readdirSync(CACHE_DIR);
-    return files
-      .filter(f => f.startsWith(prefix) && f.endsWith('.json'))
-      .map(f => {
-        const match = f.match(/_tier(\d)_/);
-        return {
-          fileName: f,
-          tier: match ? parseInt(match[1]) : null
-        };
-      });
+    return cache.keys()
+      .filter(f => matchesField(f, genus, species, fieldId))
+      .map(f => ({
+        fileName: f,
+        tier: parseTierCacheKey(f).tier
+      }));
   } catch (err) {
     return [];
   }
 }
 
-export function clearFieldCache(genus, species, fieldId) {
-  ensureCacheDir();
-  const prefix = `${genus.trim()}_${species.trim().toLowerCase()}_${fieldId}_`;
-  
+// Without a tier every tier's responses for the field are deleted
+export function clearFieldCache(genus, species, fieldId, tier = null) {
   try {
-    const files = fs.readdirSync(CACHE_DIR);
     let deleted = 0;
-    for (const f of files) {
-      if (f.startsWith(prefix)) {
-        fs.unlinkSync(path.join(CACHE_DIR, f));
+    for (const f of cache.keys()) {
+      if (matchesField(f, genus, species, fieldId, tier) && cache.remove(f)) {
         deleted++;
       }
     }
@@ -116,20 +126,17 @@ export function clearFieldCache(genus, species, fieldId) {
 }
 
 export function getCacheStats() {
-  ensureCacheDir();
-  
   try {
-    const files = fs.readdirSync(CACHE_DIR).filter(f => f.endsWith('.json'));
+    const files = cache.keys();
     const byField = {};
     const bySpecies = {};
     
     for (const f of files) {
-      const parts = f.split('_');
-      if (parts.length >= 4) {
-        const speciesKey = `${parts[0]}_${parts[1]}`;
-        const fieldId = parts[2];
+      const parsed = parseTierCacheKey(f);
+      if (parsed) {
+        const speciesKey = `${parsed.genus}_${parsed.species}`;
         
-        byField[fieldId] = (byField[fieldId] || 0) + 1;
+        byField[parsed.fieldId] = (byField[parsed.fieldId] || 0) + 1;
         bySpecies[speciesKey] = (bySpecies[speciesKey] || 0) + 1;
       }
     }
@@ -143,3 +150,15 @@ export function getCacheStats() {
     return { totalFiles: 0, byField: {}, bySpecies: {} };
   }
 }
+
+export function cacheFieldConsensus(genus, species, fieldId, consensus) {
+  return consensusCache.write(`${getTaxonKey(genus, species)}_${fieldId}_consensus.json`, {
+    fieldId,
+    consensus,
+    cachedAt: new Date().toISOString()
+  });
+}
+
+export function getCachedFieldConsensus(genus, species, fieldId) {
+  return consensusCache.read(`${getTaxonKey(genus, species)}_${fieldId}_consensus.json`)?.consensus || null;
+}
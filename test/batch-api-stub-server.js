@@ -0,0 +1,134 @@
+/**
+ * Local stand-in for the Anthropic Message Batches endpoints
+ *
+ * Serves the subset of the API that src/utils/message-batches.js uses, so batch
+ * runs can be tested without network access or cost:
+ *
+ *   POST /v1/messages/batches              create a batch
+ *   GET  /v1/messages/batches/:id          status (ends after `pollsUntilEnded` checks)
+ *   GET  /v1/messages/batches/:id/results  JSONL results
+ *
+ * Each request is answered by respond(params, customId), which returns the
+ * response text, or { error: 'message' } for an errored result.
+ *
+ * Usage:
+ *   const server = await startBatchApiStubServer({ respond: (params) => '{"value": "..."}' });
+ *   const client = new Anthropic({ apiKey: 'test', baseURL: server.baseURL });
+ *   ...
+ *   await server.close();
+ *
+ * Not a test script itself (no test- prefix); imported by test-message-batches.js.
+ */
+
+import http from 'http';
+
+/**
+ * Start the stand-in server on a free local port
+ * @param {Object} options
+ * @param {Function} options.respond - (params, customId) => text | { error }
+ * @param {number} [options.pollsUntilEnded] - Status checks answered "in_progress" before a batch ends
+ * @returns {Promise<Object>} { baseURL, batches, close() }
+ */
+export async function startBatchApiStubServer({ respond, pollsUntilEnded = 1 }) {
+  const batches = new Map();
+  let baseURL = '';
+
+  const batchObject = (batch) => {
+    const ended = batch.polls >= pollsUntilEnded;
+    const count = (type) => ended ? batch.results.filter(item => item.result.type === type).length : 0;
+    return {
+      id: batch.id,
+      type: 'message_batch',
+      processing_status: ended ? 'ended' : 'in_progress',
+      request_counts: {
+        processing: ended ? 0 : batch.requests.length,
+        succeeded: count('succeeded'),
+        errored: count('errored'),
+        canceled: 0,
+        expired: 0
+      },
+      created_at: batch.createdAt,
+      ended_at: ended ? new Date().toISOString() : null,
+      expires_at: batch.createdAt,
+      archived_at: null,
+      cancel_initiated_at: null,
+      results_url: ended ? `${baseURL}/v1/messages/batches/${batch.id}/results` : null
+    };
+  };
+
+  const answer = (request, index) => {
+    const reply = respond(request.params, request.custom_id);
+    if (reply && typeof reply === 'object' && reply.error) {
+      return {
+        custom_id: request.custom_id,
+        result: { type: 'errored', error: { type: 'error', error: { type: 'invalid_request_error', message: reply.error } } }
+      };
+    }
+    return {
+      custom_id: request.custom_id,
+      result: {
+        type: 'succeeded',
+        message: {
+          id: `msg_stub_${index}`,
+          type: 'message',
+          role: 'assistant',
+          model: request.params.model,
+          content: [{ type: 'text', text: String(reply) }],
+          stop_reason: 'end_turn',
+          usage: { input_tokens: 100, output_tokens: 20 }
+        }
+      }
+    };
+  };
+
+  const server = http.createServer((req, res) => {
+    const sendJson = (status, body) => {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, baseURL);
+      const match = url.pathname.match(/^\/v1\/messages\/batches(?:\/([^/]+))?(\/results)?$/);
+      if (!match) {
+        return sendJson(404, { type: 'error', error: { type: 'not_found_error', message: `No route ${url.pathname}` } });
+      }
+
+      const [, id, results] = match;
+      if (req.method === 'POST' && !id) {
+        const { requests } = JSON.parse(body);
+        const batch = {
+          id: `msgbatch_stub_${batches.size + 1}`,
+          requests,
+          results: requests.map(answer),
+          polls: 0,
+          createdAt: new Date().toISOString()
+        };
+        batches.set(batch.id, batch);
+        return sendJson(200, batchObject(batch));
+      }
+
+      const batch = batches.get(id);
+      if (!batch) {
+        return sendJson(404, { type: 'error', error: { type: 'not_found_error', message: `No batch ${id}` } });
+      }
+      if (results) {
+        res.writeHead(200, { 'content-type': 'application/binary' });
+        return res.end(batch.results.map(item => JSON.stringify(item)).join('\n') + '\n');
+      }
+      batch.polls++;
+      return sendJson(200, batchObject(batch));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseURL,
+    batches,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
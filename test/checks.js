@@ -0,0 +1,35 @@
+/**
+ * PASS/FAIL checks shared by the test scripts
+ *
+ * Each check prints one PASS or FAIL line; finishTest() prints the summary and
+ * exits with 1 if any check failed, so scripts can be run one by one or from CI.
+ *
+ * Usage:
+ *   import { check, finishTest } from './checks.js';
+ *   check(result === 42, 'answer computed');
+ *   ...
+ *   finishTest('Answer');   // "Answer Test Complete!" or "Answer Test: 1 failure(s)"
+ *
+ * Not a test script itself (no test- prefix).
+ */
+
+let failCount = 0;
+
+/**
+ * Record one check
+ * @param {boolean} condition - True if the check passed
+ * @param {string} message - What was checked
+ */
+export function check(condition, message) {
+  console.log(`   ${condition ? 'PASS' : 'FAIL'}: ${message}`);
+  if (!condition) failCount++;
+}
+
+/**
+ * Print the summary line and exit (code 1 if any check failed)
+ * @param {string} name - Test name, e.g. "Cache Store"
+ */
+export function finishTest(name) {
+  console.log(failCount === 0 ? `${name} Test Complete!` : `${name} Test: ${failCount} failure(s)`);
+  process.exit(failCount === 0 ? 0 : 1);
+}
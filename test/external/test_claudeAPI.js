@@ -1,13 +1,24 @@
+import { useHttpFixtures } from '../http-fixtures.js';
 import Anthropic from '@anthropic-ai/sdk';
 
-const client = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
-
+/**
+ * Integration test for the Claude API
+ * Sends a short message and checks the reply. The response is replayed from
+ * test/fixtures/http/claude-api.json (no API key needed); --http=record calls
+ * Claude again.
+ *
+ * Usage: node test/external/test_claudeAPI.js [--http=record|live]
+ */
 async function testClaudeAPI() {
+  const fixtures = await useHttpFixtures('claude-api');
+  // Replayed responses are recorded against the public API, whatever ANTHROPIC_BASE_URL says
+  const client = fixtures.mode === 'replay'
+    ? new Anthropic({ apiKey: 'replay', baseURL: 'https://api.anthropic.com' })
+    : new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+
   try {
     console.log('Testing Claude API connection...\n');
-    
+
     const message = await client.messages.create({
       model: 'claude-sonnet-4-5',
       max_tokens: 1024,
@@ -18,16 +29,23 @@ async function testClaudeAPI() {
         }
       ],
     });
+    await fixtures.close();
+
+    const text = message.content[0]?.text || '';
+    if (!text || !message.model.startsWith('claude-sonnet-4-5') || message.usage.output_tokens <= 0) {
+      throw new Error(`Unexpected response: ${JSON.stringify(message)}`);
+    }
 
     console.log('✓ API call successful!\n');
     console.log('Response:');
-    console.log(message.content[0].text);
+    console.log(text);
     console.log('\nMessage ID:', message.id);
     console.log('Model:', message.model);
-    
+
   } catch (error) {
+    await fixtures.close();
     console.error('✗ API call failed:');
-    console.error(error.message);
+    console.error(error.cause?.message || error.message);
     process.exit(1);
   }
 }
@@ -1,21 +1,24 @@
 /**
  * Test script for GBIF caching functionality
- * 
+ *
  * Tests:
  * 1. First run creates cache files
  * 2. Second run uses cached data
  * 3. Cache files are human-readable JSON
+ *
+ * Runs against a temporary cache root. GBIF responses are replayed from
+ * test/fixtures/http/gbif-cache.json; --http=record fetches them again.
+ *
+ * Usage: node test/external/test_gbif_cache.js [--http=record|live]
  */
 
+import { useHttpFixtures } from '../http-fixtures.js';
 import { run } from '../../src/synthesis/process-previous-botanical.js';
+import { configureCache, openCacheNamespace } from '../../src/utils/cache-store.js';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const CACHE_DIR = path.join(__dirname, '../../cache/GBIF');
+import { check, finishTest } from '../checks.js';
 
 const testSpecies = [
   { genus: 'Acer', species: 'saccharum', expectedSynonyms: 4 },
@@ -25,63 +28,58 @@ const testSpecies = [
 
 async function testGBIFCaching() {
   console.log('Testing GBIF Caching System\n');
-  
-  // Clear cache files before testing
-  console.log('Clearing existing cache files...');
-  for (const sp of testSpecies) {
-    const cacheFile = path.join(CACHE_DIR, `${sp.genus}_${sp.species}_gbif.json`);
-    if (fs.existsSync(cacheFile)) {
-      fs.unlinkSync(cacheFile);
-      console.log(`   Deleted: ${sp.genus}_${sp.species}_gbif.json`);
-    }
-  }
-  console.log('');
-  
+
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gbif-cache-test-'));
+  configureCache({ rootDir });
+  const cache = openCacheNamespace('GBIF');
+  const fixtures = await useHttpFixtures('gbif-cache');
+
   // Test 1: First run - should create cache files
   console.log('Test 1: First run (should fetch from GBIF API)\n');
   for (const sp of testSpecies) {
     console.log(`Testing ${sp.genus} ${sp.species}...`);
     const result = await run(sp.genus, sp.species, {});
     console.log(`   Result: ${result.columnValues.previouslyKnownAs || '(empty)'}`);
-    
+    check(result.columnValues.previouslyKnownAs !== '', 'Synonyms listed');
+
     // Verify cache file was created
-    const cacheFile = path.join(CACHE_DIR, `${sp.genus}_${sp.species}_gbif.json`);
-    if (fs.existsSync(cacheFile)) {
-      console.log(`   PASS: Cache file created: ${sp.genus}_${sp.species}_gbif.json`);
-      
-      // Check if it's pretty-printed
-      const cacheContent = fs.readFileSync(cacheFile, 'utf-8');
-      const isPretty = cacheContent.includes('\n') && cacheContent.includes('  ');
-      console.log(`   ${isPretty ? 'PASS' : 'FAIL'}: JSON is pretty-printed (human-readable)`);
-    } else {
-      console.log(`   FAIL: Cache file NOT created!`);
-    }
+    const cacheKey = `${sp.genus}_${sp.species}_gbif.json`;
+    const cached = cache.read(cacheKey);
+    check(cached?.synonyms?.length === sp.expectedSynonyms, `Cache file created: ${cacheKey} (${cached?.synonyms?.length} synonyms)`);
+
+    // Check if it's pretty-printed
+    const cacheContent = fs.readFileSync(cache.filePath(cacheKey), 'utf-8');
+    const isPretty = cacheContent.includes('\n') && cacheContent.includes('  ');
+    check(isPretty, 'JSON is pretty-printed (human-readable)');
+    check(cache.records().get(cacheKey)?.sourceUrl?.endsWith('/synonyms'), 'Source URL recorded in the manifest');
     console.log('');
   }
-  
+
   // Test 2: Second run - should use cached data
   console.log('Test 2: Second run (should use cached data)\n');
+  const requests = fixtures.stats.replayed + fixtures.stats.recorded;
   for (const sp of testSpecies) {
     console.log(`Testing ${sp.genus} ${sp.species}...`);
     const result = await run(sp.genus, sp.species, {});
-    console.log(`   Result: ${result.columnValues.previouslyKnownAs || '(empty)'}`);
-    console.log(`   PASS: Should see "Using cached data" message above`);
+    check(result.columnValues.previouslyKnownAs !== '', `Result from cache: ${result.columnValues.previouslyKnownAs}`);
     console.log('');
   }
-  
+  check(fixtures.stats.replayed + fixtures.stats.recorded === requests, 'No GBIF requests on the second run');
+  console.log('');
+
   // Test 3: Display cache file contents
   console.log('Cache File Contents (human-readable check):\n');
-  for (const sp of testSpecies) {
-    const cacheFile = path.join(CACHE_DIR, `${sp.genus}_${sp.species}_gbif.json`);
-    if (fs.existsSync(cacheFile)) {
-      console.log(`--- ${sp.genus}_${sp.species}_gbif.json ---`);
-      const content = fs.readFileSync(cacheFile, 'utf-8');
-      console.log(content);
-      console.log('');
-    }
-  }
-  
-  console.log('GBIF Caching Test Complete!');
+  const [first] = testSpecies;
+  const firstKey = `${first.genus}_${first.species}_gbif.json`;
+  console.log(`--- ${firstKey} ---`);
+  console.log(fs.readFileSync(cache.filePath(firstKey), 'utf-8'));
+  console.log('');
+
+  await fixtures.close();
+  configureCache(null);
+  fs.rmSync(rootDir, { recursive: true, force: true });
+
+  finishTest('GBIF Caching');
 }
 
 // Run tests
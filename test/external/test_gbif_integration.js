@@ -1,12 +1,14 @@
 /**
  * Integration Test: GBIF Species API
  * 
- * Tests the GBIF API client to verify connectivity and correct parsing
- * of species matching and synonym retrieval.
+ * Tests the GBIF API client's parsing of species matching and synonym
+ * retrieval. Responses are replayed from test/fixtures/http/gbif-integration.json;
+ * --http=record fetches them from GBIF again.
  * 
- * Run with: node test/external/test_gbif_integration.js
+ * Run with: node test/external/test_gbif_integration.js [--http=record|live]
  */
 
+import { useHttpFixtures } from '../http-fixtures.js';
 import { matchSpecies, getSynonyms } from '../../src/utils/gbif-client.js';
 
 // ANSI color codes for test output
@@ -133,12 +135,14 @@ async function testNoMatch() {
 async function runAllTests() {
   console.log(`${YELLOW}=== GBIF API Integration Tests ===${RESET}\n`);
   
+  const fixtures = await useHttpFixtures('gbif-integration');
   try {
     await testMatchSpecies();
     const usageKey = await testMatchSpeciesWithSynonyms();
     await testGetSynonyms(usageKey);
     await testInvalidInput();
     await testNoMatch();
+    await fixtures.close();
     
     console.log(`\n${YELLOW}=== Test Summary ===${RESET}`);
     console.log(`${GREEN}Passed: ${passed}${RESET}`);
@@ -152,6 +156,7 @@ async function runAllTests() {
       process.exit(1);
     }
   } catch (error) {
+    await fixtures.close();
     console.error(`\n${RED}Test execution failed:${RESET}`, error.message);
     console.log(`\n${YELLOW}=== Test Summary ===${RESET}`);
     console.log(`${GREEN}Passed: ${passed}${RESET}`);
@@ -1,69 +1,75 @@
-import { google } from 'googleapis';
+import { useHttpFixtures } from '../http-fixtures.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getDriveClient, resolveAuthProvider } from '../../src/utils/google-auth.js';
 
 /**
  * Simple integration test for Google Drive connectivity
- * Tests that we can connect to Google Drive and access the output folder
+ * Tests that we can connect to Google Drive and access the output folder.
+ * Drive responses are replayed from test/fixtures/http/google-drive.json with
+ * placeholder OAuth credentials; --http=record uses your own credentials.
+ *
+ * Usage: node test/external/test_googledrive.js [--http=record|live]
  */
+
+/**
+ * Point the OAuth provider at placeholder client and token files (the token
+ * never expires, so no refresh request is made)
+ * @returns {string} Temporary directory holding the files
+ */
+function useReplayCredentials() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'googledrive-test-'));
+  const clientFile = path.join(dir, 'oauth-client.json');
+  const tokenFile = path.join(dir, 'oauth-token.json');
+  fs.writeFileSync(clientFile, JSON.stringify({ installed: { client_id: 'replay', client_secret: 'replay' } }));
+  fs.writeFileSync(tokenFile, JSON.stringify({ access_token: 'replay', token_type: 'Bearer', expiry_date: Date.UTC(2100, 0, 1) }));
+  process.env.GOOGLE_AUTH_PROVIDER = 'oauth';
+  process.env.GOOGLE_OAUTH_CLIENT_FILE = clientFile;
+  process.env.GOOGLE_OAUTH_TOKEN_FILE = tokenFile;
+  return dir;
+}
+
 async function testGoogleDrive() {
   console.log('='.repeat(80));
   console.log('Google Drive Integration Test');
   console.log('='.repeat(80));
   console.log();
   
-  // Get access token
-  console.log('Step 1: Getting access token...');
+  const fixtures = await useHttpFixtures('google-drive');
+  const credentialsDir = fixtures.mode === 'replay' ? useReplayCredentials() : null;
+  const finish = async () => {
+    await fixtures.close();
+    if (credentialsDir) fs.rmSync(credentialsDir, { recursive: true, force: true });
+  };
   
-  const hostname = process.env.REPLIT_CONNECTORS_HOSTNAME;
-  const xReplitToken = process.env.REPL_IDENTITY 
-    ? 'repl ' + process.env.REPL_IDENTITY 
-    : process.env.WEB_REPL_RENEWAL 
-    ? 'depl ' + process.env.WEB_REPL_RENEWAL 
-    : null;
-
-  if (!xReplitToken) {
-    console.log('⚠ Replit token not found - skipping test');
-    console.log('  This test requires Replit environment variables');
-    return;
-  }
-
-  let connectionSettings;
+  // Resolve credentials
+  console.log('Step 1: Resolving Google credentials...');
+  
+  let provider;
   try {
-    connectionSettings = await fetch(
-      'https://' + hostname + '/api/v2/connection?include_secrets=true&connector_names=google-drive',
-      {
-        headers: {
-          'Accept': 'application/json',
-          'X_REPLIT_TOKEN': xReplitToken
-        }
-      }
-    ).then(res => res.json()).then(data => data.items?.[0]);
-
-    const accessToken = connectionSettings?.settings?.access_token || connectionSettings.settings?.oauth?.credentials?.access_token;
-
-    if (!connectionSettings || !accessToken) {
-      console.log('⚠ Google Drive not connected - skipping test');
-      console.log('  Connect Google Drive in the Replit environment to enable this test');
-      return;
-    }
-    
-    console.log('✓ Access token retrieved');
-    console.log();
-    
+    provider = resolveAuthProvider();
   } catch (error) {
-    console.error('✗ Failed to get access token:', error.message);
-    process.exit(1);
+    console.log('⚠ No Google credentials configured - skipping test');
+    console.log(`  ${error.message}`);
+    await finish();
+    return;
   }
   
+  console.log(`✓ Using auth provider: ${provider}`);
+  console.log();
+  
   // Create Drive client
   console.log('Step 2: Creating Google Drive client...');
   
-  const accessToken = connectionSettings?.settings?.access_token || connectionSettings.settings?.oauth?.credentials?.access_token;
-  const oauth2Client = new google.auth.OAuth2();
-  oauth2Client.setCredentials({
-    access_token: accessToken
-  });
-  
-  const drive = google.drive({ version: 'v3', auth: oauth2Client });
+  let drive;
+  try {
+    drive = await getDriveClient();
+  } catch (error) {
+    console.error('✗ Failed to create Drive client:', error.message);
+    await finish();
+    process.exit(1);
+  }
   console.log('✓ Drive client created');
   console.log();
   
@@ -111,9 +117,11 @@ async function testGoogleDrive() {
     }
     
   } catch (error) {
+    await finish();
     console.error('✗ Failed to access Google Drive:', error.message);
     process.exit(1);
   }
+  await finish();
 }
 
 testGoogleDrive();
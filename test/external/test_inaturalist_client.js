@@ -7,8 +7,18 @@
  * 3. Caching functionality
  * 4. Unknown species handling
  * 5. Place ID configuration
+ *
+ * Runs against a temporary cache root. iNaturalist responses are replayed from
+ * test/fixtures/http/inaturalist-client.json; --http=record fetches them again.
+ *
+ * Usage: node test/external/test_inaturalist_client.js [--http=record|live]
  */
 
+import { useHttpFixtures } from '../http-fixtures.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureCache } from '../../src/utils/cache-store.js';
 import {
   getTaxaData,
   getHistogramData,
@@ -21,6 +31,10 @@ import {
 async function runTests() {
   console.log('Testing iNaturalist Client\n');
   
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inaturalist-test-'));
+  configureCache({ rootDir });
+  const fixtures = await useHttpFixtures('inaturalist-client');
+  
   let passed = 0;
   let failed = 0;
   
@@ -92,11 +106,12 @@ async function runTests() {
   console.log('');
   
   console.log('Test 5: Full Species Data (Combined)\n');
-  const fullData = await getFullSpeciesData('Quercus', 'alba', false);
+  const fullData = await getFullSpeciesData('Acer', 'rubrum', false);
   assert(fullData.taxa.found === true, 'Full data - taxa found');
   assert(fullData.histogram.found === true, 'Full data - histogram found');
-  assert(fullData.taxa.scientificName === 'Quercus alba', 'White oak scientific name correct');
-  assert(fullData.taxa.preferredCommonName.toLowerCase().includes('oak'), 'White oak common name');
+  assert(fullData.taxa.scientificName === 'Acer rubrum', 'Red maple scientific name correct');
+  assert(fullData.taxa.preferredCommonName.toLowerCase().includes('maple'), 'Red maple common name');
+  assert(fullData.histogram.taxonId === fullData.taxa.taxonId, 'Histogram for the same taxon');
   console.log('');
   
   console.log('Test 6: Unknown Species Handling\n');
@@ -111,19 +126,18 @@ async function runTests() {
   assert(unknownHistogram.totalObservations === 0, 'Zero observations for unknown');
   console.log('');
   
-  console.log('Test 7: Non-native Species (Norway Maple)\n');
-  clearSpeciesCache('Acer', 'platanoides');
-  const norwayMaple = await getTaxaData('Acer', 'platanoides', false);
-  assert(norwayMaple.found === true, 'Norway maple found');
-  assert(norwayMaple.scientificName === 'Acer platanoides', 'Correct scientific name');
-  console.log(`   Wikipedia: ${norwayMaple.wikipediaSummary.substring(0, 150)}...`);
+  console.log('Test 7: Establishment Means (Large White Trillium)\n');
+  const trillium = await getTaxaData('Trillium', 'grandiflorum', false);
+  assert(trillium.found === true, 'Large white trillium found');
+  assert(trillium.scientificName === 'Trillium grandiflorum', 'Correct scientific name');
+  assert(trillium.establishmentMeans.some(m => m.status === 'native' && m.place === 'North America'), 'Native to North America');
+  console.log(`   Wikipedia: ${trillium.wikipediaSummary.substring(0, 150)}...`);
   console.log('');
   
   console.log('Cleanup: Removing all test cache files\n');
-  clearSpeciesCache('Acer', 'saccharum');
-  clearSpeciesCache('Quercus', 'alba');
-  clearSpeciesCache('Nonexistent', 'species123');
-  clearSpeciesCache('Acer', 'platanoides');
+  await fixtures.close();
+  configureCache(null);
+  fs.rmSync(rootDir, { recursive: true, force: true });
   
   console.log('='.repeat(50));
   console.log(`\nTest Results: ${passed} passed, ${failed} failed\n`);
@@ -1,15 +1,32 @@
 /**
- * Test script for Michigan Flora Client
+ * Test script for the Michigan Flora clients and the BONAP client
  * 
  * Tests:
  * 1. Dataset loading and parsing
- * 2. Metadata row skipping
- * 3. Lookup functions (by name, genus/species)
+ * 2-3. Lookup functions (by name, genus/species)
  * 4. Native status checks
  * 5. Coefficient and wetness lookups
- * 6. Dataset statistics
+ * 6. Common name lookup
+ * 7-8. Dataset statistics and native/non-native filtering
+ * 9. Case insensitive lookup
+ * 10. Sample record structure
+ * 11. REST API client: species search, text, synonyms and counties, cached
+ * 12. BONAP range maps: direct URL, SerpApi fallback, cached
+ *
+ * Tests 1-10 read the CSV dataset in cache/MichiganFlora. Tests 11 and 12 run
+ * against a temporary cache root, with Michigan Flora API, BONAP and SerpApi
+ * responses replayed from test/fixtures/http/michigan-flora-client.json. Those
+ * responses were written by hand (in the shape of the cached API responses);
+ * --http=record (with SERPAPI_API_KEY set) replaces them with real ones.
+ *
+ * Usage: node test/external/test_michigan_flora_client.js [--http=record|live]
  */
 
+import { useHttpFixtures } from '../http-fixtures.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureCache } from '../../src/utils/cache-store.js';
 import {
   loadDataset,
   findByScientificName,
@@ -23,112 +40,107 @@ import {
   getDatasetStats,
   clearCache
 } from '../../src/utils/michigan-flora-client.js';
+import {
+  searchSpecies,
+  getCompleteSpeciesData,
+  getRecordUrl,
+  listCachedResponses
+} from '../../src/utils/michigan-flora-api-client.js';
+import { getBONAPMapUrl, getCachedBONAPUrl } from '../../src/utils/bonap-client.js';
+import { check, finishTest } from '../checks.js';
 
 async function runTests() {
   console.log('Testing Michigan Flora Client\n');
   
-  let passed = 0;
-  let failed = 0;
-  
-  function assert(condition, testName) {
-    if (condition) {
-      console.log(`   PASS: ${testName}`);
-      passed++;
-    } else {
-      console.log(`   FAIL: ${testName}`);
-      failed++;
-    }
-  }
-  
   clearCache();
   
   console.log('Test 1: Dataset Loading\n');
   const dataset = await loadDataset();
-  assert(Array.isArray(dataset), 'Dataset is an array');
-  assert(dataset.length > 2800, `Dataset has ${dataset.length} records (expected ~2873)`);
-  assert(dataset.length < 3000, 'Dataset size is reasonable');
+  check(Array.isArray(dataset), 'Dataset is an array');
+  check(dataset.length > 2800, `Dataset has ${dataset.length} records (expected ~2873)`);
+  check(dataset.length < 3000, 'Dataset size is reasonable');
   
   const firstRecord = dataset[0];
-  assert(firstRecord.scientificName !== '', 'First record has scientific name');
-  assert(firstRecord.family !== '', 'First record has family');
-  assert(typeof firstRecord.isNative === 'boolean', 'isNative is boolean');
-  assert(typeof firstRecord.coefficientC === 'number', 'coefficientC is number');
-  assert(typeof firstRecord.wetnessW === 'number', 'wetnessW is number');
+  check(firstRecord.scientificName !== '', 'First record has scientific name');
+  check(firstRecord.family !== '', 'First record has family');
+  check(typeof firstRecord.isNative === 'boolean', 'isNative is boolean');
+  check(typeof firstRecord.coefficientC === 'number', 'coefficientC is number');
+  check(typeof firstRecord.wetnessW === 'number', 'wetnessW is number');
   console.log('');
   
   console.log('Test 2: Lookup by Scientific Name\n');
   const balsamFir = await findByScientificName('Abies balsamea');
-  assert(balsamFir !== null, 'Found Abies balsamea');
-  assert(balsamFir?.family === 'Pinaceae', 'Correct family (Pinaceae)');
-  assert(balsamFir?.acronym === 'ABIBAL', 'Correct acronym (ABIBAL)');
-  assert(balsamFir?.isNative === true, 'Correctly identified as native');
-  assert(balsamFir?.coefficientC === 3, 'Correct C value (3)');
-  assert(balsamFir?.commonName === 'balsam fir', 'Correct common name');
+  check(balsamFir !== null, 'Found Abies balsamea');
+  check(balsamFir?.family === 'Pinaceae', 'Correct family (Pinaceae)');
+  check(balsamFir?.acronym === 'ABIBAL', 'Correct acronym (ABIBAL)');
+  check(balsamFir?.isNative === true, 'Correctly identified as native');
+  check(balsamFir?.coefficientC === 3, 'Correct C value (3)');
+  check(balsamFir?.commonName === 'balsam fir', 'Correct common name');
   console.log('');
   
   console.log('Test 3: Lookup by Genus + Species\n');
   const whiteOak = await findByGenusSpecies('Quercus', 'alba');
-  assert(whiteOak !== null, 'Found Quercus alba');
-  assert(whiteOak?.family === 'Fagaceae', 'Correct family (Fagaceae)');
-  assert(whiteOak?.isNative === true, 'Correctly identified as native');
+  check(whiteOak !== null, 'Found Quercus alba');
+  check(whiteOak?.family === 'Fagaceae', 'Correct family (Fagaceae)');
+  check(whiteOak?.isNative === true, 'Correctly identified as native');
   console.log('');
   
   console.log('Test 4: Native Status Checks\n');
   const sugarMapleNative = await isNative('Acer', 'saccharum');
-  assert(sugarMapleNative === true, 'Acer saccharum is native');
+  check(sugarMapleNative === true, 'Acer saccharum is native');
   
   const norwayMapleNative = await isNative('Acer', 'platanoides');
-  assert(norwayMapleNative === false, 'Acer platanoides is non-native');
+  check(norwayMapleNative === false, 'Acer platanoides is non-native');
   
   const unknownNative = await isNative('Nonexistent', 'species');
-  assert(unknownNative === null, 'Unknown species returns null');
+  check(unknownNative === null, 'Unknown species returns null');
   console.log('');
   
   console.log('Test 5: Coefficient and Wetness Lookups\n');
   const sugarMapleC = await getCoefficient('Acer', 'saccharum');
-  assert(typeof sugarMapleC === 'number', 'C value is a number');
-  assert(sugarMapleC >= 0 && sugarMapleC <= 10, `C value (${sugarMapleC}) is in valid range`);
+  check(typeof sugarMapleC === 'number', 'C value is a number');
+  check(sugarMapleC >= 0 && sugarMapleC <= 10, `C value (${sugarMapleC}) is in valid range`);
   
   const balsamFirW = await getWetness('Abies', 'balsamea');
-  assert(typeof balsamFirW === 'number', 'W value is a number');
-  assert(balsamFirW >= -5 && balsamFirW <= 5, `W value (${balsamFirW}) is in valid range`);
+  check(typeof balsamFirW === 'number', 'W value is a number');
+  check(balsamFirW >= -5 && balsamFirW <= 5, `W value (${balsamFirW}) is in valid range`);
   console.log('');
   
   console.log('Test 6: Common Name Lookup\n');
   const boxElderCommon = await getCommonName('Acer', 'negundo');
-  assert(boxElderCommon !== null, 'Found common name for Acer negundo');
-  assert(boxElderCommon?.includes('box-elder') || boxElderCommon?.includes('box elder'), 
+  check(boxElderCommon !== null, 'Found common name for Acer negundo');
+  check(boxElderCommon?.includes('box-elder') || boxElderCommon?.includes('box elder'), 
     `Common name includes "box-elder": "${boxElderCommon}"`);
   console.log('');
   
   console.log('Test 7: Dataset Statistics\n');
   const stats = await getDatasetStats();
-  assert(stats.totalSpecies > 2800, `Total species: ${stats.totalSpecies}`);
-  assert(stats.nativeSpecies > 1700, `Native species: ${stats.nativeSpecies}`);
-  assert(stats.nonNativeSpecies > 1000, `Non-native species: ${stats.nonNativeSpecies}`);
-  assert(stats.nativeSpecies + stats.nonNativeSpecies === stats.totalSpecies, 
+  check(stats.totalSpecies > 2800, `Total species: ${stats.totalSpecies}`);
+  check(stats.nativeSpecies > 1700, `Native species: ${stats.nativeSpecies}`);
+  check(stats.nonNativeSpecies > 1000, `Non-native species: ${stats.nonNativeSpecies}`);
+  check(stats.nativeSpecies + stats.nonNativeSpecies === stats.totalSpecies, 
     'Native + non-native = total');
-  assert(stats.nativeMeanC > 5, `Native mean C: ${stats.nativeMeanC}`);
-  assert(stats.totalMeanC > 3, `Total mean C: ${stats.totalMeanC}`);
+  check(stats.nativeMeanC > 5, `Native mean C: ${stats.nativeMeanC}`);
+  check(stats.totalMeanC > 3, `Total mean C: ${stats.totalMeanC}`);
   console.log('');
   
   console.log('Test 8: Native/Non-native Filtering\n');
   const natives = await getNativeSpecies();
   const nonNatives = await getNonNativeSpecies();
-  assert(natives.length === stats.nativeSpecies, 'getNativeSpecies matches count');
-  assert(nonNatives.length === stats.nonNativeSpecies, 'getNonNativeSpecies matches count');
-  assert(natives.every(r => r.isNative === true), 'All native records have isNative=true');
-  assert(nonNatives.every(r => r.isNative === false), 'All non-native records have isNative=false');
+  check(natives.length === stats.nativeSpecies, 'getNativeSpecies matches count');
+  check(nonNatives.length === stats.nonNativeSpecies, 'getNonNativeSpecies matches count');
+  check(natives.every(r => r.isNative === true), 'All native records have isNative=true');
+  check(nonNatives.every(r => r.isNative === false), 'All non-native records have isNative=false');
   console.log('');
   
   console.log('Test 9: Case Insensitive Lookup\n');
   const lowerCase = await findByGenusSpecies('acer', 'saccharum');
   const upperCase = await findByGenusSpecies('ACER', 'SACCHARUM');
   const mixedCase = await findByGenusSpecies('Acer', 'Saccharum');
-  assert(lowerCase !== null, 'Lowercase lookup works');
-  assert(upperCase !== null, 'Uppercase lookup works');
-  assert(mixedCase !== null, 'Mixed case lookup works');
-  assert(lowerCase?.acronym === upperCase?.acronym, 'All cases return same record');
+  check(lowerCase !== null, 'Lowercase lookup works');
+  check(upperCase !== null, 'Uppercase lookup works');
+  check(mixedCase !== null, 'Mixed case lookup works');
+  check(lowerCase?.acronym === upperCase?.acronym, 'All cases return same record');
   console.log('');
   
   console.log('Test 10: Sample Record Structure\n');
@@ -137,12 +149,54 @@ async function runTests() {
   console.log(JSON.stringify(sample, null, 2).split('\n').map(l => '   ' + l).join('\n'));
   console.log('');
   
-  console.log('='.repeat(50));
-  console.log(`\nTest Results: ${passed} passed, ${failed} failed\n`);
-  
-  if (failed > 0) {
-    process.exit(1);
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'michigan-flora-test-'));
+  configureCache({ rootDir });
+  const fixtures = await useHttpFixtures('michigan-flora-client');
+  if (fixtures.mode === 'replay') {
+    // The BONAP fallback search is skipped without a key; replayed URLs carry it redacted
+    process.env.SERPAPI_API_KEY = 'replay';
   }
+  const requestCount = () => fixtures.stats.replayed + fixtures.stats.recorded;
+  
+  console.log('Test 11: Michigan Flora REST API\n');
+  const whiteOakApi = await getCompleteSpeciesData('Quercus', 'alba');
+  check(whiteOakApi.found === true, 'Found Quercus alba');
+  check(whiteOakApi.data?.family_name === 'Fagaceae', 'Family from species search (Fagaceae)');
+  check(whiteOakApi.recordUrl === getRecordUrl(whiteOakApi.plantId), `Record URL ${whiteOakApi.recordUrl}`);
+  check(whiteOakApi.data?.description?.includes('white oak'), 'Description text fetched');
+  check(Array.isArray(whiteOakApi.data?.synonyms), `Synonyms fetched (${whiteOakApi.data?.synonyms.length})`);
+  check(whiteOakApi.data?.counties.includes('Washtenaw'), `Counties fetched (${whiteOakApi.data?.counties.length})`);
+  check(listCachedResponses().length === 4, 'Search, text, synonyms and counties cached');
+  
+  const before = requestCount();
+  const cachedApi = await getCompleteSpeciesData('Quercus', 'alba');
+  check(requestCount() === before, 'Second lookup makes no requests');
+  check(cachedApi.data?.counties.length === whiteOakApi.data?.counties.length, 'Same data from the cache');
+  
+  const unknownApi = await searchSpecies('Nonexistent', 'species');
+  check(unknownApi.found === false, 'Unknown species not found');
+  check((await getCompleteSpeciesData('Nonexistent', 'species')).found === false, '"Not found" cached');
+  console.log('');
+  
+  console.log('Test 12: BONAP Range Maps\n');
+  const directUrl = await getBONAPMapUrl('Quercus', 'alba');
+  check(directUrl === 'http://bonap.net/MapGallery/County/Quercus%20alba.png', `Direct URL verified: ${directUrl}`);
+  
+  const searchedUrl = await getBONAPMapUrl('Symphyotrichum', 'ericoides');
+  check(searchedUrl === 'http://bonap.net/MapGallery/County/Symphyotrichum%20ericoides%20var.%20ericoides.png',
+    `SerpApi fallback when the direct URL is missing: ${searchedUrl}`);
+  
+  const beforeBonap = requestCount();
+  check(await getBONAPMapUrl('Quercus', 'alba') === directUrl, 'Cached direct URL');
+  check(getCachedBONAPUrl('Symphyotrichum', 'ericoides') === searchedUrl, 'Cached SerpApi URL');
+  check(requestCount() === beforeBonap, 'Cached lookups make no requests');
+  console.log('');
+  
+  await fixtures.close();
+  configureCache(null);
+  fs.rmSync(rootDir, { recursive: true, force: true });
+  
+  finishTest('Michigan Flora Client');
 }
 
 runTests().catch(error => {
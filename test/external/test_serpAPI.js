@@ -1,38 +1,46 @@
+import { useHttpFixtures } from '../http-fixtures.js';
 import { getJson } from 'serpapi';
 
 /**
- * Simple integration test for SerpApi connectivity
- * Tests that we can make a basic search request and get results
+ * Integration test for SerpApi
+ * Tests that a basic search request returns organic results. The response is
+ * replayed from test/fixtures/http/serpapi.json (no API key needed);
+ * --http=record searches SerpApi again.
+ *
+ * Usage: node test/external/test_serpAPI.js [--http=record|live]
  */
 async function testSerpApi() {
   console.log('='.repeat(80));
   console.log('SerpApi Integration Test');
   console.log('='.repeat(80));
   console.log();
-  
-  const apiKey = process.env.SERPAPI_API_KEY;
-  
+
+  const fixtures = await useHttpFixtures('serpapi');
+  const apiKey = fixtures.mode === 'replay' ? 'replay' : process.env.SERPAPI_API_KEY;
+
   if (!apiKey) {
     console.log('⚠ SERPAPI_API_KEY not found - skipping test');
-    console.log('  This test requires a SerpApi API key to run');
+    console.log('  Recording or running live requires a SerpApi API key');
     console.log('  Set SERPAPI_API_KEY environment variable to enable this test');
+    await fixtures.close();
     return;
   }
-  
-  console.log('✓ API key found');
+
+  console.log(`✓ ${fixtures.mode === 'replay' ? 'Replaying recorded response' : 'API key found'}`);
   console.log();
-  
-  console.log('Testing basic search for "Trillium grandiflorum Michigan Flora"...');
-  
+
+  console.log('Testing basic search for "site:wildflower.org Trillium grandiflorum"...');
+
   try {
     const params = {
       api_key: apiKey,
-      q: 'Trillium grandiflorum Michigan Flora',
+      q: 'site:wildflower.org Trillium grandiflorum',
       num: 1
     };
-    
+
     const result = await getJson(params);
-    
+    await fixtures.close();
+
     if (result && result.organic_results && result.organic_results.length > 0) {
       console.log('✓ Search successful!');
       console.log();
@@ -40,13 +48,19 @@ async function testSerpApi() {
       console.log(`  Title: ${result.organic_results[0].title}`);
       console.log(`  URL: ${result.organic_results[0].link}`);
       console.log();
+      if (!result.organic_results[0].link.includes('wildflower.org')) {
+        console.log('✗ First result is not on wildflower.org');
+        process.exit(1);
+      }
       console.log('✓ SerpApi integration test passed');
     } else {
       console.log('✗ Search returned no results');
       console.log('Response:', JSON.stringify(result, null, 2));
+      process.exit(1);
     }
-    
+
   } catch (error) {
+    await fixtures.close();
     console.error('✗ Search failed:', error.message);
     if (error.json) {
       console.error('Error details:', JSON.stringify(error.json, null, 2));
@@ -0,0 +1,413 @@
+/**
+ * Recorded HTTP fixtures for tests
+ *
+ * Intercepts every HTTP(S) request made through global fetch (GBIF,
+ * iNaturalist, Michigan Flora, BONAP, page content, the Anthropic SDK) and
+ * through http/https.request (the SerpApi SDK, googleapis), so tests of the
+ * clients and synthesis modules run offline and give the same result every time.
+ *
+ * Fixture file (test/fixtures/http/<name>.json): { "entries": [ { method, url,
+ * bodyHash, status, headers, json | text | base64 } ] }. A request matches an
+ * entry with the same method and URL; entries recorded from fetch also carry
+ * the md5 of the request body, so each Claude prompt gets its own response.
+ * Hand-written entries can leave bodyHash out to answer any body, and the most
+ * specific match wins. Repeated requests are answered by their matching
+ * entries in order, the last one repeating.
+ *
+ * Modes (--http=<mode> on the test's command line):
+ * - replay (default): answer from the fixture file; a request with no entry
+ *   fails with an error naming it
+ * - record: make the real request and save every exchange (close() writes the
+ *   file, replacing the previous recording)
+ * - live: make real requests, record nothing
+ *
+ * Secrets are not recorded: request headers are dropped, api_key/key/
+ * access_token query parameters are stored as REDACTED (and matched that way),
+ * and token fields in JSON responses are replaced. Query parameters that change
+ * with the environment (the SerpApi SDK's Node version) are left out of URLs.
+ *
+ * Import this module before the modules under test: clients such as the
+ * Anthropic SDK keep the fetch they find when they are created.
+ *
+ * Usage:
+ *   import { useHttpFixtures } from '../http-fixtures.js';
+ *   const fixtures = await useHttpFixtures('gbif');
+ *   ...
+ *   await fixtures.close();
+ *
+ * Not a test script itself (no test- prefix).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import { syncBuiltinESMExports } from 'module';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const FIXTURES_DIR = path.join(__dirname, 'fixtures/http');
+
+const MODES = ['replay', 'record', 'live'];
+const SECRET_PARAMS = ['api_key', 'key', 'access_token'];
+const SECRET_FIELDS = ['access_token', 'refresh_token', 'id_token'];
+const VOLATILE_PARAMS = { 'serpapi.com': ['source'] };
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+const originalFetch = globalThis.fetch;
+const originalHttpRequest = http.request;
+const originalHttpGet = http.get;
+const originalHttpsRequest = https.request;
+const originalHttpsGet = https.get;
+
+// Fixture set in use (one at a time)
+let active = null;
+
+/**
+ * Mode from the command line (--http=replay|record|live)
+ * @returns {string} Mode (default 'replay')
+ */
+export function getFixtureMode() {
+  const arg = process.argv.find(a => a.startsWith('--http='));
+  const mode = arg ? arg.slice('--http='.length) : 'replay';
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown --http mode "${mode}" (use ${MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * URL as stored and matched, with secret query parameters redacted and
+ * volatile ones dropped
+ * @param {string} url - Request URL
+ * @returns {string} Normalized URL
+ */
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  const volatile = (VOLATILE_PARAMS[parsed.hostname] || []).filter(name => parsed.searchParams.has(name));
+  for (const name of volatile) {
+    parsed.searchParams.delete(name);
+  }
+  const secrets = SECRET_PARAMS.filter(name => parsed.searchParams.has(name));
+  for (const name of secrets) {
+    parsed.searchParams.set(name, 'REDACTED');
+  }
+  return parsed.href;
+}
+
+/**
+ * Hash a request body
+ * @param {*} body - fetch body
+ * @returns {string|undefined} md5 hex digest, or undefined for no (or a streamed) body
+ */
+function hashBody(body) {
+  if (typeof body !== 'string' && !(body instanceof Uint8Array)) return undefined;
+  return crypto.createHash('md5').update(body).digest('hex');
+}
+
+/**
+ * Replace token fields anywhere in parsed JSON
+ * @param {*} value - Parsed JSON
+ * @returns {*} Copy with SECRET_FIELDS redacted
+ */
+function redactFields(value) {
+  if (Array.isArray(value)) return value.map(redactFields);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([name, field]) =>
+    [name, SECRET_FIELDS.includes(name) && typeof field === 'string' ? 'REDACTED' : redactFields(field)]));
+}
+
+/**
+ * Undo a response's content encoding (http.request hands it over encoded)
+ * @param {Buffer} buffer - Raw body
+ * @param {string} [encoding] - content-encoding header
+ * @returns {Buffer} Decoded body
+ */
+function decodeBody(buffer, encoding) {
+  if (encoding === 'gzip') return zlib.gunzipSync(buffer);
+  if (encoding === 'deflate') return zlib.inflateSync(buffer);
+  if (encoding === 'br') return zlib.brotliDecompressSync(buffer);
+  return buffer;
+}
+
+/**
+ * Build a fixture entry from a response
+ * @param {Object} key - { method, url, bodyHash }
+ * @param {number} status - HTTP status
+ * @param {string} contentType - content-type header
+ * @param {Buffer} buffer - Decoded response body
+ * @returns {Object} Entry
+ */
+function createEntry(key, status, contentType, buffer) {
+  const entry = {
+    method: key.method,
+    url: key.url,
+    ...(key.bodyHash && { bodyHash: key.bodyHash }),
+    status,
+    headers: contentType ? { 'content-type': contentType } : {}
+  };
+  if (buffer.length === 0) return entry;
+
+  const text = buffer.toString('utf-8');
+  if (/json/.test(contentType)) {
+    try {
+      entry.json = redactFields(JSON.parse(text));
+      return entry;
+    } catch {
+      // Not actually JSON: keep it as text
+    }
+  }
+  if (!contentType || /^text\/|json|xml|javascript|event-stream/.test(contentType)) {
+    entry.text = text;
+  } else {
+    entry.base64 = buffer.toString('base64');
+  }
+  return entry;
+}
+
+/**
+ * Response body of an entry
+ * @param {Object} entry - Fixture entry
+ * @returns {Buffer} Body (empty if the entry has none)
+ */
+function getEntryBody(entry) {
+  if (entry.json !== undefined) return Buffer.from(JSON.stringify(entry.json));
+  if (entry.text !== undefined) return Buffer.from(entry.text);
+  if (entry.base64 !== undefined) return Buffer.from(entry.base64, 'base64');
+  return Buffer.alloc(0);
+}
+
+/**
+ * URL, method and callback of an http(s).request()/get() call
+ * @param {string} protocol - 'http:' or 'https:'
+ * @param {Array} args - (url[, options][, callback]) or (options[, callback])
+ * @returns {Object} { url, method, callback }
+ */
+function parseRequestArgs(protocol, args) {
+  const [first, second, third] = args;
+  let url;
+  let options;
+  let callback;
+  if (typeof first === 'string' || first instanceof URL) {
+    url = new URL(first);
+    options = typeof second === 'object' && second !== null ? second : {};
+    callback = typeof second === 'function' ? second : third;
+  } else {
+    options = first || {};
+    callback = second;
+    const host = options.hostname || options.host || 'localhost';
+    const port = options.port ? `:${options.port}` : '';
+    url = new URL(`${options.protocol || protocol}//${host}${port}${options.path || '/'}`);
+  }
+  return { url: url.href, method: (options.method || 'GET').toUpperCase(), callback };
+}
+
+/**
+ * Load a fixture file
+ * @param {string} file - Fixture file path
+ * @returns {Array<Object>} Entries
+ */
+function loadEntries(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`No HTTP fixtures at ${file} - record them with --http=record`);
+  }
+  const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  return Array.isArray(data.entries) ? data.entries : [];
+}
+
+/**
+ * Local server answering replayed http(s).request() calls, so callers get a
+ * real request and response object
+ * @param {Map<string, Object>} pending - Request id -> entry
+ * @returns {Promise<Object>} { baseURL, close() }
+ */
+async function startReplayServer(pending) {
+  const server = http.createServer((req, res) => {
+    const id = req.url.slice(1);
+    const entry = pending.get(id);
+    pending.delete(id);
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(entry.status, entry.headers);
+      res.end(NULL_BODY_STATUSES.includes(entry.status) ? undefined : getEntryBody(entry));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseURL: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Find the entry answering a request: the most specific match, in order of use
+ * @param {Object} fixtures - Active fixture set
+ * @param {Object} key - { method, url, bodyHash }
+ * @returns {Object} Entry
+ */
+function takeEntry(fixtures, key) {
+  const matches = fixtures.entries.filter(entry =>
+    entry.method === key.method && entry.url === key.url && (entry.bodyHash === undefined || entry.bodyHash === key.bodyHash));
+  const specific = matches.filter(entry => entry.bodyHash !== undefined);
+  const candidates = specific.length > 0 ? specific : matches;
+  if (candidates.length === 0) {
+    throw new Error(`No recorded response for ${key.method} ${key.url} in ${fixtures.file}`);
+  }
+  const entry = candidates.find(candidate => !fixtures.used.has(candidate)) || candidates[candidates.length - 1];
+  fixtures.used.add(entry);
+  fixtures.stats.replayed++;
+  return entry;
+}
+
+/**
+ * Add a recorded exchange to the fixture set
+ * @param {Object} fixtures - Active fixture set
+ * @param {Object} key - { method, url, bodyHash }
+ * @param {number} status - HTTP status
+ * @param {string} contentType - content-type header
+ * @param {Buffer} buffer - Decoded response body
+ */
+function addEntry(fixtures, key, status, contentType, buffer) {
+  fixtures.entries.push(createEntry(key, status, contentType, buffer));
+  fixtures.stats.recorded++;
+}
+
+async function interceptedFetch(input, init = {}) {
+  const url = typeof input === 'string' ? input : input instanceof URL ? input.href : input.url;
+  const fixtures = active;
+  if (!fixtures || fixtures.mode === 'live' || !/^https?:/.test(url)) {
+    return originalFetch(input, init);
+  }
+
+  const method = (init.method || input.method || 'GET').toUpperCase();
+  const key = { method, url: normalizeUrl(url), bodyHash: hashBody(init.body) };
+  if (fixtures.mode === 'replay') {
+    const entry = takeEntry(fixtures, key);
+    const nullBody = method === 'HEAD' || NULL_BODY_STATUSES.includes(entry.status);
+    return new Response(nullBody ? null : getEntryBody(entry), { status: entry.status, headers: entry.headers });
+  }
+
+  const response = await originalFetch(input, init);
+  const buffer = Buffer.from(await response.clone().arrayBuffer());
+  addEntry(fixtures, key, response.status, response.headers.get('content-type'), buffer);
+  return response;
+}
+
+/**
+ * Replacement for http.request/https.request
+ * @param {string} protocol - 'http:' or 'https:'
+ * @param {Function} original - The module's own request function
+ * @param {Object} module - http or https
+ * @returns {Function} request(...args)
+ */
+function interceptRequest(protocol, original, module) {
+  return function request(...args) {
+    const fixtures = active;
+    if (!fixtures || fixtures.mode === 'live') {
+      return original.apply(module, args);
+    }
+
+    const { url, method, callback } = parseRequestArgs(protocol, args);
+    // Request bodies are written after the call, so these match on method and URL only
+    const key = { method, url: normalizeUrl(url) };
+    if (fixtures.mode === 'replay') {
+      const entry = takeEntry(fixtures, key);
+      const id = String(fixtures.nextId++);
+      fixtures.pending.set(id, entry);
+      return originalHttpRequest(`${fixtures.server.baseURL}/${id}`, { method }, callback);
+    }
+
+    const req = original.apply(module, args);
+    req.prependListener('response', (res) => {
+      const chunks = [];
+      // Strings if the caller set an encoding (the SerpApi SDK does)
+      res.on('data', chunk => chunks.push(Buffer.from(chunk)));
+      res.on('end', () => {
+        const buffer = decodeBody(Buffer.concat(chunks), res.headers['content-encoding']);
+        addEntry(fixtures, key, res.statusCode, res.headers['content-type'], buffer);
+      });
+    });
+    return req;
+  };
+}
+
+/**
+ * Replacement for http.get/https.get (a request that is ended at once)
+ * @param {Function} request - Intercepted request function
+ * @param {Function} original - The module's own get function
+ * @param {Object} module - http or https
+ * @returns {Function} get(...args)
+ */
+function interceptGet(request, original, module) {
+  return function get(...args) {
+    if (!active || active.mode === 'live') {
+      return original.apply(module, args);
+    }
+    const req = request(...args);
+    req.end();
+    return req;
+  };
+}
+
+globalThis.fetch = interceptedFetch;
+http.request = interceptRequest('http:', originalHttpRequest, http);
+http.get = interceptGet(http.request, originalHttpGet, http);
+https.request = interceptRequest('https:', originalHttpsRequest, https);
+https.get = interceptGet(https.request, originalHttpsGet, https);
+syncBuiltinESMExports();
+
+/**
+ * Start answering (or recording) HTTP requests from a fixture file
+ * @param {string} name - Fixture name (file name without .json)
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'replay', 'record' or 'live' (default: --http= argument, else replay)
+ * @param {string} [options.dir] - Fixture directory (default test/fixtures/http)
+ * @returns {Promise<Object>} { mode, file, stats: { replayed, recorded }, close() }
+ */
+export async function useHttpFixtures(name, options = {}) {
+  if (active) {
+    throw new Error(`HTTP fixtures ${active.file} are still in use`);
+  }
+  const { mode = getFixtureMode(), dir = FIXTURES_DIR } = options;
+  const file = path.join(dir, `${name}.json`);
+  const fixtures = {
+    mode,
+    file,
+    entries: mode === 'replay' ? loadEntries(file) : [],
+    stats: { replayed: 0, recorded: 0 },
+    used: new Set(),
+    pending: new Map(),
+    nextId: 1,
+    server: null
+  };
+  if (mode === 'replay') {
+    fixtures.server = await startReplayServer(fixtures.pending);
+  }
+  active = fixtures;
+  if (mode !== 'replay') {
+    console.log(`[http-fixtures] ${mode === 'record' ? 'Recording' : 'Live requests'}: ${name}`);
+  }
+
+  return {
+    mode,
+    file,
+    stats: fixtures.stats,
+
+    /**
+     * Stop intercepting; in record mode, write the recorded exchanges
+     */
+    async close() {
+      if (active === fixtures) active = null;
+      if (fixtures.server) await fixtures.server.close();
+      if (mode === 'record') {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({ entries: fixtures.entries }, null, 2) + '\n', 'utf-8');
+        console.log(`[http-fixtures] Saved ${fixtures.entries.length} responses to ${file}`);
+      }
+    }
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Temporary cache for tests that run the 3-tier pipeline on a made-up species
+ *
+ * Points the cache store at a new directory under the OS temp dir, so the tier
+ * responses, source files and manifest records a test writes never reach
+ * cache/. The species is recorded as its own accepted name for this process
+ * only, so nothing looks it up in GBIF.
+ *
+ * Usage:
+ *   const testCache = useTestCache('Testus', 'cachus');
+ *   testCache.writeSources({ miflora: { habitat: '...' }, page: { text: '...' } });
+ *   ...
+ *   testCache.close();
+ *
+ * Not a test script itself (no test- prefix).
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureCache, getCacheRoot, openCacheNamespace } from '../src/utils/cache-store.js';
+import { formatTaxonKey, recordTaxon } from '../src/utils/taxon-identity.js';
+
+/**
+ * Use a temporary cache root for a made-up species
+ * @param {string} genus - Genus name
+ * @param {string} species - Species epithet
+ * @returns {Object} { taxonKey, rootDir, tierCache, writeSources(), reset(), close() }
+ */
+export function useTestCache(genus, species) {
+  const taxonKey = formatTaxonKey(genus, species);
+  const roots = [];
+
+  const startRoot = () => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), `${taxonKey}-cache-`));
+    roots.push(rootDir);
+    configureCache({ rootDir });
+  };
+
+  startRoot();
+  recordTaxon(genus, species, { accepted: { genus, species }, source: 'test' }, { persist: false });
+
+  return {
+    taxonKey,
+    get rootDir() {
+      return getCacheRoot();
+    },
+    tierCache: openCacheNamespace('TieredPrompts'),
+
+    /**
+     * Write source files for the species where the 3-tier gatherers read them
+     * @param {Object} sources
+     * @param {Object} [sources.miflora] - Michigan Flora species data (Tier 1)
+     * @param {Object} [sources.page] - Validated web page content (Tier 2)
+     */
+    writeSources({ miflora, page } = {}) {
+      if (miflora) {
+        const dir = path.join(getCacheRoot(), 'MichiganFlora/SpeciesData');
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, `${taxonKey}_miflora.json`), JSON.stringify(miflora));
+      }
+      if (page) {
+        openCacheNamespace('PageContent').write(`${taxonKey}_testpage.json`, page);
+      }
+    },
+
+    /**
+     * Continue in a new, empty cache root (sources have to be written again)
+     */
+    reset() {
+      startRoot();
+    },
+
+    /**
+     * Go back to the configured cache and delete the temporary roots
+     */
+    close() {
+      configureCache(null);
+      for (const dir of roots) {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  };
+}
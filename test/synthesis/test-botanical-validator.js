@@ -1,4 +1,26 @@
-import { validateBotanicalName } from "../../src/synthesis/process-botanical-name.js";
+import { useHttpFixtures } from "../http-fixtures.js";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { configureCache } from "../../src/utils/cache-store.js";
+import { setLlmUsageLogFile } from "../../src/utils/llm-usage.js";
+import { check, finishTest } from "../checks.js";
+
+/**
+ * Test script for the botanical name validator
+ *
+ * Tests:
+ * 1. Current names, synonyms, made-up names, common names, misspellings and
+ *    incomplete names get the expected status (and current/suggested name)
+ * 2. Empty and whitespace-only names are rejected before any API call
+ *
+ * Runs against a temporary cache root. Claude's replies are replayed from
+ * test/fixtures/http/botanical-validator.json, one per prompt; they were
+ * written by hand, so --http=record (with ANTHROPIC_API_KEY set) replaces them
+ * with real ones.
+ *
+ * Usage: node test/synthesis/test-botanical-validator.js [--http=record|live]
+ */
 
 const testCases = [
   // Valid current botanical names - SHOULD PASS
@@ -90,16 +112,12 @@ const testCases = [
   },
 ];
 
-async function runTests() {
+async function runTests(validateBotanicalName) {
   console.log("=".repeat(70));
   console.log("BOTANICAL NAME VALIDATOR - COMPREHENSIVE TEST SUITE");
   console.log("=".repeat(70));
   console.log();
 
-  let passCount = 0;
-  let failCount = 0;
-  let errorCount = 0;
-
   for (let i = 0; i < testCases.length; i++) {
     const testCase = testCases[i];
     const testNum = i + 1;
@@ -134,67 +152,58 @@ async function runTests() {
         console.log(`  → Error: ${result.error}`);
       }
 
-      // Check if result matches expectations
-      if (result.status === testCase.expectedStatus) {
-        console.log("✓ TEST PASSED\n");
-        passCount++;
-      } else {
-        console.log(
-          `✗ TEST FAILED - Expected status '${testCase.expectedStatus}' but got '${result.status}'\n`,
-        );
-        failCount++;
+      check(result.status === testCase.expectedStatus, `status '${result.status}' (expected '${testCase.expectedStatus}')`);
+      check(result.valid === testCase.shouldPass, `valid=${result.valid}`);
+      if (testCase.expectedCurrentName) {
+        check(result.currentName === testCase.expectedCurrentName, `current name ${result.currentName}`);
+      }
+      if (testCase.expectedSuggestedName) {
+        check(result.suggestedName === testCase.expectedSuggestedName, `suggested name ${result.suggestedName}`);
       }
     } catch (error) {
-      console.log(`✗ ERROR: ${error.message}\n`);
-      errorCount++;
+      check(false, `threw: ${error.message}`);
     }
 
     console.log("-".repeat(70));
   }
-
-  // Summary
-  console.log();
-  console.log("=".repeat(70));
-  console.log("TEST SUMMARY");
-  console.log("=".repeat(70));
-  console.log(`Total tests: ${testCases.length}`);
-  console.log(`Passed: ${passCount}`);
-  console.log(`Failed: ${failCount}`);
-  console.log(`Errors: ${errorCount}`);
-  console.log(
-    `Success rate: ${((passCount / testCases.length) * 100).toFixed(1)}%`,
-  );
-  console.log("=".repeat(70));
 }
 
-// Handle empty string test separately (will throw error before API call)
-async function testEdgeCases() {
+// Empty names throw before any API call
+async function testEdgeCases(validateBotanicalName) {
   console.log("\n\nEDGE CASE TESTS");
   console.log("=".repeat(70));
 
-  // Test empty string
-  console.log("Edge Case 1: Empty string");
-  try {
-    await validateBotanicalName("");
-    console.log("✗ FAILED - Should have thrown error for empty string\n");
-  } catch (error) {
-    console.log(`✓ PASSED - Correctly threw error: ${error.message}\n`);
-  }
-
-  // Test whitespace only
-  console.log("Edge Case 2: Whitespace only");
-  try {
-    await validateBotanicalName("   ");
-    console.log("✗ FAILED - Should have thrown error for whitespace\n");
-  } catch (error) {
-    console.log(`✓ PASSED - Correctly threw error: ${error.message}\n`);
+  for (const [label, input] of [["Empty string", ""], ["Whitespace only", "   "]]) {
+    console.log(`Edge case: ${label}`);
+    let thrown = null;
+    try {
+      await validateBotanicalName(input);
+    } catch (error) {
+      thrown = error;
+    }
+    check(thrown?.message === "Botanical name must be a non-empty string", `rejected (${thrown?.message})`);
+    console.log();
   }
 
   console.log("=".repeat(70));
 }
 
-// Run all tests
-(async () => {
-  await runTests();
-  await testEdgeCases();
-})();
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "botanical-validator-test-"));
+configureCache({ rootDir });
+setLlmUsageLogFile(null);
+const fixtures = await useHttpFixtures("botanical-validator");
+// Replayed replies are recorded against the public API, whatever ANTHROPIC_BASE_URL says
+if (fixtures.mode === "replay") {
+  process.env.ANTHROPIC_API_KEY = "replay";
+  process.env.ANTHROPIC_BASE_URL = "https://api.anthropic.com";
+}
+const { validateBotanicalName } = await import("../../src/synthesis/process-botanical-name.js");
+
+await runTests(validateBotanicalName);
+await testEdgeCases(validateBotanicalName);
+
+await fixtures.close();
+configureCache(null);
+fs.rmSync(rootDir, { recursive: true, force: true });
+
+finishTest("Botanical Name Validator");
@@ -1,4 +1,24 @@
-import { checkMichiganNative } from "../../src/synthesis/process-native-checker.js";
+import { useHttpFixtures } from "../http-fixtures.js";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { configureCache } from "../../src/utils/cache-store.js";
+import { setLlmUsageLogFile } from "../../src/utils/llm-usage.js";
+import { check, finishTest } from "../checks.js";
+
+/**
+ * Test script for the SE Michigan native status checker
+ *
+ * Checks two native herbaceous plants and one introduced plant, then that a
+ * missing species epithet is rejected before any API call.
+ *
+ * Runs against a temporary cache root. Claude's replies are replayed from
+ * test/fixtures/http/michigan-native.json, one per prompt; they were written
+ * by hand, so --http=record (with ANTHROPIC_API_KEY set) replaces them with
+ * real ones.
+ *
+ * Usage: node test/synthesis/test-michigan-native.js [--http=record|live]
+ */
 
 const testCases = [
   // Native SE Michigan herbaceous plants
@@ -14,7 +34,7 @@ const testCases = [
     species: "virginianum",
     expectedNative: true,
   },
-  
+
   // Non-native plant
   {
     name: "Non-native plant - Common Dandelion",
@@ -24,15 +44,12 @@ const testCases = [
   },
 ];
 
-async function runTests() {
+async function runTests(checkMichiganNative) {
   console.log("=".repeat(80));
   console.log("Michigan Native Plant Checker - Test Suite");
   console.log("=".repeat(80));
   console.log();
 
-  let passCount = 0;
-  let failCount = 0;
-
   for (let i = 0; i < testCases.length; i++) {
     const testCase = testCases[i];
     console.log(`Test ${i + 1}: ${testCase.name}`);
@@ -44,46 +61,46 @@ async function runTests() {
       // Display the result
       console.log(`  Native to SE Michigan: ${result.isNative}`);
       console.log(`  Status: ${result.status}`);
-      
+
       if (result.notes) {
         console.log(`  Notes: ${result.notes}`);
       }
 
-      // Check if the result matches expected
-      const passed = result.isNative === testCase.expectedNative;
-
-      if (passed) {
-        console.log("  ✓ PASSED");
-        passCount++;
-      } else {
-        console.log("  ✗ FAILED");
-        console.log(`    Expected isNative: ${testCase.expectedNative}`);
-        console.log(`    Got isNative: ${result.isNative}`);
-        failCount++;
-      }
+      check(result.isNative === testCase.expectedNative, `isNative=${result.isNative} (expected ${testCase.expectedNative})`);
+      check(result.status === (testCase.expectedNative ? "native" : "introduced"), `status ${result.status}`);
     } catch (error) {
-      console.log("  ✗ ERROR");
-      console.log(`    ${error.message}`);
-      failCount++;
+      check(false, `threw: ${error.message}`);
     }
 
     console.log();
   }
 
-  // Print summary
-  console.log("=".repeat(80));
-  console.log("Test Summary");
-  console.log("=".repeat(80));
-  console.log(`Total: ${testCases.length}`);
-  console.log(`Passed: ${passCount} (${((passCount / testCases.length) * 100).toFixed(1)}%)`);
-  console.log(`Failed: ${failCount}`);
+  console.log("Test 4: Missing species epithet");
+  let thrown = null;
+  try {
+    await checkMichiganNative("Coreopsis", " ");
+  } catch (error) {
+    thrown = error;
+  }
+  check(thrown?.message === "Species must be a non-empty string", `rejected (${thrown?.message})`);
   console.log();
+}
 
-  if (passCount === testCases.length) {
-    console.log("✓ All tests passed!");
-  } else {
-    console.log(`✗ ${failCount} test(s) failed`);
-  }
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "michigan-native-test-"));
+configureCache({ rootDir });
+setLlmUsageLogFile(null);
+const fixtures = await useHttpFixtures("michigan-native");
+// Replayed replies are recorded against the public API, whatever ANTHROPIC_BASE_URL says
+if (fixtures.mode === "replay") {
+  process.env.ANTHROPIC_API_KEY = "replay";
+  process.env.ANTHROPIC_BASE_URL = "https://api.anthropic.com";
 }
+const { checkMichiganNative } = await import("../../src/synthesis/process-native-checker.js");
+
+await runTests(checkMichiganNative);
+
+await fixtures.close();
+configureCache(null);
+fs.rmSync(rootDir, { recursive: true, force: true });
 
-runTests();
+finishTest("Michigan Native Checker");
@@ -1,57 +1,123 @@
-import { discoverAllUrls, getCachedUrls, clearCache } from '../../src/synthesis/process-external-reference-urls.js';
+import { useHttpFixtures } from '../http-fixtures.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureCache } from '../../src/utils/cache-store.js';
+import { check, finishTest } from '../checks.js';
+
+/**
+ * Test script for external reference URL discovery
+ *
+ * For each species:
+ * 1. Nothing is cached to begin with
+ * 2. SerpApi results are validated (by URL path, or by fetching the page) and
+ *    the expected sites are found, plus the direct Google Images URL
+ * 3. The URLs and the validated pages' content are cached
+ * 4. A second run is answered from the caches without any request
+ * 5. clearSpeciesCache() removes the URLs
+ *
+ * Runs against a temporary cache root. SerpApi results and page HTML are
+ * replayed from test/fixtures/http/url-discovery.json; they were written by
+ * hand, so --http=record (with SERPAPI_API_KEY set) replaces them with real
+ * ones, and the expected URLs below may need updating after that.
+ *
+ * Usage: node test/synthesis/test-url-discovery.js [--http=record|live]
+ */
+
+const testSpecies = [
+  {
+    genus: 'Trillium',
+    species: 'grandiflorum',
+    expected: {
+      'Go Botany': 'https://gobotany.nativeplanttrust.org/species/trillium/grandiflorum/',
+      'Google Images': 'https://www.google.com/search?tbm=isch&q=Trillium%20grandiflorum',
+      'Illinois Wildflowers': 'https://www.illinoiswildflowers.info/woodland/plants/lf_trillium.htm',
+      'Minnesota Wildflowers': 'https://www.minnesotawildflowers.info/flower/large-flowered-trillium',
+      'Prairie Moon Nursery': 'https://www.prairiemoon.com/trillium-grandiflorum-large-flowered-trillium'
+    }
+  },
+  {
+    genus: 'Quercus',
+    species: 'alba',
+    expected: {
+      'Go Botany': 'https://gobotany.nativeplanttrust.org/species/quercus/alba/',
+      'Google Images': 'https://www.google.com/search?tbm=isch&q=Quercus%20alba',
+      'Lady Bird Johnson Wildflower Center': 'https://www.wildflower.org/plants/result.php?id_plant=QUAL',
+      'Minnesota Wildflowers': 'https://www.minnesotawildflowers.info/tree/white-oak'
+    }
+  }
+];
+
+/**
+ * Site -> URL pairs in site order, for comparing results whatever order they were found in
+ * @param {Object} urls - Site name -> URL
+ * @returns {string} JSON of the sorted entries
+ */
+function sortedUrls(urls) {
+  return JSON.stringify(Object.entries(urls || {}).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+async function testUrlDiscovery(fixtures) {
+  const { discoverAllUrls, getCachedUrls, clearSpeciesCache } = await import('../../src/synthesis/process-external-reference-urls.js');
+  const { readPageCache } = await import('../../src/utils/page-content-client.js');
+  const requestCount = () => fixtures.stats.replayed + fixtures.stats.recorded;
 
-async function testUrlDiscovery() {
   console.log('=== Testing External Reference URL Discovery ===\n');
-  
-  const testSpecies = [
-    { genus: 'Trillium', species: 'grandiflorum' },
-    { genus: 'Quercus', species: 'alba' }
-  ];
-  
+
   for (const plant of testSpecies) {
     console.log(`\n${'='.repeat(60)}`);
     console.log(`Testing: ${plant.genus} ${plant.species}`);
     console.log('='.repeat(60));
-    
-    // Check cache first
+
     console.log('\n1. Checking cache...');
-    const cached = getCachedUrls(plant.genus, plant.species);
-    if (cached) {
-      console.log('✓ Found in cache:');
-      console.log(JSON.stringify(cached, null, 2));
-      console.log('\nSkipping web search (already cached)');
-      continue;
-    } else {
-      console.log('✗ Not in cache, will perform web search');
-    }
-    
-    // Discover URLs
+    check(getCachedUrls(plant.genus, plant.species) === null, 'not cached yet');
+
     console.log('\n2. Discovering URLs...');
     const urls = await discoverAllUrls(plant.genus, plant.species);
-    
-    console.log('\n3. Results:');
     console.log(JSON.stringify(urls, null, 2));
-    
-    console.log(`\n4. Summary: Found ${Object.keys(urls).length} reference URLs`);
-    
-    // Verify cache was saved
-    console.log('\n5. Verifying cache was saved...');
-    const nowCached = getCachedUrls(plant.genus, plant.species);
-    if (nowCached) {
-      console.log('✓ Successfully cached for future lookups');
-    } else {
-      console.log('✗ WARNING: Cache not saved properly');
+    const sites = Object.keys(plant.expected);
+    check(Object.keys(urls).sort().join(', ') === sites.join(', '), `found ${Object.keys(urls).length} sites (${Object.keys(urls).join(', ')})`);
+    for (const site of sites) {
+      check(urls[site] === plant.expected[site], `${site}: ${urls[site]}`);
+    }
+
+    console.log('\n3. Verifying caches...');
+    check(sortedUrls(getCachedUrls(plant.genus, plant.species)) === sortedUrls(urls), 'URLs cached');
+    for (const site of sites.filter(name => name !== 'Google Images')) {
+      const page = readPageCache(plant.genus, plant.species, site);
+      check(page?._meta.url === plant.expected[site] && page.content.textContent.includes(plant.genus),
+        `${site} page content cached (validated by ${page?._meta.validatedBy})`);
     }
+
+    console.log('\n4. Running again...');
+    const before = requestCount();
+    const again = await discoverAllUrls(plant.genus, plant.species);
+    check(sortedUrls(again) === sortedUrls(urls), 'same URLs');
+    check(requestCount() === before, 'no requests: search results and URLs come from the cache');
+
+    console.log('\n5. Clearing the species cache...');
+    clearSpeciesCache(plant.genus, plant.species);
+    check(getCachedUrls(plant.genus, plant.species) === null, 'URLs removed');
   }
-  
-  console.log('\n' + '='.repeat(60));
-  console.log('Test complete!');
-  console.log('='.repeat(60));
-  console.log('\nNote: Subsequent runs will use cached data and not consume SerpApi credits.');
-  console.log('To clear cache and re-test: uncomment clearCache() in the test file.');
+  console.log('');
 }
 
-testUrlDiscovery().catch(error => {
-  console.error('Test failed:', error);
-  process.exit(1);
-});
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-discovery-test-'));
+configureCache({ rootDir });
+const fixtures = await useHttpFixtures('url-discovery');
+if (fixtures.mode === 'replay') {
+  // Searches are skipped without a key; replayed URLs carry it redacted
+  process.env.SERPAPI_API_KEY = 'replay';
+}
+
+try {
+  await testUrlDiscovery(fixtures);
+} catch (error) {
+  check(false, `threw: ${error.message}`);
+}
+
+await fixtures.close();
+configureCache(null);
+fs.rmSync(rootDir, { recursive: true, force: true });
+
+finishTest('URL Discovery');
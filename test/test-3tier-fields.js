@@ -0,0 +1,135 @@
+/**
+ * Test script for the 3-tier field manifest (config/3tier-fields.json)
+ *
+ * Tests:
+ * 1. The manifest generates one module per enabled field, in manifest order
+ * 2. Manifest defaults apply, per-field overrides win, enabled: false is read
+ * 3. Invalid manifests (missing header, duplicate id, missing prompt, unknown
+ *    or cyclic input fields) throw
+ * 4. Input fields become module dependencies
+ * 5. The registry factory entry loads the generated modules into the pipeline
+ *
+ * No API calls are made.
+ *
+ * Usage: node test/test-3tier-fields.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { check, finishTest } from './checks.js';
+
+// Module-level Anthropic clients need a key to construct; it is never used here
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'manifest-test';
+
+const { loadFieldManifest, loadFieldModules } = await import('../src/synthesis/process-3tier-field.js');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), '3tier-fields-test-'));
+
+function writeManifest(name, manifest) {
+  const manifestPath = path.join(directory, name);
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  return manifestPath;
+}
+
+function expectThrow(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+}
+
+console.log('Test 1: Shipped manifest\n');
+{
+  const fields = loadFieldManifest();
+  const modules = loadFieldModules();
+  const enabled = fields.filter(field => field.enabled);
+  check(fields.length > 0, `manifest declares ${fields.length} fields`);
+  check(modules.length === enabled.length, `${modules.length} modules generated for enabled fields`);
+  check(modules.every((module, i) => module.metadata.id === `3tier-${enabled[i].id}`), 'module ids follow manifest order');
+  check(modules.every(module => typeof module.run === 'function'), 'every module has a run function');
+
+  const missRisk = modules.find(module => module.metadata.id === '3tier-collection_miss_risk');
+  const schema = missRisk?.metadata.outputSchema;
+  check(schema?.properties?.value?.pattern && schema.properties.attribution?.type === 'string',
+    'enum field pattern merged over default schema');
+  console.log('');
+}
+
+console.log('Test 2: Defaults and disabled fields\n');
+{
+  const manifestPath = writeManifest('defaults.json', {
+    defaults: { dependencies: ['botanical-name'], source: 'Default source', outputSchema: { type: 'object', properties: { value: { type: 'string' } } } },
+    fields: [
+      { id: 'collection_mature_seed_color', header: 'Seed Color', description: 'Color.' },
+      { id: 'collection_ease', header: 'Ease', enabled: false },
+      { id: 'storage_mold_risk', header: 'Mold Risk', dependencies: ['michigan-flora'], source: 'Custom' }
+    ]
+  });
+
+  const fields = loadFieldManifest(manifestPath);
+  check(fields[0].enabled === true && fields[0].dependencies[0] === 'botanical-name' && fields[0].source === 'Default source',
+    'defaults applied');
+  check(fields[2].dependencies[0] === 'michigan-flora' && fields[2].source === 'Custom', 'per-field overrides kept');
+  check(fields[1].enabled === false, 'enabled: false read');
+  fs.writeFileSync(manifestPath, '{}');
+  check(loadFieldManifest(manifestPath) === fields, 'manifest read once per path');
+  console.log('');
+}
+
+console.log('Test 3: Invalid manifests\n');
+{
+  const noHeader = writeManifest('no-header.json', { fields: [{ id: 'collection_ease' }] });
+  check(expectThrow(() => loadFieldManifest(noHeader), /needs an "id" and a "header"/), 'missing header rejected');
+
+  const duplicate = writeManifest('duplicate.json', {
+    fields: [{ id: 'collection_ease', header: 'A' }, { id: 'collection_ease', header: 'B' }]
+  });
+  check(expectThrow(() => loadFieldManifest(duplicate), /duplicate field id/), 'duplicate id rejected');
+
+  const noPrompt = writeManifest('no-prompt.json', { fields: [{ id: 'not_a_real_field', header: 'X' }] });
+  check(expectThrow(() => loadFieldManifest(noPrompt), /no prompt file/), 'missing prompt file rejected');
+
+  const unknownInput = writeManifest('unknown-input.json', {
+    fields: [{ id: 'collection_tools', header: 'Tools', inputFields: ['collection_nothing'] }]
+  });
+  check(expectThrow(() => loadFieldManifest(unknownInput), /invalid input field "collection_nothing"/), 'unknown input field rejected');
+
+  const cycle = writeManifest('cycle.json', {
+    fields: [
+      { id: 'collection_tools', header: 'Tools', inputFields: ['collection_what_to_collect'] },
+      { id: 'collection_what_to_collect', header: 'What', inputFields: ['collection_tools'] }
+    ]
+  });
+  check(expectThrow(() => loadFieldManifest(cycle), /input fields form a cycle/), 'input cycle rejected');
+  console.log('');
+}
+
+console.log('Test 4: Input fields\n');
+{
+  const modules = loadFieldModules();
+  const byId = new Map(modules.map(module => [module.metadata.id, module]));
+  const fridge = byId.get('3tier-storage_safe_fridge');
+  check(fridge?.metadata.dependencies.includes('3tier-stratification_requirements'), 'input field is a module dependency');
+  check(fridge?.metadata.dependencies.includes('botanical-name'), 'default dependencies kept');
+  check(byId.get('3tier-storage_hazards')?.metadata.dependencies.includes('3tier-stratification_requirements'),
+    'group fields wait for the inputs of their group');
+  check(!byId.get('3tier-collection_ease')?.metadata.dependencies.some(id => id.startsWith('3tier-')), 'fields without inputs unchanged');
+  console.log('');
+}
+
+console.log('Test 5: Pipeline registry\n');
+{
+  const { loadSynthesisModules } = await import('../src/output/plant-pipeline.js');
+  const modules = await loadSynthesisModules();
+  const generated = modules.filter(module => module.registryEntry.id === '3tier-fields');
+  check(generated.length === loadFieldModules().length, `pipeline loaded ${generated.length} 3-tier modules from the factory`);
+  check(modules.some(module => module.metadata.id === 'botanical-name'), 'regular modules still loaded');
+  console.log('');
+}
+
+fs.rmSync(directory, { recursive: true, force: true });
+
+finishTest('3-Tier Fields');
@@ -0,0 +1,162 @@
+/**
+ * Test script for 3-tier output schema validation and repair retries
+ *
+ * Tests:
+ * 1. validateAgainstSchema (types, required, enum, pattern, length caps)
+ * 2. An invalid response is repaired with a follow-up call listing the errors
+ * 3. A response that stays invalid is kept and flagged
+ * 4. A non-JSON response fails validation
+ * 5. Offline mode flags invalid cached responses without a repair call
+ * 6. Empty Tier 1 and Tier 2 values pass a field's value pattern; an empty
+ *    Tier 3 value does not
+ *
+ * The Anthropic API is replaced with a stub that returns queued responses.
+ * Uses a made-up species in a temporary cache root, with no Tier 1/2 sources
+ * (so only Tier 3 is called) until test 6 adds them.
+ *
+ * Usage: node test/test-3tier-validation.js
+ */
+
+import { useTestCache } from './species-fixtures.js';
+import { validateAgainstSchema } from '../src/utils/output-schema.js';
+import { setOfflineMode } from '../src/utils/offline-mode.js';
+import { setLlmUsageLogFile } from '../src/utils/llm-usage.js';
+import { check, finishTest } from './checks.js';
+
+const GENUS = 'Testus';
+const SPECIES = 'validatus';
+
+const queuedResponses = [];
+const requests = [];
+
+globalThis.fetch = async (url, init) => {
+  requests.push(JSON.parse(init.body));
+  const text = queuedResponses.shift() ?? '{}';
+  return new Response(JSON.stringify({
+    id: `msg_test_${requests.length}`,
+    type: 'message',
+    role: 'assistant',
+    model: 'claude-sonnet-4-20250514',
+    content: [{ type: 'text', text }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 100, output_tokens: 20 }
+  }), { status: 200, headers: { 'content-type': 'application/json' } });
+};
+
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'validation-test';
+setLlmUsageLogFile(null);
+
+const { process3TierField } = await import('../src/synthesis/process-3tier-field.js');
+
+async function runField(fieldId, responses, options = {}) {
+  queuedResponses.push(...responses);
+  requests.length = 0;
+  const result = await process3TierField(GENUS, SPECIES, fieldId, {
+    verbose: false,
+    skipSync: true,
+    forceRefresh: true,
+    ...options
+  });
+  return result.merged;
+}
+
+const testCache = useTestCache(GENUS, SPECIES);
+
+console.log('Test 1: Schema validation\n');
+{
+  const schema = {
+    type: 'object',
+    required: ['value', 'attribution'],
+    properties: {
+      value: { type: 'string', pattern: '^(Easy|Moderate|Difficult)\\b', maxLength: 20 },
+      attribution: { type: 'string', minLength: 1 },
+      level: { enum: ['a', 'b'] }
+    }
+  };
+  check(validateAgainstSchema({ value: 'Easy - ripe', attribution: 'Tier 3' }, schema).length === 0, 'valid response passes');
+  check(validateAgainstSchema({ value: 'Easy' }, schema).some(e => e.includes('attribution is required')), 'missing attribution reported');
+  check(validateAgainstSchema({ value: 'Simple', attribution: 'x' }, schema).some(e => e.includes('must match')), 'pattern mismatch reported');
+  check(validateAgainstSchema({ value: 'Easy '.repeat(10), attribution: 'x' }, schema).some(e => e.includes('at most 20')), 'length cap reported');
+  check(validateAgainstSchema({ value: 'Easy', attribution: '' }, schema).some(e => e.includes('at least 1')), 'empty attribution reported');
+  check(validateAgainstSchema({ value: 3, attribution: 'x' }, schema).some(e => e.includes('type string')), 'wrong type reported');
+  check(validateAgainstSchema({ value: 'Easy', attribution: 'x', level: 'c' }, schema).some(e => e.includes('one of')), 'enum mismatch reported');
+  console.log('');
+}
+
+console.log('Test 2: Repair retry\n');
+{
+  const merged = await runField('collection_ease', [
+    '{"value": "Simple to strip by hand", "attribution": "General knowledge"}',
+    '{"value": "Easy - seeds strip by hand", "attribution": "General knowledge"}'
+  ]);
+  const tier3 = merged._meta.validation.tier3;
+  check(requests.length === 2, `one repair call made (${requests.length} calls)`);
+  check(requests[1].messages.length === 3 && requests[1].messages[2].content.includes('must match'),
+    'repair call includes the rejected response and the errors');
+  check(merged.tier3.value.startsWith('Easy'), 'repaired response used');
+  check(merged._meta.validation.passed === true && tier3.repairAttempts === 1, 'result records a pass after repair');
+  check(merged._meta.validation.tier1 === null && merged._meta.validation.tier2 === null, 'synthetic empty tiers not validated');
+  check(merged.consensus?.status === 'only-model-knowledge' && merged.consensus.winningTier === 3, 'consensus block added');
+  console.log('');
+}
+
+console.log('Test 3: Still invalid after repair\n');
+{
+  const merged = await runField('collection_ease', [
+    '{"value": "Simple", "attribution": "General knowledge"}',
+    '{"value": "Still simple", "attribution": ""}'
+  ]);
+  const tier3 = merged._meta.validation.tier3;
+  check(requests.length === 2, 'no more than one repair call');
+  check(merged._meta.validation.passed === false && tier3.valid === false, 'result records the failure');
+  check(tier3.errors.length === 2, `errors kept (${tier3.errors.join('; ')})`);
+  console.log('');
+}
+
+console.log('Test 4: Non-JSON response\n');
+{
+  const merged = await runField('collection_mature_seed_color', ['Seeds are dark brown.'], { maxRepairAttempts: 0 });
+  check(merged._meta.validation.tier3.errors[0] === 'response is not a JSON object', 'non-JSON response fails validation');
+  check(merged.tier3.value === 'Seeds are dark brown.', 'raw text kept as the value');
+  console.log('');
+}
+
+console.log('Test 5: Offline cache hit\n');
+{
+  // The cache holds the still-invalid response from test 3
+  setOfflineMode(true);
+  const merged = await runField('collection_ease', [], { forceRefresh: false });
+  setOfflineMode(false);
+  check(requests.length === 0, 'no API calls offline');
+  check(merged._meta.validation.passed === false && merged._meta.validation.tier3.repairAttempts === 0,
+    'invalid cached response flagged, not repaired');
+  console.log('');
+}
+
+console.log('Test 6: Empty Tier 1 and Tier 2 values\n');
+{
+  testCache.writeSources({
+    miflora: { habitat: 'Wet meadows and fens.' },
+    page: { text: 'Grows with sedges.' }
+  });
+  const merged = await runField('collection_ease', [
+    '{"value": "", "attribution": "Tier 1 sources do not cover collection effort"}',
+    '{"value": "", "attribution": "Agrees with Tier 1"}',
+    '{"value": "Easy - seeds strip by hand", "attribution": "General knowledge"}'
+  ]);
+  const { tier1, tier2, tier3 } = merged._meta.validation;
+  check(requests.length === 3, `no repair calls (${requests.length} calls)`);
+  check(tier1?.valid && tier2?.valid && tier3.valid && merged._meta.validation.passed, 'empty Tier 1 answer and empty Tier 2 answer pass');
+
+  const emptyTier3 = await runField('collection_ease', [
+    '{"value": "", "attribution": "Tier 1 sources do not cover collection effort"}',
+    '{"value": "", "attribution": "Agrees with Tier 1"}',
+    '{"value": "", "attribution": "General knowledge"}'
+  ], { maxRepairAttempts: 0 });
+  check(emptyTier3._meta.validation.tier3.errors.some(error => error.includes('must match')), 'empty Tier 3 value still checked');
+  console.log('');
+}
+
+testCache.close();
+
+finishTest('3-Tier Validation');
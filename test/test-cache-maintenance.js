@@ -0,0 +1,177 @@
+/**
+ * Test script for cache maintenance (src/utils/cache-maintenance.js)
+ *
+ * Tests:
+ * 1. Entries listed per source and species, filtered by field, tier and age
+ * 2. Stats per source, tier responses by field (field ids with underscores)
+ * 3. Purging by field and tier, species and age; no filter is refused
+ * 4. Orphans: records without files, files without records, removed fields,
+ *    page content without reference URLs; --fix repairs them
+ * 5. Duplicates: case-only key differences, superseded tier responses,
+ *    identical content; --fix keeps the newest
+ * 6. Verify: unreadable JSON anywhere under the cache root, changed entries
+ *
+ * Runs against a temporary cache root.
+ *
+ * Usage: node test/test-cache-maintenance.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureCache, openCacheNamespace, parseAge } from '../src/utils/cache-store.js';
+import { getCacheStats, listCachedResponses } from '../src/utils/tiered-prompt-cache.js';
+import {
+  listCacheEntries,
+  getCacheOverview,
+  purgeCache,
+  findOrphanedEntries,
+  fixOrphanedEntries,
+  findDuplicateEntries,
+  fixDuplicateEntries,
+  verifyCacheFiles
+} from '../src/utils/cache-maintenance.js';
+import { check, finishTest } from './checks.js';
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-maintenance-test-'));
+configureCache({ rootDir });
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+const tierKey = (species, field, tier, hashDigit) => `${species}_${field}_tier${tier}_${String(hashDigit).repeat(32)}.json`;
+
+const tiers = openCacheNamespace('TieredPrompts');
+const bonap = openCacheNamespace('BONAP');
+const references = openCacheNamespace('ExternalReferences');
+const pages = openCacheNamespace('PageContent');
+
+function writeFixtures() {
+  tiers.write(tierKey('Acer_rubrum', 'storage_mold_risk', 1, 1), { response: 'a' }, { fetchedAt: daysAgo(40) });
+  tiers.write(tierKey('Acer_rubrum', 'storage_mold_risk', 2, 2), { response: 'b' }, { fetchedAt: daysAgo(40) });
+  tiers.write(tierKey('Acer_rubrum', 'storage_hazards', 1, 3), { response: 'c' });
+  tiers.write(tierKey('Quercus_alba', 'storage_mold_risk', 1, 4), { response: 'd' });
+  bonap.write('Acer_rubrum_bonap.json', { url: 'http://bonap.net/acer.png' }, { fetchedAt: daysAgo(100) });
+  bonap.write('Quercus_alba_bonap.json', { url: 'http://bonap.net/quercus.png' });
+  references.write('acer_rubrum_refURLs.json', { _meta: { genus: 'Acer', species: 'rubrum' }, urls: { 'Go Botany': 'https://gobotany.example/acer' } });
+  pages.write('Acer_rubrum_go_botany.json', { text: 'acer' });
+}
+
+console.log('Test 1: Listing\n');
+{
+  writeFixtures();
+  check(listCacheEntries().length === 8, 'every entry listed');
+  const acer = listCacheEntries({ species: 'acer_rubrum' });
+  check(acer.length === 6 && acer.every(entry => entry.species === 'Acer rubrum'), 'species filter matches any case and separator');
+  const field = listCacheEntries({ field: 'storage_mold_risk' });
+  check(field.length === 3 && field.every(entry => entry.source === 'TieredPrompts'), 'field filter limited to tier responses');
+  check(listCacheEntries({ field: 'storage_mold_risk', tier: 2 }).map(entry => entry.tier).join(',') === '2', 'tier filter');
+  check(listCacheEntries({ olderThanMs: parseAge('30d') }).length === 3, 'age filter');
+  let threw = false;
+  try {
+    listCacheEntries({ source: 'Nowhere' });
+  } catch {
+    threw = true;
+  }
+  check(threw, 'unknown source rejected');
+  console.log('');
+}
+
+console.log('Test 2: Stats\n');
+{
+  const overview = getCacheOverview();
+  check(overview.sources.BONAP.entries === 2 && overview.sources.BONAP.species === 2 && overview.sources.BONAP.bytes > 0, 'per-source counts');
+  check(overview.sources.BONAP.oldest.slice(0, 10) === daysAgo(100).slice(0, 10), 'oldest fetch time');
+  check(getCacheStats().byField.storage_mold_risk === 3 && getCacheStats().bySpecies.Quercus_alba === 1,
+    'tier responses counted by whole field id');
+  check(overview.externalReferences.length === 1 && overview.externalReferences[0].urlCount === 1, 'reference URL species');
+  console.log('');
+}
+
+console.log('Test 3: Purging\n');
+{
+  check(purgeCache({ field: 'storage_mold_risk', tier: 2 }, { dryRun: true }).length === 1 && tiers.keys().length === 4, 'dry run deletes nothing');
+  purgeCache({ field: 'storage_mold_risk', tier: 2 });
+  check(listCachedResponses('Acer', 'rubrum', 'storage_mold_risk').map(r => r.tier).join(',') === '1', 'only that tier deleted');
+  purgeCache({ field: 'storage_mold_risk' });
+  check(tiers.keys().join(',') === tierKey('Acer_rubrum', 'storage_hazards', 1, 3), 'field deleted for every species');
+  check(!tiers.records().has(tierKey('Quercus_alba', 'storage_mold_risk', 1, 4)), 'deletions recorded in the manifest');
+
+  const old = purgeCache({ source: 'BONAP', olderThanMs: parseAge('30d') });
+  check(old.map(entry => entry.key).join(',') === 'Acer_rubrum_bonap.json' && bonap.keys().length === 1, 'purged by age');
+  purgeCache({ species: 'Acer rubrum' });
+  check(listCacheEntries({ species: 'Acer rubrum' }).length === 0 && bonap.keys().length === 1, 'purged by species');
+
+  let threw = false;
+  try {
+    purgeCache({});
+  } catch {
+    threw = true;
+  }
+  check(threw, 'purge without a filter refused');
+  console.log('');
+}
+
+console.log('Test 4: Orphans\n');
+{
+  writeFixtures();
+  fs.unlinkSync(bonap.filePath('Quercus_alba_bonap.json'));
+  fs.writeFileSync(bonap.filePath('Betula_nigra_bonap.json'), '{"url": "http://bonap.net/betula.png"}');
+  tiers.write(tierKey('Acer_rubrum', 'retired_field', 1, 5), { response: 'e' });
+  pages.write('Betula_nigra_go_botany.json', { text: 'betula' });
+
+  const orphans = findOrphanedEntries();
+  const found = (key, reason) => orphans.some(orphan => orphan.key === key && orphan.reason === reason);
+  check(found('Quercus_alba_bonap.json', 'missing-file'), 'record without a file');
+  check(found('Betula_nigra_bonap.json', 'no-record'), 'file without a record');
+  check(found(tierKey('Acer_rubrum', 'retired_field', 1, 5), 'unknown-field'), 'tier response for a removed field');
+  check(found('Betula_nigra_go_botany.json', 'no-reference-urls') && !found('Acer_rubrum_go_botany.json', 'no-reference-urls'),
+    'page content without reference URLs');
+  check(orphans.length === 4, `nothing else reported (${orphans.length})`);
+
+  const fixed = fixOrphanedEntries(orphans);
+  check(fixed.recorded === 1 && fixed.compacted === 1 && fixed.removed === 2, 'fixed');
+  check(bonap.records().has('Betula_nigra_bonap.json') && !tiers.keys().includes(tierKey('Acer_rubrum', 'retired_field', 1, 5)),
+    'unrecorded file recorded, orphan deleted');
+  check(findOrphanedEntries().length === 0, 'no orphans left');
+  console.log('');
+}
+
+console.log('Test 5: Duplicates\n');
+{
+  bonap.write('Acer_Rubrum_bonap.json', { url: 'http://bonap.net/acer-old.png' }, { fetchedAt: daysAgo(200) });
+  tiers.write(tierKey('Acer_rubrum', 'storage_hazards', 1, 6), { response: 'older prompt' }, { fetchedAt: daysAgo(10) });
+  bonap.write('Quercus_rubra_bonap.json', { url: 'http://bonap.net/same.png' });
+  bonap.write('Quercus_velutina_bonap.json', { url: 'http://bonap.net/same.png' });
+
+  const duplicates = findDuplicateEntries();
+  const kind = (name) => duplicates.filter(duplicate => duplicate.kind === name);
+  check(kind('case').length === 1 && kind('case')[0].keep === 'Acer_rubrum_bonap.json' && kind('case')[0].keys.join(',') === 'Acer_Rubrum_bonap.json',
+    'case-only key difference, newest kept');
+  check(kind('superseded').length === 1 && kind('superseded')[0].keep === tierKey('Acer_rubrum', 'storage_hazards', 1, 3),
+    'superseded tier response, newest kept');
+  check(kind('identical').length === 1 && kind('identical')[0].keep === null && kind('identical')[0].keys.length === 2, 'identical content');
+
+  check(fixDuplicateEntries(duplicates) === 2, 'older duplicates deleted');
+  check(bonap.keys().includes('Quercus_velutina_bonap.json') && !bonap.keys().includes('Acer_Rubrum_bonap.json'), 'identical content kept');
+  check(findDuplicateEntries().every(duplicate => duplicate.kind === 'identical'), 'only identical content left');
+  console.log('');
+}
+
+console.log('Test 6: Verify\n');
+{
+  check(verifyCacheFiles().invalid.length === 0 && verifyCacheFiles().changed.length === 0, 'clean cache passes');
+  fs.mkdirSync(path.join(rootDir, 'DriveParsedPdfs'), { recursive: true });
+  fs.writeFileSync(path.join(rootDir, 'DriveParsedPdfs', 'broken.json'), '{ "truncated": ');
+  fs.appendFileSync(path.join(bonap.dir, 'manifest.jsonl'), '{ not json\n');
+  fs.writeFileSync(bonap.filePath('Quercus_rubra_bonap.json'), '{"url": "edited by hand"}');
+
+  const result = verifyCacheFiles();
+  check(result.invalid.map(i => i.file).sort().join(',') === [path.join('BONAP', 'manifest.jsonl'), path.join('DriveParsedPdfs', 'broken.json')].join(','),
+    'unreadable JSON and manifest lines found');
+  check(result.changed.map(c => c.key).join(',') === 'Quercus_rubra_bonap.json', 'hand-edited entry found');
+  console.log('');
+}
+
+configureCache(null);
+fs.rmSync(rootDir, { recursive: true, force: true });
+
+finishTest('Cache Maintenance');
@@ -0,0 +1,219 @@
+/**
+ * Test script for the cache store (namespaces, manifest, TTLs, invalidation)
+ *
+ * Tests:
+ * 1. Writes record source URL, fetch time and checksum in the manifest
+ * 2. Entries older than the namespace TTL are misses online, still served
+ *    offline; a null TTL never expires
+ * 3. Invalidation and removal are kept in the manifest; compaction keeps only
+ *    current records
+ * 4. Refresh policy: entries older than an age, limited by key prefix
+ * 5. Migration adds records for files written before the manifest existed
+ * 6. Clients use the store: a stale BONAP entry is fetched again online
+ * 7. Drive sync caches are namespaces under the configured root: synced files
+ *    are recorded in the manifest and read from there
+ * 8. A manifest mostly made of superseded lines is compacted when read
+ *
+ * Runs against a temporary cache root; global fetch is replaced with a stub.
+ *
+ * Usage: node test/test-cache-store.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  configureCache,
+  openCacheNamespace,
+  invalidateEntries,
+  migrateNamespace,
+  compactManifest,
+  checksumText,
+  parseAge,
+  MANIFEST_FILE
+} from '../src/utils/cache-store.js';
+import { setOfflineMode } from '../src/utils/offline-mode.js';
+import { check, finishTest } from './checks.js';
+
+let fetchedUrls = [];
+
+globalThis.fetch = async (url) => {
+  fetchedUrls.push(String(url));
+  return new Response(null, { status: 200 });
+};
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-test-'));
+configureCache({
+  rootDir,
+  namespaces: {
+    Testing: { ttlDays: 30 },
+    Forever: { ttlDays: null },
+    BONAP: { ttlDays: 30 },
+    DriveParsedPdfs: { ttlDays: null }
+  }
+});
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+const readManifestLines = (namespace) => fs.readFileSync(path.join(rootDir, namespace, MANIFEST_FILE), 'utf-8')
+  .split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+console.log('Test 1: Manifest records\n');
+{
+  const cache = openCacheNamespace('Testing');
+  check(cache.write('Acer_rubrum_test.json', { value: 1 }, { sourceUrl: 'https://example.org/acer' }), 'entry written');
+  check(cache.read('Acer_rubrum_test.json')?.value === 1, 'entry read back');
+
+  const record = cache.records().get('Acer_rubrum_test.json');
+  const text = fs.readFileSync(cache.filePath('Acer_rubrum_test.json'), 'utf-8');
+  check(record.sourceUrl === 'https://example.org/acer' && record.checksum === checksumText(text) && record.bytes === text.length,
+    'source URL, checksum and size recorded');
+  check(Date.now() - Date.parse(record.fetchedAt) < 60000, 'fetch time recorded');
+  check(cache.keys().join(',') === 'Acer_rubrum_test.json', 'manifest not listed as an entry');
+  console.log('');
+}
+
+console.log('Test 2: TTLs\n');
+{
+  const cache = openCacheNamespace('Testing');
+  cache.write('Old_entry_test.json', { value: 'old' }, { fetchedAt: daysAgo(45) });
+  check(cache.isStale('Old_entry_test.json') && cache.read('Old_entry_test.json') === null, 'older than the TTL is a miss');
+  check(cache.read('Old_entry_test.json', { allowStale: true })?.value === 'old', 'allowStale still reads it');
+  setOfflineMode(true);
+  check(cache.read('Old_entry_test.json')?.value === 'old', 'served in offline mode');
+  setOfflineMode(false);
+
+  const forever = openCacheNamespace('Forever');
+  forever.write('Old_entry_test.json', { value: 'kept' }, { fetchedAt: daysAgo(4000) });
+  check(forever.read('Old_entry_test.json')?.value === 'kept', 'null TTL never expires');
+
+  fs.writeFileSync(cache.filePath('Unrecorded_test.json'), '{"value": "hand"}');
+  check(cache.read('Unrecorded_test.json')?.value === 'hand', 'file without a record counts as fresh');
+  console.log('');
+}
+
+console.log('Test 3: Invalidation and removal\n');
+{
+  const cache = openCacheNamespace('Testing');
+  cache.invalidate('Acer_rubrum_test.json');
+  cache.reload();
+  check(cache.read('Acer_rubrum_test.json') === null && cache.records().get('Acer_rubrum_test.json').invalidatedAt,
+    'invalidation read back from the manifest');
+  cache.write('Acer_rubrum_test.json', { value: 2 });
+  check(cache.read('Acer_rubrum_test.json')?.value === 2, 'writing again makes it fresh');
+
+  check(cache.remove('Old_entry_test.json') && !fs.existsSync(cache.filePath('Old_entry_test.json')), 'removed');
+  cache.reload();
+  check(!cache.records().has('Old_entry_test.json'), 'removal read back from the manifest');
+
+  const before = readManifestLines('Testing').length;
+  const kept = compactManifest('Testing');
+  check(kept === 1 && readManifestLines('Testing').length === 1 && before > 1,
+    `compaction keeps current records (${before} lines -> ${kept})`);
+  check(cache.read('Acer_rubrum_test.json')?.value === 2, 'entries unchanged by compaction');
+  console.log('');
+}
+
+console.log('Test 4: Refresh older than an age\n');
+{
+  const cache = openCacheNamespace('Testing');
+  cache.write('Acer_saccharum_test.json', { value: 'a' }, { fetchedAt: daysAgo(20) });
+  cache.write('Quercus_alba_test.json', { value: 'q' }, { fetchedAt: daysAgo(20) });
+  check(parseAge('2w') === 14 * 24 * 60 * 60 * 1000 && parseAge('90') === parseAge('90d') && parseAge('soon') === null, 'ages parsed');
+
+  const dry = invalidateEntries('Testing', { olderThanMs: parseAge('10d'), dryRun: true });
+  check(dry.length === 2 && !cache.isStale('Quercus_alba_test.json'), 'dry run reports without changing');
+  const refreshed = invalidateEntries('Testing', { olderThanMs: parseAge('10d'), keyPrefix: 'Acer_' });
+  check(refreshed.join(',') === 'Acer_saccharum_test.json' && cache.isStale('Acer_saccharum_test.json') && !cache.isStale('Quercus_alba_test.json'),
+    'only entries older than the age with the prefix marked stale');
+  const removed = invalidateEntries('Testing', { olderThanMs: parseAge('10d'), keyPrefix: 'Quercus_', remove: true });
+  check(removed.length === 1 && !fs.existsSync(cache.filePath('Quercus_alba_test.json')), '--delete removes them');
+  console.log('');
+}
+
+console.log('Test 5: Migration\n');
+{
+  const dir = path.join(rootDir, 'Legacy');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'Acer_rubrum_legacy.json'), JSON.stringify({ url: 'https://example.org/a', cachedAt: '2025-01-02T03:04:05.000Z' }));
+  fs.writeFileSync(path.join(dir, 'Acer_nigrum_legacy.json'), JSON.stringify({ _meta: { query: 'acer nigrum' } }));
+  fs.writeFileSync(path.join(dir, 'Broken_legacy.json'), '{ not json');
+
+  const result = migrateNamespace('Legacy', { sourceUrlFor: (key, data) => data._meta?.query && `https://search.example/?q=${data._meta.query}` });
+  const records = openCacheNamespace('Legacy').records();
+  check(result.added === 2 && result.unreadable.join(',') === 'Broken_legacy.json', 'records added, unreadable file reported');
+  check(records.get('Acer_rubrum_legacy.json').fetchedAt === '2025-01-02T03:04:05.000Z' && records.get('Acer_rubrum_legacy.json').sourceUrl === 'https://example.org/a',
+    'fetch time and URL taken from the data');
+  check(records.get('Acer_nigrum_legacy.json').sourceUrl === 'https://search.example/?q=acer nigrum' && records.get('Acer_nigrum_legacy.json').fetchedAt,
+    'namespace source URL and file time used otherwise');
+  check(migrateNamespace('Legacy').added === 0, 'running again adds nothing');
+  console.log('');
+}
+
+console.log('Test 6: Clients on the store\n');
+{
+  const { getBONAPMapUrl, getCachedBONAPUrl } = await import('../src/utils/bonap-client.js');
+  const bonap = openCacheNamespace('BONAP');
+  bonap.write('Testus_cachei_bonap.json', { genus: 'Testus', species: 'cachei', url: 'http://bonap.net/old.png', source: 'direct' },
+    { fetchedAt: daysAgo(45) });
+
+  setOfflineMode(true);
+  check(await getBONAPMapUrl('Testus', 'cachei') === 'http://bonap.net/old.png' && fetchedUrls.length === 0, 'stale entry served offline');
+  setOfflineMode(false);
+
+  const url = await getBONAPMapUrl('Testus', 'cachei');
+  const record = bonap.records().get('Testus_cachei_bonap.json');
+  check(fetchedUrls.length === 1 && url === fetchedUrls[0] && url.endsWith('/Testus%20cachei.png'), 'stale entry fetched again online');
+  check(record.sourceUrl === url && !bonap.isStale('Testus_cachei_bonap.json'), 'new fetch recorded in the manifest');
+  check(getCachedBONAPUrl('Testus', 'cachei') === url, 'cached URL lookup reads the new entry');
+  console.log('');
+}
+
+console.log('Test 7: Drive caches on the store\n');
+{
+  const { readSpeciesParsedPdfs, listCachedParsedPdfs } = await import('../src/utils/drive-pdf-sync.js');
+  const pdfs = openCacheNamespace('DriveParsedPdfs');
+  pdfs.write('index.json', { files: { 'Testus_cachei_guide.json': { id: 'drive-file-1' } }, lastSync: daysAgo(1) });
+
+  // A sync streams the download to the file, then records it
+  fs.writeFileSync(pdfs.filePath('Testus_cachei_guide.json'), '{"text": "Seeds ripen in fall"}');
+  const record = pdfs.recordFile('Testus_cachei_guide.json', { sourceUrl: 'https://drive.google.com/file/d/drive-file-1' });
+  check(record.checksum === checksumText('{"text": "Seeds ripen in fall"}') && pdfs.records().get('Testus_cachei_guide.json') === record,
+    'downloaded file recorded with its checksum');
+  check(pdfs.recordFile('Testus_missing.json') === null, 'missing file not recorded');
+
+  check(pdfs.dir === path.join(rootDir, 'DriveParsedPdfs'), 'namespace under the configured cache root');
+  check(JSON.stringify(listCachedParsedPdfs()) === JSON.stringify(['Testus_cachei_guide.json']), 'index left out of the cached files');
+  const read = readSpeciesParsedPdfs('Testus', 'cachei');
+  check(read.length === 1 && read[0].content.text === 'Seeds ripen in fall', 'species files read from the cache root');
+  console.log('');
+}
+
+console.log('Test 8: Compaction on read\n');
+{
+  const store = openCacheNamespace('Forever');
+  compactManifest('Forever');
+  const before = readManifestLines('Forever').length;
+
+  // Re-writing one key appends a line each time
+  for (let i = 0; i < 1000; i++) {
+    store.write('Testus_rewritten.json', { version: i }, { fetchedAt: daysAgo(1) });
+  }
+  store.reload();
+  store.records();
+  check(readManifestLines('Forever').length === before + 1000, `under the threshold: left as is (${readManifestLines('Forever').length} lines)`);
+
+  store.write('Testus_rewritten.json', { version: 1000 });
+  store.reload();
+  const records = store.records();
+  const lines = readManifestLines('Forever');
+  check(lines.length === records.size && lines.length === before + 1, `superseded lines dropped (${lines.length} lines)`);
+  check(store.readEntry('Testus_rewritten.json').record.checksum === checksumText(JSON.stringify({ version: 1000 }, null, 2)),
+    'latest record kept');
+  check(!fs.readdirSync(store.dir).some(file => file.endsWith('.tmp')), 'no temporary file left');
+  console.log('');
+}
+
+configureCache(null);
+fs.rmSync(rootDir, { recursive: true, force: true });
+
+finishTest('Cache Store');
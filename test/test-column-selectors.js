@@ -0,0 +1,129 @@
+/**
+ * Test script for column selectors (partial row refresh)
+ *
+ * Tests:
+ * 1. resolveColumnSelectors matches column IDs, module IDs and prefix patterns
+ * 2. Unknown selectors match nothing
+ * 3. resolveSelectorModules returns the producing modules
+ * 4. getPlantRecord with moduleIds runs the selected modules, their transitive
+ *    dependencies and the botanical-name gate, and nothing else
+ * 5. Refreshing 3-tier fields also recomputes Needs Review, from the stored
+ *    consensus of the fields that are not re-run
+ *
+ * Runs offline against a temporary cache root, so modules without cached data
+ * return "Not cached (offline)" instead of going to the network.
+ *
+ * Usage: node test/test-column-selectors.js
+ */
+
+import { setOfflineMode } from '../src/utils/offline-mode.js';
+import { cacheFieldConsensus } from '../src/utils/tiered-prompt-cache.js';
+import { useTestCache } from './species-fixtures.js';
+import { check, finishTest } from './checks.js';
+
+const sameList = (a, b) => JSON.stringify([...a].sort()) === JSON.stringify([...b].sort());
+
+globalThis.fetch = async (url) => {
+  throw new Error(`Unexpected network request: ${url}`);
+};
+
+// Module-level Anthropic clients need a key to construct; it is never used offline
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'selectors-test';
+setOfflineMode(true);
+const testCache = useTestCache('Testus', 'selectus');
+
+const {
+  PLANT_COLUMNS,
+  getPlantRecord,
+  resolveColumnSelectors,
+  resolveSelectorModules,
+  expandUpdateSelectors
+} = await import('../src/output/plant-pipeline.js');
+
+const headersOf = (moduleId) => PLANT_COLUMNS.COLUMN_ORDER
+  .map(columnId => PLANT_COLUMNS.COLUMN_REGISTRY.get(columnId))
+  .filter(column => column.moduleId === moduleId)
+  .map(column => column.header);
+
+console.log('Test 1: Column selectors\n');
+{
+  check(sameList(resolveColumnSelectors(['coefficientC']), ['Coefficient of Conservatism (C)']), 'column ID');
+  check(sameList(resolveColumnSelectors(['bonap-range-map']), headersOf('bonap-range-map')), 'module ID');
+  check(sameList(resolveColumnSelectors([' coefficientC ']), ['Coefficient of Conservatism (C)']), 'selector trimmed');
+
+  const storage = resolveColumnSelectors(['3tier-storage_*']);
+  const storageModules = PLANT_COLUMNS.COLUMN_ORDER
+    .map(columnId => PLANT_COLUMNS.COLUMN_REGISTRY.get(columnId))
+    .filter(column => column.moduleId.startsWith('3tier-storage_'));
+  check(storage.length > 1 && sameList(storage, storageModules.map(column => column.header)),
+    `prefix pattern matches every storage field (${storage.length})`);
+
+  const both = resolveColumnSelectors(['bonap-range-map', 'coefficientC']);
+  const order = PLANT_COLUMNS.COLUMN_ORDER.map(columnId => PLANT_COLUMNS.COLUMN_REGISTRY.get(columnId).header);
+  check(both.length === 2 && order.indexOf(both[0]) < order.indexOf(both[1]), 'headers returned in sheet order');
+  console.log('');
+}
+
+console.log('Test 2: Unknown selectors\n');
+{
+  check(resolveColumnSelectors(['no_such_column']).length === 0, 'unknown column ID matches nothing');
+  check(resolveColumnSelectors(['no_such_prefix_*']).length === 0, 'unknown prefix matches nothing');
+  check(resolveSelectorModules(['no_such_column']).length === 0, 'no modules for unknown selector');
+  check(sameList(resolveColumnSelectors(['no_such_column', 'coefficientC']), ['Coefficient of Conservatism (C)']),
+    'unknown selector ignored beside a known one');
+  console.log('');
+}
+
+console.log('Test 3: Selector modules\n');
+{
+  check(sameList(resolveSelectorModules(['coefficientC', 'physiognomy']), ['michigan-flora']), 'columns of one module give it once');
+  const storageModules = resolveSelectorModules(['3tier-storage_*']);
+  check(storageModules.length > 1 && storageModules.every(id => id.startsWith('3tier-storage_')),
+    `prefix pattern gives the storage modules only (${storageModules.join(', ')})`);
+  console.log('');
+}
+
+console.log('Test 4: Modules run for a selection\n');
+{
+  const bonap = await getPlantRecord('Testus', 'selectus', { moduleIds: ['bonap-range-map'] });
+  check(sameList(Object.keys(bonap.moduleResults), ['botanical-name', 'bonap-range-map']),
+    `botanical-name gate forced (${Object.keys(bonap.moduleResults).join(', ')})`);
+
+  // 3tier-storage_safe_fridge takes stratification_requirements as an input field,
+  // which in turn depends on michigan-flora and external-reference-urls
+  const fridge = await getPlantRecord('Testus', 'selectus', { moduleIds: ['3tier-storage_safe_fridge'] });
+  const ran = Object.keys(fridge.moduleResults);
+  check(['3tier-stratification_requirements', 'michigan-flora', 'external-reference-urls'].every(id => ran.includes(id)),
+    'transitive dependencies run');
+  check(ran.filter(id => id.startsWith('3tier-')).length === 2, `no other 3-tier fields run (${ran.join(', ')})`);
+  check(ran.indexOf('3tier-stratification_requirements') < ran.indexOf('3tier-storage_safe_fridge'),
+    'dependencies run first');
+
+  const none = await getPlantRecord('Testus', 'selectus', { moduleIds: ['no-such-module'] });
+  check(sameList(Object.keys(none.moduleResults), ['botanical-name']), 'unknown module IDs ignored');
+  console.log('');
+}
+
+console.log('Test 5: Needs Review recomputed on 3-tier updates\n');
+{
+  const selectors = expandUpdateSelectors(['3tier-storage_safe_fridge']);
+  check(sameList(selectors, ['3tier-storage_safe_fridge', '3tier-review']), 'review added for a 3-tier field');
+  check(resolveColumnSelectors(selectors).includes('Needs Review'), 'Needs Review written');
+  check(sameList(expandUpdateSelectors(['coefficientC']), ['coefficientC']), 'no review for other columns');
+  check(sameList(expandUpdateSelectors(['3tier-*']), ['3tier-*']), 'review not added twice');
+
+  // A conflict stored by an earlier run of a field that is not re-run now
+  cacheFieldConsensus('Testus', 'selectus', 'collection_miss_risk', { status: 'conflict', needsReview: true });
+  const record = await getPlantRecord('Testus', 'selectus', { moduleIds: resolveSelectorModules(selectors) });
+  const ran = Object.keys(record.moduleResults);
+  check(ran.filter(id => id.startsWith('3tier-')).length === 3, `only the selected field, its input and review run (${ran.join(', ')})`);
+  check(ran.indexOf('3tier-storage_safe_fridge') < ran.indexOf('3tier-review'), 'review runs after the selected field');
+  const collectionHeader = PLANT_COLUMNS.COLUMN_REGISTRY.get('collection_miss_risk')?.header;
+  check(record.moduleResults['3tier-review'].columnValues.needsReview.split(', ').includes(collectionHeader),
+    `stored conflict still flagged (${record.moduleResults['3tier-review'].columnValues.needsReview})`);
+  console.log('');
+}
+
+testCache.close();
+
+finishTest('Column Selectors');
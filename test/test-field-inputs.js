@@ -0,0 +1,96 @@
+/**
+ * Test script for field-to-field inputs in the 3-tier engine
+ *
+ * Tests:
+ * 1. A field module passes the consensus answers of its input fields (from
+ *    priorResults) into its Tier 1 and Tier 2 prompts as labelled context;
+ *    Tier 3 stays isolated
+ * 2. The same upstream answer is served from the tier cache; a changed one
+ *    asks Tiers 1 and 2 again
+ * 3. Message batch requests for a field with inputs cover Tier 3 only
+ *
+ * The Anthropic API is replaced with a stub. Michigan Flora and page content
+ * sources for a made-up species are written to a temporary cache root.
+ *
+ * Usage: node test/test-field-inputs.js
+ */
+
+import { useTestCache } from './species-fixtures.js';
+import { setLlmUsageLogFile } from '../src/utils/llm-usage.js';
+import { check, finishTest } from './checks.js';
+
+let requests = [];
+
+const promptText = (body) => body.messages[0].content.map(block => block.text).join('');
+const tierOf = (prompt) => prompt.includes('## Tier 1 Source Data') ? 1 : prompt.includes('## Tier 2 Additional Source Data') ? 2 : 3;
+
+globalThis.fetch = async (url, init) => {
+  const body = JSON.parse(init.body);
+  requests.push(body);
+  return new Response(JSON.stringify({
+    id: `msg_test_${requests.length}`,
+    type: 'message',
+    role: 'assistant',
+    model: body.model,
+    content: [{ type: 'text', text: '{"value": "Store dry in the fridge.", "attribution": "Michigan Flora"}' }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 100, output_tokens: 20 }
+  }), { status: 200, headers: { 'content-type': 'application/json' } });
+};
+
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'field-inputs-test';
+setLlmUsageLogFile(null);
+
+const testCache = useTestCache('Testus', 'inputus');
+testCache.writeSources({
+  miflora: { habitat: 'Wet meadows and fens.' },
+  page: { text: 'Seeds need a cold period.' }
+});
+
+const { loadFieldModules, prepareTierRequests } = await import('../src/synthesis/process-3tier-field.js');
+const fridge = loadFieldModules().find(module => module.metadata.id === '3tier-storage_safe_fridge');
+const upstream = (value) => ({
+  '3tier-stratification_requirements': { _3tierData: { merged: { consensus: { value } } } }
+});
+
+console.log('Test 1: Input answers in the prompt\n');
+{
+  const result = await fridge.run('Testus', 'inputus', upstream('60 days cold moist stratification'));
+  const prompts = requests.map(promptText);
+  const withInput = prompts.filter(prompt => prompt.includes('## Related Field Results'));
+  check(requests.length === 3, `one call per tier (${requests.length})`);
+  check(withInput.length === 2 && withInput.every(prompt => tierOf(prompt) !== 3), 'Tiers 1 and 2 get the input, Tier 3 does not');
+  check(withInput[0]?.includes('### Stratification Requirements (stratification_requirements)\n\n60 days cold moist stratification'),
+    'input labelled with its column header');
+  check(requests.every(request => !request.messages[0].content[0].text.includes('60 days')), 'input kept out of the shared prefix');
+  check(result._3tierData.merged._meta.fieldInputs?.[0] === 'stratification_requirements', '_meta lists the inputs used');
+  console.log('');
+}
+
+console.log('Test 2: Cache key follows the upstream answer\n');
+{
+  requests = [];
+  await fridge.run('Testus', 'inputus', upstream('60 days cold moist stratification'));
+  check(requests.length === 0, `same input answered from the cache (${requests.length} calls)`);
+
+  await fridge.run('Testus', 'inputus', upstream('No stratification needed'));
+  const tiers = requests.map(request => tierOf(promptText(request))).join(',');
+  check(tiers === '1,2', `changed input asks Tiers 1 and 2 again (${tiers})`);
+  console.log('');
+}
+
+console.log('Test 3: Message batch requests\n');
+{
+  const prepared = prepareTierRequests('Testus', 'inputus', 'storage_safe_fridge', { forceRefresh: true });
+  check(prepared.map(call => call.tier).join(',') === '3', 'without input answers only Tier 3 is prepared');
+  const withInputs = prepareTierRequests('Testus', 'inputus', 'storage_safe_fridge', {
+    forceRefresh: true,
+    fieldInputs: { stratification_requirements: { header: 'Stratification Requirements', value: 'No stratification needed' } }
+  });
+  check(withInputs.map(call => call.tier).join(',') === '1,3', 'with input answers Tiers 1 and 3 are prepared');
+  console.log('');
+}
+
+testCache.close();
+
+finishTest('Field Inputs');
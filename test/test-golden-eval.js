@@ -0,0 +1,128 @@
+/**
+ * Test script for the golden-answer evaluation harness
+ *
+ * Tests:
+ * 1. Enum accuracy, forbidden phrases and rubric checks are scored
+ * 2. Global, per-field and per-case expectations are merged
+ * 3. Two variants replayed from a stub file give a comparison report
+ * 4. A request with no recorded response is reported as an error
+ *
+ * Runs offline: the golden file and stub responses are temporary files for a
+ * made-up species, and its sources are read from a temporary cache root.
+ *
+ * Usage: node test/test-golden-eval.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { useTestCache } from './species-fixtures.js';
+import { scoreAnswer, resolveExpectation, formatEvalReport } from '../src/eval/eval-scoring.js';
+import { createRecordedLlm } from '../src/eval/recorded-llm.js';
+import { setLlmUsageLogFile } from '../src/utils/llm-usage.js';
+import { check, finishTest } from './checks.js';
+
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'golden-eval-test';
+setLlmUsageLogFile(null);
+
+const { runEval, PROJECT_ROOT } = await import('../src/eval/golden-eval.js');
+
+const testCache = useTestCache('Testus', 'evalus');
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'golden-eval-'));
+const GOLDEN_FILE = path.join(TMP_DIR, 'golden.json');
+const STUB_FILE = path.join(TMP_DIR, 'stub.json');
+const VALUE_PATTERN = '^(Easy|Moderate|Difficult)\\b';
+
+const golden = {
+  forbiddenPhrases: ['machine processing'],
+  fields: {
+    processing_difficulty: { rubric: [{ id: 'no-screens', notMatches: 'screen' }] }
+  },
+  species: [{
+    genus: 'Testus',
+    species: 'evalus',
+    expected: {
+      processing_difficulty: {
+        enum: 'Easy',
+        forbiddenPhrases: ['careful separation'],
+        rubric: [{ id: 'mentions-hand', includesAny: ['by hand', 'hand-clean'] }]
+      }
+    }
+  }]
+};
+
+console.log('Test 1: Scoring an answer\n');
+{
+  const expected = resolveExpectation(golden, golden.species[0], 'processing_difficulty');
+  const good = scoreAnswer('Easy – rub the heads by hand and sow.', expected, { valuePattern: VALUE_PATTERN });
+  check(good.enum.correct && good.enum.actual === 'Easy', 'enum value read from the start of the answer');
+  check(good.forbiddenHits.length === 0 && good.rubric.every(item => item.passed), 'no forbidden phrases, rubric passes');
+
+  const bad = scoreAnswer('Moderate. Needs careful separation over screens.', expected, { valuePattern: VALUE_PATTERN });
+  check(bad.enum.correct === false && bad.enum.actual === 'Moderate', `wrong enum detected (${bad.enum.actual})`);
+  check(bad.forbiddenHits.length === 1 && bad.forbiddenHits[0] === 'careful separation', 'forbidden phrase hit');
+  check(bad.rubric.filter(item => !item.passed).length === 2, 'both rubric checks fail');
+
+  const noEnum = scoreAnswer('', { enum: 'Easy' }, { valuePattern: VALUE_PATTERN });
+  check(noEnum.enum.actual === null && noEnum.enum.correct === false, 'empty answer has no enum');
+  console.log('');
+}
+
+console.log('Test 2: Merging expectations\n');
+{
+  const expected = resolveExpectation(golden, golden.species[0], 'processing_difficulty');
+  check(expected.forbiddenPhrases.join(',') === 'machine processing,careful separation', 'global and per-case phrases merged');
+  check(expected.rubric.map(item => item.id).join(',') === 'no-screens,mentions-hand', 'per-field rubric comes first');
+  check(resolveExpectation(golden, golden.species[0], 'collection_ease').enum === null, 'field without expectations has no enum');
+  console.log('');
+}
+
+fs.writeFileSync(GOLDEN_FILE, JSON.stringify(golden));
+fs.writeFileSync(STUB_FILE, JSON.stringify({
+  entries: [
+    { variant: 'baseline', genus: 'Testus', species: 'evalus', fieldId: 'processing_difficulty',
+      response: '{"value": "Moderate – needs careful separation over screens.", "attribution": "Species-level knowledge"}' },
+    { variant: 'candidate', genus: 'Testus', species: 'evalus', fieldId: 'processing_difficulty',
+      response: '{"value": "Easy – rub the heads by hand and sow.", "attribution": "Species-level knowledge"}' }
+  ]
+}));
+
+const variants = (recorded) => [
+  { name: 'baseline', promptsDir: path.join(PROJECT_ROOT, 'prompts'), llm: recorded.forVariant('baseline') },
+  { name: 'candidate', promptsDir: path.join(PROJECT_ROOT, 'prompts'), llm: recorded.forVariant('candidate') }
+];
+
+console.log('Test 3: Comparing two variants\n');
+{
+  const recorded = createRecordedLlm({ file: STUB_FILE });
+  const report = await runEval({ goldenFile: GOLDEN_FILE, variants: variants(recorded) });
+  const [baseline, candidate] = report.runs;
+
+  check(report.fields.join(',') === 'processing_difficulty', 'fields taken from the golden file');
+  check(recorded.stats.replayed > 0, `responses replayed from the stub file (${recorded.stats.replayed})`);
+  check(baseline.summary.enum.correct === 0 && candidate.summary.enum.correct === 1, 'enum accuracy per variant');
+  check(baseline.summary.forbiddenHits === 1 && candidate.summary.forbiddenHits === 0, 'forbidden hits per variant');
+  check(report.comparison.improved.length === 1 && report.comparison.regressed.length === 0, 'candidate improved the case');
+
+  const markdown = formatEvalReport(report);
+  check(markdown.includes('| Enum accuracy | 0/1 (0%) | 1/1 (100%) |'), 'summary table compares variants');
+  check(markdown.includes('### Improved') && markdown.includes('**Testus evalus** / processing_difficulty'), 'improved case listed');
+  console.log('');
+}
+
+console.log('Test 4: Missing recorded response\n');
+{
+  const recorded = createRecordedLlm({ file: STUB_FILE });
+  const report = await runEval({ goldenFile: GOLDEN_FILE, variants: variants(recorded), fieldIds: ['collection_ease'] });
+  const [baseline] = report.runs;
+
+  check(baseline.summary.errors === 1 && baseline.cases[0].error?.includes('No recorded response'),
+    `missing response reported as an error (${baseline.cases[0].error})`);
+  check(report.comparison.improved.length === 0 && report.comparison.unchanged === 1, 'errored case counts as unchanged');
+  console.log('');
+}
+
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+testCache.close();
+
+finishTest('Golden Eval');
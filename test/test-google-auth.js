@@ -0,0 +1,83 @@
+/**
+ * Test script for Google auth provider selection
+ *
+ * Tests:
+ * 1. GOOGLE_AUTH_PROVIDER forces a provider
+ * 2. Auto-detect prefers a service account key, then an OAuth token, then the Replit connector
+ * 3. A clear error when no credentials are available
+ * 4. Installed-app client files are parsed
+ *
+ * No network access or real credentials needed.
+ *
+ * Usage: node test/test-google-auth.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveAuthProvider, createInstalledAppClient } from '../src/utils/google-auth.js';
+import { check, finishTest } from './checks.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'google-auth-test-'));
+const keyFile = path.join(tmpDir, 'service-account.json');
+const tokenFile = path.join(tmpDir, 'oauth-token.json');
+const clientFile = path.join(tmpDir, 'oauth-client.json');
+
+const ENV_KEYS = ['GOOGLE_AUTH_PROVIDER', 'GOOGLE_APPLICATION_CREDENTIALS', 'GOOGLE_OAUTH_CLIENT_FILE', 'GOOGLE_OAUTH_TOKEN_FILE', 'REPLIT_CONNECTORS_HOSTNAME'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+// Point every file setting at the (initially empty) temp directory so the
+// project's own credentials/ folder can't affect the results
+process.env.GOOGLE_APPLICATION_CREDENTIALS = keyFile;
+process.env.GOOGLE_OAUTH_CLIENT_FILE = clientFile;
+process.env.GOOGLE_OAUTH_TOKEN_FILE = tokenFile;
+delete process.env.GOOGLE_AUTH_PROVIDER;
+delete process.env.REPLIT_CONNECTORS_HOSTNAME;
+
+try {
+  console.log('Test 1: Explicit provider\n');
+  process.env.GOOGLE_AUTH_PROVIDER = 'oauth';
+  check(resolveAuthProvider() === 'oauth', 'GOOGLE_AUTH_PROVIDER=oauth is used as-is');
+  delete process.env.GOOGLE_AUTH_PROVIDER;
+  console.log('');
+
+  console.log('Test 2: Auto-detect order\n');
+  process.env.REPLIT_CONNECTORS_HOSTNAME = 'connectors.example';
+  check(resolveAuthProvider() === 'replit', 'Replit connector when no credential files exist');
+  fs.writeFileSync(tokenFile, '{}');
+  check(resolveAuthProvider() === 'oauth', 'OAuth token file wins over Replit connector');
+  fs.writeFileSync(keyFile, '{}');
+  check(resolveAuthProvider() === 'service-account', 'Service account key wins over OAuth token');
+  console.log('');
+
+  console.log('Test 3: No credentials\n');
+  fs.unlinkSync(keyFile);
+  fs.unlinkSync(tokenFile);
+  delete process.env.REPLIT_CONNECTORS_HOSTNAME;
+  let error = null;
+  try {
+    resolveAuthProvider();
+  } catch (e) {
+    error = e;
+  }
+  check(error && /No Google credentials found/.test(error.message), 'throws "No Google credentials found"');
+  console.log('');
+
+  console.log('Test 4: Installed-app client file\n');
+  fs.writeFileSync(clientFile, JSON.stringify({
+    installed: { client_id: 'id.apps.googleusercontent.com', client_secret: 'secret', redirect_uris: ['http://localhost'] }
+  }));
+  const client = createInstalledAppClient(clientFile);
+  check(client._clientId === 'id.apps.googleusercontent.com', 'client id read from "installed" section');
+  const authUrl = client.generateAuthUrl({ access_type: 'offline', scope: ['https://www.googleapis.com/auth/drive'] });
+  check(authUrl.includes('client_id=id.apps.googleusercontent.com'), 'auth URL generated');
+  console.log('');
+} finally {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+}
+
+finishTest('Google Auth');
@@ -0,0 +1,117 @@
+/**
+ * Test script for the Tier 1/Tier 2 grounding check
+ *
+ * Tests:
+ * 1. Sentences found in the sources are supported, with quote and file name
+ * 2. Sentences absent from the sources are marked unsupported
+ * 3. Short enum labels and bullet lists are handled
+ * 4. process3TierField stores evidence with the cached Tier 1 response and
+ *    reuses it on a cache hit
+ *
+ * The Anthropic API is replaced with a stub. Test 4 writes a Michigan Flora
+ * source for a made-up species to a temporary cache root, so Tier 1 has a source.
+ *
+ * Usage: node test/test-grounding-check.js
+ */
+
+import { useTestCache } from './species-fixtures.js';
+import { checkGrounding, summarizeGrounding } from '../src/utils/grounding-check.js';
+import { setLlmUsageLogFile } from '../src/utils/llm-usage.js';
+import { check, finishTest } from './checks.js';
+
+const queuedResponses = [];
+let apiCalls = 0;
+
+globalThis.fetch = async () => {
+  apiCalls++;
+  return new Response(JSON.stringify({
+    id: `msg_test_${apiCalls}`,
+    type: 'message',
+    role: 'assistant',
+    model: 'claude-sonnet-4-20250514',
+    content: [{ type: 'text', text: queuedResponses.shift() ?? '{}' }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 100, output_tokens: 20 }
+  }), { status: 200, headers: { 'content-type': 'application/json' } });
+};
+
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'grounding-test';
+setLlmUsageLogFile(null);
+
+const sources = [
+  {
+    fileName: 'Testus_groundus_miflora.json',
+    source: 'Michigan Flora',
+    content: {
+      habitat: 'Wet meadows, marsh edges and sedge fens. Occasionally in moist roadside ditches.',
+      notes: ['Achenes ripen to dark brown in late September.', 'Seed heads shatter within a week of ripening.']
+    }
+  },
+  {
+    fileName: 'Testus_groundus_lakecounty.json',
+    source: 'Lake County Seed Collection Guide',
+    content: { collection: 'Strip ripe heads by hand into a paper bag; gloves help with the bristly bracts.' }
+  }
+];
+
+console.log('Test 1: Supported sentences\n');
+{
+  const result = checkGrounding('Seeds ripen to dark brown in late September. Strip the ripe heads by hand into a bag.', sources);
+  check(result.grounded === true && result.supportedCount === 2, 'both sentences supported');
+  check(result.sentences[0].evidence?.fileName === 'Testus_groundus_miflora.json' &&
+    result.sentences[0].evidence.quote.includes('dark brown'), `quote and file recorded (${result.sentences[0].evidence?.quote})`);
+  check(result.sentences[1].evidence?.source === 'Lake County Seed Collection Guide', 'second sentence cites the other source');
+  console.log('');
+}
+
+console.log('Test 2: Unsupported sentences\n');
+{
+  const result = checkGrounding('Grows in wet meadows and fens. Seeds need 90 days of cold stratification before sowing.', sources);
+  check(result.grounded === false && result.unsupportedCount === 1, 'one sentence unsupported');
+  check(result.sentences[1].supported === false && result.sentences[1].evidence === null, 'unsupported sentence has no evidence');
+
+  const summary = summarizeGrounding(result);
+  check(summary.supported === 1 && summary.unsupported[0].startsWith('Seeds need 90 days'), 'summary lists unsupported sentences');
+  console.log('');
+}
+
+console.log('Test 3: Enum labels and bullets\n');
+{
+  const result = checkGrounding('Moderate.\n- Seed heads shatter within a week\n- Wear gloves for the bristly bracts', sources);
+  check(result.sentences[0].checked === false, 'enum label not checked');
+  check(result.sentences.length === 3 && result.grounded, 'bullet lines checked as sentences');
+
+  const empty = checkGrounding('', sources);
+  check(empty.grounded === true && empty.sentences.length === 0, 'empty answer has nothing to check');
+  console.log('');
+}
+
+console.log('Test 4: Evidence stored with the cached response\n');
+{
+  const testCache = useTestCache('Testus', 'groundus');
+  testCache.writeSources({ miflora: sources[0].content });
+
+  const { process3TierField } = await import('../src/synthesis/process-3tier-field.js');
+  const options = { verbose: false, skipSync: true };
+
+  queuedResponses.push(
+    '{"value": "Achenes ripen to dark brown in late September. They are eaten by goldfinches.", "attribution": "Michigan Flora"}',
+    '{"value": "Dark brown achenes", "attribution": "Species-level knowledge"}'
+  );
+  const first = await process3TierField('Testus', 'groundus', 'collection_mature_seed_color', options);
+  check(apiCalls === 2, `Tier 1 and Tier 3 called (${apiCalls})`);
+  check(first.merged._meta.grounding.tier1?.unsupported.length === 1 && first.merged._meta.grounding.tier2 === null,
+    'merged output summarizes Tier 1 grounding');
+
+  const cacheKey = testCache.tierCache.keys().find(key => key.startsWith('Testus_groundus_collection_mature_seed_color_tier1_'));
+  const cached = cacheKey && testCache.tierCache.read(cacheKey);
+  check(cached?.grounding?.sentences?.[0]?.evidence?.fileName === 'Testus_groundus_miflora.json', 'evidence saved in the tier cache entry');
+
+  const second = await process3TierField('Testus', 'groundus', 'collection_mature_seed_color', options);
+  check(apiCalls === 2, 'cache hit makes no API calls');
+  check(JSON.stringify(second.grounding.tier1) === JSON.stringify(cached.grounding), 'cached evidence reused');
+  testCache.close();
+  console.log('');
+}
+
+finishTest('Grounding Check');
@@ -0,0 +1,161 @@
+/**
+ * Test script for recorded HTTP fixtures (test/http-fixtures.js)
+ *
+ * Tests:
+ * 1. Record mode saves fetch and http.get exchanges, without secrets
+ * 2. Replay mode answers the same requests with the server gone
+ * 3. POST bodies select their own response; repeated requests replay in order
+ * 4. A request with no recorded response fails with an error naming it
+ * 5. Hand-written entries without a body hash answer any body
+ *
+ * Records from a local HTTP server into a temporary fixture directory.
+ *
+ * Usage: node test/test-http-fixtures.js
+ */
+
+import { useHttpFixtures } from './http-fixtures.js';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { check, finishTest } from './checks.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-fixtures-test-'));
+
+let counter = 0;
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/token') {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Set-Cookie': 'session=secret' });
+      res.end(JSON.stringify({ access_token: 'ya29.secret', expires_in: 3599 }));
+    } else if (url.pathname === '/echo') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ echo: body }));
+    } else if (url.pathname === '/counter') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(String(++counter));
+    } else if (url.pathname === '/search') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ q: url.searchParams.get('q') }));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('not found');
+    }
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+function httpGet(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, data }));
+    }).on('error', reject);
+  });
+}
+
+const post = (body) => fetch(`${base}/echo`, { method: 'POST', body }).then(res => res.json());
+
+async function exercise() {
+  return {
+    token: await fetch(`${base}/token`).then(res => res.json()),
+    one: await post('one'),
+    two: await post('two'),
+    counts: [await fetch(`${base}/counter`).then(res => res.text()), await fetch(`${base}/counter`).then(res => res.text())],
+    missing: await fetch(`${base}/nowhere`).then(res => res.status),
+    search: await httpGet(`${base}/search?q=acer&api_key=abc123`)
+  };
+}
+
+console.log('Test 1: Recording\n');
+const recording = await useHttpFixtures('local', { mode: 'record', dir });
+const recorded = await exercise();
+await recording.close();
+const file = path.join(dir, 'local.json');
+const saved = fs.readFileSync(file, 'utf-8');
+{
+  check(recording.stats.recorded === 7 && JSON.parse(saved).entries.length === 7, 'every exchange saved');
+  check(recorded.token.access_token === 'ya29.secret', 'caller gets the real response while recording');
+  check(!saved.includes('ya29.secret') && !saved.includes('session=secret') && !saved.includes('abc123'), 'tokens, cookies and API keys not saved');
+  check(saved.includes('api_key=REDACTED'), 'API key stored as REDACTED');
+  console.log('');
+}
+
+await new Promise(resolve => server.close(resolve));
+
+console.log('Test 2: Replay\n');
+{
+  const replay = await useHttpFixtures('local', { mode: 'replay', dir });
+  const replayed = await exercise();
+  await replay.close();
+  check(replayed.one.echo === 'one' && replayed.two.echo === 'two', 'POST bodies answered by their own responses');
+  check(replayed.counts.join(',') === '1,2', 'repeated requests replayed in order');
+  check(replayed.missing === 404, 'error statuses replayed');
+  check(replayed.search.status === 200 && JSON.parse(replayed.search.data).q === 'acer', 'http.get replayed');
+  check(replayed.token.access_token === 'REDACTED', 'token replayed redacted');
+  check(replay.stats.replayed === 7, 'no request reached the network');
+  console.log('');
+}
+
+console.log('Test 3: Repeats and API keys\n');
+{
+  const replay = await useHttpFixtures('local', { mode: 'replay', dir });
+  const counts = [];
+  for (let i = 0; i < 3; i++) counts.push(await fetch(`${base}/counter`).then(res => res.text()));
+  check(counts.join(',') === '1,2,2', 'last response repeats');
+  const search = await httpGet(`${base}/search?q=acer&api_key=other-key`);
+  check(JSON.parse(search.data).q === 'acer', 'any API key matches the redacted one');
+  await replay.close();
+  console.log('');
+}
+
+console.log('Test 4: Unrecorded requests\n');
+{
+  const replay = await useHttpFixtures('local', { mode: 'replay', dir });
+  let error = null;
+  try {
+    await fetch(`${base}/echo`, { method: 'POST', body: 'three' });
+  } catch (e) {
+    error = e;
+  }
+  check(error?.message.includes('No recorded response for POST') && error.message.includes('/echo'), 'unrecorded POST body rejected');
+  error = null;
+  try {
+    await httpGet(`${base}/search?q=quercus`);
+  } catch (e) {
+    error = e;
+  }
+  check(error?.message.includes('/search?q=quercus'), 'unrecorded http.get rejected');
+  await replay.close();
+
+  let threw = false;
+  try {
+    await useHttpFixtures('never-recorded', { mode: 'replay', dir });
+  } catch {
+    threw = true;
+  }
+  check(threw, 'missing fixture file reported');
+  console.log('');
+}
+
+console.log('Test 5: Hand-written entries\n');
+{
+  fs.writeFileSync(path.join(dir, 'stub.json'), JSON.stringify({
+    entries: [{ method: 'POST', url: 'https://api.example.org/v1/messages', status: 200, headers: { 'content-type': 'application/json' }, json: { ok: true } }]
+  }));
+  const replay = await useHttpFixtures('stub', { mode: 'replay', dir });
+  const first = await fetch('https://api.example.org/v1/messages', { method: 'POST', body: '{"a":1}' }).then(res => res.json());
+  const second = await fetch('https://api.example.org/v1/messages', { method: 'POST', body: '{"b":2}' }).then(res => res.json());
+  check(first.ok && second.ok, 'entry without a body hash answers any body');
+  await replay.close();
+  console.log('');
+}
+
+fs.rmSync(dir, { recursive: true, force: true });
+
+finishTest('HTTP Fixtures');
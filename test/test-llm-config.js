@@ -0,0 +1,125 @@
+/**
+ * Test script for per-module / per-tier LLM configuration
+ *
+ * Tests:
+ * 1. Module settings override the defaults from config/llm-models.json
+ * 2. 3-tier fields read the shared "3tier" entry, then their own, then per-tier settings
+ * 3. Requests leave out unset temperature/system and apply overrides
+ * 4. The model is part of the tier cache key: a different Tier 3 model misses
+ *    the cache and its response is stored separately
+ * 5. So are the system prompt and temperature
+ *
+ * The Anthropic API is replaced with a stub. Tests 4 and 5 use a made-up species
+ * with no sources (so only Tier 3 runs) and a temporary cache root.
+ *
+ * Usage: node test/test-llm-config.js
+ */
+
+import { useTestCache } from './species-fixtures.js';
+import { getLlmSettings, buildLlmRequest, configureLlmModule } from '../src/utils/llm-config.js';
+import { setLlmUsageLogFile } from '../src/utils/llm-usage.js';
+import { check, finishTest } from './checks.js';
+
+const requests = [];
+
+globalThis.fetch = async (url, init) => {
+  const body = JSON.parse(init.body);
+  requests.push(body);
+  return new Response(JSON.stringify({
+    id: `msg_test_${requests.length}`,
+    type: 'message',
+    role: 'assistant',
+    model: body.model,
+    content: [{ type: 'text', text: `{"value": "Moderate - answered by ${body.model}", "attribution": "Species-level knowledge"}` }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 100, output_tokens: 20 }
+  }), { status: 200, headers: { 'content-type': 'application/json' } });
+};
+
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'llm-config-test';
+setLlmUsageLogFile(null);
+
+console.log('Test 1: Module settings\n');
+{
+  const defaults = getLlmSettings('common-names');
+  check(defaults.model === 'claude-sonnet-4-5' && defaults.maxTokens === 1024, 'defaults apply to a module with no overrides');
+  check(getLlmSettings('similar-species').maxTokens === 4096, 'module maxTokens overrides the default');
+  check(getLlmSettings('unknown-module').model === 'claude-sonnet-4-5', 'unlisted modules get the defaults');
+  console.log('');
+}
+
+console.log('Test 2: 3-tier field and tier settings\n');
+{
+  configureLlmModule('3tier', { tiers: { 3: { model: 'claude-haiku-4-5', temperature: 0 } } });
+  configureLlmModule('3tier-collection_ease', { maxTokens: 2048 });
+
+  check(getLlmSettings('3tier-collection_ease', { tier: 1 }).model === 'claude-sonnet-4-20250514', 'shared 3tier model for Tier 1');
+  check(getLlmSettings('3tier-collection_ease', { tier: 1 }).maxTokens === 2048, 'field entry overrides the shared entry');
+  const tier3 = getLlmSettings('3tier-seed_storage', { tier: 3 });
+  check(tier3.model === 'claude-haiku-4-5' && tier3.temperature === 0, 'per-tier model and temperature');
+  console.log('');
+}
+
+console.log('Test 3: Building requests\n');
+{
+  const messages = [{ role: 'user', content: 'Hello' }];
+  const request = buildLlmRequest('native-checker', messages);
+  check(request.model === 'claude-sonnet-4-5' && request.max_tokens === 512 && request.messages === messages, 'model, max_tokens and messages set');
+  check(!('temperature' in request) && !('system' in request), 'unset temperature and system left out');
+
+  const tier3 = buildLlmRequest('3tier-collection_ease', messages, { tier: 3, overrides: { model: 'claude-opus-4' } });
+  check(tier3.model === 'claude-opus-4' && tier3.temperature === 0, 'override wins over the configured model');
+
+  configureLlmModule('botanical-name', { system: 'You are a botanist.' });
+  check(buildLlmRequest('botanical-name', messages).system === 'You are a botanist.', 'system prompt included when configured');
+  console.log('');
+}
+
+const testCache = useTestCache('Testus', 'configus');
+
+console.log('Test 4: Model in the tier cache key\n');
+{
+  const { process3TierField } = await import('../src/synthesis/process-3tier-field.js');
+  const options = { verbose: false, skipSync: true };
+
+  const first = await process3TierField('Testus', 'configus', 'collection_ease', options);
+  check(requests.length === 1 && requests[0].model === 'claude-haiku-4-5', `Tier 3 called with its configured model (${requests[0]?.model})`);
+  check(requests[0].max_tokens === 2048, 'field max_tokens used');
+  check(first.merged.tier3.value.includes('claude-haiku-4-5'), 'response stored as Tier 3');
+
+  await process3TierField('Testus', 'configus', 'collection_ease', options);
+  check(requests.length === 1, 'same model: cache hit');
+
+  configureLlmModule('3tier', { tiers: { 3: { model: 'claude-sonnet-4-5' } } });
+  const third = await process3TierField('Testus', 'configus', 'collection_ease', options);
+  check(requests.length === 2 && requests[1].model === 'claude-sonnet-4-5', 'different model: cache miss and new call');
+  check(third.merged.tier3.value.includes('claude-sonnet-4-5'), 'new model\'s response used');
+
+  const cached = testCache.tierCache.keys().filter(key => key.startsWith('Testus_configus_collection_ease_tier3_'));
+  const models = cached.map(key => testCache.tierCache.read(key).model).sort();
+  check(models.join(',') === 'claude-haiku-4-5,claude-sonnet-4-5', `one cache entry per model (${models.join(', ')})`);
+  console.log('');
+}
+
+console.log('Test 5: System prompt and temperature in the tier cache key\n');
+{
+  const { process3TierField } = await import('../src/synthesis/process-3tier-field.js');
+  const options = { verbose: false, skipSync: true };
+  requests.length = 0;
+
+  configureLlmModule('3tier', { tiers: { 3: { model: 'claude-sonnet-4-5', temperature: 0.5 } } });
+  await process3TierField('Testus', 'configus', 'collection_ease', options);
+  check(requests.length === 1 && requests[0].temperature === 0.5, 'different temperature: cache miss and new call');
+
+  configureLlmModule('3tier-collection_ease', { maxTokens: 2048, system: 'You are a seed collector.' });
+  await process3TierField('Testus', 'configus', 'collection_ease', options);
+  check(requests.length === 2 && requests[1].system === 'You are a seed collector.', 'system prompt added: cache miss and new call');
+
+  await process3TierField('Testus', 'configus', 'collection_ease', options);
+  check(requests.length === 2, 'same settings: cache hit');
+  console.log('');
+}
+
+testCache.close();
+
+finishTest('LLM Config');
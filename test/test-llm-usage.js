@@ -0,0 +1,109 @@
+/**
+ * Test script for LLM usage and cost accounting
+ *
+ * Tests:
+ * 1. Cost estimates use the longest matching model price (and cache token prices)
+ * 2. Recorded calls roll up by module, model and species
+ * 3. Dollar and token budgets report when they are reached
+ * 4. Once the budget is reached a 3-tier field stops before calling Claude
+ *    with a BUDGET_EXCEEDED error, which the module passes on to the pipeline
+ *
+ * No API calls are made (Test 4 stubs the Anthropic API and uses a temporary
+ * cache root) and the usage log is disabled.
+ *
+ * Usage: node test/test-llm-usage.js
+ */
+
+import {
+  estimateLlmCost,
+  recordLlmUsage,
+  getLlmUsageSummary,
+  formatLlmUsageSummary,
+  setLlmBudget,
+  isLlmBudgetExceeded,
+  assertWithinLlmBudget,
+  isBudgetExceededError,
+  setLlmUsageLogFile,
+  resetLlmUsage
+} from '../src/utils/llm-usage.js';
+import { useTestCache } from './species-fixtures.js';
+import { check, finishTest } from './checks.js';
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+setLlmUsageLogFile(null);
+resetLlmUsage();
+
+console.log('Test 1: Cost estimates\n');
+{
+  const usage = { input_tokens: 1000000, output_tokens: 100000 };
+  check(close(estimateLlmCost('claude-sonnet-4-5-20250929', usage), 4.5), 'dated Sonnet 4.5 id uses claude-sonnet-4-5 pricing ($3 + $1.50)');
+  check(close(estimateLlmCost('claude-opus-4-1', usage), 22.5), 'Opus pricing ($15 + $7.50)');
+  check(close(estimateLlmCost('some-future-model', usage), 4.5), 'unknown model falls back to default');
+  check(close(estimateLlmCost('claude-sonnet-4-5', { cache_read_input_tokens: 1000000, cache_creation_input_tokens: 1000000 }), 4.05),
+    'cache read/write tokens priced separately');
+  console.log('');
+}
+
+console.log('Test 2: Summary\n');
+{
+  recordLlmUsage({ model: 'claude-sonnet-4-5', usage: { input_tokens: 1000, output_tokens: 200 }, module: 'botanical-name', genus: 'Acer', species: 'rubrum' });
+  recordLlmUsage({ model: 'claude-sonnet-4-20250514', usage: { input_tokens: 3000, output_tokens: 500 }, module: '3tier-seed_color', tier: 1, genus: 'Acer', species: 'rubrum' });
+  recordLlmUsage({ model: 'claude-sonnet-4-20250514', usage: { input_tokens: 2000, output_tokens: 300 }, module: '3tier-seed_color', tier: 3, genus: 'Quercus', species: 'alba' });
+
+  const summary = getLlmUsageSummary();
+  check(summary.calls === 3 && summary.totalTokens === 7000, `3 calls, 7000 tokens (${summary.totalTokens})`);
+  check(summary.byModule['3tier-seed_color'].calls === 2, 'grouped by module');
+  check(summary.bySpecies['Acer rubrum'].calls === 2 && summary.bySpecies['Quercus alba'].calls === 1, 'grouped by species');
+  check(close(summary.costUsd, (6000 * 3 + 1000 * 15) / 1e6), `estimated cost $${summary.costUsd.toFixed(4)}`);
+  check(formatLlmUsageSummary().includes('3tier-seed_color: 2 calls'), 'formatted summary lists modules');
+  console.log('');
+}
+
+console.log('Test 3: Budget\n');
+{
+  check(!isLlmBudgetExceeded(), 'no budget configured - never exceeded');
+  setLlmBudget({ maxTokens: 10000 });
+  check(!isLlmBudgetExceeded(), 'under the token budget');
+  setLlmBudget({ maxTokens: 7000 });
+  check(isLlmBudgetExceeded(), 'token budget reached');
+  setLlmBudget({ maxTokens: null, maxCostUsd: 0.01 });
+  check(isLlmBudgetExceeded(), 'dollar budget reached');
+  setLlmBudget({ maxCostUsd: 1 });
+  check(!isLlmBudgetExceeded(), 'under the dollar budget');
+  check(formatLlmUsageSummary().includes('Budget: $1'), 'summary shows the budget');
+  console.log('');
+}
+
+console.log('Test 4: Budget stops 3-tier calls\n');
+{
+  let calls = 0;
+  globalThis.fetch = async () => {
+    calls++;
+    throw new Error('Claude called after the budget was reached');
+  };
+  process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'llm-usage-test';
+  const testCache = useTestCache('Testus', 'budgetus');
+
+  setLlmBudget({ maxCostUsd: 1 });
+  let thrown = null;
+  try { assertWithinLlmBudget('3tier-collection_ease'); } catch (error) { thrown = error; }
+  check(thrown === null, 'under the budget: no error');
+
+  setLlmBudget({ maxCostUsd: 0.01 });
+  try { assertWithinLlmBudget('3tier-collection_ease'); } catch (error) { thrown = error; }
+  check(isBudgetExceededError(thrown) && thrown.message.includes('LLM budget reached'), `budget reached: ${thrown?.message}`);
+
+  const { loadFieldModules } = await import('../src/synthesis/process-3tier-field.js');
+  const module = loadFieldModules().find(entry => entry.metadata.id === '3tier-collection_ease');
+  thrown = null;
+  try { await module.run('Testus', 'budgetus', {}); } catch (error) { thrown = error; }
+  check(isBudgetExceededError(thrown), 'field module passes the budget error on instead of writing an empty value');
+  check(calls === 0, `Claude not called (${calls} calls)`);
+
+  testCache.close();
+  setLlmBudget({ maxCostUsd: null });
+  console.log('');
+}
+
+finishTest('LLM Usage');
@@ -0,0 +1,142 @@
+/**
+ * Test script for Message Batches support
+ *
+ * Tests:
+ * 1. Requests are split into batches, polled until they end, and results
+ *    (succeeded and errored) are returned by custom id
+ * 2. prefill3TierBatches collects sources first (collectSources), then caches
+ *    Tier 1 and Tier 3 in one phase and Tier 2 (built on the cached Tier 1
+ *    answer) in a second phase
+ * 3. process3TierField then answers from the cache with no API calls, and a
+ *    second prefill has nothing left to submit
+ *
+ * Runs against the local stand-in server in test/batch-api-stub-server.js and a
+ * temporary cache root. Test 2's collectSources writes Michigan Flora (Tier 1)
+ * and page content (Tier 2) sources for a made-up species, recorded as its own
+ * accepted name so no GBIF lookup is made.
+ *
+ * Usage: node test/test-message-batches.js
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { startBatchApiStubServer } from './batch-api-stub-server.js';
+import { useTestCache } from './species-fixtures.js';
+import { runMessageBatches } from '../src/utils/message-batches.js';
+import { recordTaxon } from '../src/utils/taxon-identity.js';
+import { setLlmUsageLogFile, getLlmUsageSummary, resetLlmUsage } from '../src/utils/llm-usage.js';
+import { check, finishTest } from './checks.js';
+
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'message-batches-test';
+setLlmUsageLogFile(null);
+
+let syncCalls = 0;
+
+// Synchronous messages.create calls go through the global fetch; count them
+const originalFetch = globalThis.fetch;
+globalThis.fetch = async (url, init) => {
+  if (String(url).endsWith('/v1/messages')) {
+    syncCalls++;
+    throw new Error('unexpected synchronous call');
+  }
+  return originalFetch(url, init);
+};
+
+const testCache = useTestCache('Testus', 'batchus');
+
+// Tier prompts are sent as text blocks (shared prefix + field suffix)
+const promptText = (params) => {
+  const { content } = params.messages[0];
+  return Array.isArray(content) ? content.map(block => block.text).join('') : content;
+};
+
+const tierOf = (params) => {
+  const prompt = promptText(params);
+  if (prompt.includes('## Tier 2 Additional Source Data')) return 2;
+  if (prompt.includes('independently report what you know')) return 3;
+  return 1;
+};
+
+const server = await startBatchApiStubServer({
+  pollsUntilEnded: 2,
+  respond: (params, customId) => {
+    if (customId === 'bad') return { error: 'prompt is too long' };
+    if (params.messages[0].content === 'ping') return 'pong';
+    return `{"value": "Moderate - answer from Tier ${tierOf(params)}", "attribution": "Tier ${tierOf(params)} sources"}`;
+  }
+});
+const client = new Anthropic({ apiKey: 'test', baseURL: server.baseURL });
+
+console.log('Test 1: Running message batches\n');
+{
+  const params = { model: 'claude-sonnet-4-5', max_tokens: 16, messages: [{ role: 'user', content: 'ping' }] };
+  const results = await runMessageBatches([
+    { customId: 'a', params },
+    { customId: 'b', params },
+    { customId: 'bad', params }
+  ], { client, pollIntervalMs: 10, maxRequestsPerBatch: 2, verbose: false });
+
+  check(server.batches.size === 2, `split into 2 batches (${server.batches.size})`);
+  check([...server.batches.values()].every(batch => batch.polls >= 2), 'batches polled until they ended');
+  check(results.get('a')?.ok && results.get('a').message.content[0].text === 'pong', 'succeeded result returned by custom id');
+  check(results.get('bad')?.ok === false && results.get('bad').error === 'prompt is too long', 'errored result carries the error message');
+  console.log('');
+}
+
+console.log('Test 2: Prefilling the 3-tier cache\n');
+{
+  server.batches.clear();
+  resetLlmUsage();
+
+  const { prefill3TierBatches, getSourceModuleIds } = await import('../src/output/prefill-3tier-batches.js');
+  check(getSourceModuleIds(['collection_ease']).join(',') === 'botanical-name,michigan-flora,lakecounty-cache',
+    'source modules are the field\'s non-3-tier dependencies');
+
+  // Sources only exist once collectSources has run, as on a species list never run before
+  const collected = [];
+  const collectSources = async (genus, species) => {
+    collected.push(`${genus} ${species}`);
+    testCache.writeSources({
+      miflora: { habitat: 'Wet meadows and fens.' },
+      page: { text: 'Seeds ripen in late September.' }
+    });
+  };
+  const species = [{ genus: 'Testus', species: 'batchus' }];
+  const summary = await prefill3TierBatches(species, { fieldIds: ['collection_ease'], client, pollIntervalMs: 10, collectSources, verbose: false });
+  check(collected.join(',') === 'Testus batchus' && summary.withoutTier1Sources.length === 0, 'sources collected before prompts are built');
+
+  const [first, second] = [...server.batches.values()];
+  check(server.batches.size === 2, `one batch per phase (${server.batches.size})`);
+  check(first?.requests.map(request => tierOf(request.params)).join(',') === '1,3', 'first phase submits Tier 1 and Tier 3');
+  check(second?.requests.length === 1 && tierOf(second.requests[0].params) === 2, 'second phase submits Tier 2');
+  check(second && promptText(second.requests[0].params).includes('answer from Tier 1'), 'Tier 2 prompt includes the batched Tier 1 answer');
+  check(summary.submitted === 3 && summary.cached === 3 && summary.failed.length === 0, `3 responses cached (${summary.cached})`);
+
+  const usage = getLlmUsageSummary();
+  check(usage.calls === 3 && Math.abs(usage.costUsd - 3 * (100 * 3 + 20 * 15) / 1e6 * 0.5) < 1e-9, 'usage recorded at the batch price');
+  console.log('');
+}
+
+console.log('Test 3: Normal run answers from the cache\n');
+{
+  const { process3TierField } = await import('../src/synthesis/process-3tier-field.js');
+  const result = await process3TierField('Testus', 'batchus', 'collection_ease', { verbose: false, skipSync: true });
+  check(syncCalls === 0, `no synchronous API calls (${syncCalls})`);
+  check(result.merged.tier1.value.includes('Tier 1') && result.merged.tier2.value.includes('Tier 2') &&
+    result.merged.tier3.value.includes('Tier 3'), 'all three tiers come from the batch responses');
+
+  const { prefill3TierBatches } = await import('../src/output/prefill-3tier-batches.js');
+  server.batches.clear();
+  const again = await prefill3TierBatches([{ genus: 'Testus', species: 'batchus' }], { fieldIds: ['collection_ease'], client, verbose: false });
+  check(again.submitted === 0 && server.batches.size === 0, 'second prefill finds everything cached');
+
+  recordTaxon('Testus', 'nullus', { accepted: { genus: 'Testus', species: 'nullus' }, source: 'test' }, { persist: false });
+  const sourceless = await prefill3TierBatches([{ genus: 'Testus', species: 'batchus' }, { genus: 'Testus', species: 'nullus' }],
+    { fieldIds: ['collection_ease'], client, pollIntervalMs: 10, verbose: false });
+  check(sourceless.withoutTier1Sources.map(entry => entry.species).join(',') === 'nullus', 'species without Tier 1 sources reported');
+  console.log('');
+}
+
+testCache.close();
+await server.close();
+
+finishTest('Message Batches');
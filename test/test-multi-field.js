@@ -0,0 +1,208 @@
+/**
+ * Test script for multi-field single-call mode
+ *
+ * Tests:
+ * 1. config/3tier-fields.json groups load, default to per-field calls and are
+ *    validated (unknown fields, fields in two groups, inputs within a group)
+ * 2. With a group switched on, one call per tier answers every field in the
+ *    group; the response is split into a cache entry per field, so the other
+ *    fields of the group make no calls
+ * 3. A field missing from the group response is repaired on its own (its
+ *    repaired Tier 1 answer makes a new Tier 2 group prompt), with the group's
+ *    model settings and a single field's max_tokens
+ * 4. multiField: false runs the same fields with one call per field
+ * 5. prefill3TierBatches submits one request per group and tier and caches
+ *    every field's part
+ *
+ * The Anthropic API is replaced with a stub that answers every field asked for
+ * in the prompt. Michigan Flora and page content sources for a made-up species
+ * are written to a temporary cache root.
+ *
+ * Usage: node test/test-multi-field.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Anthropic from '@anthropic-ai/sdk';
+import { startBatchApiStubServer } from './batch-api-stub-server.js';
+import { useTestCache } from './species-fixtures.js';
+import { setLlmUsageLogFile } from '../src/utils/llm-usage.js';
+import { configureLlmModule } from '../src/utils/llm-config.js';
+import { check, finishTest } from './checks.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STORAGE_FIELDS = ['storage_hazards', 'storage_mold_risk', 'storage_safe_fridge', 'storage_safe_room_temperature'];
+const READINESS_FIELDS = ['collection_readiness_cues', 'collection_mature_seed_color', 'collection_mature_seed_visibility', 'collection_miss_risk'];
+
+let requests = [];
+let leaveOut = null;
+
+const promptText = (body) => body.messages[0].content.map(block => block.text).join('');
+
+// Answer a multi-field prompt with an entry per field, a per-field prompt with one answer
+function respond(body) {
+  const fieldIds = [...promptText(body).matchAll(/^### Field: (\S+)$/gm)].map(match => match[1]);
+  const answer = (id) => ({ value: `${id === 'collection_mature_seed_visibility' ? 'Visible' : 'Low'} - ${id} answer`, attribution: 'Michigan Flora' });
+  return body.messages.length > 1
+    ? JSON.stringify(answer('repaired'))
+    : JSON.stringify(fieldIds.length > 0
+      ? Object.fromEntries(fieldIds.filter(id => id !== leaveOut).map(id => [id, answer(id)]))
+      : answer('single'));
+}
+
+const originalFetch = globalThis.fetch;
+globalThis.fetch = async (url, init) => {
+  if (!String(url).endsWith('/v1/messages')) {
+    return originalFetch(url, init);
+  }
+  const body = JSON.parse(init.body);
+  requests.push(body);
+  const text = respond(body);
+  return new Response(JSON.stringify({
+    id: `msg_test_${requests.length}`,
+    type: 'message',
+    role: 'assistant',
+    model: body.model,
+    content: [{ type: 'text', text }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 100, output_tokens: 20 }
+  }), { status: 200, headers: { 'content-type': 'application/json' } });
+};
+
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'multi-field-test';
+setLlmUsageLogFile(null);
+
+const testCache = useTestCache('Testus', 'groupus');
+const SOURCES = { miflora: { habitat: 'Wet meadows and fens.' }, page: { text: 'Seeds keep for years when dry.' } };
+testCache.writeSources(SOURCES);
+
+const { process3TierField, loadFieldGroups, splitGroupResponse } = await import('../src/synthesis/process-3tier-field.js');
+const options = { verbose: false, skipSync: true };
+
+console.log('Test 1: Field groups in the manifest\n');
+{
+  const groups = loadFieldGroups();
+  const storage = groups.find(group => group.id === 'storage');
+  check(storage && STORAGE_FIELDS.every(id => storage.fields.includes(id)), 'storage group lists the storage fields');
+  check(groups.every(group => group.multiField === false), 'groups default to per-field calls');
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multi-field-'));
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '../config/3tier-fields.json'), 'utf-8'));
+  const writeManifest = (groupsBlock) => {
+    const file = path.join(tempDir, '3tier-fields.json');
+    fs.writeFileSync(file, JSON.stringify({ ...manifest, groups: groupsBlock }));
+    return file;
+  };
+  const throwsFor = (groupsBlock, pattern) => {
+    try {
+      loadFieldGroups(writeManifest(groupsBlock));
+      return false;
+    } catch (error) {
+      return pattern.test(error.message);
+    }
+  };
+  check(throwsFor([{ id: 'bad', fields: ['storage_hazards', 'no_such_field'] }], /unknown field "no_such_field"/), 'unknown field rejected');
+  check(throwsFor([{ id: 'a', fields: ['storage_hazards'] }, { id: 'b', fields: ['storage_hazards'] }], /more than one group/),
+    'field in two groups rejected');
+  check(throwsFor([{ id: 'c', fields: ['storage_safe_fridge', 'stratification_requirements'] }], /takes an input from its own group/),
+    'field taking an input from its own group rejected');
+  fs.rmSync(tempDir, { recursive: true, force: true });
+
+  const parts = splitGroupResponse('Here: {"storage_hazards": {"value": "v", "attribution": "a"}}', ['storage_hazards', 'storage_mold_risk']);
+  check(JSON.parse(parts.storage_hazards).value === 'v' && parts.storage_mold_risk === '', 'response split by field id');
+  console.log('');
+}
+
+console.log('Test 2: One call per tier for the group\n');
+{
+  requests = [];
+  const first = await process3TierField('Testus', 'groupus', 'storage_hazards', { ...options, multiField: true });
+  const callsForFirst = requests.length;
+  const prompt = promptText(requests[0]);
+  check(callsForFirst === 3, `3 calls (one per tier) for the first field (${callsForFirst})`);
+  check(STORAGE_FIELDS.every(id => prompt.includes(`### Field: ${id}`)), 'prompt asks for every field in the group');
+  check(requests[0].max_tokens === 4 * 1024, `max_tokens scaled to the group (${requests[0].max_tokens})`);
+  check(first.merged.tier1.value === 'Low - storage_hazards answer' && first.merged._meta.multiField === 'storage',
+    'field gets its own part of the response');
+
+  const rest = [];
+  for (const fieldId of STORAGE_FIELDS.slice(1)) {
+    rest.push(await process3TierField('Testus', 'groupus', fieldId, { ...options, multiField: true }));
+  }
+  check(requests.length === callsForFirst, `other group fields answered from the cache (${requests.length - callsForFirst} calls)`);
+  check(rest.every((result, index) => result.merged.tier3.value === `Low - ${STORAGE_FIELDS[index + 1]} answer`),
+    'each field cached under its own id');
+
+  const tier2Prompt = promptText(requests.find(request => promptText(request).includes('## Tier 1 Responses (for reference)')));
+  check(STORAGE_FIELDS.every(id => tier2Prompt.includes(`Low - ${id} answer`)), 'Tier 2 prompt carries every field\'s Tier 1 answer');
+  console.log('');
+}
+
+console.log('Test 3: Field missing from the group response\n');
+{
+  testCache.reset();
+  testCache.writeSources(SOURCES);
+  requests = [];
+  leaveOut = 'storage_mold_risk';
+  configureLlmModule('3tier-group-storage', { system: 'Storage group system prompt', temperature: 0.2 });
+  await process3TierField('Testus', 'groupus', 'storage_hazards', { ...options, multiField: true });
+  const before = requests.length;
+  const result = await process3TierField('Testus', 'groupus', 'storage_mold_risk', { ...options, multiField: true });
+  // The repaired Tier 1 answer changes the group's Tier 2 prompt, so Tier 2 is asked again
+  const calls = requests.slice(before);
+  const repairs = calls.filter(request => request.messages.length === 3);
+  check(repairs.length === 3 && calls.length === 4, `missing field repaired on its own (${repairs.length} repairs, ${calls.length} calls)`);
+  check(repairs[0]?.messages[2].content.includes('for storage_mold_risk'), 'repair names the field');
+  check(result.merged.tier1.value === 'Low - repaired answer' && result.merged._meta.validation.passed, 'repaired answer used');
+  check(repairs.length > 0 && repairs.every(request => request.system === 'Storage group system prompt' && request.temperature === 0.2),
+    'repairs sent with the group\'s settings');
+  check(repairs.length > 0 && repairs.every(request => request.max_tokens === 1024),
+    `repairs answer one field, so max_tokens is not scaled (${repairs.map(request => request.max_tokens).join(', ')})`);
+  configureLlmModule('3tier-group-storage', { system: null, temperature: null });
+  leaveOut = null;
+  console.log('');
+}
+
+console.log('Test 4: Per-field calls\n');
+{
+  requests = [];
+  const result = await process3TierField('Testus', 'groupus', 'storage_safe_fridge', { ...options, multiField: false });
+  check(requests.length === 3 && requests.every(request => !promptText(request).includes('### Field:')), 'one call per tier for the field alone');
+  check(result.merged.tier1.value === 'Low - single answer' && !result.merged._meta.multiField, 'per-field answer');
+
+  requests = [];
+  await process3TierField('Testus', 'groupus', 'storage_safe_room_temperature', options);
+  check(requests.length === 3 && !promptText(requests[0]).includes('### Field:'), 'group off in config: per-field calls');
+  console.log('');
+}
+
+console.log('Test 5: Message Batches prefill\n');
+{
+  testCache.reset();
+  testCache.writeSources(SOURCES);
+  const server = await startBatchApiStubServer({ respond });
+  const client = new Anthropic({ apiKey: 'test', baseURL: server.baseURL });
+  const { prefill3TierBatches } = await import('../src/output/prefill-3tier-batches.js');
+  const species = [{ genus: 'Testus', species: 'groupus' }];
+  const summary = await prefill3TierBatches(species, {
+    fieldIds: READINESS_FIELDS, client, pollIntervalMs: 10, multiField: true, verbose: false
+  });
+  await server.close();
+  check(summary.submitted === 3 && summary.cached === 3, `one request per tier for the group (${summary.submitted})`);
+
+  requests = [];
+  const results = [];
+  for (const fieldId of READINESS_FIELDS) {
+    results.push(await process3TierField('Testus', 'groupus', fieldId, { ...options, multiField: true }));
+  }
+  check(requests.length === 0, `every field answered from the cache (${requests.length} calls)`);
+  check(results.every((result, index) => result.merged.tier2.value.endsWith(`${READINESS_FIELDS[index]} answer`)),
+    'each field has its own batched answer');
+  console.log('');
+}
+
+testCache.close();
+
+finishTest('Multi-Field');
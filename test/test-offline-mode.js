@@ -0,0 +1,123 @@
+/**
+ * Test script for offline (cache-only) mode
+ *
+ * Tests:
+ * 1. The offline flag and PIPELINE_OFFLINE env var
+ * 2. Cached data is still served (BONAP, iNaturalist, GBIF synonyms)
+ * 3. Cache misses throw NOT_CACHED instead of going to the network
+ * 4. Modules keep carried-forward URLs and mark their own columns
+ * 5. The pipeline writes "Not cached (offline)" into uncached columns and
+ *    lets the species past the botanical-name gate
+ *
+ * Global fetch is replaced with a stub that fails the test if called.
+ *
+ * Usage: node test/test-offline-mode.js
+ */
+
+import {
+  NOT_CACHED,
+  setOfflineMode,
+  isOfflineMode,
+  assertOnline,
+  isNotCachedError,
+  buildNotCachedColumnValues
+} from '../src/utils/offline-mode.js';
+import { check, finishTest } from './checks.js';
+
+let networkCalls = 0;
+
+async function expectNotCached(promiseFn) {
+  try {
+    await promiseFn();
+    return false;
+  } catch (error) {
+    return isNotCachedError(error);
+  }
+}
+
+globalThis.fetch = async (url) => {
+  networkCalls++;
+  throw new Error(`Unexpected network request: ${url}`);
+};
+
+// Module-level Anthropic clients need a key to construct; it is never used offline
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'offline-test';
+
+console.log('Test 1: Offline flag\n');
+{
+  delete process.env.PIPELINE_OFFLINE;
+  setOfflineMode(false);
+  check(!isOfflineMode(), 'off by default');
+  process.env.PIPELINE_OFFLINE = '1';
+  check(isOfflineMode(), 'PIPELINE_OFFLINE=1 turns it on');
+  delete process.env.PIPELINE_OFFLINE;
+  setOfflineMode(true);
+  check(isOfflineMode(), 'setOfflineMode(true) turns it on');
+  check(await expectNotCached(async () => assertOnline('test', 'x')), 'assertOnline throws NOT_CACHED');
+
+  const values = buildNotCachedColumnValues([{ id: 'a' }, 'b'], { b: { kept: true } });
+  check(values.a === NOT_CACHED && values.b.kept === true, 'buildNotCachedColumnValues marks columns and keeps overrides');
+  console.log('');
+}
+
+const { getBONAPMapUrl } = await import('../src/utils/bonap-client.js');
+const { getTaxaData } = await import('../src/utils/inaturalist-client.js');
+const { matchSpecies } = await import('../src/utils/gbif-client.js');
+const { fetchWithCache } = await import('../src/utils/html-cache.js');
+const { refreshParsedPdfCache } = await import('../src/utils/drive-pdf-sync.js');
+
+console.log('Test 2: Cached data is served\n');
+{
+  const url = await getBONAPMapUrl('Acer', 'rubrum');
+  check(typeof url === 'string' && url.includes('bonap.net'), `BONAP cache hit (${url})`);
+
+  const taxa = await getTaxaData('Acer', 'rubrum');
+  check(taxa && taxa.found !== undefined, 'iNaturalist taxa cache hit');
+
+  const sync = await refreshParsedPdfCache({ verbose: false });
+  check(sync.offline === true && sync.downloaded === 0, `Drive sync skipped, ${sync.total} cached files kept`);
+  console.log('');
+}
+
+console.log('Test 3: Cache misses are NOT_CACHED\n');
+{
+  check(await expectNotCached(() => getBONAPMapUrl('Nonexistus', 'offlinei')), 'BONAP miss');
+  check(await expectNotCached(() => getTaxaData('Nonexistus', 'offlinei')), 'iNaturalist miss');
+  check(await expectNotCached(() => matchSpecies('Nonexistus', 'offlinei')), 'GBIF request');
+  check(await expectNotCached(() => fetchWithCache('https://example.invalid/offline-test')), 'HTML cache miss');
+  console.log('');
+}
+
+console.log('Test 4: Module results\n');
+{
+  const inaturalist = await import('../src/synthesis/process-inaturalist.js');
+  const prior = {
+    'external-reference-urls': { columnValues: { externalReferenceUrls: { 'Example': 'https://example.org' } } }
+  };
+  const result = await inaturalist.run('Nonexistus', 'offlinei', prior);
+  check(result.columnValues.wikipediaSummary === NOT_CACHED, 'iNaturalist columns marked not cached');
+  check(result.columnValues.externalReferenceUrls.Example === 'https://example.org', 'prior URLs carried forward');
+
+  const previous = await import('../src/synthesis/process-previous-botanical.js');
+  const cached = await previous.run('Acer', 'rubrum', {});
+  check(typeof cached.columnValues.previouslyKnownAs === 'string' && cached.columnValues.previouslyKnownAs !== NOT_CACHED,
+    'previous-botanical served from GBIF cache');
+  console.log('');
+}
+
+console.log('Test 5: Pipeline row\n');
+{
+  const { getPlantRecord, buildPlantValues } = await import('../src/output/plant-pipeline.js');
+  const record = await getPlantRecord('Nonexistus', 'offlinei', { moduleIds: ['bonap-range-map', 'previous-botanical'] });
+  check(record !== null, 'species passes the botanical-name gate offline');
+
+  const values = buildPlantValues(record);
+  const bonapHeader = Object.keys(values).find(header => /BONAP/i.test(header));
+  check(values.Family === NOT_CACHED, 'botanical-name columns marked not cached');
+  check(bonapHeader && values[bonapHeader] === NOT_CACHED, `${bonapHeader} marked not cached`);
+  console.log('');
+}
+
+check(networkCalls === 0, `no network requests made (${networkCalls})`);
+
+finishTest('Offline Mode');
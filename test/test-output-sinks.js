@@ -0,0 +1,160 @@
+/**
+ * Test script for the local output sinks (CSV, JSONL, XLSX, SQLite)
+ *
+ * Tests, for every local sink type:
+ * 1. Opening creates Plant Data, Column Sources and Prompts
+ * 2. Appended rows survive reopening (existing species are reported)
+ * 3. Full and column-only updates overwrite the matching row
+ * 4. Reopening with new headers migrates existing rows
+ * Plus: a combined sink only appends species each output is missing
+ *
+ * Runs entirely in a temp directory - no Google or API access needed.
+ *
+ * Usage: node test/test-output-sinks.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createOutputSink, createOutputSinks } from '../src/output/sinks/index.js';
+import { parseCsv, formatCsv } from '../src/output/sinks/csv-sink.js';
+import { check, finishTest } from './checks.js';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'output-sinks-test-'));
+
+const content = {
+  headers: ['Genus', 'Species', 'Family', 'Notes', 'Processing Duration'],
+  columnSources: [
+    ['Column', 'Source Module', 'Data Source', 'Algorithm Description', 'Field Prompt'],
+    ['Genus', 'Pipeline Core', 'Input Parameter', 'The genus.', '']
+  ],
+  prompts: [
+    ['Prompt Type', 'Content'],
+    ['Base Prompt', 'Line one\nLine "two", with comma']
+  ]
+};
+
+const acer = {
+  'Genus': 'Acer', 'Species': 'rubrum', 'Family': 'Sapindaceae',
+  'Notes': '{\n  "wet": true\n}', 'Processing Duration': '0h 1m 0s'
+};
+const quercus = {
+  'Genus': 'Quercus', 'Species': 'alba', 'Family': 'Fagaceae',
+  'Notes': 'Dry, upland', 'Processing Duration': '0h 2m 0s'
+};
+
+/**
+ * Reopen an output with a fresh sink
+ * @returns {Promise<Object>} Result of open(): { location, existingKeys }
+ */
+async function reopen(type, name, headers = content.headers) {
+  const sink = createOutputSink(type, { name, directory });
+  const result = await sink.open({ ...content, headers });
+  await sink.close();
+  return result;
+}
+
+console.log('Test 0: CSV round trip\n');
+{
+  const rows = [['a', 'b,c', 'multi\nline "quoted"'], ['', '1', 'x']];
+  const parsed = parseCsv(formatCsv(rows));
+  check(JSON.stringify(parsed) === JSON.stringify(rows), 'quoted, multi-line and empty fields survive');
+  console.log('');
+}
+
+for (const type of ['csv', 'jsonl', 'xlsx', 'sqlite']) {
+  const name = `Test_${type}`;
+  console.log(`Test: ${type} sink\n`);
+
+  const sink = createOutputSink(type, { name, directory });
+  const opened = await sink.open(content);
+  check(opened.existingKeys.size === 0, 'new output has no species');
+  check(fs.existsSync(sink.location), `created ${path.relative(directory, sink.location)}`);
+
+  const appended = await sink.writeRow(acer);
+  await sink.writeRow(quercus);
+  await sink.close();
+  check(appended.appended === 1, 'append reports one appended row');
+
+  const afterAppend = await reopen(type, name);
+  check(afterAppend.existingKeys.has('acer rubrum') && afterAppend.existingKeys.has('quercus alba'),
+    `reopened output lists both species (${[...afterAppend.existingKeys].join(', ')})`);
+
+  const updater = createOutputSink(type, { name, directory });
+  await updater.open(content);
+  const partial = await updater.writeRow(
+    { ...acer, Family: 'Aceraceae', Notes: 'should not be written', 'Processing Duration': '0h 3m 0s' },
+    { update: true, headers: ['Family', 'Processing Duration'] }
+  );
+  const missing = await updater.writeRow(
+    { Genus: 'Carya', Species: 'ovata', Family: 'Juglandaceae' },
+    { update: true, headers: ['Family'] }
+  );
+  const full = await updater.writeRow({ ...quercus, Notes: 'Updated' }, { update: true });
+  await updater.close();
+  check(partial.updated === 1 && missing.missing === 1 && full.updated === 1,
+    'partial update, missing species and full update counted');
+
+  // Adding a column migrates existing rows in place
+  const widened = [...content.headers.slice(0, 3), 'Habitat', ...content.headers.slice(3)];
+  const migrated = await reopen(type, name, widened);
+  check(migrated.existingKeys.size === 2, 'migration keeps both species (no duplicate rows)');
+
+  const reader = createOutputSink(type, { name, directory });
+  await reader.open({ ...content, headers: widened });
+  const probe = await reader.writeRow({ Genus: 'Zizia', Species: 'aurea' });
+  await reader.close();
+  check(probe.appended === 1, 'append after migration works');
+
+  console.log('');
+}
+
+console.log('Test: stored values\n');
+{
+  const csvText = fs.readFileSync(path.join(directory, 'Test_csv', 'plant-data.csv'), 'utf-8');
+  const [headers, ...rows] = parseCsv(csvText);
+  const acerRow = rows.find(row => row[0] === 'Acer');
+  const quercusRow = rows.find(row => row[0] === 'Quercus');
+  check(headers.join('|') === 'Genus|Species|Family|Habitat|Notes|Processing Duration', `CSV headers migrated: ${headers.join(', ')}`);
+  check(acerRow[2] === 'Aceraceae' && acerRow[4] === '{\n  "wet": true\n}' && acerRow[5] === '0h 3m 0s',
+    'CSV partial update wrote only the selected columns');
+  check(quercusRow[4] === 'Updated', 'CSV full update overwrote Notes');
+
+  const jsonlLines = fs.readFileSync(path.join(directory, 'Test_jsonl', 'plant-data.jsonl'), 'utf-8').trim().split('\n');
+  const jsonlAcer = JSON.parse(jsonlLines[0]);
+  check(jsonlAcer.Family === 'Aceraceae' && 'Habitat' in jsonlAcer, 'JSONL row updated and migrated');
+
+  const promptsCsv = parseCsv(fs.readFileSync(path.join(directory, 'Test_csv', 'prompts.csv'), 'utf-8'));
+  check(promptsCsv[1][1] === content.prompts[1][1], 'Prompts tab content preserved');
+
+  const sqlite = createOutputSink('sqlite', { name: 'Test_sqlite', directory });
+  const { existingKeys } = await sqlite.open({ ...content, headers: ['Genus', 'Species', 'Family', 'Habitat', 'Notes', 'Processing Duration'] });
+  await sqlite.close();
+  check(existingKeys.has('zizia aurea'), 'SQLite rows persisted to disk');
+  console.log('');
+}
+
+console.log('Test: combined sinks\n');
+{
+  // csv already has Acer; jsonl output is new
+  const first = createOutputSink('csv', { name: 'Combined', directory });
+  await first.open(content);
+  await first.writeRow(acer);
+  await first.close();
+
+  const combined = createOutputSinks(['csv', 'jsonl'], { name: 'Combined', directory });
+  const { existingKeys } = await combined.open(content);
+  check(!existingKeys.has('acer rubrum'), 'species only counts as existing when every output has it');
+  await combined.writeRow(acer);
+  await combined.close();
+
+  const csvRows = parseCsv(fs.readFileSync(path.join(directory, 'Combined', 'plant-data.csv'), 'utf-8'));
+  const jsonlRows = fs.readFileSync(path.join(directory, 'Combined', 'plant-data.jsonl'), 'utf-8').trim().split('\n');
+  check(csvRows.length === 2, 'CSV not duplicated');
+  check(jsonlRows.length === 1, 'JSONL caught up');
+  console.log('');
+}
+
+fs.rmSync(directory, { recursive: true, force: true });
+
+finishTest('Output Sinks');
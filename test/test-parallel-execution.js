@@ -0,0 +1,84 @@
+/**
+ * Test script for parallel module execution in getPlantRecord
+ *
+ * Tests:
+ * 1. A record built with parallelExecution matches the sequential record
+ * 2. Modules writing the same column keep their sequential order, so the
+ *    Michigan Flora URL survives into iNaturalist's External Reference URLs
+ *
+ * Runs offline against a temporary cache root holding copies of the cached
+ * files for Acer saccharum, so nothing is fetched and cache/ is not written.
+ *
+ * Usage: node test/test-parallel-execution.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { configureCache } from '../src/utils/cache-store.js';
+import { setOfflineMode } from '../src/utils/offline-mode.js';
+import { check, finishTest } from './checks.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const CACHE_DIR = path.join(__dirname, '../cache');
+const TAXON_KEY = 'Acer_saccharum';
+
+/**
+ * Copy every cached file for the species into a new temporary cache root
+ * @returns {string} Temporary root directory
+ */
+function copySpeciesCache() {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parallel-execution-'));
+  const copyDir = (relativeDir) => {
+    for (const entry of fs.readdirSync(path.join(CACHE_DIR, relativeDir), { withFileTypes: true })) {
+      const relativePath = path.join(relativeDir, entry.name);
+      if (entry.isDirectory()) {
+        copyDir(relativePath);
+      } else if (entry.name.startsWith(`${TAXON_KEY}_`)) {
+        fs.mkdirSync(path.join(rootDir, relativeDir), { recursive: true });
+        fs.copyFileSync(path.join(CACHE_DIR, relativePath), path.join(rootDir, relativePath));
+      }
+    }
+  };
+  copyDir('');
+  return rootDir;
+}
+
+globalThis.fetch = async (url) => {
+  throw new Error(`Unexpected network request: ${url}`);
+};
+
+// Module-level Anthropic clients need a key to construct; it is never used offline
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'parallel-test';
+setOfflineMode(true);
+
+const rootDir = copySpeciesCache();
+configureCache({ rootDir });
+
+const { getPlantRecord, buildPlantValues } = await import('../src/output/plant-pipeline.js');
+const moduleIds = ['inaturalist-observations', 'bonap-range-map', 'previous-botanical'];
+
+console.log('Test 1: Parallel record matches sequential record\n');
+{
+  const sequential = await getPlantRecord('Acer', 'saccharum', { moduleIds, parallelExecution: false });
+  const parallel = await getPlantRecord('Acer', 'saccharum', { moduleIds, parallelExecution: true });
+  check(sequential !== null && parallel !== null, 'both runs pass the botanical-name gate');
+  check(JSON.stringify(Object.keys(parallel.moduleResults)) === JSON.stringify(Object.keys(sequential.moduleResults)),
+    'module results keyed in the same order');
+  check(JSON.stringify(buildPlantValues(parallel)) === JSON.stringify(buildPlantValues(sequential)),
+    'row values identical');
+
+  console.log('');
+  console.log('Test 2: Shared columns keep the sequential writer order\n');
+  const urls = JSON.parse(buildPlantValues(parallel)['External Reference URLs']);
+  check(typeof urls['Michigan Flora'] === 'string', 'Michigan Flora URL kept');
+  check(typeof urls.Wikipedia === 'string', 'Wikipedia URL added by iNaturalist');
+  console.log('');
+}
+
+configureCache(null);
+fs.rmSync(rootDir, { recursive: true, force: true });
+
+finishTest('Parallel Execution');
@@ -0,0 +1,106 @@
+/**
+ * Test script for prompt caching of the shared 3-tier prompt prefix
+ *
+ * Tests:
+ * 1. Tier 1 prompts for two fields of a species share an identical prefix
+ *    (base prompt, tier guidance, species, sources) sent with a cache breakpoint;
+ *    only the field suffix differs
+ * 2. Tier 2 keeps the per-field Tier 1 answer out of the shared prefix
+ * 3. The usage summary reports what cache reads saved
+ *
+ * The Anthropic API is replaced with a stub that reports a cache write for the
+ * first call and cache reads after it. Michigan Flora and page content sources
+ * for a made-up species are written to a temporary cache root.
+ *
+ * Usage: node test/test-prompt-caching.js
+ */
+
+import { useTestCache } from './species-fixtures.js';
+import {
+  setLlmUsageLogFile,
+  resetLlmUsage,
+  getLlmUsageSummary,
+  formatLlmUsageSummary,
+  estimateLlmCacheSavings
+} from '../src/utils/llm-usage.js';
+import { check, finishTest } from './checks.js';
+
+const requests = [];
+
+globalThis.fetch = async (url, init) => {
+  const body = JSON.parse(init.body);
+  requests.push(body);
+  const usage = requests.length === 1
+    ? { input_tokens: 50, output_tokens: 20, cache_creation_input_tokens: 2000, cache_read_input_tokens: 0 }
+    : { input_tokens: 50, output_tokens: 20, cache_creation_input_tokens: 0, cache_read_input_tokens: 2000 };
+  return new Response(JSON.stringify({
+    id: `msg_test_${requests.length}`,
+    type: 'message',
+    role: 'assistant',
+    model: body.model,
+    content: [{ type: 'text', text: '{"value": "Moderate - from the sources", "attribution": "Michigan Flora"}' }],
+    stop_reason: 'end_turn',
+    usage
+  }), { status: 200, headers: { 'content-type': 'application/json' } });
+};
+
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'prompt-caching-test';
+setLlmUsageLogFile(null);
+resetLlmUsage();
+
+const blocksFor = (tier) => requests
+  .map(request => request.messages[0].content)
+  .filter(blocks => blocks[0].text.includes(`## Tier ${tier} ${tier === 1 ? 'Source' : 'Additional Source'} Data`));
+
+const testCache = useTestCache('Testus', 'cachus');
+testCache.writeSources({
+  miflora: { habitat: 'Wet meadows and fens.' },
+  page: { text: 'Seeds ripen in late September.' }
+});
+
+const { process3TierField } = await import('../src/synthesis/process-3tier-field.js');
+const options = { verbose: false, skipSync: true };
+const ease = await process3TierField('Testus', 'cachus', 'collection_ease', options);
+await process3TierField('Testus', 'cachus', 'processing_difficulty', options);
+
+console.log('Test 1: Shared Tier 1 prefix\n');
+{
+  const [first, second] = blocksFor(1);
+  check(first?.length === 2 && first[0].cache_control?.type === 'ephemeral' && !first[1].cache_control,
+    'prefix block carries the cache breakpoint');
+  check(first && second && first[0].text === second[0].text, 'prefix identical across fields');
+  check(first && second && first[1].text !== second[1].text && first[1].text.startsWith('## Field-Specific Guidance'),
+    'field guidance is in the suffix');
+  check(first?.[0].text.includes('Wet meadows and fens.'), 'sources are in the prefix');
+  check(ease.prompts.tier1 === first?.[0].text + first?.[1].text, 'stored prompt is prefix + suffix');
+  console.log('');
+}
+
+console.log('Test 2: Tier 2 prefix leaves out the Tier 1 answer\n');
+{
+  const [first, second] = blocksFor(2);
+  check(first && second && first[0].text === second[0].text, 'Tier 2 prefix identical across fields');
+  check(first && !first[0].text.includes('from the sources') && first[1].text.includes('## Tier 1 Response (for reference)') &&
+    first[1].text.includes('from the sources'), 'Tier 1 answer only in the suffix');
+  console.log('');
+}
+
+console.log('Test 3: Cache savings in the usage summary\n');
+{
+  // Sonnet 4 prices: input $3, cache write $3.75, cache read $0.30 per million tokens
+  const usage = { input_tokens: 50, output_tokens: 20, cache_read_input_tokens: 1000000 };
+  check(Math.abs(estimateLlmCacheSavings('claude-sonnet-4-20250514', usage) - 2.7) < 1e-9, 'cache read saves input minus read price');
+  const write = { cache_creation_input_tokens: 1000000 };
+  check(Math.abs(estimateLlmCacheSavings('claude-sonnet-4-20250514', write) + 0.75) < 1e-9, 'cache write costs the write premium');
+
+  const summary = getLlmUsageSummary();
+  const expected = (summary.cacheReadInputTokens * 2.7 - summary.cacheCreationInputTokens * 0.75) / 1e6;
+  check(summary.cacheReadInputTokens > 0 && Math.abs(summary.cacheSavingsUsd - expected) < 1e-9,
+    `run savings totalled ($${summary.cacheSavingsUsd.toFixed(4)})`);
+  check(formatLlmUsageSummary().includes('Prompt cache savings: $'), 'summary reports prompt cache savings');
+  console.log('');
+}
+
+testCache.close();
+
+finishTest('Prompt Caching');
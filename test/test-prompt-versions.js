@@ -0,0 +1,126 @@
+/**
+ * Test script for prompt versions and the Prompt History report
+ *
+ * Tests:
+ * 1. Version front-matter is parsed and kept out of the prompt text; the
+ *    content hash covers only what is sent
+ * 2. A 3-tier field's _meta records the prompt versions and models it was
+ *    generated with
+ * 3. The Prompt History table marks rows current, outdated (a prompt changed)
+ *    or not recorded, and lists the species to regenerate
+ * 4. The Prompts and Column Sources tabs show prompt versions
+ *
+ * The Anthropic API is replaced with a stub. A Michigan Flora source for a
+ * made-up species is written to a temporary cache root.
+ *
+ * Usage: node test/test-prompt-versions.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { useTestCache } from './species-fixtures.js';
+import { setLlmUsageLogFile } from '../src/utils/llm-usage.js';
+import { check, finishTest } from './checks.js';
+
+let requests = [];
+
+globalThis.fetch = async (url, init) => {
+  const body = JSON.parse(init.body);
+  requests.push(body);
+  return new Response(JSON.stringify({
+    id: `msg_test_${requests.length}`,
+    type: 'message',
+    role: 'assistant',
+    model: body.model,
+    content: [{ type: 'text', text: '{"value": "Low", "attribution": "Michigan Flora"}' }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 100, output_tokens: 20 }
+  }), { status: 200, headers: { 'content-type': 'application/json' } });
+};
+
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'prompt-versions-test';
+setLlmUsageLogFile(null);
+
+const testCache = useTestCache('Testus', 'versionus');
+testCache.writeSources({ miflora: { habitat: 'Wet meadows and fens.' } });
+
+const {
+  parsePromptFile,
+  hashPromptContent,
+  readPromptContent,
+  readPromptVersion,
+  buildPromptHistory
+} = await import('../src/utils/prompt-versions.js');
+const { process3TierField } = await import('../src/synthesis/process-3tier-field.js');
+
+console.log('Test 1: Front-matter\n');
+{
+  const parsed = parsePromptFile('---\nversion: "2.1.0"\nowner: seeds\n---\n# Prompt\n\nText\n');
+  check(parsed.version === '2.1.0' && parsed.content === '# Prompt\n\nText\n', 'version read and front-matter removed');
+  check(parsePromptFile('# Prompt\n').version === null && parsePromptFile('# Prompt\n').content === '# Prompt\n', 'file without front-matter unchanged');
+  check(hashPromptContent(parsed.content) === hashPromptContent('# Prompt\n\nText\n'), 'hash covers the content only');
+
+  const base = readPromptVersion('tiered_base_prompt.md');
+  check(base?.version === '1.0.0' && base.hash === hashPromptContent(readPromptContent('tiered_base_prompt.md')), `base prompt version (${base?.version})`);
+  check(readPromptVersion('storage_mold_risk.md')?.version === null, 'field prompt without front-matter has a hash only');
+  console.log('');
+}
+
+console.log('Test 2: Versions in _meta\n');
+let merged;
+{
+  const result = await process3TierField('Testus', 'versionus', 'storage_mold_risk', { verbose: false, skipSync: true });
+  merged = result.merged;
+  const { prompts, models } = merged._meta;
+  check(requests.length > 0 && requests.every(request => !request.messages[0].content[0].text.startsWith('---')),
+    'front-matter not sent to Claude');
+  check(prompts.base?.version === '1.0.0' && prompts.field?.hash === readPromptVersion('storage_mold_risk.md').hash,
+    'base and field prompt versions recorded');
+  check(Object.keys(models).every(tier => prompts[tier]) && models.tier3 === requests.at(-1).model,
+    `models recorded for the tiers asked (${Object.keys(models).join(', ')})`);
+  console.log('');
+}
+
+console.log('Test 3: Prompt History\n');
+{
+  const cell = JSON.stringify(merged, null, 2);
+  const unrecorded = JSON.stringify({ ...merged, _meta: { ...merged._meta, prompts: undefined } });
+  const rows = [
+    { Genus: 'Testus', Species: 'versionus', 'Mold Risk Notes': cell, 'Native Status': 'Native' },
+    { Genus: 'Testus', Species: 'olderus', 'Mold Risk Notes': unrecorded }
+  ];
+
+  const current = buildPromptHistory(rows);
+  check(current.table.length === 3 && current.table[1][6] === 'current', 'freshly generated row is current');
+  check(current.table[2][6] === 'not recorded' && current.outdatedSpecies.length === 1 && current.outdatedSpecies[0].species === 'olderus',
+    'row without versions listed for regeneration');
+
+  const promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-versions-test-'));
+  fs.writeFileSync(path.join(promptsDir, 'storage_mold_risk.md'), '---\nversion: 1.1.0\n---\n# Mold Risk Notes\n\nChanged guidance.\n');
+  const changed = buildPromptHistory(rows, { promptsDir });
+  check(changed.table[1][6] === 'outdated' && /^field: \w+ -> 1\.1\.0 \(\w+\)$/.test(changed.table[1][7]),
+    `changed field prompt marks the row outdated (${changed.table[1][7]})`);
+  check(changed.outdatedSpecies.map(entry => entry.species).join(',') === 'versionus,olderus', 'both species to regenerate');
+  fs.rmSync(promptsDir, { recursive: true, force: true });
+  console.log('');
+}
+
+console.log('Test 4: Documentation tabs\n');
+{
+  const { buildPromptsTabContent, buildColumnSourceDocumentation } = await import('../src/output/plant-pipeline.js');
+  const prompts = buildPromptsTabContent();
+  check(prompts[0].join('|') === 'Prompt Type|Version|Content Hash|Content', 'Prompts tab has version columns');
+  check(prompts[1][1] === '1.0.0' && !prompts[1][3].startsWith('---'), 'base prompt version shown, front-matter not');
+
+  const module = {
+    metadata: { id: '3tier-storage_mold_risk', name: '3-Tier: Mold Risk Notes', columns: [{ id: 'storage_mold_risk', header: 'Mold Risk Notes' }] }
+  };
+  const columnSources = buildColumnSourceDocumentation([module]);
+  check(columnSources[3][5] === readPromptVersion('storage_mold_risk.md').hash, 'Column Sources shows the field prompt version');
+  console.log('');
+}
+
+testCache.close();
+
+finishTest('Prompt Versions');
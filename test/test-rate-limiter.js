@@ -0,0 +1,66 @@
+/**
+ * Test script for the shared per-provider rate limiter
+ *
+ * Tests:
+ * 1. Request starts are spaced by requestsPerMinute
+ * 2. maxConcurrent caps in-flight requests
+ * 3. Errors propagate to the caller without stalling the queue
+ *
+ * Usage: node test/test-rate-limiter.js
+ */
+
+import { withRateLimit, configureRateLimit } from '../src/utils/rate-limiter.js';
+import { check, finishTest } from './checks.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testSpacing() {
+  console.log('Test 1: Request spacing (600 req/min = 100ms apart)\n');
+  configureRateLimit('test-spacing', { requestsPerMinute: 600 });
+
+  const starts = [];
+  await Promise.all([1, 2, 3, 4].map(() => withRateLimit('test-spacing', async () => {
+    starts.push(Date.now());
+  })));
+
+  const gaps = starts.slice(1).map((t, i) => t - starts[i]);
+  check(gaps.every(gap => gap >= 95), `gaps between starts: ${gaps.join(', ')}ms`);
+  console.log('');
+}
+
+async function testConcurrency() {
+  console.log('Test 2: Concurrency cap (maxConcurrent = 2)\n');
+  configureRateLimit('test-concurrency', { maxConcurrent: 2 });
+
+  let active = 0;
+  let peak = 0;
+  await Promise.all([1, 2, 3, 4, 5, 6].map(() => withRateLimit('test-concurrency', async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await sleep(30);
+    active--;
+  })));
+
+  check(peak === 2, `peak in-flight requests: ${peak}`);
+  console.log('');
+}
+
+async function testErrors() {
+  console.log('Test 3: Errors propagate and the queue keeps draining\n');
+  configureRateLimit('test-errors', { maxConcurrent: 1 });
+
+  const outcomes = await Promise.allSettled([
+    withRateLimit('test-errors', async () => { throw new Error('boom'); }),
+    withRateLimit('test-errors', async () => 'ok')
+  ]);
+
+  check(outcomes[0].status === 'rejected' && outcomes[0].reason.message === 'boom', 'first call rejected with its own error');
+  check(outcomes[1].status === 'fulfilled' && outcomes[1].value === 'ok', 'second call still ran');
+  console.log('');
+}
+
+await testSpacing();
+await testConcurrency();
+await testErrors();
+
+finishTest('Rate Limiter');
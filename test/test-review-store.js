@@ -0,0 +1,144 @@
+/**
+ * Test script for the review store (human overrides of synthesized values)
+ *
+ * Tests:
+ * 1. Review rows are imported by species and field; later rows replace earlier
+ *    overrides and incomplete or unknown rows are skipped
+ * 2. Overrides are applied at row assembly: 3-tier cells keep their tiers and
+ *    gain a "review" block, other cells are replaced
+ * 3. Reviewed fields are left out of the Needs Review column
+ * 4. With useAsTier1Source on, a species' overrides are a Tier 1 source
+ * 5. The store is read once per file, and spelling variants of a name share
+ *    its overrides through the taxon key
+ *
+ * Uses a temporary store file; no API calls are made.
+ *
+ * Usage: node test/test-review-store.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { check, finishTest } from './checks.js';
+
+// Module-level Anthropic clients need a key to construct; it is never used here
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'review-store-test';
+
+const {
+  configureReviewStore,
+  importReviewRows,
+  loadReviewOverrides,
+  getSpeciesOverrides,
+  applyReviewOverride,
+  getReviewTier1Source
+} = await import('../src/utils/review-store.js');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'review-store-test-'));
+configureReviewStore({ file: path.join(directory, 'review-overrides.json'), useAsTier1Source: false });
+
+const headers = { 'Seed Color at Maturity': 'collection_mature_seed_color' };
+const resolveField = (field) => headers[field] || (field.includes('_') ? field : null);
+
+console.log('Test 1: Importing review rows\n');
+{
+  const first = importReviewRows([
+    { Genus: 'Asclepias', Species: 'syriaca', Field: 'storage_mold_risk', Value: 'Low - dry pods store well', Reviewer: 'JS', Date: '2026-10-01', Note: 'Field experience' },
+    { Genus: 'Asclepias', Species: 'syriaca', Field: 'Seed Color at Maturity', Value: 'Brown', Reviewer: 'JS', Date: '2026-10-01', Note: '' },
+    { Genus: 'Asclepias', Species: 'syriaca', Field: 'Not A Column', Value: 'x' },
+    { Genus: 'Asclepias', Species: '', Field: 'storage_mold_risk', Value: 'x' },
+    { Genus: '', Species: '', Field: '', Value: '' }
+  ], { resolveField });
+  check(first.added === 2 && loadReviewOverrides().length === 2, `2 overrides added (${first.added})`);
+  check(getSpeciesOverrides('asclepias', 'Syriaca').collection_mature_seed_color?.value === 'Brown', 'header resolved to column id');
+  check(first.skipped.length === 2 && first.skipped[0].row === 4 && /unknown field/.test(first.skipped[0].reason),
+    'unknown field and incomplete rows skipped (blank rows ignored)');
+
+  const second = importReviewRows([
+    { genus: 'Asclepias', species: 'syriaca', field: 'storage_mold_risk', value: 'Moderate - pods mold if damp', reviewer: 'KL', date: '2026-10-12', note: 'Corrected' },
+    { Genus: 'Asclepias', Species: 'syriaca', Field: 'Seed Color at Maturity', Value: 'Brown', Reviewer: 'JS', Date: '2026-10-01', Note: '' }
+  ], { resolveField });
+  const moldRisk = getSpeciesOverrides('Asclepias', 'syriaca').storage_mold_risk;
+  check(second.updated === 1 && second.unchanged === 1 && moldRisk.reviewer === 'KL' && moldRisk.reviewedAt === '2026-10-12',
+    'later row replaces the override, identical row unchanged');
+
+  const dryRun = importReviewRows([{ Genus: 'Carex', Species: 'lacustris', Field: 'storage_mold_risk', Value: 'Low' }], { resolveField, dryRun: true });
+  check(dryRun.added === 1 && loadReviewOverrides().length === 2, 'dry run leaves the store unchanged');
+  console.log('');
+}
+
+console.log('Test 2: Overrides at row assembly\n');
+{
+  const merged = { _meta: { fieldId: 'storage_mold_risk' }, tier1: { value: 'Low', attribution: 'x' }, consensus: { value: 'Low', status: 'agree' } };
+  const override = getSpeciesOverrides('Asclepias', 'syriaca').storage_mold_risk;
+  const applied = JSON.parse(applyReviewOverride(JSON.stringify(merged), override));
+  check(Object.keys(applied)[0] === 'review' && applied.review.value === 'Moderate - pods mold if damp' && applied.review.note === 'Corrected',
+    '3-tier cell gets a leading review block');
+  check(applied.tier1.value === 'Low' && applied.consensus.value === 'Low', 'tiers and consensus kept for reference');
+  check(applyReviewOverride('Green', { value: 'Brown' }) === 'Brown', 'plain cell replaced');
+
+  const { buildPlantRow, PLANT_COLUMNS } = await import('../src/output/plant-pipeline.js');
+  const record = {
+    genus: 'Asclepias',
+    species: 'syriaca',
+    moduleResults: {
+      '3tier-storage_mold_risk': { columnValues: { storage_mold_risk: JSON.stringify(merged, null, 2) } },
+      '3tier-collection_ease': { columnValues: { collection_ease: 'unreviewed' } }
+    },
+    reviewOverrides: getSpeciesOverrides('Asclepias', 'syriaca')
+  };
+  const row = buildPlantRow(record);
+  const cellFor = (columnId) => row[PLANT_COLUMNS.HEADERS.indexOf(PLANT_COLUMNS.COLUMN_REGISTRY.get(columnId).header)];
+  check(JSON.parse(cellFor('storage_mold_risk')).review.reviewer === 'KL', 'reviewed 3-tier column carries the review');
+  check(cellFor('collection_mature_seed_color') === 'Brown', 'reviewed column without a result shows the override');
+  check(cellFor('collection_ease') === 'unreviewed', 'other columns unchanged');
+  console.log('');
+}
+
+console.log('Test 3: Needs Review\n');
+{
+  const review = await import('../src/synthesis/process-3tier-review.js');
+  const conflict = { _3tierData: { merged: { consensus: { needsReview: true } } } };
+  const priorResults = { '3tier-storage_mold_risk': conflict, '3tier-storage_hazards': conflict };
+  const { columnValues } = await review.run('Asclepias', 'syriaca', priorResults);
+  check(columnValues.needsReview === 'Other Storage Hazards / Warnings', `reviewed field not flagged (${columnValues.needsReview})`);
+  console.log('');
+}
+
+console.log('Test 4: Overrides as a Tier 1 source\n');
+{
+  check(getReviewTier1Source('Asclepias', 'syriaca') === null, 'off by default');
+  configureReviewStore({ useAsTier1Source: true });
+  const source = getReviewTier1Source('Asclepias', 'syriaca');
+  check(source?.source === 'Seeds to Community documentation' && source.content.storage_mold_risk.value === 'Moderate - pods mold if damp',
+    'overrides listed as Seeds to Community documentation');
+  check(getReviewTier1Source('Carex', 'lacustris') === null, 'species without overrides adds no source');
+
+  const { prepareTierRequests } = await import('../src/synthesis/process-3tier-field.js');
+  const [tier1] = prepareTierRequests('Asclepias', 'syriaca', 'storage_hazards', { tiers: [1], forceRefresh: true });
+  check(tier1?.prompt.includes('--- Source: Seeds to Community documentation') && tier1.sourceFiles.includes('Asclepias_syriaca_reviews.json'),
+    'Tier 1 prompt includes the reviews');
+  console.log('');
+}
+
+console.log('Test 5: Store caching and taxon keys\n');
+{
+  const storeFile = path.join(directory, 'review-overrides.json');
+  const before = loadReviewOverrides();
+  fs.writeFileSync(storeFile, JSON.stringify({ overrides: [] }));
+  check(loadReviewOverrides() === before && before.length === 2, 'store read once per file');
+
+  importReviewRows([{ Genus: 'Carex', Species: 'pensylvanica', Field: 'storage_mold_risk', Value: 'Low' }], { resolveField });
+  check(loadReviewOverrides().length === 3, 'saving the store refreshes the cached copy');
+
+  const { recordTaxon } = await import('../src/utils/taxon-identity.js');
+  recordTaxon('Carex', 'pennsylvanica', { accepted: { genus: 'Carex', species: 'pensylvanica' }, source: 'test' }, { persist: false });
+  check(getSpeciesOverrides('Carex', 'pennsylvanica').storage_mold_risk?.value === 'Low', 'spelling variant finds the override');
+  check(getReviewTier1Source('Carex', 'pennsylvanica')?.fileName === 'Carex_pensylvanica_reviews.json',
+    'Tier 1 source named by the taxon key');
+  console.log('');
+}
+
+configureReviewStore(null);
+fs.rmSync(directory, { recursive: true, force: true });
+
+finishTest('Review Store');
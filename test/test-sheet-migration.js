@@ -0,0 +1,114 @@
+/**
+ * Test script for Plant Data sheet schema migration planning
+ *
+ * Tests:
+ * 1. Matching headers need no migration
+ * 2. New registry columns are inserted and existing data stays aligned
+ * 3. Removed columns are retired to the end with their data
+ * 4. Retired columns that come back are restored
+ * 5. Migrating a sheet keeps numeric cells numeric
+ *
+ * Usage: node test/test-sheet-migration.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { planSheetMigration, applyMigrationToRows, formatMigrationReport, migratePlantDataSheet } from '../src/output/sheet-migration.js';
+import { configureCache } from '../src/utils/cache-store.js';
+import { check, finishTest } from './checks.js';
+
+console.log('Test 1: Matching headers\n');
+{
+  const plan = planSheetMigration(['Genus', 'Species', 'Family'], ['Genus', 'Species', 'Family']);
+  check(!plan.needed, 'no migration needed');
+  console.log('');
+}
+
+console.log('Test 2: Insert and reorder\n');
+{
+  const current = ['Genus', 'Species', 'Family', 'Processing Duration'];
+  const expected = ['Genus', 'Species', 'Family', 'Common Names', 'Processing Duration'];
+  const rows = [['Acer', 'rubrum', 'Sapindaceae', '0h 4m 2s']];
+  const plan = planSheetMigration(current, expected);
+  const migrated = applyMigrationToRows(rows, plan);
+
+  check(plan.needed, 'migration needed');
+  check(plan.inserted.join() === 'Common Names', `inserted: ${plan.inserted.join(', ')}`);
+  check(JSON.stringify(migrated[0]) === JSON.stringify(['Acer', 'rubrum', 'Sapindaceae', '', '0h 4m 2s']),
+    `row realigned: ${JSON.stringify(migrated[0])}`);
+  formatMigrationReport(plan, rows.length).forEach(line => console.log(`   ${line}`));
+  console.log('');
+}
+
+console.log('Test 3: Retire removed columns\n');
+{
+  const current = ['Genus', 'Species', 'Native', 'Family'];
+  const expected = ['Genus', 'Species', 'Family'];
+  const rows = [['Acer', 'rubrum', 'Yes', 'Sapindaceae']];
+  const plan = planSheetMigration(current, expected);
+  const migrated = applyMigrationToRows(rows, plan);
+
+  check(plan.retired.join() === 'Native', `retired: ${plan.retired.join(', ')}`);
+  check(plan.targetHeaders[3] === 'Retired: Native', `retired header: ${plan.targetHeaders[3]}`);
+  check(JSON.stringify(migrated[0]) === JSON.stringify(['Acer', 'rubrum', 'Sapindaceae', 'Yes']),
+    `retired data kept: ${JSON.stringify(migrated[0])}`);
+  check(plan.targetHeaders.length >= current.length, 'new layout is not narrower than the old one');
+  console.log('');
+}
+
+console.log('Test 4: Restore a retired column\n');
+{
+  const current = ['Genus', 'Species', 'Family', 'Retired: Native'];
+  const expected = ['Genus', 'Species', 'Native', 'Family'];
+  const rows = [['Acer', 'rubrum', 'Sapindaceae', 'Yes']];
+  const plan = planSheetMigration(current, expected);
+  const migrated = applyMigrationToRows(rows, plan);
+
+  check(plan.inserted.length === 0, 'nothing inserted');
+  check(JSON.stringify(migrated[0]) === JSON.stringify(['Acer', 'rubrum', 'Yes', 'Sapindaceae']),
+    `restored: ${JSON.stringify(migrated[0])}`);
+  console.log('');
+}
+
+console.log('Test 5: Cell types survive a migration\n');
+{
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheet-migration-'));
+  configureCache({ rootDir });
+
+  // Stands in for the Sheets API: formatted reads return every cell as display text
+  const stored = [['Genus', 'Species', 'Coefficient of Conservatism (C)'], ['Acer', 'rubrum', 1234.5]];
+  let written = null;
+  const sheets = {
+    spreadsheets: {
+      values: {
+        get: async ({ valueRenderOption = 'FORMATTED_VALUE' }) => ({
+          data: {
+            values: valueRenderOption === 'FORMATTED_VALUE'
+              ? stored.map(row => row.map(cell => typeof cell === 'number' ? cell.toLocaleString('en-US') : cell))
+              : stored
+          }
+        }),
+        update: async ({ valueInputOption, requestBody }) => {
+          written = { valueInputOption, values: requestBody.values };
+        }
+      },
+      get: async () => ({
+        data: { sheets: [{ properties: { title: 'Plant Data', sheetId: 0, gridProperties: { columnCount: 26 } } }] }
+      }),
+      batchUpdate: async () => {}
+    }
+  };
+
+  const { plan, backupPath } = await migratePlantDataSheet(sheets, 'test-sheet',
+    ['Genus', 'Species', 'Family', 'Coefficient of Conservatism (C)']);
+  check(plan.needed && written !== null, 'sheet rewritten');
+  check(written.values[1][3] === 1234.5, `numeric cell kept as a number (${JSON.stringify(written.values[1][3])})`);
+  check(backupPath.startsWith(rootDir), 'backup written under the cache root');
+
+  configureCache(null);
+  fs.rmSync(rootDir, { recursive: true, force: true });
+  console.log('');
+}
+
+finishTest('Sheet Migration');
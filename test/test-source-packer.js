@@ -0,0 +1,123 @@
+/**
+ * Test script for token-budgeted source packing
+ *
+ * Tests:
+ * 1. Sources are cleaned: dropped fields (raw HTML copies), HTML markup,
+ *    whitespace and text repeated in a longer field are left out
+ * 2. Under budget every passage is kept, whatever the topic
+ * 3. Over budget the passages closest to the topic are kept, within the
+ *    budget, and the rest are reported and noted in the text
+ * 4. Tier prompts are packed per tier; over budget the Tier 1 prefix follows
+ *    the field, and _meta reports what was left out
+ * 5. Web page text for other modules is packed instead of cut off
+ *
+ * Writes a Michigan Flora source for a made-up species to a temporary cache
+ * root; no API calls are made.
+ *
+ * Usage: node test/test-source-packer.js
+ */
+
+import { useTestCache } from './species-fixtures.js';
+import { check, finishTest } from './checks.js';
+
+// Module-level Anthropic clients need a key to construct; it is never used here
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'source-packer-test';
+
+const { packSources, configureSourcePacking, estimateTokens } = await import('../src/utils/source-packer.js');
+
+const STORAGE = 'Seeds store well when dried and kept in a sealed jar in the fridge; damp seed develops mold within weeks.';
+const HABITAT = 'Grows in wet meadows, fens and along shaded stream banks across the southern Lower Peninsula.';
+const FLOWERS = 'Flowers are borne in loose terminal clusters, with five pale lavender petals opening in midsummer.';
+
+const flora = {
+  description: `${HABITAT}\n\n${FLOWERS}\n\n${STORAGE}`,
+  descriptionHtml: `<p>${HABITAT}</p><p>${FLOWERS}</p><p>${STORAGE}</p>`,
+  notes: 'Common &amp; <b>showy</b>   in    wet   places.',
+  ecologicalData: { coefficientC: '7', nativeStatus: 'N' }
+};
+const page = { excerpt: 'Grows in wet meadows, fens and along shaded stream banks', textContent: `\n\n   ${HABITAT}\n\n\n\n   ${STORAGE}   \n` };
+const sources = [
+  { fileName: 'Testus_packus_miflora.json', source: 'Michigan Flora', content: flora },
+  { fileName: 'Testus_packus_page.json', source: 'Validated Web Pages', content: page }
+];
+
+console.log('Test 1: Cleaning\n');
+{
+  const packed = packSources(sources, { dropFields: ['descriptionHtml'], passageChars: 120 });
+  check(!packed.text.includes('descriptionHtml') && !packed.text.includes('<p>'), 'dropped field left out');
+  check(packed.text.includes('notes: Common & showy in wet places.'), 'HTML and whitespace cleaned');
+  check(!packed.text.includes('excerpt:'), 'text repeated in a longer field left out');
+  check(packed.text.includes('ecologicalData.coefficientC: 7'), 'short fields kept with their path');
+  check(packed.tokens < estimateTokens(JSON.stringify(sources.map(src => src.content), null, 2)), `smaller than the JSON dump (~${packed.tokens} tokens)`);
+  console.log('');
+}
+
+console.log('Test 2: Under budget\n');
+{
+  const storage = packSources(sources, { dropFields: ['descriptionHtml'], passageChars: 120, maxTokens: 1000, topic: 'seed storage fridge mold' });
+  const habitat = packSources(sources, { dropFields: ['descriptionHtml'], passageChars: 120, maxTokens: 1000, topic: 'habitat wet meadows' });
+  check(storage.omitted.length === 0 && storage.text === habitat.text, 'every passage kept, same text for any topic');
+  console.log('');
+}
+
+console.log('Test 3: Over budget\n');
+{
+  const settings = { dropFields: ['descriptionHtml'], passageChars: 120, maxTokens: 130 };
+  const packed = packSources(sources, { ...settings, topic: 'How should seed be stored? Fridge, jar, mold risk.' });
+  check(packed.tokens <= settings.maxTokens, `within budget (~${packed.tokens} of ${settings.maxTokens}, ~${packed.totalTokens} before)`);
+  check(packed.text.includes(STORAGE) && !packed.text.includes(FLOWERS), 'passages about the topic kept, others left out');
+  check(packed.omitted.some(item => item.fileName === 'Testus_packus_miflora.json' && item.path === 'description'), 'left-out passages reported');
+  check(/\[\d+ passage\(s\) left out to fit the source budget\]/.test(packed.text), 'left-out passages noted in the text');
+  check(packed.text.indexOf('description:') < packed.text.indexOf('notes:'), 'kept passages in source order');
+  console.log('');
+}
+
+console.log('Test 4: Tier prompts\n');
+{
+  const testCache = useTestCache('Testus', 'packus');
+  testCache.writeSources({ miflora: flora });
+  const { prepareTierRequests } = await import('../src/synthesis/process-3tier-field.js');
+  const prefixOf = (fieldId) => prepareTierRequests('Testus', 'packus', fieldId, { forceRefresh: true, tiers: [1] })[0]
+    .request.messages[0].content[0].text;
+
+  check(!prefixOf('storage_mold_risk').includes('descriptionHtml'), 'raw HTML copy not in the Tier 1 prompt');
+  check(prefixOf('storage_mold_risk') === prefixOf('identification_habitat_notes'), 'under budget the prefix is shared by every field');
+
+  configureSourcePacking({ passageChars: 120, tiers: { 1: { maxTokens: 80 } } });
+  const storagePrefix = prefixOf('storage_mold_risk');
+  check(storagePrefix.includes(STORAGE) && storagePrefix.includes('left out to fit the source budget'), 'over budget the field\'s passages are kept');
+  check(storagePrefix !== prefixOf('identification_habitat_notes'), 'over budget the prefix is field-specific');
+
+  const { process3TierField } = await import('../src/synthesis/process-3tier-field.js');
+  const { setLlmUsageLogFile } = await import('../src/utils/llm-usage.js');
+  setLlmUsageLogFile(null);
+  const stub = async (request) => ({
+    model: request.model,
+    content: [{ type: 'text', text: JSON.stringify({ value: `${STORAGE} ${FLOWERS}`, attribution: 'Michigan Flora' }) }],
+    usage: { input_tokens: 100, output_tokens: 20 }
+  });
+  const { merged } = await process3TierField('Testus', 'packus', 'storage_mold_risk', { verbose: false, skipSync: true, useCache: false, llm: stub });
+  const tier1Packing = merged._meta.sourcePacking.tier1;
+  check(tier1Packing?.maxTokens === 80 && tier1Packing.omitted.length > 0 && tier1Packing.tokens < tier1Packing.totalTokens,
+    `_meta reports the Tier 1 packing (~${tier1Packing?.tokens} of ~${tier1Packing?.totalTokens} tokens)`);
+  check(merged._meta.grounding.tier1?.unsupported.join('|') === FLOWERS, 'grounding checked against the packed sources (left-out text unsupported)');
+  configureSourcePacking(null);
+  testCache.close();
+  console.log('');
+}
+
+console.log('Test 5: Web pages for other modules\n');
+{
+  const { formatDataForClaude } = await import('../src/utils/species-data-collector.js');
+  configureSourcePacking({ passageChars: 120, pageMaxTokens: 60 });
+  const text = formatDataForClaude({
+    species: 'Testus packus',
+    sources: { parsedPdfs: [], pageContent: [{ source: 'Test Page', url: null, textContent: page.textContent }] },
+    summary: { totalSources: 1 }
+  }, { topic: 'seed storage fridge mold' });
+  check(text.includes(STORAGE) && !text.includes(HABITAT) && !text.includes('content truncated'), 'page packed by topic instead of truncated');
+  configureSourcePacking(null);
+  console.log('');
+}
+
+finishTest('Source Packer');
@@ -0,0 +1,144 @@
+/**
+ * Test script for taxon-keyed cache identity (src/utils/taxon-identity.js)
+ *
+ * Tests:
+ * 1. Names are keyed the same way whatever their capitalization or spacing
+ * 2. A misspelling resolves through GBIF to the accepted name, once; both
+ *    names are recorded in the Taxa namespace
+ * 3. Names GBIF can't place resolve through the Michigan Flora checklist;
+ *    offline that resolution is kept for the run only
+ * 4. Clients share entries across spelling variants (BONAP, tier responses)
+ * 5. Existing entries move to their taxon key; duplicates keep the newer one
+ *
+ * Runs against a temporary cache root; global fetch is replaced with a GBIF stub.
+ *
+ * Usage: node test/test-taxon-identity.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureCache, openCacheNamespace } from '../src/utils/cache-store.js';
+import { setOfflineMode } from '../src/utils/offline-mode.js';
+import { formatTaxonKey, getTaxonKey, getTaxonRecord, resolveTaxon } from '../src/utils/taxon-identity.js';
+import { getCachedBONAPUrl } from '../src/utils/bonap-client.js';
+import { cacheTierResponse, getCachedTierResponse, listCachedResponses } from '../src/utils/tiered-prompt-cache.js';
+import { rekeyTaxonEntries, seedTaxaFromGbifCache } from '../src/utils/cache-maintenance.js';
+import { check, finishTest } from './checks.js';
+
+const gbifRequests = [];
+
+// GBIF backbone matches by name; anything else is "no match"
+const GBIF_MATCHES = {
+  'Carex pennsylvanica': { usageKey: 2724855, scientificName: 'Carex pensylvanica Lam.', rank: 'SPECIES', species: 'Carex pensylvanica', matchType: 'FUZZY', confidence: 96 },
+  'Dentaria laciniata': { usageKey: 3046712, acceptedUsageKey: 3046715, scientificName: 'Dentaria laciniata Muhl. ex Willd.', rank: 'SPECIES', species: 'Cardamine concatenata', matchType: 'EXACT', confidence: 98, synonym: true },
+  'Acer rubrim': { usageKey: 3189834, scientificName: 'Acer rubrum L.', rank: 'SPECIES', species: 'Acer rubrum', matchType: 'FUZZY', confidence: 70 }
+};
+
+globalThis.fetch = async (url) => {
+  const name = new URL(url).searchParams.get('name');
+  gbifRequests.push(name);
+  const match = GBIF_MATCHES[name] || { matchType: 'NONE' };
+  return new Response(JSON.stringify(match), { status: 200, headers: { 'Content-Type': 'application/json' } });
+};
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taxon-identity-test-'));
+configureCache({ rootDir });
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+console.log('Test 1: Name keys\n');
+{
+  check(formatTaxonKey(' acer ', 'RUBRUM') === 'Acer_rubrum', 'genus capitalized, epithet lower case');
+  check(formatTaxonKey('×elyhordeum', 'montanense') === '×Elyhordeum_montanense', 'hybrid marker kept');
+  check(formatTaxonKey('Acer', 'saccharum var. nigrum') === 'Acer_saccharum-var_-nigrum', 'infraspecific ranks slugged');
+  check(getTaxonKey('carex', 'pennsylvanica') === 'Carex_pennsylvanica', 'unresolved name keys on itself');
+  console.log('');
+}
+
+console.log('Test 2: GBIF resolution\n');
+{
+  check(await resolveTaxon('Carex', 'pennsylvanica') === 'Carex_pensylvanica', 'misspelling resolves to the accepted name');
+  check(getTaxonKey('carex', 'Pennsylvanica') === 'Carex_pensylvanica' && getTaxonKey('Carex', 'pensylvanica') === 'Carex_pensylvanica',
+    'both spellings share the key');
+  const record = getTaxonRecord('Carex', 'pennsylvanica');
+  check(record.usageKey === 2724855 && record.source === 'gbif' && record.matchType === 'FUZZY', 'usageKey and match recorded');
+  const records = openCacheNamespace('Taxa').records();
+  check(records.get('Carex_pennsylvanica_taxon.json')?.sourceUrl.includes('/match?name=Carex%20pennsylvanica'), 'source URL in the manifest');
+
+  gbifRequests.length = 0;
+  await resolveTaxon('Carex', 'pennsylvanica');
+  await resolveTaxon('Carex', 'pensylvanica');
+  check(gbifRequests.length === 0, 'resolved names are not looked up again');
+
+  check(await resolveTaxon('Dentaria', 'laciniata') === 'Cardamine_concatenata' && getTaxonRecord('Dentaria', 'laciniata').usageKey === 3046715,
+    'synonym resolves to the accepted taxon and its usageKey');
+  check(await resolveTaxon('Acer', 'rubrim') === 'Acer_rubrim' && !getTaxonRecord('Acer', 'rubrim'), 'low-confidence fuzzy match not trusted');
+  console.log('');
+}
+
+console.log('Test 3: Michigan Flora checklist\n');
+{
+  check(await resolveTaxon('Acer', 'rubrum') === 'Acer_rubrum' && getTaxonRecord('Acer', 'rubrum').acronym === 'ACERUB',
+    'checklist acronym recorded when GBIF has no match');
+  setOfflineMode(true);
+  gbifRequests.length = 0;
+  check(await resolveTaxon('Acer', 'saccharinum') === 'Acer_saccharinum' && gbifRequests.length === 0, 'offline: no GBIF request');
+  check(getTaxonRecord('Acer', 'saccharinum')?.source === 'michigan-flora' && !openCacheNamespace('Taxa').readEntry('Acer_saccharinum_taxon.json'),
+    'offline checklist resolution kept for the run only');
+  check(await resolveTaxon('Nonexistus', 'offlinei') === 'Nonexistus_offlinei', 'unknown name keeps its own key');
+  setOfflineMode(false);
+  console.log('');
+}
+
+console.log('Test 4: Clients share entries\n');
+{
+  openCacheNamespace('BONAP').write('Carex_pensylvanica_bonap.json', { url: 'http://bonap.net/carex.png' });
+  check(getCachedBONAPUrl('Carex', 'pennsylvanica') === 'http://bonap.net/carex.png', 'BONAP entry found under the misspelling');
+
+  cacheTierResponse('Carex', 'pennsylvanica', 'storage_mold_risk', 1, 'prompt', '{"value": "Low"}', [], { model: 'model-a' });
+  check(getCachedTierResponse('carex', 'pensylvanica', 'storage_mold_risk', 1, 'prompt', { model: 'model-a' }).hit, 'tier response shared');
+  check(listCachedResponses('Carex', 'pensylvanica', 'storage_mold_risk').every(r => r.fileName.startsWith('Carex_pensylvanica_')),
+    'tier response keyed on the accepted name');
+  console.log('');
+}
+
+console.log('Test 5: Moving existing entries\n');
+{
+  const gbif = openCacheNamespace('GBIF');
+  const inat = openCacheNamespace('iNaturalist');
+  gbif.write('Quercus_rubra_gbif.json', { genus: 'Quercus', species: 'rubra', matched: true, usageKey: 2880539, acceptedName: 'Quercus rubra L.' });
+  gbif.write('Quercus_borealis_gbif.json', { genus: 'Quercus', species: 'borealis', matched: true, usageKey: 2880539, acceptedName: 'Quercus rubra L.' });
+  inat.write('Quercus_rubra_inaturalist_taxa.json', { taxonId: 1 }, { fetchedAt: daysAgo(30) });
+  inat.write('Quercus_borealis_inaturalist_taxa.json', { taxonId: 2 }, { fetchedAt: daysAgo(2) });
+  inat.write('Quercus_borealis_inaturalist_histogram.json', { months: {} }, { fetchedAt: daysAgo(2) });
+  openCacheNamespace('ExternalReferences').write('acer_rubrum_refURLs.json', { urls: {} }, { sourceUrl: 'https://example.org/acer', fetchedAt: daysAgo(5) });
+
+  check(seedTaxaFromGbifCache({ dryRun: true }) === 2 && !getTaxonRecord('Quercus', 'borealis'), 'dry run records no names');
+  seedTaxaFromGbifCache();
+  check(getTaxonKey('Quercus', 'borealis') === 'Quercus_rubra' && getTaxonRecord('Quercus', 'rubra')?.usageKey === 2880539,
+    'names recorded from the GBIF cache');
+  const dryRun = rekeyTaxonEntries({ dryRun: true });
+  check(dryRun.length === 4 && inat.keys().includes('Quercus_borealis_inaturalist_taxa.json'), `dry run lists moves without making them (${dryRun.length})`);
+
+  const changes = rekeyTaxonEntries();
+  const change = (from) => changes.find(c => c.from === from);
+  check(change('Quercus_borealis_inaturalist_taxa.json')?.action === 'merged' && inat.read('Quercus_rubra_inaturalist_taxa.json')?.taxonId === 2,
+    'duplicate merged, newer entry kept');
+  check(change('Quercus_borealis_inaturalist_histogram.json')?.action === 'moved' && inat.keys().join(',') ===
+    'Quercus_rubra_inaturalist_histogram.json,Quercus_rubra_inaturalist_taxa.json', 'entry moved to the taxon key');
+  check(!gbif.keys().includes('Quercus_borealis_gbif.json'), 'GBIF duplicate removed');
+
+  const references = openCacheNamespace('ExternalReferences');
+  const moved = references.records().get('Acer_rubrum_refURLs.json');
+  check(references.keys().join(',') === 'Acer_rubrum_refURLs.json' && moved.sourceUrl === 'https://example.org/acer' &&
+    moved.fetchedAt === references.records().get('Acer_rubrum_refURLs.json').fetchedAt && Date.now() - Date.parse(moved.fetchedAt) > 4 * 86400000,
+    'lower-case genus key moved, source URL and fetch time kept');
+  check(rekeyTaxonEntries().length === 0, 'running again moves nothing');
+  console.log('');
+}
+
+configureCache(null);
+fs.rmSync(rootDir, { recursive: true, force: true });
+
+finishTest('Taxon Identity');
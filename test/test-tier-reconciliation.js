@@ -0,0 +1,121 @@
+/**
+ * Test script for 3-tier reconciliation and the Needs Review column
+ *
+ * Tests:
+ * 1. Enum fields compare on the enum value
+ * 2. Free-text fields compare on content-word overlap
+ * 3. Tier 2 is additive, empty tiers, and only-model-knowledge
+ * 4. The 3tier-review module lists conflicting fields by header
+ *
+ * No API calls are made.
+ *
+ * Usage: node test/test-tier-reconciliation.js
+ */
+
+import { reconcileTiers, answerSimilarity } from '../src/utils/tier-reconciliation.js';
+import { check, finishTest } from './checks.js';
+
+// Module-level Anthropic clients need a key to construct; it is never used here
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'reconciliation-test';
+
+const EMPTY_TIER2 = { value: '', attribution: 'No additional Tier 2 sources available' };
+const ENUM_PATTERN = '^(Easy|Moderate|Difficult)\\b';
+
+console.log('Test 1: Enum fields\n');
+{
+  const agree = reconcileTiers({
+    tier1: { value: 'Easy - heads strip by hand', attribution: 'Michigan Flora' },
+    tier2: EMPTY_TIER2,
+    tier3: { value: 'easy. Seed heads are large and obvious', attribution: 'Species-level knowledge' }
+  }, { valuePattern: ENUM_PATTERN });
+  check(agree.status === 'agree' && agree.winningTier === 1, 'same enum value agrees (case-insensitive)');
+  check(agree.value === 'Easy - heads strip by hand' && agree.attribution === 'Michigan Flora', 'consensus taken from Tier 1');
+
+  const conflict = reconcileTiers({
+    tier1: { value: 'Easy - heads strip by hand', attribution: 'Michigan Flora' },
+    tier2: EMPTY_TIER2,
+    tier3: { value: 'Difficult - seeds shatter early', attribution: 'Genus-level knowledge' }
+  }, { valuePattern: ENUM_PATTERN });
+  check(conflict.status === 'conflict' && conflict.needsReview === true, 'Tier 3 contradicting Tier 1 is a conflict');
+  check(conflict.winningTier === 1 && conflict.value.startsWith('Easy'), 'sourced tier still wins');
+
+  const tier2Conflict = reconcileTiers({
+    tier1: { value: 'Easy', attribution: 'A' },
+    tier2: { value: 'Moderate in dense stands', attribution: 'B' },
+    tier3: { value: '', attribution: '' }
+  }, { valuePattern: ENUM_PATTERN });
+  check(tier2Conflict.status === 'conflict' && tier2Conflict.comparisons.tier2 === 'conflict', 'Tier 2 giving a different enum value is a conflict');
+  console.log('');
+}
+
+console.log('Test 2: Free-text fields\n');
+{
+  check(answerSimilarity('Dark brown seeds', 'Seeds turn dark brown') === 1, 'shorter answer fully contained scores 1');
+
+  const partial = reconcileTiers({
+    tier1: { value: 'Seeds ripen to dark brown in late September', attribution: 'A' },
+    tier2: EMPTY_TIER2,
+    tier3: { value: 'Achenes turn dark brown to black by autumn, often with a pale pappus', attribution: 'B' }
+  });
+  check(partial.status === 'partial', `overlapping answers are partial (${partial.comparisons.tier3})`);
+
+  const conflict = reconcileTiers({
+    tier1: { value: 'Dark brown', attribution: 'A' },
+    tier2: EMPTY_TIER2,
+    tier3: { value: 'Bright orange berries', attribution: 'B' }
+  });
+  check(conflict.status === 'conflict' && conflict.needsReview, 'unrelated answers conflict');
+  console.log('');
+}
+
+console.log('Test 3: Tier 2, empty tiers and model-only answers\n');
+{
+  const additive = reconcileTiers({
+    tier1: { value: 'Cold moist stratification for 60 days', attribution: 'A' },
+    tier2: { value: 'Scarify the hard coat first', attribution: 'B' },
+    tier3: { value: 'Needs 60 days of cold moist stratification', attribution: 'C' }
+  });
+  check(additive.comparisons.tier2 === 'partial' && additive.status === 'partial', 'Tier 2 additions are partial, not conflict');
+
+  const tier2Only = reconcileTiers({
+    tier1: { value: '', attribution: 'No Tier 1 source data available' },
+    tier2: { value: 'Moderate', attribution: 'B' },
+    tier3: { value: 'Moderate - some shattering', attribution: 'C' }
+  }, { valuePattern: '^(Low|Moderate|High)\\b' });
+  check(tier2Only.winningTier === 2 && tier2Only.status === 'agree', 'Tier 2 wins when Tier 1 is empty');
+
+  const modelOnly = reconcileTiers({
+    tier1: { value: '', attribution: 'No Tier 1 source data available' },
+    tier2: EMPTY_TIER2,
+    tier3: { value: 'Tan', attribution: 'Genus-level knowledge' }
+  });
+  check(modelOnly.status === 'only-model-knowledge' && modelOnly.winningTier === 3 && !modelOnly.needsReview,
+    'only Tier 3 answering is only-model-knowledge');
+
+  const empty = reconcileTiers({ tier1: null, tier2: EMPTY_TIER2, tier3: { value: '  ' } });
+  check(empty.winningTier === null && empty.value === '' && !empty.needsReview, 'no answers gives an empty consensus');
+  console.log('');
+}
+
+console.log('Test 4: Needs Review column\n');
+{
+  const review = await import('../src/synthesis/process-3tier-review.js');
+  const fieldResult = (needsReview) => ({ _3tierData: { merged: { consensus: { needsReview } } } });
+
+  check(review.metadata.optionalDependencies.includes('3tier-collection_ease'), 'runs after the 3-tier field modules in the run');
+
+  const flagged = await review.run('Acer', 'rubrum', {
+    '3tier-collection_ease': fieldResult(true),
+    '3tier-collection_miss_risk': fieldResult(false),
+    '3tier-storage_mold_risk': fieldResult(true),
+    '3tier-collection_tools': { status: 'not-cached', columnValues: {} }
+  });
+  check(flagged.columnValues.needsReview === 'Ease of Collection, Storage Mold Risk',
+    `conflicting fields listed by header (${flagged.columnValues.needsReview})`);
+
+  const clean = await review.run('Acer', 'rubrum', { '3tier-collection_ease': fieldResult(false) });
+  check(clean.columnValues.needsReview === '', 'empty when nothing needs review');
+  console.log('');
+}
+
+finishTest('Tier Reconciliation');